@@ -0,0 +1,291 @@
+const { MockDatabase } = require('../index');
+
+describe('Aggregation', () => {
+  let db;
+  let orders;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    orders = db.collection('orders');
+    await orders.insertMany([
+      { _id: 1, customerId: 'c1', status: 'paid', items: [{ sku: 'A', qty: 2, price: 10 }, { sku: 'B', qty: 1, price: 5 }], createdAt: new Date('2024-01-15T10:00:00Z') },
+      { _id: 2, customerId: 'c2', status: 'paid', items: [{ sku: 'A', qty: 1, price: 10 }], createdAt: new Date('2024-02-01T12:30:00Z') },
+      { _id: 3, customerId: 'c1', status: 'pending', items: [], createdAt: new Date('2024-02-20T08:00:00Z') },
+      { _id: 4, customerId: 'c3', status: 'cancelled', createdAt: new Date('2024-03-05T00:00:00Z') }
+    ]);
+    await db.collection('customers').insertMany([
+      { _id: 'c1', name: 'Alice', tier: 'gold' },
+      { _id: 'c2', name: 'Bob', tier: 'silver' }
+    ]);
+  });
+
+  test('should return a cursor', async () => {
+    const cursor = orders.aggregate([{ $match: { status: 'paid' } }]);
+    expect(typeof cursor.toArray).toBe('function');
+    expect((await cursor.toArray()).map(doc => doc._id)).toEqual([1, 2]);
+  });
+
+  test('should $match with query operators and $expr', async () => {
+    const result = await orders.aggregate([
+      { $match: { status: { $in: ['paid', 'pending'] } } },
+      { $match: { $expr: { $gt: [{ $size: '$items' }, 1] } } }
+    ]).toArray();
+    expect(result.map(doc => doc._id)).toEqual([1]);
+  });
+
+  test('should $project with inclusion, exclusion and computed fields', async () => {
+    const result = await orders.aggregate([
+      { $match: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          customerId: 1,
+          itemCount: { $size: '$items' },
+          total: { $sum: { $map: { input: '$items', as: 'item', in: { $multiply: ['$$item.qty', '$$item.price'] } } } },
+          month: { $month: '$createdAt' },
+          label: { $concat: ['order-', { $toString: '$_id' }] }
+        }
+      }
+    ]).toArray();
+    expect(result).toEqual([{ customerId: 'c1', itemCount: 2, total: 25, month: 1, label: 'order-1' }]);
+
+    const excluded = await orders.aggregate([{ $match: { _id: 2 } }, { $project: { items: 0, createdAt: 0 } }]).toArray();
+    expect(excluded).toEqual([{ _id: 2, customerId: 'c2', status: 'paid' }]);
+  });
+
+  test('should $addFields / $set and $unset', async () => {
+    const result = await orders.aggregate([
+      { $match: { _id: 2 } },
+      { $addFields: { isPaid: { $eq: ['$status', 'paid'] }, 'meta.source': 'web' } },
+      { $set: { status: { $toUpper: '$status' } } },
+      { $unset: ['items', 'createdAt'] }
+    ]).toArray();
+    expect(result).toEqual([{ _id: 2, customerId: 'c2', status: 'PAID', isPaid: true, meta: { source: 'web' } }]);
+  });
+
+  test('should $group with accumulators', async () => {
+    const result = await orders.aggregate([
+      { $group: {
+        _id: '$customerId',
+        count: { $sum: 1 },
+        statuses: { $addToSet: '$status' },
+        ids: { $push: '$_id' },
+        first: { $first: '$_id' },
+        last: { $last: '$_id' },
+        firstDate: { $min: '$createdAt' },
+        lastDate: { $max: '$createdAt' },
+        avgItems: { $avg: { $size: { $ifNull: ['$items', []] } } }
+      } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+
+    expect(result[0]).toEqual({
+      _id: 'c1',
+      count: 2,
+      statuses: ['paid', 'pending'],
+      ids: [1, 3],
+      first: 1,
+      last: 3,
+      firstDate: new Date('2024-01-15T10:00:00Z'),
+      lastDate: new Date('2024-02-20T08:00:00Z'),
+      avgItems: 1
+    });
+    expect(result.map(doc => doc._id)).toEqual(['c1', 'c2', 'c3']);
+  });
+
+  test('should group everything with a null _id and compound keys', async () => {
+    const total = await orders.aggregate([{ $group: { _id: null, n: { $sum: 1 } } }]).toArray();
+    expect(total).toEqual([{ _id: null, n: 4 }]);
+
+    const byMonth = await orders.aggregate([
+      { $group: { _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } }, n: { $sum: 1 } } },
+      { $sort: { '_id.month': -1 } },
+      { $limit: 1 }
+    ]).toArray();
+    expect(byMonth).toEqual([{ _id: { year: 2024, month: 3 }, n: 1 }]);
+  });
+
+  test('should $unwind arrays with options', async () => {
+    const plain = await orders.aggregate([{ $unwind: '$items' }, { $project: { sku: '$items.sku' } }]).toArray();
+    expect(plain).toEqual([{ _id: 1, sku: 'A' }, { _id: 1, sku: 'B' }, { _id: 2, sku: 'A' }]);
+
+    const preserved = await orders.aggregate([
+      { $unwind: { path: '$items', includeArrayIndex: 'idx', preserveNullAndEmptyArrays: true } },
+      { $project: { idx: 1 } }
+    ]).toArray();
+    expect(preserved).toEqual([
+      { _id: 1, idx: 0 },
+      { _id: 1, idx: 1 },
+      { _id: 2, idx: 0 },
+      { _id: 3, idx: null },
+      { _id: 4, idx: null }
+    ]);
+  });
+
+  test('should $sort, $skip, $limit and $count', async () => {
+    const page = await orders.aggregate([{ $sort: { createdAt: -1 } }, { $skip: 1 }, { $limit: 2 }]).toArray();
+    expect(page.map(doc => doc._id)).toEqual([3, 2]);
+
+    expect(await orders.aggregate([{ $match: { status: 'paid' } }, { $count: 'paid' }]).toArray()).toEqual([{ paid: 2 }]);
+    expect(await orders.aggregate([{ $match: { status: 'none' } }, { $count: 'n' }]).toArray()).toEqual([]);
+  });
+
+  test('should run $facet sub-pipelines', async () => {
+    const [result] = await orders.aggregate([
+      { $facet: {
+        byStatus: [{ $sortByCount: '$status' }, { $limit: 1 }],
+        total: [{ $count: 'n' }]
+      } }
+    ]).toArray();
+    expect(result).toEqual({ byStatus: [{ _id: 'paid', count: 2 }], total: [{ n: 4 }] });
+  });
+
+  test('should $replaceRoot and $replaceWith', async () => {
+    const result = await orders.aggregate([
+      { $match: { _id: 1 } },
+      { $unwind: '$items' },
+      { $replaceRoot: { newRoot: '$items' } }
+    ]).toArray();
+    expect(result).toEqual([{ sku: 'A', qty: 2, price: 10 }, { sku: 'B', qty: 1, price: 5 }]);
+
+    const merged = await orders.aggregate([
+      { $match: { _id: 2 } },
+      { $replaceWith: { $mergeObjects: [{ orderId: '$_id' }, { status: '$status' }] } }
+    ]).toArray();
+    expect(merged).toEqual([{ orderId: 2, status: 'paid' }]);
+  });
+
+  test('should evaluate conditional and array expressions', async () => {
+    const result = await orders.aggregate([
+      { $project: {
+        size: { $cond: { if: { $isArray: '$items' }, then: { $size: '$items' }, else: 'n/a' } },
+        bucket: { $switch: { branches: [{ case: { $eq: ['$status', 'paid'] }, then: 'done' }], default: 'open' } },
+        bigItems: { $filter: { input: { $ifNull: ['$items', []] }, as: 'i', cond: { $gte: ['$$i.price', 10] } } }
+      } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+
+    expect(result.map(doc => doc.size)).toEqual([2, 1, 0, 'n/a']);
+    expect(result.map(doc => doc.bucket)).toEqual(['done', 'done', 'open', 'open']);
+    expect(result[0].bigItems).toEqual([{ sku: 'A', qty: 2, price: 10 }]);
+  });
+
+  describe('$lookup', () => {
+    test('should join another collection by local and foreign fields', async () => {
+      const result = await orders.aggregate([
+        { $match: { _id: { $in: [1, 4] } } },
+        { $lookup: { from: 'customers', localField: 'customerId', foreignField: '_id', as: 'customer' } },
+        { $project: { customerName: { $first: '$customer.name' } } }
+      ]).toArray();
+      expect(result).toEqual([{ _id: 1, customerName: 'Alice' }, { _id: 4 }]);
+    });
+
+    test('should support the let/pipeline form', async () => {
+      const result = await db.collection('customers').aggregate([
+        { $lookup: {
+          from: 'orders',
+          let: { cid: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$customerId', '$$cid'] }, { $eq: ['$status', 'paid'] }] } } },
+            { $project: { _id: 1 } }
+          ],
+          as: 'paidOrders'
+        } }
+      ]).toArray();
+      expect(result.map(doc => doc.paidOrders)).toEqual([[{ _id: 1 }], [{ _id: 2 }]]);
+    });
+
+    test('should return empty matches for a missing collection', async () => {
+      const result = await orders.aggregate([
+        { $match: { _id: 1 } },
+        { $lookup: { from: 'nothing', localField: 'customerId', foreignField: '_id', as: 'x' } }
+      ]).toArray();
+      expect(result[0].x).toEqual([]);
+      expect(db.hasCollection('nothing')).toBe(false);
+    });
+  });
+
+  describe('$out and $merge', () => {
+    test('should replace a collection with $out', async () => {
+      await db.collection('summary').insertOne({ stale: true });
+
+      const output = await orders.aggregate([
+        { $group: { _id: '$status', n: { $sum: 1 } } },
+        { $out: 'summary' }
+      ]).toArray();
+
+      expect(output).toEqual([]);
+      const summary = await db.collection('summary').find().sort({ _id: 1 }).toArray();
+      expect(summary).toEqual([
+        { _id: 'cancelled', n: 1 },
+        { _id: 'paid', n: 2 },
+        { _id: 'pending', n: 1 }
+      ]);
+    });
+
+    test('should report $out to change streams as deletes and inserts', async () => {
+      await db.collection('summary').insertOne({ _id: 'stale' });
+      const stream = db.collection('summary').watch();
+
+      await orders.aggregate([{ $match: { status: 'paid' } }, { $project: { status: 1 } }, { $out: 'summary' }]).toArray();
+
+      const events = [await stream.next(), await stream.next(), await stream.next()];
+      expect(events.map(event => [event.operationType, event.documentKey._id])).toEqual([['delete', 'stale'], ['insert', 1], ['insert', 2]]);
+      expect(await stream.tryNext()).toBeNull();
+      await stream.close();
+    });
+
+    test('should validate $out documents and leave the target unchanged on failure', async () => {
+      const summary = await db.createCollection('summary', { validator: { n: { $gte: 2 } } });
+      await summary.insertOne({ _id: 'kept', n: 5 });
+
+      await expect(orders.aggregate([{ $group: { _id: '$status', n: { $sum: 1 } } }, { $out: 'summary' }]).toArray())
+        .rejects.toMatchObject({ code: 121 });
+      expect(await summary.find().toArray()).toEqual([{ _id: 'kept', n: 5 }]);
+    });
+
+    test('should reject $out to a capped collection', async () => {
+      const log = await db.createCollection('log', { capped: true, size: 4096, max: 2 });
+      await log.insertOne({ _id: 'kept' });
+
+      await expect(orders.aggregate([{ $out: 'log' }]).toArray()).rejects.toMatchObject({ code: 17152, codeName: 'Location17152' });
+      expect(await log.find().toArray()).toEqual([{ _id: 'kept' }]);
+    });
+
+    test('should merge results into an existing collection', async () => {
+      const stats = db.collection('stats');
+      await stats.insertMany([{ _id: 'c1', note: 'vip', orders: 0 }, { _id: 'c9', orders: 7 }]);
+
+      await orders.aggregate([
+        { $group: { _id: '$customerId', orders: { $sum: 1 } } },
+        { $merge: { into: 'stats', on: '_id', whenMatched: 'merge', whenNotMatched: 'insert' } }
+      ]).toArray();
+
+      const all = await stats.find().sort({ _id: 1 }).toArray();
+      expect(all).toEqual([
+        { _id: 'c1', note: 'vip', orders: 2 },
+        { _id: 'c2', orders: 1 },
+        { _id: 'c3', orders: 1 },
+        { _id: 'c9', orders: 7 }
+      ]);
+    });
+
+    test('should reject output stages inside $facet', () => {
+      for (const output of [{ $out: 'x' }, { $merge: { into: 'x' } }]) {
+        expect(() => orders.aggregate([{ $facet: { all: [{ $match: {} }], copy: [output] } }])).toThrow(expect.objectContaining({
+          code: 40600,
+          codeName: 'Location40600'
+        }));
+      }
+      expect(db.hasCollection('x')).toBe(false);
+    });
+
+    test('should require output stages to come last', () => {
+      expect(() => orders.aggregate([{ $out: 'x' }, { $match: {} }])).toThrow(/final stage/);
+    });
+  });
+
+  test('should reject unknown stages', () => {
+    expect(() => orders.aggregate([{ $bogus: {} }])).toThrow(/Unrecognized pipeline stage/);
+  });
+});
@@ -0,0 +1,103 @@
+const { MockDatabase, ObjectId } = require('../index');
+const { compareValues, valuesEqual } = require('../lib/compare');
+
+describe('BSON comparison', () => {
+  describe('compareValues', () => {
+    test('should order values of different types by BSON type', () => {
+      const values = [
+        /abc/,
+        new Date(0),
+        true,
+        new ObjectId('000000000000000000000001'),
+        Buffer.from('a'),
+        [1],
+        { a: 1 },
+        'string',
+        42,
+        null
+      ];
+      const sorted = values.slice().sort(compareValues);
+      expect(sorted.map(value => value === null ? 'null' : value.constructor.name)).toEqual([
+        'null', 'Number', 'String', 'Object', 'Array', 'Buffer', 'ObjectId', 'Boolean', 'Date', 'RegExp'
+      ]);
+    });
+
+    test('should compare within a type by value', () => {
+      expect(compareValues(new Date(1000), new Date(2000))).toBeLessThan(0);
+      expect(compareValues(new ObjectId('00000000000000000000000a'), new ObjectId('000000000000000000000009'))).toBeGreaterThan(0);
+      expect(compareValues(false, true)).toBeLessThan(0);
+      expect(compareValues([1, 2], [1, 3])).toBeLessThan(0);
+      expect(compareValues({ a: 1, b: 2 }, { a: 1, b: 2 })).toBe(0);
+      expect(compareValues(Buffer.from('ab'), Buffer.from('b'))).toBeGreaterThan(0);
+      expect(compareValues(NaN, -Infinity)).toBeLessThan(0);
+      expect(compareValues(NaN, NaN)).toBe(0);
+    });
+
+    test('should treat embedded documents as order-sensitive', () => {
+      expect(valuesEqual({ a: 1, b: 2 }, { a: 1, b: 2 })).toBe(true);
+      expect(valuesEqual({ a: 1, b: 2 }, { b: 2, a: 1 })).toBe(false);
+      expect(valuesEqual([1, 2], [2, 1])).toBe(false);
+      expect(valuesEqual(new Date(5), new Date(5))).toBe(true);
+      expect(valuesEqual(new ObjectId('65a1b2c3d4e5f60718293a4b'), new ObjectId('65a1b2c3d4e5f60718293a4b'))).toBe(true);
+    });
+  });
+
+  describe('queries', () => {
+    let events;
+
+    beforeEach(async () => {
+      const db = new MockDatabase();
+      events = db.collection('events');
+      await events.insertMany([
+        { _id: 1, at: new Date('2024-01-01T00:00:00Z'), size: { w: 10, h: 20 }, tags: ['a', 'b'], value: 5 },
+        { _id: 2, at: new Date('2024-02-01T00:00:00Z'), size: { h: 20, w: 10 }, tags: ['b', 'a'], value: '5' },
+        { _id: 3, at: new Date('2024-03-01T00:00:00Z'), size: { w: 10 }, tags: [['a', 'b']], value: null },
+        { _id: 4, at: '2024-04-01', value: 10 }
+      ]);
+    });
+
+    const ids = docs => docs.map(doc => doc._id);
+
+    test('should match Dates by value', async () => {
+      expect(ids(await events.find({ at: new Date('2024-02-01T00:00:00Z') }).toArray())).toEqual([2]);
+      expect(ids(await events.find({ at: { $in: [new Date('2024-03-01T00:00:00Z')] } }).toArray())).toEqual([3]);
+      expect(ids(await events.find({ at: { $ne: new Date('2024-01-01T00:00:00Z') } }).toArray())).toEqual([2, 3, 4]);
+    });
+
+    test('should run range queries on timestamps', async () => {
+      const result = await events.find({
+        at: { $gte: new Date('2024-01-15T00:00:00Z'), $lt: new Date('2024-03-01T00:00:00Z') }
+      }).toArray();
+      expect(ids(result)).toEqual([2]);
+    });
+
+    test('should match embedded documents exactly, in field order', async () => {
+      expect(ids(await events.find({ size: { w: 10, h: 20 } }).toArray())).toEqual([1]);
+      expect(ids(await events.find({ size: { w: 10 } }).toArray())).toEqual([3]);
+    });
+
+    test('should match whole arrays in order, or any element', async () => {
+      expect(ids(await events.find({ tags: ['a', 'b'] }).toArray())).toEqual([1, 3]);
+      expect(ids(await events.find({ tags: 'a' }).toArray())).toEqual([1, 2]);
+      expect(ids(await events.find({ tags: { $all: ['a', 'b'] } }).toArray())).toEqual([1, 2]);
+    });
+
+    test('should only compare values of the same type in range queries', async () => {
+      expect(ids(await events.find({ value: { $gte: 5 } }).toArray())).toEqual([1, 4]);
+      expect(ids(await events.find({ value: { $lt: '9' } }).toArray())).toEqual([2]);
+      expect(ids(await events.find({ at: { $gt: '2024' } }).toArray())).toEqual([4]);
+      expect(ids(await events.find({ value: { $gte: null } }).toArray())).toEqual([3]);
+      expect(ids(await events.find({ value: { $gt: null } }).toArray())).toEqual([]);
+    });
+
+    test('should not equate numbers and strings', async () => {
+      expect(ids(await events.find({ value: 5 }).toArray())).toEqual([1]);
+      expect(ids(await events.find({ value: '5' }).toArray())).toEqual([2]);
+    });
+
+    test('should sort mixed types in BSON order', async () => {
+      const sorted = await events.find().sort({ value: 1 }).toArray();
+      expect(ids(sorted)).toEqual([3, 1, 4, 2]);
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const { MockDatabase, MongoBulkWriteError } = require('../index');
+
+describe('Multi-document Writes', () => {
+  let db;
+  let users;
+
+  beforeEach(() => {
+    db = new MockDatabase();
+    users = db.collection('users');
+  });
+
+  describe('insertMany', () => {
+    test('should insert every document and return an insertedIds map', async () => {
+      const result = await users.insertMany([{ _id: 'a', name: 'Alice' }, { name: 'Bob' }]);
+
+      expect(result.acknowledged).toBe(true);
+      expect(result.insertedCount).toBe(2);
+      expect(result.insertedIds[0]).toBe('a');
+      expect(result.insertedIds[1]).toBeDefined();
+      expect(users.count()).toBe(2);
+    });
+
+    test('should stop at the first failure when ordered', async () => {
+      const error = await users.insertMany([{ name: 'A' }, null, { name: 'C' }]).catch(err => err);
+
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.writeErrors).toHaveLength(1);
+      expect(error.writeErrors[0].index).toBe(1);
+      expect(error.insertedCount).toBe(1);
+      expect(users.count()).toBe(1);
+    });
+
+    test('should continue past failures when unordered', async () => {
+      const error = await users.insertMany([{ name: 'A' }, null, { name: 'C' }], { ordered: false }).catch(err => err);
+
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.result.insertedIds).toEqual({ 0: expect.anything(), 2: expect.anything() });
+      expect(users.count()).toBe(2);
+    });
+
+    test('should reject non-array arguments', async () => {
+      await expect(users.insertMany({ name: 'A' })).rejects.toThrow(/array/);
+    });
+  });
+
+  describe('updateMany', () => {
+    beforeEach(async () => {
+      await users.insertMany([
+        { name: 'Alice', age: 30, active: true },
+        { name: 'Bob', age: 25, active: true },
+        { name: 'Charlie', age: 35, active: false }
+      ]);
+    });
+
+    test('should update every matching document', async () => {
+      const result = await users.updateMany({ active: true }, { $inc: { age: 1 } });
+
+      expect(result.matchedCount).toBe(2);
+      expect(result.modifiedCount).toBe(2);
+      const ages = (await users.find({ active: true }).toArray()).map(doc => doc.age);
+      expect(ages).toEqual([31, 26]);
+    });
+
+    test('should only count modified documents', async () => {
+      const result = await users.updateMany({}, { $set: { active: true } });
+      expect(result.matchedCount).toBe(3);
+      expect(result.modifiedCount).toBe(1);
+    });
+
+    test('should upsert a single document when nothing matches', async () => {
+      const result = await users.updateMany({ name: 'David' }, { $set: { age: 40 } }, { upsert: true });
+      expect(result.upsertedCount).toBe(1);
+      expect(await users.findOne({ name: 'David' })).toMatchObject({ age: 40 });
+    });
+
+    test('should leave documents untouched when the update fails', async () => {
+      await users.updateOne({ name: 'Charlie' }, { $set: { age: 'unknown' } });
+      await expect(users.updateMany({}, { $inc: { age: 1 } })).rejects.toThrow();
+      expect((await users.findOne({ name: 'Alice' })).age).toBe(30);
+    });
+  });
+
+  describe('deleteMany', () => {
+    test('should delete every matching document', async () => {
+      await users.insertMany([{ age: 30 }, { age: 30 }, { age: 20 }]);
+
+      const result = await users.deleteMany({ age: 30 });
+      expect(result).toEqual({ acknowledged: true, deletedCount: 2 });
+      expect(users.count()).toBe(1);
+    });
+
+    test('should delete everything with an empty filter', async () => {
+      await users.insertMany([{ age: 30 }, { age: 20 }]);
+      expect((await users.deleteMany({})).deletedCount).toBe(2);
+    });
+  });
+
+  describe('replaceOne', () => {
+    beforeEach(async () => {
+      await users.insertOne({ _id: 1, name: 'Alice', age: 30, city: 'Paris' });
+    });
+
+    test('should replace the document while keeping its _id', async () => {
+      const result = await users.replaceOne({ name: 'Alice' }, { name: 'Alicia', age: 31 });
+
+      expect(result.matchedCount).toBe(1);
+      expect(result.modifiedCount).toBe(1);
+      expect(await users.findOne({ _id: 1 })).toEqual({ _id: 1, name: 'Alicia', age: 31 });
+    });
+
+    test('should reject update operators and _id changes', async () => {
+      await expect(users.replaceOne({ _id: 1 }, { $set: { age: 1 } })).rejects.toThrow(/atomic operators/);
+      await expect(users.replaceOne({ _id: 1 }, { _id: 2, name: 'X' })).rejects.toThrow(/_id/);
+    });
+
+    test('should upsert using the filter _id', async () => {
+      const result = await users.replaceOne({ _id: 2 }, { name: 'Bob' }, { upsert: true });
+      expect(result.upsertedId).toBe(2);
+      expect(await users.findOne({ _id: 2 })).toEqual({ _id: 2, name: 'Bob' });
+    });
+  });
+
+  describe('bulkWrite', () => {
+    beforeEach(async () => {
+      await users.insertMany([
+        { _id: 1, name: 'Alice', age: 30 },
+        { _id: 2, name: 'Bob', age: 25 },
+        { _id: 3, name: 'Charlie', age: 35 }
+      ]);
+    });
+
+    test('should run mixed operations and aggregate the results', async () => {
+      const result = await users.bulkWrite([
+        { insertOne: { document: { _id: 4, name: 'David', age: 40 } } },
+        { updateOne: { filter: { _id: 1 }, update: { $set: { age: 31 } } } },
+        { updateMany: { filter: { age: { $gte: 35 } }, update: { $set: { senior: true } } } },
+        { replaceOne: { filter: { _id: 5 }, replacement: { name: 'Eve' }, upsert: true } },
+        { deleteOne: { filter: { _id: 2 } } },
+        { deleteMany: { filter: { name: 'Nobody' } } }
+      ]);
+
+      expect(result).toMatchObject({
+        ok: 1,
+        insertedCount: 1,
+        matchedCount: 3,
+        modifiedCount: 3,
+        deletedCount: 1,
+        upsertedCount: 1,
+        insertedIds: { 0: 4 },
+        upsertedIds: { 3: 5 }
+      });
+      expect(users.count()).toBe(4);
+    });
+
+    test('should report write errors and stop when ordered', async () => {
+      const error = await users.bulkWrite([
+        { updateOne: { filter: { _id: 1 }, update: { $inc: { name: 1 } } } },
+        { deleteOne: { filter: { _id: 2 } } }
+      ]).catch(err => err);
+
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.writeErrors).toHaveLength(1);
+      expect(error.writeErrors[0].index).toBe(0);
+      expect(error.writeErrors[0].errmsg).toMatch(/non-numeric/);
+      expect(error.writeErrors[0].getOperation()).toEqual({ updateOne: { filter: { _id: 1 }, update: { $inc: { name: 1 } } } });
+      expect(error.result.deletedCount).toBe(0);
+      expect(users.count()).toBe(3);
+    });
+
+    test('should run every operation when unordered', async () => {
+      const error = await users.bulkWrite([
+        { updateOne: { filter: { _id: 1 }, update: { $bad: { x: 1 } } } },
+        { deleteOne: { filter: { _id: 2 } } },
+        { frobnicate: { filter: {} } }
+      ], { ordered: false }).catch(err => err);
+
+      expect(error.writeErrors.map(writeError => writeError.index)).toEqual([0, 2]);
+      expect(error.deletedCount).toBe(1);
+      expect(users.count()).toBe(2);
+    });
+
+    test('should reject an empty batch', async () => {
+      await expect(users.bulkWrite([])).rejects.toThrow(/empty/);
+    });
+  });
+});
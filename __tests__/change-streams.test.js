@@ -0,0 +1,315 @@
+const { MockDatabase, ChangeStream } = require('../index');
+
+describe('Change streams', () => {
+  let db;
+  let users;
+
+  beforeEach(() => {
+    db = new MockDatabase({ name: 'app' });
+    users = db.collection('users');
+  });
+
+  describe('collection.watch', () => {
+    test('should report inserts with the full document', async () => {
+      const stream = users.watch();
+      expect(stream).toBeInstanceOf(ChangeStream);
+
+      await users.insertOne({ _id: 1, name: 'Alice' });
+      const event = await stream.next();
+
+      expect(event).toMatchObject({
+        operationType: 'insert',
+        ns: { db: 'app', coll: 'users' },
+        documentKey: { _id: 1 },
+        fullDocument: { _id: 1, name: 'Alice' }
+      });
+      expect(event._id._data).toEqual(expect.any(String));
+      expect(event.wallTime).toBeInstanceOf(Date);
+      await stream.close();
+    });
+
+    test('should only report writes made after the stream was opened', async () => {
+      await users.insertOne({ _id: 1 });
+      const stream = users.watch();
+      await users.insertOne({ _id: 2 });
+
+      expect((await stream.next()).documentKey).toEqual({ _id: 2 });
+      expect(await stream.tryNext()).toBeNull();
+      await stream.close();
+    });
+
+    test('should describe updates', async () => {
+      await users.insertOne({ _id: 1, name: 'Alice', age: 30, address: { city: 'Paris', zip: '75' }, tags: ['a', 'b'] });
+      const stream = users.watch();
+
+      await users.updateOne({ _id: 1 }, {
+        $set: { 'address.city': 'Lyon', role: 'admin' },
+        $unset: { age: '' },
+        $push: { tags: 'c' }
+      });
+      await users.updateOne({ _id: 1 }, { $pop: { tags: 1 } });
+
+      const update = await stream.next();
+      expect(update.operationType).toBe('update');
+      expect(update.fullDocument).toBeUndefined();
+      expect(update.updateDescription).toEqual({
+        updatedFields: { 'address.city': 'Lyon', 'tags.2': 'c', role: 'admin' },
+        removedFields: ['age'],
+        truncatedArrays: []
+      });
+      expect((await stream.next()).updateDescription).toEqual({
+        updatedFields: {},
+        removedFields: [],
+        truncatedArrays: [{ field: 'tags', newSize: 2 }]
+      });
+      await stream.close();
+    });
+
+    test('should report replacements and deletes', async () => {
+      await users.insertMany([{ _id: 1, name: 'A' }, { _id: 2, name: 'B' }, { _id: 3, name: 'C' }]);
+      const stream = users.watch();
+
+      await users.replaceOne({ _id: 1 }, { name: 'A2' });
+      await users.findOneAndReplace({ _id: 2 }, { name: 'B2' });
+      await users.deleteMany({ _id: { $in: [1, 2] } });
+      await users.findOneAndDelete({ _id: 3 });
+
+      const events = [];
+      for (let i = 0; i < 5; i++) {
+        events.push(await stream.next());
+      }
+      expect(events.map(event => [event.operationType, event.documentKey._id])).toEqual([
+        ['replace', 1], ['replace', 2], ['delete', 1], ['delete', 2], ['delete', 3]
+      ]);
+      expect(events[0].fullDocument).toEqual({ _id: 1, name: 'A2' });
+      expect(events[2].fullDocument).toBeUndefined();
+      await stream.close();
+    });
+
+    test('should look up the current document with fullDocument: updateLookup', async () => {
+      await users.insertOne({ _id: 1, n: 0 });
+      const stream = users.watch([], { fullDocument: 'updateLookup' });
+
+      await users.updateOne({ _id: 1 }, { $inc: { n: 1 } });
+      await users.updateOne({ _id: 1 }, { $inc: { n: 1 } });
+
+      // The lookup happens when the event is read, so both see the latest version
+      expect((await stream.next()).fullDocument).toEqual({ _id: 1, n: 2 });
+      expect((await stream.next()).fullDocument).toEqual({ _id: 1, n: 2 });
+
+      await users.updateOne({ _id: 1 }, { $inc: { n: 1 } });
+      await users.deleteOne({ _id: 1 });
+      expect((await stream.next()).fullDocument).toBeNull();
+      await stream.close();
+    });
+
+    test('should include post- and pre-images when asked', async () => {
+      await users.insertOne({ _id: 1, n: 0 });
+      const stream = users.watch([], { fullDocument: 'whenAvailable', fullDocumentBeforeChange: 'required' });
+
+      await users.updateOne({ _id: 1 }, { $inc: { n: 1 } });
+      await users.updateOne({ _id: 1 }, { $inc: { n: 1 } });
+      await users.deleteOne({ _id: 1 });
+
+      const first = await stream.next();
+      expect(first.fullDocument).toEqual({ _id: 1, n: 1 });
+      expect(first.fullDocumentBeforeChange).toEqual({ _id: 1, n: 0 });
+      expect((await stream.next()).fullDocument).toEqual({ _id: 1, n: 2 });
+      expect((await stream.next()).fullDocumentBeforeChange).toEqual({ _id: 1, n: 2 });
+      await stream.close();
+    });
+
+    test('should reject unknown options and stages', () => {
+      expect(() => users.watch([], { fullDocument: 'always' })).toThrow("Enumeration value 'always'");
+      expect(() => users.watch([{ $group: { _id: null } }])).toThrow('$group is not permitted in a $changeStream pipeline');
+    });
+
+    test('should not expose stored documents', async () => {
+      const stream = users.watch();
+      await users.insertOne({ _id: 1, tags: ['a'] });
+
+      const event = await stream.next();
+      event.fullDocument.tags.push('leaked');
+
+      expect(await users.findOne({ _id: 1 })).toEqual({ _id: 1, tags: ['a'] });
+      await stream.close();
+    });
+  });
+
+  describe('pipelines', () => {
+    test('should filter events with $match', async () => {
+      const stream = users.watch([{ $match: { operationType: 'insert', 'fullDocument.role': 'admin' } }]);
+
+      await users.insertOne({ _id: 1, role: 'member' });
+      await users.insertOne({ _id: 2, role: 'admin' });
+      await users.deleteOne({ _id: 2 });
+
+      expect((await stream.next()).documentKey).toEqual({ _id: 2 });
+      expect(await stream.tryNext()).toBeNull();
+      await stream.close();
+    });
+
+    test('should reshape events with $project', async () => {
+      const stream = users.watch([{ $project: { operationType: 1, 'fullDocument.name': 1 } }]);
+      await users.insertOne({ _id: 1, name: 'Alice', secret: 'x' });
+
+      const event = await stream.next();
+      expect(Object.keys(event).sort()).toEqual(['_id', 'fullDocument', 'operationType']);
+      expect(event.fullDocument).toEqual({ name: 'Alice' });
+      await stream.close();
+    });
+
+    test('should fail when the pipeline removes the resume token', async () => {
+      const stream = users.watch([{ $project: { _id: 0 } }]);
+      await users.insertOne({ _id: 1 });
+
+      await expect(stream.next()).rejects.toMatchObject({ code: 280 });
+    });
+  });
+
+  describe('consumption', () => {
+    test('should wait for the next event', async () => {
+      const stream = users.watch();
+      const pending = stream.next();
+
+      await users.insertOne({ _id: 1 });
+      expect((await pending).documentKey).toEqual({ _id: 1 });
+      await stream.close();
+    });
+
+    test('should be async iterable until closed', async () => {
+      const stream = users.watch();
+      const seen = [];
+      const consumer = (async () => {
+        for await (const event of stream) {
+          seen.push(event.documentKey._id);
+          if (seen.length === 2) {
+            await stream.close();
+          }
+        }
+      })();
+
+      await users.insertOne({ _id: 1 });
+      await users.insertOne({ _id: 2 });
+      await consumer;
+
+      expect(seen).toEqual([1, 2]);
+      expect(stream.closed).toBe(true);
+      await expect(stream.next()).rejects.toThrow('ChangeStream is closed');
+    });
+
+    test('should close when a for await loop is left', async () => {
+      const stream = users.watch();
+      await users.insertOne({ _id: 1 });
+
+      for await (const event of stream) {
+        expect(event.documentKey).toEqual({ _id: 1 });
+        break;
+      }
+
+      expect(stream.closed).toBe(true);
+      expect(db.changeLog.streams.has(stream)).toBe(false);
+    });
+
+    test('should emit change events to listeners', async () => {
+      const stream = users.watch();
+      const events = [];
+      stream.on('change', event => events.push(event.operationType));
+
+      await users.insertOne({ _id: 1 });
+      await users.updateOne({ _id: 1 }, { $set: { a: 1 } });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(events).toEqual(['insert', 'update']);
+      await expect(stream.next()).rejects.toThrow('cannot be used as an iterator');
+      await stream.close();
+    });
+
+    test('should resolve pending hasNext with false on close', async () => {
+      const stream = users.watch();
+      const pending = stream.hasNext();
+      await stream.close();
+      expect(await pending).toBe(false);
+    });
+  });
+
+  describe('resuming', () => {
+    test('should resume after a token', async () => {
+      const stream = users.watch();
+      await users.insertOne({ _id: 1 });
+      await users.insertOne({ _id: 2 });
+
+      const first = await stream.next();
+      expect(stream.resumeToken).toEqual(first._id);
+      await stream.close();
+
+      await users.insertOne({ _id: 3 });
+      const resumed = users.watch([], { resumeAfter: first._id });
+      expect((await resumed.next()).documentKey).toEqual({ _id: 2 });
+      expect((await resumed.next()).documentKey).toEqual({ _id: 3 });
+      await resumed.close();
+    });
+
+    test('should resume from the token of a stream that saw no events', async () => {
+      const stream = users.watch();
+      const token = stream.resumeToken;
+      await stream.close();
+
+      await users.insertOne({ _id: 1 });
+      const resumed = users.watch([], { resumeAfter: token });
+      expect((await resumed.next()).documentKey).toEqual({ _id: 1 });
+      await resumed.close();
+    });
+
+    test('should reject malformed tokens', () => {
+      expect(() => users.watch([], { resumeAfter: { _data: 'nope' } })).toThrow(expect.objectContaining({ code: 260 }));
+    });
+  });
+
+  describe('drops and db.watch', () => {
+    test('should invalidate collection streams when the collection is dropped', async () => {
+      const stream = users.watch();
+      await users.insertOne({ _id: 1 });
+      db.dropCollection('users');
+
+      expect((await stream.next()).operationType).toBe('insert');
+      expect((await stream.next()).operationType).toBe('drop');
+      const invalidate = await stream.next();
+      expect(invalidate.operationType).toBe('invalidate');
+      expect(await stream.hasNext()).toBe(false);
+      expect(stream.closed).toBe(true);
+
+      expect(() => db.collection('users').watch([], { resumeAfter: invalidate._id })).toThrow(expect.objectContaining({ code: 260 }));
+
+      const restarted = db.collection('users').watch([], { startAfter: invalidate._id });
+      await db.collection('users').insertOne({ _id: 2 });
+      expect((await restarted.next()).documentKey).toEqual({ _id: 2 });
+      await restarted.close();
+    });
+
+    test('should watch every collection of the database', async () => {
+      const stream = db.watch();
+      await users.insertOne({ _id: 1 });
+      await db.collection('orders').insertOne({ _id: 'o1' });
+      db.dropCollection('orders');
+      await users.deleteOne({ _id: 1 });
+
+      const events = [];
+      for (let i = 0; i < 4; i++) {
+        const event = await stream.next();
+        events.push(`${event.operationType}:${event.ns.coll}`);
+      }
+      expect(events).toEqual(['insert:users', 'insert:orders', 'drop:orders', 'delete:users']);
+      expect(await stream.tryNext()).toBeNull();
+      await stream.close();
+    });
+
+    test('should not see other databases', async () => {
+      const other = new MockDatabase({ name: 'other' });
+      const stream = db.watch();
+      await other.collection('users').insertOne({ _id: 1 });
+      expect(await stream.tryNext()).toBeNull();
+      await stream.close();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const http = require('http');
+const { MockDatabase, MockMongoClient, DataApiServer, startDataApiServer, ObjectId, EJSON } = require('../index');
+
+/**
+ * Send a request and collect the parsed response
+ */
+function request(url, { method = 'POST', body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const text = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request(url, { method, headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, headers: res.headers, raw, body: JSON.parse(raw) });
+      });
+    });
+    req.on('error', reject);
+    req.end(text);
+  });
+}
+
+describe('Data API server', () => {
+  let db;
+  let server;
+  let call;
+
+  beforeEach(async () => {
+    db = new MockDatabase({ name: 'shop', deterministicIds: true });
+    await db.collection('products').insertMany([
+      { name: 'apple', price: 1.5, stock: 10 },
+      { name: 'pear', price: 2, stock: 0 },
+      { name: 'plum', price: 3, stock: 4 }
+    ]);
+    server = await startDataApiServer({ db, apiKeys: ['secret'] });
+    call = (action, body, headers = { 'api-key': 'secret' }) => request(`${server.url}/action/${action}`, {
+      body: { dataSource: 'mongodb-atlas', database: 'shop', collection: 'products', ...body },
+      headers
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('should find documents as relaxed Extended JSON', async () => {
+    const one = await call('findOne', { filter: { name: 'pear' }, projection: { _id: 0, name: 1 } });
+    expect(one.status).toBe(200);
+    expect(one.headers['content-type']).toBe('application/json');
+    expect(one.body).toEqual({ document: { name: 'pear' } });
+
+    const many = await call('find', { filter: { price: { $gte: 2 } }, sort: { price: -1 }, limit: 1, skip: 1 });
+    expect(many.body.documents).toEqual([
+      { _id: { $oid: '000000000000000000000002' }, name: 'pear', price: 2, stock: 0 }
+    ]);
+
+    expect((await call('findOne', { filter: { name: 'kiwi' } })).body).toEqual({ document: null });
+    expect((await call('find', { collection: 'missing' })).body).toEqual({ documents: [] });
+    expect(db.hasCollection('missing')).toBe(false);
+  });
+
+  test('should return canonical Extended JSON when asked', async () => {
+    const res = await call('findOne', { filter: { name: 'pear' } }, { 'api-key': 'secret', Accept: 'application/ejson' });
+    expect(res.headers['content-type']).toBe('application/ejson');
+    expect(res.body.document.price).toEqual({ $numberInt: '2' });
+    expect(EJSON.deserialize(res.body).document._id).toEqual(new ObjectId('000000000000000000000002'));
+  });
+
+  test('should read Extended JSON in request bodies', async () => {
+    const res = await call('findOne', { filter: { _id: { $oid: '000000000000000000000003' } } });
+    expect(res.body.document.name).toBe('plum');
+
+    const inserted = await call('insertOne', { document: { name: 'fig', added: { $date: '2024-05-01T00:00:00Z' } } });
+    expect(inserted.status).toBe(201);
+    expect(inserted.body).toEqual({ insertedId: { $oid: '000000000000000000000004' } });
+    expect((await db.collection('products').findOne({ name: 'fig' })).added).toEqual(new Date('2024-05-01T00:00:00Z'));
+  });
+
+  test('should insert, update, replace and delete', async () => {
+    expect((await call('insertMany', { documents: [{ name: 'kiwi' }, { name: 'lime' }] })).body)
+      .toEqual({ insertedIds: [{ $oid: '000000000000000000000004' }, { $oid: '000000000000000000000005' }] });
+
+    expect((await call('updateOne', { filter: { name: 'apple' }, update: { $inc: { stock: -1 } } })).body)
+      .toEqual({ matchedCount: 1, modifiedCount: 1 });
+    expect((await call('updateMany', { filter: { stock: { $gt: 0 } }, update: { $set: { inStock: true } } })).body)
+      .toEqual({ matchedCount: 2, modifiedCount: 2 });
+    expect((await call('updateOne', { filter: { name: 'mango' }, update: { $set: { stock: 1 } }, upsert: true })).body)
+      .toEqual({ matchedCount: 0, modifiedCount: 0, upsertedId: { $oid: '000000000000000000000006' } });
+    expect((await call('replaceOne', { filter: { name: 'pear' }, replacement: { name: 'pear', price: 5 } })).body)
+      .toEqual({ matchedCount: 1, modifiedCount: 1 });
+
+    expect((await call('deleteOne', { filter: { name: 'kiwi' } })).body).toEqual({ deletedCount: 1 });
+    expect((await call('deleteMany', { filter: { inStock: true } })).body).toEqual({ deletedCount: 2 });
+    expect(db.collection('products').count()).toBe(3);
+  });
+
+  test('should aggregate', async () => {
+    const res = await call('aggregate', { pipeline: [{ $group: { _id: null, stock: { $sum: '$stock' } } }] });
+    expect(res.body).toEqual({ documents: [{ _id: null, stock: 14 }] });
+  });
+
+  test('should check API keys', async () => {
+    const missing = await call('find', {}, {});
+    expect(missing.status).toBe(401);
+    expect(missing.body).toEqual({ error: "Missing 'api-key' header", error_code: 'InvalidSession' });
+    expect((await call('find', {}, { 'api-key': 'wrong' })).status).toBe(401);
+  });
+
+  test('should answer errors with status codes', async () => {
+    expect((await request(`${server.url}/action/mapReduce`, { body: {} })).status).toBe(404);
+    const get = await request(`${server.url}/action/find`, { method: 'GET' });
+    expect(get.status).toBe(405);
+    expect(get.headers.allow).toBe('POST');
+
+    const invalid = await request(`${server.url}/action/find`, { body: '{"filter":', headers: { 'api-key': 'secret' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error_code).toBe('InvalidParameter');
+
+    expect((await call('find', { dataSource: undefined })).body)
+      .toEqual({ error: "'dataSource' must be a non-empty string", error_code: 'MissingParameter' });
+    expect((await call('insertOne', {})).body.error).toBe("'document' is required for insertOne");
+    expect((await call('find', { database: 'other' })).status).toBe(404);
+    expect((await call('updateOne', { filter: {}, update: { $bogus: { a: 1 } } })).status).toBe(400);
+    expect((await call('aggregate', { pipeline: {} })).status).toBe(400);
+
+    await db.collection('products').createIndex({ name: 1 }, { unique: true });
+    const duplicate = await call('insertOne', { document: { name: 'apple' } });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error_code).toBe('DuplicateKey');
+
+    db.failPoint({ method: 'find', times: 1, error: 'network' });
+    expect((await call('find', {})).status).toBe(503);
+  });
+
+  test('should serve every database of a client and mount in another server', async () => {
+    const client = new MockMongoClient('mongodb://data-api-test');
+    await client.db('a').collection('items').insertOne({ n: 1 });
+    const api = new DataApiServer({ client });
+    const host = http.createServer(api.handleRequest);
+    await new Promise(resolve => host.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const res = await request(`http://127.0.0.1:${host.address().port}/action/findOne`, {
+        body: { dataSource: 'x', database: 'a', collection: 'items', projection: { _id: 0 } }
+      });
+      expect(res.body).toEqual({ document: { n: 1 } });
+    } finally {
+      await new Promise(resolve => host.close(resolve));
+      MockMongoClient.reset();
+    }
+  });
+});
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockDatabase, ObjectId, Decimal128, Timestamp, MinKey, MaxKey, EJSON, BSONError } = require('../index');
+
+describe('Extended JSON', () => {
+  const sample = () => ({
+    _id: new ObjectId('507f1f77bcf86cd799439011'),
+    createdAt: new Date('2024-03-01T12:30:00.000Z'),
+    ancient: new Date(-1000),
+    views: 9007199254740993n,
+    count: 42,
+    ratio: 0.5,
+    whole: 3,
+    negativeZero: -0,
+    missing: NaN,
+    limit: Infinity,
+    pattern: /^ab+c/im,
+    price: Decimal128.fromString('19.90'),
+    tiny: Decimal128.fromString('-1.5E-6000'),
+    ts: new Timestamp({ t: 1700000000, i: 3 }),
+    low: new MinKey(),
+    high: new MaxKey(),
+    data: Buffer.from('hello'),
+    nested: { tags: ['a', { at: new Date(0) }], none: null }
+  });
+
+  describe('serialize and deserialize', () => {
+    test('should round-trip every supported type in relaxed and canonical mode', () => {
+      for (const relaxed of [true, false]) {
+        const text = EJSON.stringify(sample(), { relaxed });
+        const parsed = EJSON.parse(text);
+
+        expect(parsed).toEqual(sample());
+        expect(parsed._id).toBeInstanceOf(ObjectId);
+        expect(typeof parsed.views).toBe('bigint');
+        expect(parsed.price.toString()).toBe('19.90');
+        expect(parsed.tiny.toString()).toBe('-1.5E-6000');
+        expect(parsed.ts).toBeInstanceOf(Timestamp);
+        expect(Object.is(parsed.negativeZero, -0)).toBe(true);
+        expect(Buffer.isBuffer(parsed.data)).toBe(true);
+      }
+    });
+
+    test('should write canonical wrappers', () => {
+      expect(EJSON.serialize({ a: 1, b: 1.5, c: 3e10, d: new Date(0), e: 5n }, { relaxed: false })).toEqual({
+        a: { $numberInt: '1' },
+        b: { $numberDouble: '1.5' },
+        c: { $numberDouble: '30000000000.0' },
+        d: { $date: { $numberLong: '0' } },
+        e: { $numberLong: '5' }
+      });
+    });
+
+    test('should write relaxed values as plain JSON where possible', () => {
+      expect(EJSON.serialize({ a: 1, d: new Date(0), old: new Date(-1), r: /x/gi })).toEqual({
+        a: 1,
+        d: { $date: '1970-01-01T00:00:00.000Z' },
+        old: { $date: { $numberLong: '-1' } },
+        r: { $regularExpression: { pattern: 'x', options: 'gi' } }
+      });
+    });
+
+    test('should read legacy wrappers and leave ordinary $-keyed objects alone', () => {
+      const parsed = EJSON.parse(JSON.stringify({
+        when: { $date: 86400000 },
+        re: { $regex: 'a.c', $options: 'ix' },
+        bin: { $binary: 'aGk=', $type: '00' },
+        id: { $uuid: '00112233-4455-6677-8899-aabbccddeeff' },
+        query: { $gt: 5 }
+      }));
+
+      expect(parsed.when).toEqual(new Date(86400000));
+      expect(parsed.re).toEqual(/a.c/i);
+      expect(parsed.bin.toString()).toBe('hi');
+      expect(parsed.id.toString('hex')).toBe('00112233445566778899aabbccddeeff');
+      expect(parsed.query).toEqual({ $gt: 5 });
+    });
+
+    test('should reject malformed and unsupported values', () => {
+      expect(() => EJSON.parse('{"n": {"$numberLong": "1.5"}}')).toThrow(BSONError);
+      expect(() => EJSON.parse('{"d": {"$date": "not a date"}}')).toThrow('Invalid $date value');
+      expect(() => EJSON.parse('{"d": {"$numberDecimal": "1.2.3"}}')).toThrow(BSONError);
+      expect(() => EJSON.parse('{"a": [{"f": {"$code": "x()"}}]}')).toThrow("Extended JSON type $code is not supported (field 'a.0.f')");
+      expect(() => EJSON.parse('{oops')).toThrow(BSONError);
+      expect(() => EJSON.stringify({ fn: () => 1 })).toThrow(BSONError);
+      expect(() => EJSON.stringify({ d: new Date(NaN) })).toThrow('Cannot convert an invalid Date to Extended JSON');
+    });
+  });
+
+  describe('collection import and export', () => {
+    let db;
+    let users;
+
+    beforeEach(() => {
+      db = new MockDatabase();
+      users = db.collection('users');
+    });
+
+    test('should import newline-delimited mongoexport output', async () => {
+      const text = [
+        '{"_id":{"$oid":"507f1f77bcf86cd799439011"},"name":"Alice","joined":{"$date":"2020-01-01T00:00:00Z"},"visits":{"$numberLong":"12"}}',
+        '',
+        '{"_id":{"$oid":"507f1f77bcf86cd799439012"},"name":"Bob","joined":{"$date":{"$numberLong":"0"}},"visits":{"$numberLong":"3"}}'
+      ].join('\n');
+
+      const result = await users.importDocuments(text);
+      expect(result.insertedCount).toBe(2);
+
+      const alice = await users.findOne({ name: 'Alice' });
+      expect(alice._id).toEqual(new ObjectId('507f1f77bcf86cd799439011'));
+      expect(alice.joined).toEqual(new Date('2020-01-01T00:00:00Z'));
+      expect(alice.visits).toBe(12n);
+      expect(await users.find({ visits: { $gt: 5 } }).toArray()).toHaveLength(1);
+      expect(await users.findOne({ _id: new ObjectId('507f1f77bcf86cd799439012') })).not.toBeNull();
+    });
+
+    test('should import Decimal128, Timestamp, MinKey and MaxKey values and query them', async () => {
+      await users.importDocuments([
+        '{"_id":1,"balance":{"$numberDecimal":"10.50"},"seen":{"$timestamp":{"t":1700000000,"i":1}},"rank":{"$minKey":1}}',
+        '{"_id":2,"balance":{"$numberDecimal":"2.25"},"seen":{"$timestamp":{"t":1700000000,"i":2}},"rank":{"$maxKey":1}}',
+        '{"_id":3,"balance":7,"rank":null}'
+      ].join('\n'));
+
+      const ids = async (filter, options) => (await users.find(filter, options).toArray()).map(doc => doc._id);
+      expect(await ids({ balance: { $gt: 5 } })).toEqual([1, 3]);
+      expect(await ids({ balance: Decimal128.fromString('10.5') })).toEqual([1]);
+      expect(await ids({ balance: { $type: 'decimal' } })).toEqual([1, 2]);
+      expect(await ids({ seen: { $gt: new Timestamp({ t: 1700000000, i: 1 }) } })).toEqual([2]);
+      expect(await ids({}, { sort: { rank: 1 } })).toEqual([1, 3, 2]);
+      expect(await users.exportDocuments({ filter: { _id: 1 } }))
+        .toBe('{"_id":1,"balance":{"$numberDecimal":"10.50"},"seen":{"$timestamp":{"t":1700000000,"i":1}},"rank":{"$minKey":1}}\n');
+    });
+
+    test('should import JSON arrays, single documents and arrays of values', async () => {
+      await users.importDocuments('[{"_id": 1}, {"_id": 2}]');
+      await users.importDocuments('{"_id": 3}');
+      await users.importDocuments([{ _id: 4, at: { $date: '2021-06-01T00:00:00Z' } }]);
+
+      expect(users.count()).toBe(4);
+      expect((await users.findOne({ _id: 4 })).at).toEqual(new Date('2021-06-01T00:00:00Z'));
+    });
+
+    test('should report the line of an invalid document', async () => {
+      await expect(users.importDocuments('{"_id": 1}\n{"_id": 2\n')).rejects.toThrow('Invalid Extended JSON on line 2');
+      await expect(users.importDocuments('[1, 2]')).rejects.toThrow('Expected a document at position 0');
+    });
+
+    test('should export documents so they import back unchanged', async () => {
+      await users.insertMany([sample(), { _id: 2, name: 'Bob' }]);
+
+      const ndjson = await users.exportDocuments({ relaxed: false });
+      expect(ndjson.split('\n')).toHaveLength(3);
+      const array = await users.exportDocuments({ format: 'array', filter: { _id: 2 } });
+      expect(JSON.parse(array)).toEqual([{ _id: 2, name: 'Bob' }]);
+
+      const copy = new MockDatabase().collection('users');
+      await copy.importDocuments(ndjson);
+      expect(await copy.find().toArray()).toEqual(await users.find().toArray());
+    });
+  });
+
+  describe('fixture files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-db-ejson-'));
+    });
+
+    afterEach(() => {
+      fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+      fs.rmdirSync(dir);
+    });
+
+    test('should load a directory of fixture files named after their collections', async () => {
+      fs.writeFileSync(path.join(dir, 'users.json'), '[{"_id": {"$oid": "507f1f77bcf86cd799439011"}, "name": "Alice"}]');
+      fs.writeFileSync(path.join(dir, 'events.ndjson'), '{"type": "login"}\n{"type": "logout"}\n');
+      fs.writeFileSync(path.join(dir, 'README.md'), '# not a fixture');
+
+      const db = new MockDatabase();
+      expect(await db.loadFixtures(dir)).toEqual({ events: 2, users: 1 });
+      expect(db.listCollections().sort()).toEqual(['events', 'users']);
+      expect((await db.collection('users').findOne())._id).toBeInstanceOf(ObjectId);
+    });
+
+    test('should load fixtures from an object and from a file path', async () => {
+      const file = path.join(dir, 'orders.json');
+      fs.writeFileSync(file, '{"total": {"$numberDouble": "9.5"}}');
+
+      const db = new MockDatabase();
+      const counts = await db.loadFixtures({
+        users: [{ name: 'Alice', born: { $date: '1990-05-01T00:00:00Z' } }],
+        orders: file
+      });
+
+      expect(counts).toEqual({ users: 1, orders: 1 });
+      expect((await db.collection('users').findOne()).born).toEqual(new Date('1990-05-01T00:00:00Z'));
+      expect((await db.collection('orders').findOne()).total).toBe(9.5);
+    });
+
+    test('should export every collection and load it into another database', async () => {
+      const db = new MockDatabase();
+      await db.collection('users').insertOne(sample());
+      await db.collection('tags').insertMany([{ _id: 1, name: 'x' }]);
+
+      const exported = await db.exportAll({ dir });
+      expect(Object.keys(exported)).toEqual(['users', 'tags']);
+      expect(exported.tags).toEqual([{ _id: 1, name: 'x' }]);
+      expect(fs.readdirSync(dir).sort()).toEqual(['tags.json', 'users.json']);
+
+      const fromObject = new MockDatabase();
+      await fromObject.loadFixtures(exported);
+      const fromFiles = new MockDatabase();
+      await fromFiles.loadFixtures(dir);
+
+      expect(await fromObject.collection('users').find().toArray()).toEqual([sample()]);
+      expect(await fromFiles.collection('users').find().toArray()).toEqual([sample()]);
+    });
+  });
+});
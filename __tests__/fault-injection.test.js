@@ -0,0 +1,274 @@
+const {
+  MockDatabase,
+  FailPoint,
+  MongoServerError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError
+} = require('../index');
+
+describe('Fault injection', () => {
+  let db;
+  let orders;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    orders = db.collection('orders');
+    await orders.insertMany([{ item: 'apple', qty: 5 }, { item: 'pear', qty: 2 }]);
+  });
+
+  describe('db.failPoint', () => {
+    test('should fail matching calls a number of times', async () => {
+      const failPoint = db.failPoint({ collection: 'orders', method: 'insertOne', times: 2, error: 'NotWritablePrimary' });
+      expect(failPoint).toBeInstanceOf(FailPoint);
+
+      const attempt = () => orders.insertOne({ item: 'plum' });
+      const error = await attempt().catch(e => e);
+      expect(error).toBeInstanceOf(MongoServerError);
+      expect(error).toMatchObject({ code: 10107, codeName: 'NotWritablePrimary' });
+      expect(error.hasErrorLabel('RetryableWriteError')).toBe(true);
+
+      await expect(attempt()).rejects.toMatchObject({ code: 10107 });
+      await expect(attempt()).resolves.toMatchObject({ acknowledged: true });
+      expect(failPoint.hits).toBe(2);
+      expect(failPoint.isActive).toBe(false);
+      expect(await orders.find({ item: 'plum' }).toArray()).toHaveLength(1);
+    });
+
+    test('should only match the given collection and method', async () => {
+      db.failPoint({ collection: 'orders', method: ['deleteOne', 'deleteMany'], error: 'InternalError' });
+
+      await expect(db.collection('users').deleteOne({})).resolves.toMatchObject({ deletedCount: 0 });
+      await expect(orders.findOne({ item: 'apple' })).resolves.toMatchObject({ qty: 5 });
+      await expect(orders.deleteMany({})).rejects.toMatchObject({ code: 1 });
+    });
+
+    test('should count only the outer call of methods built on others', async () => {
+      const failPoint = db.failPoint({ method: 'insertOne', error: 'InternalError' });
+      await orders.insertMany([{ item: 'fig' }]);
+      expect(failPoint.hits).toBe(0);
+    });
+
+    test('should skip calls before failing', async () => {
+      db.failPoint({ method: 'findOne', skip: 1, times: 1, error: 'HostUnreachable' });
+      await expect(orders.findOne({})).resolves.not.toBeNull();
+      await expect(orders.findOne({})).rejects.toMatchObject({ codeName: 'HostUnreachable' });
+      await expect(orders.findOne({})).resolves.not.toBeNull();
+    });
+
+    test('should raise network errors without applying the write', async () => {
+      db.failPoint({ method: 'updateOne', times: 1, error: 'network' });
+      const error = await orders.updateOne({ item: 'apple' }, { $inc: { qty: 1 } }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MongoNetworkError);
+      expect(error.hasErrorLabel('RetryableWriteError')).toBe(true);
+      expect(await orders.findOne({ item: 'apple' })).toMatchObject({ qty: 5 });
+    });
+
+    test('should label network errors in transactions as transient', async () => {
+      db.failPoint({ method: 'insertOne', times: 1, error: 'timeout' });
+      const session = db.startSession();
+      session.startTransaction();
+
+      const error = await orders.insertOne({ item: 'kiwi' }, { session }).catch(e => e);
+      expect(error).toBeInstanceOf(MongoNetworkTimeoutError);
+      expect(error.errorLabels).toEqual(['TransientTransactionError']);
+      await session.abortTransaction();
+      await session.endSession();
+    });
+
+    test('should raise write concern errors after applying the write', async () => {
+      db.failPoint({ collection: 'orders', times: 1, error: 'writeConcern' });
+      const error = await orders.insertOne({ item: 'lime' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MongoWriteConcernError);
+      expect(error).toMatchObject({ code: 91, codeName: 'ShutdownInProgress' });
+      expect(error.hasErrorLabel('RetryableWriteError')).toBe(true);
+      expect(error.result).toMatchObject({ acknowledged: true, writeConcernError: { code: 91 } });
+      expect(await orders.findOne({ item: 'lime' })).not.toBeNull();
+    });
+
+    test('should use given error objects, labels and instances', async () => {
+      const custom = new Error('boom');
+      db.failPoint({ method: 'findOne', times: 1, error: { code: 50, errmsg: 'operation exceeded time limit', errorLabels: [] } });
+      db.failPoint({ method: 'deleteOne', error: custom });
+      db.failPoint({ method: 'updateMany', error: { writeConcernError: { code: 64, errmsg: 'waiting for replication timed out' } } });
+
+      const error = await orders.findOne({}).catch(e => e);
+      expect(error).toMatchObject({ code: 50, message: 'operation exceeded time limit', errorLabels: [] });
+      await expect(orders.deleteOne({})).rejects.toBe(custom);
+      await expect(orders.updateMany({}, { $set: { a: 1 } })).rejects.toMatchObject({ code: 64, errorLabels: [] });
+    });
+
+    test('should fail cursors on their first read', async () => {
+      db.failPoint({ method: ['find', 'aggregate'], times: 2, error: 'network' });
+      const cursor = orders.find({});
+
+      await expect(cursor.toArray()).rejects.toBeInstanceOf(MongoNetworkError);
+      await expect(orders.aggregate([]).next()).rejects.toBeInstanceOf(MongoNetworkError);
+      await expect(orders.find({}).toArray()).resolves.toHaveLength(2);
+    });
+
+    test('should delay calls by afterMs and latency', async () => {
+      db.failPoint({ method: 'findOne', afterMs: 20 });
+      db.failPoint({ method: 'findOne', latency: 20 });
+
+      const start = Date.now();
+      await orders.findOne({});
+      expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+    });
+
+    test('should wait on the database clock', async () => {
+      const frozen = new MockDatabase({ clock: new Date('2024-01-01T00:00:00Z') });
+      await frozen.collection('orders').insertOne({ item: 'apple' });
+      frozen.failPoint({ method: 'findOne', afterMs: 60 * 60 * 1000, latency: 1000 });
+
+      const done = jest.fn();
+      const call = frozen.collection('orders').findOne({}).then(done);
+      await flushPromises();
+      frozen.clock.advance(60 * 60 * 1000);
+      await flushPromises();
+      expect(done).not.toHaveBeenCalled();
+
+      frozen.clock.advance(1000);
+      await call;
+      expect(done).toHaveBeenCalledWith(expect.objectContaining({ item: 'apple' }));
+    });
+
+    test('should wait on Jest fake timers', async () => {
+      jest.useFakeTimers();
+      try {
+        db.failPoint({ method: 'find', latency: 60 * 1000 });
+
+        const done = jest.fn();
+        const read = orders.find({}).toArray().then(done);
+        await flushPromises();
+        expect(done).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(60 * 1000);
+        await read;
+        expect(done).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ item: 'apple' })]));
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should fail probabilistically with a deterministic sequence', async () => {
+      const outcomes = async seed => {
+        const failPoint = db.failPoint({ method: 'findOne', probability: 0.5, seed, error: 'InternalError' });
+        const results = [];
+        for (let i = 0; i < 20; i++) {
+          results.push(await orders.findOne({}).then(() => 'ok', () => 'failed'));
+        }
+        failPoint.disable();
+        return results;
+      };
+
+      const first = await outcomes(42);
+      expect(await outcomes(42)).toEqual(first);
+      expect(first).toContain('ok');
+      expect(first).toContain('failed');
+      expect(await outcomes(7)).not.toEqual(first);
+    });
+
+    test('should sample latency distributions with the seeded generator', async () => {
+      const samples = latency => {
+        const failPoint = db.failPoint({ latency, seed: 3 });
+        const values = Array.from({ length: 5 }, () => failPoint._delay());
+        failPoint.disable();
+        return values;
+      };
+
+      const uniform = samples({ distribution: 'uniform', min: 10, max: 20 });
+      expect(uniform.every(ms => ms >= 10 && ms <= 20)).toBe(true);
+      expect(samples({ distribution: 'uniform', min: 10, max: 20 })).toEqual(uniform);
+      expect(samples({ distribution: 'normal', mean: 5, stdDev: 100 }).every(ms => ms >= 0)).toBe(true);
+      expect(samples({ distribution: 'exponential', mean: 3 }).every(ms => ms >= 0)).toBe(true);
+      expect(samples(random => random() < 2 ? 7 : 0)).toEqual([7, 7, 7, 7, 7]);
+    });
+
+    test('should be disabled and cleared', async () => {
+      const failPoint = db.failPoint({ error: 'InternalError' });
+      failPoint.disable();
+      await expect(orders.findOne({})).resolves.not.toBeNull();
+
+      db.failPoint({ error: 'InternalError' });
+      db.clearFailPoints();
+      await expect(orders.findOne({})).resolves.not.toBeNull();
+    });
+
+    test('should validate options', () => {
+      expect(() => db.failPoint({ method: 'watch' })).toThrow("Cannot set a fail point on method 'watch'");
+      expect(() => db.failPoint({ method: 'find', error: 'writeConcern' })).toThrow('only be raised by write methods');
+      expect(() => db.failPoint({ error: 'NoSuchError' })).toThrow("Unknown fail point error 'NoSuchError'");
+      expect(() => db.failPoint({ probability: 2 })).toThrow('probability must be a number between 0 and 1');
+      expect(() => db.failPoint({ times: -1 })).toThrow('times must be a non-negative integer');
+      expect(() => db.failPoint({ latency: { distribution: 'pareto' } })).toThrow("Unknown latency distribution 'pareto'");
+      expect(db.failPoints.size).toBe(0);
+    });
+
+    test('should be logged by operation recorders', async () => {
+      const recorder = db.startRecording();
+      db.failPoint({ method: 'insertOne', times: 1, error: 'NotWritablePrimary' });
+      await orders.insertOne({ item: 'plum' }).catch(() => {});
+      expect(recorder.calls[0].error).toMatchObject({ code: 10107 });
+    });
+  });
+
+  describe('configureFailPoint command', () => {
+    test('should set the failCommand fail point', async () => {
+      await db.command({
+        configureFailPoint: 'failCommand',
+        mode: { times: 1 },
+        data: { failCommands: ['insert'], errorCode: 91 }
+      });
+
+      const error = await orders.insertMany([{ item: 'fig' }]).catch(e => e);
+      expect(error).toMatchObject({ code: 91, codeName: 'ShutdownInProgress', message: "Failing command due to 'failCommand' failpoint" });
+      expect(error.hasErrorLabel('RetryableWriteError')).toBe(true);
+      await expect(orders.insertOne({ item: 'fig' })).resolves.toMatchObject({ acknowledged: true });
+    });
+
+    test('should close connections, block and raise write concern errors', async () => {
+      await db.command({
+        configureFailPoint: 'failCommand',
+        mode: 'alwaysOn',
+        data: { failCommands: ['find'], closeConnection: true, blockConnection: true, blockTimeMS: 20 }
+      });
+      const start = Date.now();
+      await expect(orders.findOne({})).rejects.toBeInstanceOf(MongoNetworkError);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+
+      // Setting the fail point again replaces it
+      await db.command({
+        configureFailPoint: 'failCommand',
+        mode: 'alwaysOn',
+        data: { failCommands: ['update', 'find'], writeConcernError: { code: 100, errmsg: 'unsatisfiable' }, errorLabels: ['RetryableWriteError'] }
+      });
+      await expect(orders.findOne({})).resolves.not.toBeNull();
+      await expect(orders.updateOne({}, { $set: { a: 1 } })).rejects.toMatchObject({ code: 100, errorLabels: ['RetryableWriteError'] });
+      expect(db.failPoints.size).toBe(1);
+
+      await db.command({ configureFailPoint: 'failCommand', mode: 'off' });
+      expect(db.failPoints.size).toBe(0);
+    });
+
+    test('should reject unknown fail points, modes and commands', async () => {
+      await expect(db.command({ configureFailPoint: 'other', mode: 'alwaysOn' })).rejects.toMatchObject({ codeName: 'BadValue' });
+      await expect(db.command({ configureFailPoint: 'failCommand', mode: 'sometimes', data: { failCommands: ['find'] } }))
+        .rejects.toThrow('Invalid fail point mode');
+      await expect(db.command({ configureFailPoint: 'failCommand', mode: 'alwaysOn', data: { failCommands: ['mapReduce'] } }))
+        .rejects.toThrow("failCommand cannot fail command 'mapReduce'");
+    });
+  });
+});
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>} - Resolves after a few turns of the microtask queue
+ */
+async function flushPromises() {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
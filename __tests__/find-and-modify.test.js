@@ -0,0 +1,112 @@
+const { MockDatabase } = require('../index');
+
+describe('Find and Modify', () => {
+  let db;
+  let jobs;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    jobs = db.collection('jobs');
+    await jobs.insertMany([
+      { _id: 1, status: 'queued', priority: 2, attempts: 0 },
+      { _id: 2, status: 'queued', priority: 5, attempts: 0 },
+      { _id: 3, status: 'done', priority: 9, attempts: 1 }
+    ]);
+  });
+
+  describe('findOneAndUpdate', () => {
+    test('should return the document before the update by default', async () => {
+      const doc = await jobs.findOneAndUpdate({ _id: 1 }, { $inc: { attempts: 1 } });
+      expect(doc.attempts).toBe(0);
+      expect((await jobs.findOne({ _id: 1 })).attempts).toBe(1);
+    });
+
+    test('should return the updated document with returnDocument "after"', async () => {
+      const doc = await jobs.findOneAndUpdate({ _id: 1 }, { $set: { status: 'running' } }, { returnDocument: 'after' });
+      expect(doc.status).toBe('running');
+    });
+
+    test('should pick the first document in sort order', async () => {
+      const doc = await jobs.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'running' } },
+        { sort: { priority: -1 }, returnDocument: 'after', projection: { status: 1 } }
+      );
+      expect(doc).toEqual({ _id: 2, status: 'running' });
+      expect((await jobs.findOne({ _id: 1 })).status).toBe('queued');
+    });
+
+    test('should return null when nothing matches', async () => {
+      expect(await jobs.findOneAndUpdate({ _id: 99 }, { $set: { status: 'x' } })).toBe(null);
+    });
+
+    test('should upsert and return the new document', async () => {
+      const counter = db.collection('counters');
+      const first = await counter.findOneAndUpdate(
+        { _id: 'orders' },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      const second = await counter.findOneAndUpdate(
+        { _id: 'orders' },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      expect(first).toEqual({ _id: 'orders', seq: 1 });
+      expect(second).toEqual({ _id: 'orders', seq: 2 });
+    });
+
+    test('should return a ModifyResult with includeResultMetadata', async () => {
+      const updated = await jobs.findOneAndUpdate({ _id: 1 }, { $set: { status: 'x' } }, { includeResultMetadata: true });
+      expect(updated).toEqual({
+        value: { _id: 1, status: 'queued', priority: 2, attempts: 0 },
+        ok: 1,
+        lastErrorObject: { n: 1, updatedExisting: true }
+      });
+
+      const upserted = await jobs.findOneAndUpdate({ _id: 7 }, { $set: { status: 'new' } }, { upsert: true, includeResultMetadata: true });
+      expect(upserted).toEqual({
+        value: null,
+        ok: 1,
+        lastErrorObject: { n: 1, updatedExisting: false, upserted: 7 }
+      });
+    });
+  });
+
+  describe('findOneAndReplace', () => {
+    test('should replace the document and keep its _id', async () => {
+      const before = await jobs.findOneAndReplace({ _id: 3 }, { status: 'archived' });
+      expect(before.status).toBe('done');
+      expect(await jobs.findOne({ _id: 3 })).toEqual({ _id: 3, status: 'archived' });
+    });
+
+    test('should return the replacement with returnDocument "after"', async () => {
+      const after = await jobs.findOneAndReplace({ status: 'queued' }, { status: 'fresh' }, { sort: { priority: -1 }, returnDocument: 'after' });
+      expect(after).toEqual({ _id: 2, status: 'fresh' });
+    });
+
+    test('should reject update operators', async () => {
+      await expect(jobs.findOneAndReplace({ _id: 1 }, { $set: { a: 1 } })).rejects.toThrow(/atomic operators/);
+    });
+  });
+
+  describe('findOneAndDelete', () => {
+    test('should delete and return the first document in sort order', async () => {
+      const doc = await jobs.findOneAndDelete({ status: 'queued' }, { sort: { priority: 1 } });
+      expect(doc._id).toBe(1);
+      expect(jobs.count()).toBe(2);
+    });
+
+    test('should return null or an empty result when nothing matches', async () => {
+      expect(await jobs.findOneAndDelete({ _id: 42 })).toBe(null);
+      expect(await jobs.findOneAndDelete({ _id: 42 }, { includeResultMetadata: true }))
+        .toEqual({ value: null, ok: 1, lastErrorObject: { n: 0 } });
+    });
+  });
+
+  test('should not hand out references to stored documents', async () => {
+    const doc = await jobs.findOneAndUpdate({ _id: 1 }, { $set: { tags: ['a'] } }, { returnDocument: 'after' });
+    doc.tags.push('b');
+    expect((await jobs.findOne({ _id: 1 })).tags).toEqual(['a']);
+  });
+});
@@ -0,0 +1,347 @@
+const { MockDatabase, QueryBuilder, MongoServerError } = require('../index');
+
+describe('Geospatial queries', () => {
+  let db;
+  let places;
+
+  const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+  const square = (west, south, east, north) => ({
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  });
+  const ONE_DEGREE = 6378100 * Math.PI / 180;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    places = db.collection('places');
+    await places.insertMany([
+      { _id: 1, name: 'Central Park', category: 'Parks', location: point(-73.97, 40.77) },
+      { _id: 2, name: 'Sara D. Roosevelt Park', category: 'Parks', location: point(-73.9928, 40.7193) },
+      { _id: 3, name: 'Polo Grounds', category: 'Stadiums', location: point(-73.9375, 40.8303) }
+    ]);
+  });
+
+  const ids = async (filter, options) => (await places.find(filter, options).toArray()).map(doc => doc._id);
+
+  describe('2dsphere indexes', () => {
+    test('should list a 2dsphere index like MongoDB', async () => {
+      expect(await places.createIndex({ location: '2dsphere', category: -1 })).toBe('location_2dsphere_category_-1');
+
+      expect((await places.indexes())[1]).toEqual({
+        v: 2,
+        key: { location: '2dsphere', category: -1 },
+        name: 'location_2dsphere_category_-1',
+        '2dsphereIndexVersion': 3
+      });
+    });
+
+    test('should reject documents whose location cannot be indexed', async () => {
+      await places.createIndex({ location: '2dsphere' });
+
+      const attempts = [
+        { location: point(200, 0) },
+        { location: { type: 'Point', coordinates: ['a', 0] } },
+        { location: { type: 'Circle', coordinates: [0, 0] } },
+        { location: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] } },
+        { location: { type: 'LineString', coordinates: [[0, 0]] } },
+        { location: 'downtown' }
+      ];
+      for (const doc of attempts) {
+        await expect(places.insertOne(doc)).rejects.toMatchObject({
+          code: 16755,
+          message: expect.stringContaining("Can't extract geo keys")
+        });
+      }
+      await expect(places.updateOne({ _id: 1 }, { $set: { 'location.coordinates': [0, 91] } })).rejects.toThrow(
+        'longitude/latitude is out of bounds, lng: 0 lat: 91'
+      );
+      expect(places.count()).toBe(3);
+    });
+
+    test('should accept legacy pairs and leave out documents without a location', async () => {
+      await places.createIndex({ location: '2dsphere' });
+
+      await places.insertMany([
+        { _id: 4, location: [-73.98, 40.75] },
+        { _id: 5, location: { lng: -73.99, lat: 40.74 } },
+        { _id: 6, location: [point(-74, 40.7), point(-73.9, 40.8)] },
+        { _id: 7, location: null },
+        { _id: 8 }
+      ]);
+
+      expect(places.count()).toBe(8);
+    });
+
+    test('should check stored documents when the index is created', async () => {
+      await places.insertOne({ _id: 4, location: point(0, 100) });
+
+      await expect(places.createIndex({ location: '2dsphere' })).rejects.toThrow(MongoServerError);
+      expect(await places.indexes()).toHaveLength(1);
+    });
+  });
+
+  describe('$near and $nearSphere', () => {
+    beforeEach(async () => {
+      await places.createIndex({ location: '2dsphere' });
+    });
+
+    test('should return documents nearest first within the distance limits', async () => {
+      const near = { type: 'Point', coordinates: [-73.9667, 40.78] };
+
+      expect(await ids({ location: { $near: { $geometry: near } } })).toEqual([1, 3, 2]);
+      expect(await ids({ location: { $near: { $geometry: near, $minDistance: 1000, $maxDistance: 5000 } } })).toEqual([1]);
+      expect(await ids({ location: { $nearSphere: { $geometry: near }, $maxDistance: 7000 } })).toEqual([1, 3]);
+    });
+
+    test('should measure in meters on a sphere the size of the Earth', async () => {
+      await places.insertMany([
+        { _id: 10, location: point(1, 0) },
+        { _id: 11, location: point(2.5, 0) }
+      ]);
+
+      const query = { location: { $near: { $geometry: point(0, 0), $maxDistance: ONE_DEGREE * 2 } } };
+      expect(await ids(query)).toEqual([10]);
+      expect(await ids({ location: { $near: { $geometry: point(0, 0), $maxDistance: ONE_DEGREE - 1 } } })).toEqual([]);
+    });
+
+    test('should measure legacy $nearSphere queries in radians', async () => {
+      await places.insertMany([
+        { _id: 10, location: [1, 0] },
+        { _id: 11, location: [3, 0] }
+      ]);
+
+      expect(await ids({ location: { $nearSphere: [0, 0], $maxDistance: 2 * Math.PI / 180 } })).toEqual([10]);
+    });
+
+    test('should combine with other conditions and an explicit sort', async () => {
+      const near = { location: { $near: { $geometry: point(-73.9667, 40.78) } } };
+
+      expect(await ids({ ...near, category: 'Parks' })).toEqual([1, 2]);
+      expect(await ids(near, { sort: { name: 1 } })).toEqual([1, 3, 2]);
+      expect(await ids(near, { sort: { name: -1 }, limit: 1 })).toEqual([2]);
+    });
+
+    test('should measure distances to lines and polygons from their nearest point', async () => {
+      await places.insertMany([
+        { _id: 10, location: { type: 'LineString', coordinates: [[1, -1], [1, 1]] } },
+        { _id: 11, location: square(-0.5, -0.5, 0.5, 0.5) }
+      ]);
+
+      expect(await ids({ location: { $near: { $geometry: point(0, 0), $maxDistance: ONE_DEGREE * 1.001 } } })).toEqual([11, 10]);
+    });
+
+    test('should act on the nearest document in deletes', async () => {
+      await places.deleteOne({ location: { $near: { $geometry: point(-73.94, 40.83) } } });
+
+      expect(await ids({})).toEqual([1, 2]);
+    });
+
+    test('should require a 2dsphere index on the field', async () => {
+      const other = db.collection('other');
+      await other.insertOne({ location: point(0, 0) });
+
+      await expect(other.find({ location: { $near: { $geometry: point(0, 0) } } }).toArray()).rejects.toMatchObject({
+        code: 291,
+        codeName: 'NoQueryExecutionPlans',
+        message: 'unable to find index for $geoNear query'
+      });
+      // Flat legacy $near needs a 2d index
+      await expect(places.find({ location: { $near: [0, 0] } }).toArray()).rejects.toMatchObject({ code: 291 });
+    });
+
+    test('should reject misplaced or malformed proximity queries', async () => {
+      const near = { $near: { $geometry: point(0, 0) } };
+
+      await expect(places.find({ $or: [{ location: near }, { category: 'Parks' }] }).toArray()).rejects.toThrow(
+        'geo near must be top-level expr'
+      );
+      await expect(places.find({ location: near, $and: [{ location: near }] }).toArray()).rejects.toThrow('geo near');
+      await expect(places.find({ location: { $near: { $geometry: point(0, 0), $maxDistance: -1 } } }).toArray()).rejects.toThrow(
+        '$maxDistance must be non-negative'
+      );
+      await expect(places.find({ location: { $near: { $geometry: square(0, 0, 1, 1) } } }).toArray()).rejects.toMatchObject({
+        code: 2,
+        codeName: 'BadValue'
+      });
+    });
+  });
+
+  describe('$geoWithin', () => {
+    test('should find locations inside a GeoJSON polygon without an index', async () => {
+      expect(await ids({ location: { $geoWithin: { $geometry: square(-74, 40.7, -73.95, 40.8) } } })).toEqual([1, 2]);
+    });
+
+    test('should leave out locations in a polygon\'s holes', async () => {
+      const polygon = square(-74, 40.7, -73.95, 40.8);
+      polygon.coordinates.push([[-73.98, 40.76], [-73.96, 40.76], [-73.96, 40.78], [-73.98, 40.78], [-73.98, 40.76]]);
+
+      expect(await ids({ location: { $geoWithin: { $geometry: polygon } } })).toEqual([2]);
+      expect(await ids({
+        location: { $geoWithin: { $geometry: { type: 'MultiPolygon', coordinates: [polygon.coordinates, square(-73.94, 40.83, -73.93, 40.84).coordinates] } } }
+      })).toEqual([2, 3]);
+    });
+
+    test('should follow great circles rather than lines of latitude', async () => {
+      await places.insertMany([
+        { _id: 10, location: point(0, 60.3) },
+        { _id: 11, location: point(0, 60.5) },
+        { _id: 12, location: point(175, 0) },
+        { _id: 13, location: point(-175, 5) },
+        { _id: 14, location: point(0, 0) }
+      ]);
+
+      expect(await ids({ location: { $geoWithin: { $geometry: square(-10, 50, 10, 60) } } })).toEqual([10]);
+      // A polygon across the antimeridian
+      expect(await ids({ location: { $geoWithin: { $geometry: square(170, -10, -170, 10) } } })).toEqual([12, 13]);
+      // Nothing on the far side of the Earth is inside a small polygon
+      expect(await ids({ location: { $geoWithin: { $geometry: square(-5, -5, 5, 5) } } })).toEqual([14]);
+    });
+
+    test('should require every part of a line or polygon to be inside', async () => {
+      await places.insertMany([
+        { _id: 10, location: { type: 'LineString', coordinates: [[1, 1], [2, 2]] } },
+        { _id: 11, location: { type: 'LineString', coordinates: [[1, 1], [20, 2]] } },
+        { _id: 12, location: square(1, 1, 2, 2) },
+        { _id: 13, location: { type: 'MultiPoint', coordinates: [[1, 1], [20, 20]] } }
+      ]);
+
+      expect(await ids({ location: { $geoWithin: { $geometry: square(0, 0, 10, 10) } } })).toEqual([10, 12]);
+    });
+
+    test('should support $centerSphere in radians', async () => {
+      const milesToRadians = miles => miles / 3963.2;
+
+      expect(await ids({ location: { $geoWithin: { $centerSphere: [[-73.93414657, 40.82302903], milesToRadians(5)] } } })).toEqual([1, 3]);
+      expect(await ids({ location: { $geoWithin: { $centerSphere: [[-73.93414657, 40.82302903], milesToRadians(1)] } } })).toEqual([3]);
+    });
+
+    test('should support the flat legacy shapes', async () => {
+      await places.insertMany([
+        { _id: 10, location: [6, 4] },
+        { _id: 11, location: [15, 5] }
+      ]);
+
+      expect(await ids({ location: { $geoWithin: { $box: [[0, 0], [10, 10]] } } })).toEqual([10]);
+      expect(await ids({ location: { $geoWithin: { $polygon: [[0, 0], [30, 0], [10, 10]] } } })).toEqual([10, 11]);
+      expect(await ids({ location: { $geoWithin: { $center: [[10, 5], 5] } } })).toEqual([10, 11]);
+      expect(await ids({ location: { $geoWithin: { $center: [[10, 5], 4] } } })).toEqual([]);
+    });
+
+    test('should match arrays of locations by any element', async () => {
+      await places.insertOne({ _id: 10, location: [point(100, 0), point(-73.96, 40.75)] });
+
+      expect(await ids({ location: { $geoWithin: { $geometry: square(-74, 40.7, -73.95, 40.76) } } })).toEqual([2, 10]);
+    });
+
+    test('should reject shapes it cannot search', async () => {
+      await expect(places.find({ location: { $geoWithin: { $geometry: point(0, 0) } } }).toArray()).rejects.toThrow(
+        '$geoWithin not supported with provided geometry'
+      );
+      await expect(places.find({ location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1]]] } } } }).toArray())
+        .rejects.toMatchObject({ code: 2, codeName: 'BadValue' });
+      await expect(places.find({ location: { $geoWithin: { $circle: [[0, 0], 1] } } }).toArray()).rejects.toThrow('unknown geo specifier');
+    });
+  });
+
+  describe('$geoIntersects', () => {
+    beforeEach(async () => {
+      await places.insertMany([
+        { _id: 10, location: { type: 'LineString', coordinates: [[-1, 0.5], [2, 0.5]] } },
+        { _id: 11, location: square(0.5, 0.5, 3, 3) },
+        { _id: 12, location: square(0.2, 0.2, 0.8, 0.8) },
+        { _id: 13, location: point(1, 1) },
+        { _id: 14, location: square(5, 5, 6, 6) }
+      ]);
+    });
+
+    test('should find geometries that cross, overlap, contain or touch the query geometry', async () => {
+      expect(await ids({ location: { $geoIntersects: { $geometry: square(0, 0, 1, 1) } } })).toEqual([10, 11, 12, 13]);
+      expect(await ids({ location: { $geoIntersects: { $geometry: point(0.5, 0.5) } } })).toEqual([11, 12]);
+      expect(await ids({ location: { $geoIntersects: { $geometry: point(-1, 0.5) } } })).toEqual([10]);
+      expect(await ids({ location: { $geoIntersects: { $geometry: point(2, 2) } } })).toEqual([11]);
+      expect(await ids({
+        location: { $geoIntersects: { $geometry: { type: 'LineString', coordinates: [[1, -1], [1, 0.6]] } } }
+      })).toEqual([10, 11]);
+    });
+
+    test('should require a $geometry', async () => {
+      await expect(places.find({ location: { $geoIntersects: { $box: [[0, 0], [1, 1]] } } }).toArray()).rejects.toThrow(
+        '$geoIntersects requires a $geometry'
+      );
+    });
+
+    test('should work with QueryBuilder directly', () => {
+      const docs = [{ area: square(0, 0, 1, 1) }, { area: square(2, 2, 3, 3) }];
+
+      const matched = new QueryBuilder(docs).match({ area: { $geoIntersects: { $geometry: point(0.5, 0.5) } } }).execute();
+      expect(matched).toEqual([docs[0]]);
+    });
+  });
+
+  describe('$geoNear stage', () => {
+    beforeEach(async () => {
+      await places.createIndex({ location: '2dsphere' });
+    });
+
+    test('should add distances and return documents nearest first', async () => {
+      const results = await places.aggregate([
+        {
+          $geoNear: {
+            near: point(-73.99279, 40.719296),
+            distanceField: 'dist.calculated',
+            maxDistance: 2,
+            query: { category: 'Parks' },
+            includeLocs: 'dist.location',
+            spherical: true
+          }
+        }
+      ]).toArray();
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ _id: 2, dist: { location: point(-73.9928, 40.7193) } });
+      expect(results[0].dist.calculated).toBeCloseTo(0.954, 3);
+    });
+
+    test('should scale distances and feed later stages', async () => {
+      const results = await places.aggregate([
+        { $geoNear: { near: point(-73.9667, 40.78), distanceField: 'km', distanceMultiplier: 0.001, minDistance: 2000 } },
+        { $project: { _id: 1, km: { $round: ['$km', 1] } } }
+      ]).toArray();
+
+      expect(results.map(doc => doc._id)).toEqual([3, 2]);
+      expect(results[0].km).toBeGreaterThan(5);
+      expect(results[1].km).toBeGreaterThan(results[0].km);
+    });
+
+    test('should measure legacy pairs in radians', async () => {
+      await places.insertMany([{ _id: 10, location: [1, 0] }]);
+
+      const [nearest] = await places.aggregate([{ $geoNear: { near: [0, 0], distanceField: 'distance', spherical: true } }]).toArray();
+      expect(nearest._id).toBe(10);
+      expect(nearest.distance).toBeCloseTo(Math.PI / 180, 12);
+    });
+
+    test('should pick the index from key when there are several', async () => {
+      await places.updateOne({ _id: 1 }, { $set: { entrance: point(-73.95, 40.8) } });
+      await places.createIndex({ entrance: '2dsphere' });
+
+      const stage = { near: point(-73.95, 40.8), distanceField: 'distance' };
+      await expect(places.aggregate([{ $geoNear: stage }]).toArray()).rejects.toThrow('more than one 2dsphere index');
+
+      const results = await places.aggregate([{ $geoNear: { ...stage, key: 'entrance' } }]).toArray();
+      expect(results).toHaveLength(1);
+      expect(results[0].distance).toBe(0);
+    });
+
+    test('should enforce where it can run', async () => {
+      const stage = { $geoNear: { near: point(0, 0), distanceField: 'distance' } };
+
+      expect(() => places.aggregate([{ $match: {} }, stage])).toThrow('$geoNear is only valid as the first stage in a pipeline');
+      expect(() => places.aggregate([{ $match: { location: { $near: { $geometry: point(0, 0) } } } }])).toThrow(
+        '$geoNear, $near, and $nearSphere are not allowed in this context'
+      );
+      await expect(db.collection('other').aggregate([stage]).toArray()).rejects.toMatchObject({ code: 291 });
+      await expect(places.aggregate([{ $geoNear: { near: point(0, 0) } }]).toArray()).rejects.toThrow('distanceField');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { MockDatabase, MongoServerError, MongoBulkWriteError } = require('../index');
+
+describe('Indexes', () => {
+  let db;
+  let users;
+
+  beforeEach(() => {
+    db = new MockDatabase();
+    users = db.collection('users');
+  });
+
+  describe('index management', () => {
+    test('should start with the _id index', async () => {
+      expect(await users.listIndexes().toArray()).toEqual([{ v: 2, key: { _id: 1 }, name: '_id_' }]);
+    });
+
+    test('should create, list and drop indexes', async () => {
+      expect(await users.createIndex({ email: 1 }, { unique: true })).toBe('email_1');
+      expect(await users.createIndex({ lastName: 1, age: -1 })).toBe('lastName_1_age_-1');
+      expect(await users.createIndex('city', { name: 'by_city', sparse: true })).toBe('by_city');
+
+      expect(await users.indexes()).toEqual([
+        { v: 2, key: { _id: 1 }, name: '_id_' },
+        { v: 2, key: { email: 1 }, name: 'email_1', unique: true },
+        { v: 2, key: { lastName: 1, age: -1 }, name: 'lastName_1_age_-1' },
+        { v: 2, key: { city: 1 }, name: 'by_city', sparse: true }
+      ]);
+      expect(await users.indexExists(['email_1', 'by_city'])).toBe(true);
+
+      await users.dropIndex('email_1');
+      await users.dropIndex({ lastName: 1, age: -1 });
+      expect((await users.indexes()).map(index => index.name)).toEqual(['_id_', 'by_city']);
+
+      await users.dropIndexes();
+      expect((await users.indexes()).map(index => index.name)).toEqual(['_id_']);
+    });
+
+    test('should create several indexes at once', async () => {
+      const names = await users.createIndexes([
+        { key: { email: 1 }, unique: true },
+        { key: { 'address.zip': 1 }, name: 'zip' }
+      ]);
+      expect(names).toEqual(['email_1', 'zip']);
+    });
+
+    test('should treat an identical createIndex as a no-op and reject conflicts', async () => {
+      await users.createIndex({ email: 1 }, { unique: true });
+      expect(await users.createIndex({ email: 1 }, { unique: true })).toBe('email_1');
+
+      await expect(users.createIndex({ email: 1 })).rejects.toMatchObject({ code: 85 });
+      await expect(users.createIndex({ name: 1 }, { name: 'email_1' })).rejects.toMatchObject({ code: 86 });
+    });
+
+    test('should reject invalid key patterns and bad drops', async () => {
+      await expect(users.createIndex({})).rejects.toMatchObject({ code: 67 });
+      await expect(users.createIndex({ email: 0 })).rejects.toMatchObject({ code: 67 });
+      await expect(users.dropIndex('_id_')).rejects.toThrow('cannot drop _id index');
+      await expect(users.dropIndex('missing_1')).rejects.toMatchObject({ code: 27, codeName: 'IndexNotFound' });
+    });
+
+    test('should refuse to build a unique index over duplicate data', async () => {
+      await users.insertMany([{ email: 'a@x.com' }, { email: 'a@x.com' }]);
+      await expect(users.createIndex({ email: 1 }, { unique: true })).rejects.toMatchObject({ code: 11000 });
+      expect(await users.indexExists('email_1')).toBe(false);
+    });
+  });
+
+  describe('implicit _id index', () => {
+    test('should reject a duplicate _id on insertOne', async () => {
+      await users.insertOne({ _id: 1, name: 'Alice' });
+
+      const error = await users.insertOne({ _id: 1, name: 'Bob' }).catch(e => e);
+      expect(error).toBeInstanceOf(MongoServerError);
+      expect(error.code).toBe(11000);
+      expect(error.codeName).toBe('DuplicateKey');
+      expect(error.keyPattern).toEqual({ _id: 1 });
+      expect(error.keyValue).toEqual({ _id: 1 });
+      expect(error.message).toBe('E11000 duplicate key error collection: test.users index: _id_ dup key: { _id: 1 }');
+      expect(users.count()).toBe(1);
+    });
+
+    test('should report duplicate _ids from insertMany as write errors', async () => {
+      const error = await users.insertMany([{ _id: 1 }, { _id: 2 }, { _id: 1 }, { _id: 3 }], { ordered: false }).catch(e => e);
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.code).toBe(11000);
+      expect(error.writeErrors.map(writeError => writeError.index)).toEqual([2]);
+      expect(error.insertedCount).toBe(3);
+    });
+
+    test('should reject an upsert that collides with an existing _id', async () => {
+      await users.insertOne({ _id: 'u1', status: 'active' });
+      await expect(
+        users.updateOne({ _id: 'u1', status: 'inactive' }, { $set: { seen: true } }, { upsert: true })
+      ).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('should use the database name in the namespace', async () => {
+      const named = new MockDatabase({ name: 'shop' }).collection('orders');
+      await named.insertOne({ _id: 1 });
+      await expect(named.insertOne({ _id: 1 })).rejects.toThrow('collection: shop.orders index: _id_');
+    });
+  });
+
+  describe('unique indexes', () => {
+    beforeEach(async () => {
+      await users.createIndex({ email: 1 }, { unique: true });
+      await users.insertMany([
+        { _id: 1, email: 'alice@example.com' },
+        { _id: 2, email: 'bob@example.com' }
+      ]);
+    });
+
+    test('should reject inserting a duplicate value', async () => {
+      const error = await users.insertOne({ email: 'alice@example.com' }).catch(e => e);
+      expect(error.code).toBe(11000);
+      expect(error.keyPattern).toEqual({ email: 1 });
+      expect(error.keyValue).toEqual({ email: 'alice@example.com' });
+      expect(error.message).toContain('index: email_1 dup key: { email: "alice@example.com" }');
+    });
+
+    test('should reject updates and replacements that create a duplicate', async () => {
+      await expect(users.updateOne({ _id: 2 }, { $set: { email: 'alice@example.com' } })).rejects.toMatchObject({ code: 11000 });
+      await expect(users.replaceOne({ _id: 2 }, { email: 'alice@example.com' })).rejects.toMatchObject({ code: 11000 });
+      await expect(users.findOneAndUpdate({ _id: 2 }, { $set: { email: 'alice@example.com' } })).rejects.toMatchObject({ code: 11000 });
+      expect((await users.findOne({ _id: 2 })).email).toBe('bob@example.com');
+    });
+
+    test('should allow a document to keep its own value', async () => {
+      const result = await users.updateOne({ _id: 1 }, { $set: { email: 'alice@example.com', name: 'Alice' } });
+      expect(result.modifiedCount).toBe(1);
+    });
+
+    test('should keep writes made before the failing document of an updateMany', async () => {
+      await users.insertOne({ _id: 3, email: 'carol@example.com' });
+      await expect(users.updateMany({}, { $set: { email: 'same@example.com' } })).rejects.toMatchObject({ code: 11000 });
+      const emails = (await users.find().toArray()).map(user => user.email);
+      expect(emails).toEqual(['same@example.com', 'bob@example.com', 'carol@example.com']);
+    });
+
+    test('should treat missing fields as null unless sparse', async () => {
+      await users.insertOne({ _id: 3 });
+      await expect(users.insertOne({ _id: 4 })).rejects.toMatchObject({ keyValue: { email: null } });
+
+      await users.createIndex({ phone: 1 }, { unique: true, sparse: true });
+      await users.insertOne({ _id: 5, email: 'x@example.com' });
+      await users.insertOne({ _id: 6, email: 'y@example.com' });
+      expect(users.count()).toBe(5);
+    });
+
+    test('should enforce bulkWrite operations', async () => {
+      const error = await users.bulkWrite([
+        { insertOne: { document: { _id: 10, email: 'new@example.com' } } },
+        { updateOne: { filter: { _id: 10 }, update: { $set: { email: 'bob@example.com' } } } }
+      ]).catch(e => e);
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.writeErrors[0].index).toBe(1);
+      expect(error.writeErrors[0].code).toBe(11000);
+    });
+  });
+
+  describe('compound, multikey and partial indexes', () => {
+    test('should only reject when every field of a compound key matches', async () => {
+      await users.createIndex({ firstName: 1, lastName: 1 }, { unique: true });
+      await users.insertOne({ firstName: 'Ada', lastName: 'Lovelace' });
+      await users.insertOne({ firstName: 'Ada', lastName: 'Byron' });
+
+      const error = await users.insertOne({ firstName: 'Ada', lastName: 'Lovelace' }).catch(e => e);
+      expect(error.keyPattern).toEqual({ firstName: 1, lastName: 1 });
+      expect(error.keyValue).toEqual({ firstName: 'Ada', lastName: 'Lovelace' });
+    });
+
+    test('should index each array element', async () => {
+      await users.createIndex({ aliases: 1 }, { unique: true });
+      await users.insertOne({ aliases: ['al', 'ally', 'al'] });
+      await expect(users.insertOne({ aliases: ['bo', 'ally'] })).rejects.toMatchObject({ keyValue: { aliases: 'ally' } });
+    });
+
+    test('should only constrain documents matching a partialFilterExpression', async () => {
+      await users.createIndex(
+        { username: 1 },
+        { unique: true, partialFilterExpression: { deleted: { $ne: true } } }
+      );
+      await users.insertOne({ username: 'sam', deleted: true });
+      await users.insertOne({ username: 'sam', deleted: true });
+      await users.insertOne({ username: 'sam' });
+      await expect(users.insertOne({ username: 'sam' })).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+
+  describe('aggregation output', () => {
+    test('should enforce unique indexes on $out and $merge targets', async () => {
+      await users.insertMany([{ _id: 1, team: 'a' }, { _id: 2, team: 'a' }]);
+      const summary = db.collection('summary');
+      await summary.insertOne({ _id: 'old', team: 'z' });
+      await summary.createIndex({ team: 1 }, { unique: true });
+
+      await expect(users.aggregate([{ $project: { _id: 0, team: 1 } }, { $out: 'summary' }]).toArray())
+        .rejects.toMatchObject({ code: 11000 });
+      expect(await summary.find().toArray()).toEqual([{ _id: 'old', team: 'z' }]);
+
+      await expect(users.aggregate([{ $set: { _id: 'new', team: 'z' } }, { $merge: { into: 'summary', on: '_id' } }]).toArray())
+        .rejects.toMatchObject({ code: 11000 });
+    });
+  });
+});
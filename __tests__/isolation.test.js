@@ -0,0 +1,147 @@
+const { MockDatabase, ObjectId } = require('../index');
+const { deepFreeze } = require('../lib/clone');
+
+describe('Document isolation', () => {
+  let db;
+  let users;
+
+  beforeEach(() => {
+    db = new MockDatabase();
+    users = db.collection('users');
+  });
+
+  describe('deep copies', () => {
+    test('should not let the inserted object reach stored data', async () => {
+      const doc = { _id: 1, profile: { tags: ['a'] } };
+      await users.insertOne(doc);
+
+      doc.profile.tags.push('leaked');
+      doc.profile.name = 'leaked';
+
+      expect(await users.findOne({ _id: 1 })).toEqual({ _id: 1, profile: { tags: ['a'] } });
+    });
+
+    test('should not let later updates leak into the inserted object', async () => {
+      const doc = { _id: 1, profile: { tags: ['a'] } };
+      await users.insertOne(doc);
+      await users.updateOne({ _id: 1 }, { $push: { 'profile.tags': 'b' } });
+
+      expect(doc.profile.tags).toEqual(['a']);
+    });
+
+    test('should not let mutations of returned documents reach stored data', async () => {
+      await users.insertOne({ _id: 1, items: [{ qty: 1 }] });
+
+      const found = await users.findOne({ _id: 1 });
+      found.items[0].qty = 99;
+      found.items.push({ qty: 2 });
+
+      const [listed] = await users.find().toArray();
+      listed.items.length = 0;
+
+      const [aggregated] = await users.aggregate([{ $match: {} }]).toArray();
+      aggregated.items[0].qty = 50;
+
+      const modified = await users.findOneAndUpdate({ _id: 1 }, { $set: { seen: true } }, { returnDocument: 'after' });
+      modified.items[0].qty = 77;
+
+      expect(await users.findOne({ _id: 1 })).toEqual({ _id: 1, items: [{ qty: 1 }], seen: true });
+    });
+
+    test('should not share values passed to update operators', async () => {
+      const address = { city: 'Paris', lines: ['1 Rue'] };
+      await users.insertOne({ _id: 1 });
+      await users.updateOne({ _id: 1 }, { $set: { address } });
+      await users.replaceOne({ _id: 1 }, { address });
+
+      address.lines.push('leaked');
+      expect((await users.findOne({ _id: 1 })).address.lines).toEqual(['1 Rue']);
+    });
+
+    test('should preserve BSON-like types when copying', async () => {
+      const id = new ObjectId();
+      const createdAt = new Date('2024-01-01T00:00:00Z');
+      await users.insertOne({
+        _id: id,
+        createdAt,
+        avatar: Buffer.from('png'),
+        pattern: /^a/i,
+        settings: new Map([['theme', 'dark']])
+      });
+
+      const found = await users.findOne({ _id: id });
+      expect(found._id).toBeInstanceOf(ObjectId);
+      expect(found._id).not.toBe(id);
+      expect(found._id.equals(id)).toBe(true);
+      expect(found.createdAt).toEqual(createdAt);
+      expect(found.createdAt).not.toBe(createdAt);
+      expect(Buffer.isBuffer(found.avatar)).toBe(true);
+      expect(found.avatar.toString()).toBe('png');
+      expect(found.pattern).toEqual(/^a/i);
+      expect(found.settings).toBeInstanceOf(Map);
+      expect(found.settings.get('theme')).toBe('dark');
+
+      createdAt.setFullYear(2000);
+      found.settings.set('theme', 'light');
+      const again = await users.findOne({ _id: id });
+      expect(again.createdAt.getUTCFullYear()).toBe(2024);
+      expect(again.settings.get('theme')).toBe('dark');
+    });
+  });
+
+  describe('frozenResults', () => {
+    beforeEach(async () => {
+      db = new MockDatabase({ frozenResults: true });
+      users = db.collection('users');
+      await users.insertOne({ _id: 1, profile: { tags: ['a'] } });
+    });
+
+    test('should return deeply frozen documents', async () => {
+      const found = await users.findOne({ _id: 1 });
+
+      expect(Object.isFrozen(found)).toBe(true);
+      expect(Object.isFrozen(found.profile.tags)).toBe(true);
+      expect(() => { found.profile.tags.push('b'); }).toThrow(TypeError);
+      expect(Object.isFrozen(found.profile)).toBe(true);
+    });
+
+    test('should make frozen Dates, Maps and Sets throw on mutation', async () => {
+      await users.insertOne({ _id: 2, createdAt: new Date('2024-01-01T00:00:00Z'), settings: new Map([['theme', 'dark']]) });
+      const found = await users.findOne({ _id: 2 });
+
+      expect(() => found.createdAt.setTime(0)).toThrow(TypeError);
+      expect(() => found.createdAt.setUTCFullYear(2000)).toThrow('Cannot call setUTCFullYear() on a frozen Date');
+      expect(() => found.settings.set('theme', 'light')).toThrow('Cannot call set() on a frozen Map');
+      expect(() => found.settings.clear()).toThrow(TypeError);
+      expect(() => deepFreeze(new Set([1])).add(2)).toThrow('Cannot call add() on a frozen Set');
+
+      expect(found.createdAt.getUTCFullYear()).toBe(2024);
+      expect(found.settings.get('theme')).toBe('dark');
+      expect((await users.findOne({ _id: 2 })).createdAt).toEqual(new Date('2024-01-01T00:00:00Z'));
+    });
+
+    test('should freeze results of every read path', async () => {
+      const [listed] = await users.find({}, { projection: { profile: 1 } }).toArray();
+      const [aggregated] = await users.aggregate([{ $project: { tags: '$profile.tags' } }]).toArray();
+      const modified = await users.findOneAndUpdate({ _id: 1 }, { $set: { seen: true } }, { returnDocument: 'after' });
+
+      expect(Object.isFrozen(listed.profile)).toBe(true);
+      expect(Object.isFrozen(aggregated.tags)).toBe(true);
+      expect(Object.isFrozen(modified)).toBe(true);
+    });
+
+    test('should still accept frozen documents as input', async () => {
+      const found = await users.findOne({ _id: 1 });
+      await users.replaceOne({ _id: 1 }, { profile: found.profile, updated: true });
+      await users.updateOne({ _id: 1 }, { $push: { 'profile.tags': 'b' } });
+
+      expect((await users.findOne({ _id: 1 })).profile.tags).toEqual(['a', 'b']);
+    });
+
+    test('should not freeze results by default', async () => {
+      const plain = new MockDatabase().collection('users');
+      await plain.insertOne({ _id: 1 });
+      expect(Object.isFrozen(await plain.findOne({ _id: 1 }))).toBe(false);
+    });
+  });
+});
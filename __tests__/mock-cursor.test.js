@@ -0,0 +1,112 @@
+const { MockDatabase, MockCursor } = require('../index');
+
+describe('MockCursor', () => {
+  let db;
+  let users;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    users = db.collection('users');
+    await users.insertOne({ _id: 1, name: 'Alice', age: 30, city: 'Paris', address: { zip: '75001', street: 'Rue A' } });
+    await users.insertOne({ _id: 2, name: 'Bob', age: 25, city: 'London', address: { zip: 'E1', street: 'Main' } });
+    await users.insertOne({ _id: 3, name: 'Charlie', age: 35, city: 'Paris' });
+    await users.insertOne({ _id: 4, name: 'David', age: 30, city: 'Berlin', scores: [5, 1] });
+  });
+
+  const names = docs => docs.map(doc => doc.name);
+
+  test('should return a cursor from find', async () => {
+    const cursor = users.find({ city: 'Paris' });
+    expect(cursor).toBeInstanceOf(MockCursor);
+    expect(names(await cursor.toArray())).toEqual(['Alice', 'Charlie']);
+  });
+
+  describe('sort', () => {
+    test('should sort by a single key in both directions', async () => {
+      expect(names(await users.find().sort({ age: 1 }).toArray())).toEqual(['Bob', 'Alice', 'David', 'Charlie']);
+      expect(names(await users.find().sort('age', -1).toArray())).toEqual(['Charlie', 'Alice', 'David', 'Bob']);
+    });
+
+    test('should sort by multiple keys', async () => {
+      expect(names(await users.find().sort({ age: -1, name: -1 }).toArray())).toEqual(['Charlie', 'David', 'Alice', 'Bob']);
+      expect(names(await users.find().sort([['city', 1], ['name', 'desc']]).toArray())).toEqual(['David', 'Bob', 'Charlie', 'Alice']);
+    });
+
+    test('should order missing fields first and sort arrays by their extreme element', async () => {
+      expect(names(await users.find().sort({ 'address.zip': 1 }).toArray())).toEqual(['Charlie', 'David', 'Alice', 'Bob']);
+      expect(names(await users.find({ _id: { $in: [1, 4] } }).sort({ scores: 1 }).toArray())).toEqual(['Alice', 'David']);
+    });
+  });
+
+  test('should apply skip and limit after sorting', async () => {
+    const results = await users.find().sort({ _id: 1 }).skip(1).limit(2).toArray();
+    expect(names(results)).toEqual(['Bob', 'Charlie']);
+  });
+
+  test('should accept sort, skip, limit and projection as find options', async () => {
+    const results = await users.find({}, { sort: { age: -1 }, skip: 1, limit: 2, projection: { name: 1 } }).toArray();
+    expect(results).toEqual([{ _id: 1, name: 'Alice' }, { _id: 4, name: 'David' }]);
+  });
+
+  describe('project', () => {
+    test('should support inclusion projections with nested paths', async () => {
+      const doc = await users.find({ _id: 1 }).project({ name: 1, 'address.zip': 1 }).next();
+      expect(doc).toEqual({ _id: 1, name: 'Alice', address: { zip: '75001' } });
+    });
+
+    test('should support excluding _id', async () => {
+      const doc = await users.find({ _id: 2 }).project({ name: 1, _id: 0 }).next();
+      expect(doc).toEqual({ name: 'Bob' });
+    });
+
+    test('should support exclusion projections without touching stored data', async () => {
+      const doc = await users.find({ _id: 1 }).project({ age: 0, 'address.street': 0 }).next();
+      expect(doc).toEqual({ _id: 1, name: 'Alice', city: 'Paris', address: { zip: '75001' } });
+
+      const stored = await users.findOne({ _id: 1 });
+      expect(stored.address.street).toBe('Rue A');
+    });
+
+    test('should reject mixed inclusion and exclusion', () => {
+      expect(() => users.find().project({ name: 1, age: 0 })).toThrow(/exclusion/);
+    });
+  });
+
+  test('should count documents honouring skip and limit', async () => {
+    expect(await users.find({ age: 30 }).count()).toBe(2);
+    expect(await users.find().skip(1).limit(2).count()).toBe(2);
+  });
+
+  test('should apply map transforms', async () => {
+    const result = await users.find().sort({ _id: 1 }).map(doc => doc.name).map(name => name.toUpperCase()).toArray();
+    expect(result).toEqual(['ALICE', 'BOB', 'CHARLIE', 'DAVID']);
+  });
+
+  test('should support next and hasNext', async () => {
+    const cursor = users.find({ city: 'Paris' });
+    expect(await cursor.hasNext()).toBe(true);
+    expect((await cursor.next()).name).toBe('Alice');
+    expect((await cursor.next()).name).toBe('Charlie');
+    expect(await cursor.hasNext()).toBe(false);
+    expect(await cursor.next()).toBe(null);
+  });
+
+  test('should support async iteration', async () => {
+    const seen = [];
+    for await (const doc of users.find().sort({ name: -1 })) {
+      seen.push(doc.name);
+    }
+    expect(seen).toEqual(['David', 'Charlie', 'Bob', 'Alice']);
+  });
+
+  test('should reject modifiers once iteration has started', async () => {
+    const cursor = users.find();
+    await cursor.next();
+    expect(() => cursor.limit(1)).toThrow(/already initialized/);
+  });
+
+  test('should honour sort, skip and projection in findOne options', async () => {
+    const doc = await users.findOne({}, { sort: { age: -1 }, projection: { name: 1, _id: 0 } });
+    expect(doc).toEqual({ name: 'Charlie' });
+  });
+});
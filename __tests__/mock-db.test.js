@@ -1,4 +1,4 @@
-const { MockDatabase } = require('../index');
+const { MockDatabase, ObjectId, MongoInvalidArgumentError, MongoBulkWriteError } = require('../index');
 
 describe('MockDatabase', () => {
   let db;
@@ -72,7 +72,7 @@ describe('MockDatabase', () => {
 
         expect(result.acknowledged).toBe(true);
         expect(result.insertedId).toBeDefined();
-        expect(typeof result.insertedId).toBe('string');
+        expect(result.insertedId).toBeInstanceOf(ObjectId);
       });
 
       test('should insert document with provided _id', async () => {
@@ -90,6 +90,18 @@ describe('MockDatabase', () => {
         const found = await users.findOne({ age: 35 });
         expect(found.name).toBe('Charlie');
       });
+
+      test('should reject arrays and other values that are not documents', async () => {
+        await expect(users.insertOne([1, 2])).rejects.toThrow(new MongoInvalidArgumentError('Document must be an object, not an array'));
+        await expect(users.insertOne(new Date())).rejects.toThrow('Document must be an object, not a Date');
+        await expect(users.insertOne(new ObjectId())).rejects.toThrow('Document must be an object, not an ObjectId');
+        await expect(users.insertOne(null)).rejects.toBeInstanceOf(MongoInvalidArgumentError);
+        await expect(users.insertMany([{ name: 'Ok' }, ['x']])).rejects.toBeInstanceOf(MongoBulkWriteError);
+        await users.insertOne({ _id: 1, name: 'Alice' });
+        await expect(users.replaceOne({ _id: 1 }, ['x'])).rejects.toThrow('Replacement must be an object, not an array');
+
+        expect((await users.find().toArray()).map(doc => doc.name)).toEqual(['Ok', 'Alice']);
+      });
     });
 
     describe('find', () => {
@@ -100,26 +112,26 @@ describe('MockDatabase', () => {
       });
 
       test('should find all documents with empty query', async () => {
-        const results = await users.find();
+        const results = await users.find().toArray();
         expect(results).toHaveLength(3);
       });
 
       test('should find documents by exact match', async () => {
-        const results = await users.find({ city: 'New York' });
+        const results = await users.find({ city: 'New York' }).toArray();
         expect(results).toHaveLength(2);
         expect(results.every(doc => doc.city === 'New York')).toBe(true);
       });
 
       test('should return empty array when no matches', async () => {
-        const results = await users.find({ city: 'Tokyo' });
+        const results = await users.find({ city: 'Tokyo' }).toArray();
         expect(results).toHaveLength(0);
       });
 
       test('should return copies to prevent modification', async () => {
-        const results = await users.find();
+        const results = await users.find().toArray();
         results[0].name = 'Modified';
 
-        const freshResults = await users.find();
+        const freshResults = await users.find().toArray();
         expect(freshResults[0].name).not.toBe('Modified');
       });
     });
@@ -141,6 +153,36 @@ describe('MockDatabase', () => {
       });
     });
 
+    describe('counts, distinct and drop', () => {
+      beforeEach(async () => {
+        await users.insertMany([
+          { name: 'Alice', age: 30, tags: ['admin', 'dev'] },
+          { name: 'Bob', age: 25, tags: ['dev'] },
+          { name: 'Carol', age: 30 }
+        ]);
+      });
+
+      test('should count matching documents', async () => {
+        expect(await users.countDocuments()).toBe(3);
+        expect(await users.countDocuments({ age: 30 })).toBe(2);
+        expect(await users.countDocuments({}, { skip: 1, limit: 1 })).toBe(1);
+        expect(await users.estimatedDocumentCount()).toBe(3);
+      });
+
+      test('should list distinct values, unwinding arrays', async () => {
+        expect(await users.distinct('age')).toEqual([25, 30]);
+        expect(await users.distinct('tags')).toEqual(['admin', 'dev']);
+        expect(await users.distinct('name', { age: 30 })).toEqual(['Alice', 'Carol']);
+        expect(await users.distinct('missing')).toEqual([]);
+      });
+
+      test('should drop the collection', async () => {
+        expect(await users.drop()).toBe(true);
+        expect(db.hasCollection('users')).toBe(false);
+        expect(await users.drop()).toBe(false);
+      });
+    });
+
     describe('deleteOne', () => {
       beforeEach(async () => {
         await users.insertOne({ name: 'Alice', age: 30 });
@@ -153,7 +195,7 @@ describe('MockDatabase', () => {
         expect(result.acknowledged).toBe(true);
         expect(result.deletedCount).toBe(1);
 
-        const remaining = await users.find({ age: 30 });
+        const remaining = await users.find({ age: 30 }).toArray();
         expect(remaining).toHaveLength(1);
       });
 
@@ -242,46 +284,46 @@ describe('MockDatabase', () => {
     });
 
     test('should support $eq operator', async () => {
-      const results = await users.find({ age: { $eq: 30 } });
+      const results = await users.find({ age: { $eq: 30 } }).toArray();
       expect(results).toHaveLength(2);
     });
 
     test('should support $ne operator', async () => {
-      const results = await users.find({ age: { $ne: 30 } });
+      const results = await users.find({ age: { $ne: 30 } }).toArray();
       expect(results).toHaveLength(2);
       expect(results.every(doc => doc.age !== 30)).toBe(true);
     });
 
     test('should support $gt operator', async () => {
-      const results = await users.find({ age: { $gt: 30 } });
+      const results = await users.find({ age: { $gt: 30 } }).toArray();
       expect(results).toHaveLength(1);
       expect(results[0].name).toBe('Charlie');
     });
 
     test('should support $gte operator', async () => {
-      const results = await users.find({ age: { $gte: 30 } });
+      const results = await users.find({ age: { $gte: 30 } }).toArray();
       expect(results).toHaveLength(3);
     });
 
     test('should support $lt operator', async () => {
-      const results = await users.find({ age: { $lt: 30 } });
+      const results = await users.find({ age: { $lt: 30 } }).toArray();
       expect(results).toHaveLength(1);
       expect(results[0].name).toBe('Bob');
     });
 
     test('should support $lte operator', async () => {
-      const results = await users.find({ age: { $lte: 30 } });
+      const results = await users.find({ age: { $lte: 30 } }).toArray();
       expect(results).toHaveLength(3);
     });
 
     test('should support $in operator', async () => {
-      const results = await users.find({ age: { $in: [25, 35] } });
+      const results = await users.find({ age: { $in: [25, 35] } }).toArray();
       expect(results).toHaveLength(2);
       expect(results.map(doc => doc.name)).toEqual(expect.arrayContaining(['Bob', 'Charlie']));
     });
 
     test('should support $regex operator', async () => {
-      const results = await users.find({ name: { $regex: '^A' } });
+      const results = await users.find({ name: { $regex: '^A' } }).toArray();
       expect(results).toHaveLength(1);
       expect(results[0].name).toBe('Alice');
     });
@@ -290,12 +332,140 @@ describe('MockDatabase', () => {
       const results = await users.find({
         age: { $gte: 25, $lte: 30 },
         score: { $gt: 85 }
-      });
+      }).toArray();
       expect(results).toHaveLength(3);
       expect(results.map(doc => doc.name)).toEqual(expect.arrayContaining(['Alice', 'Bob', 'David']));
     });
   });
 
+  describe('Logical and Element Operators', () => {
+    let users;
+
+    beforeEach(async () => {
+      users = db.collection('users');
+      await users.insertOne({ name: 'Alice', age: 30, email: 'alice@example.com', tags: ['admin', 'user'], scores: [82, 91] });
+      await users.insertOne({ name: 'Bob', age: 25, email: null, tags: ['user'], scores: [70, 75, 79] });
+      await users.insertOne({ name: 'Charlie', age: 35, tags: [], results: [{ product: 'abc', score: 10 }, { product: 'xyz', score: 5 }] });
+      await users.insertOne({ name: 'david', age: '40', results: [{ product: 'xyz', score: 8 }] });
+    });
+
+    const names = docs => docs.map(doc => doc.name);
+
+    test('should support $and, $or and $nor', async () => {
+      expect(names(await users.find({ $or: [{ age: 25 }, { name: 'Charlie' }] }).toArray())).toEqual(['Bob', 'Charlie']);
+      expect(names(await users.find({ $and: [{ age: { $gte: 25 } }, { age: { $lt: 35 } }] }).toArray())).toEqual(['Alice', 'Bob']);
+      expect(names(await users.find({ $nor: [{ age: 30 }, { tags: 'user' }] }).toArray())).toEqual(['Charlie', 'david']);
+    });
+
+    test('should support field-level $not', async () => {
+      expect(names(await users.find({ tags: { $not: { $size: 0 } } }).toArray())).toEqual(['Alice', 'Bob', 'david']);
+      expect(names(await users.find({ name: { $not: /^[A-C]/ } }).toArray())).toEqual(['david']);
+    });
+
+    test('should support $exists', async () => {
+      expect(names(await users.find({ email: { $exists: true } }).toArray())).toEqual(['Alice', 'Bob']);
+      expect(names(await users.find({ email: { $exists: false } }).toArray())).toEqual(['Charlie', 'david']);
+      expect(names(await users.find({ 'results.product': { $exists: true } }).toArray())).toEqual(['Charlie', 'david']);
+    });
+
+    test('should support $type with aliases and numeric codes', async () => {
+      expect(names(await users.find({ age: { $type: 'string' } }).toArray())).toEqual(['david']);
+      expect(names(await users.find({ age: { $type: 'number' } }).toArray())).toEqual(['Alice', 'Bob', 'Charlie']);
+      expect(names(await users.find({ email: { $type: 10 } }).toArray())).toEqual(['Bob']);
+      expect(names(await users.find({ tags: { $type: 'array' } }).toArray())).toEqual(['Alice', 'Bob', 'Charlie']);
+    });
+
+    test('should support $nin', async () => {
+      expect(names(await users.find({ tags: { $nin: ['admin'] } }).toArray())).toEqual(['Bob', 'Charlie', 'david']);
+    });
+
+    test('should support $all', async () => {
+      expect(names(await users.find({ tags: { $all: ['user', 'admin'] } }).toArray())).toEqual(['Alice']);
+      expect(names(await users.find({ tags: { $all: [] } }).toArray())).toEqual([]);
+    });
+
+    test('should support $elemMatch on scalars and embedded documents', async () => {
+      expect(names(await users.find({ scores: { $elemMatch: { $gte: 80, $lt: 85 } } }).toArray())).toEqual(['Alice']);
+      expect(names(await users.find({ results: { $elemMatch: { product: 'xyz', score: { $gte: 8 } } } }).toArray())).toEqual(['david']);
+    });
+
+    test('should support $size', async () => {
+      expect(names(await users.find({ tags: { $size: 0 } }).toArray())).toEqual(['Charlie']);
+      expect(names(await users.find({ scores: { $size: 3 } }).toArray())).toEqual(['Bob']);
+    });
+
+    test('should support $regex with $options and RegExp literals', async () => {
+      expect(names(await users.find({ name: { $regex: '^d', $options: 'i' } }).toArray())).toEqual(['david']);
+      expect(names(await users.find({ name: /^a/i }).toArray())).toEqual(['Alice']);
+      expect(names(await users.find({ name: { $regex: /LIE$/i } }).toArray())).toEqual(['Charlie']);
+      expect(names(await users.find({ name: { $in: [/^B/, 'david'] } }).toArray())).toEqual(['Bob', 'david']);
+    });
+  });
+
+  describe('Nested Paths and Arrays', () => {
+    let users;
+
+    beforeEach(async () => {
+      users = db.collection('users');
+      await users.insertOne({
+        name: 'Alice',
+        address: { city: 'Paris', geo: { zip: '75001' } },
+        tags: ['urgent', 'vip'],
+        orders: [{ sku: 'A1', qty: 2 }, { sku: 'B2', qty: 10 }]
+      });
+      await users.insertOne({
+        name: 'Bob',
+        address: { city: 'London' },
+        tags: ['normal'],
+        orders: [{ sku: 'A1', qty: 1 }]
+      });
+      await users.insertOne({ name: 'Charlie' });
+    });
+
+    test('should resolve dot-notation paths through nested objects', async () => {
+      const results = await users.find({ 'address.city': 'Paris' }).toArray();
+      expect(results).toHaveLength(1);
+      expect(results[0].name).toBe('Alice');
+
+      const deep = await users.find({ 'address.geo.zip': { $regex: '^75' } }).toArray();
+      expect(deep.map(doc => doc.name)).toEqual(['Alice']);
+    });
+
+    test('should match when any array element matches', async () => {
+      const results = await users.find({ tags: 'urgent' }).toArray();
+      expect(results.map(doc => doc.name)).toEqual(['Alice']);
+
+      const inResults = await users.find({ tags: { $in: ['normal', 'other'] } }).toArray();
+      expect(inResults.map(doc => doc.name)).toEqual(['Bob']);
+    });
+
+    test('should traverse arrays of embedded documents', async () => {
+      const results = await users.find({ 'orders.qty': { $gt: 5 } }).toArray();
+      expect(results.map(doc => doc.name)).toEqual(['Alice']);
+
+      const bySku = await users.find({ 'orders.sku': 'A1' }).toArray();
+      expect(bySku).toHaveLength(2);
+    });
+
+    test('should resolve numeric array indexes', async () => {
+      const results = await users.find({ 'orders.1.sku': 'B2' }).toArray();
+      expect(results.map(doc => doc.name)).toEqual(['Alice']);
+
+      const first = await users.find({ 'tags.0': 'normal' }).toArray();
+      expect(first.map(doc => doc.name)).toEqual(['Bob']);
+    });
+
+    test('should require $ne to hold for every array element', async () => {
+      const results = await users.find({ tags: { $ne: 'urgent' } }).toArray();
+      expect(results.map(doc => doc.name)).toEqual(['Bob', 'Charlie']);
+    });
+
+    test('should treat null equality as matching missing nested fields', async () => {
+      const results = await users.find({ 'address.city': null }).toArray();
+      expect(results.map(doc => doc.name)).toEqual(['Charlie']);
+    });
+  });
+
   describe('Collection Isolation', () => {
     test('should maintain isolation between collections', async () => {
       const users = db.collection('users');
@@ -304,8 +474,8 @@ describe('MockDatabase', () => {
       await users.insertOne({ name: 'Alice' });
       await posts.insertOne({ title: 'Hello World' });
 
-      const userResults = await users.find();
-      const postResults = await posts.find();
+      const userResults = await users.find().toArray();
+      const postResults = await posts.find().toArray();
 
       expect(userResults).toHaveLength(1);
       expect(postResults).toHaveLength(1);
@@ -322,7 +492,7 @@ describe('MockDatabase', () => {
     });
 
     test('should handle empty collection operations', async () => {
-      const findResult = await users.find();
+      const findResult = await users.find().toArray();
       const findOneResult = await users.findOne();
       const deleteResult = await users.deleteOne({ name: 'Alice' });
 
@@ -0,0 +1,141 @@
+const { MockDatabase, MockCollection, ObjectId, BSONError } = require('../index');
+
+describe('ObjectId', () => {
+  test('should generate 12-byte ids with the current timestamp', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const id = new ObjectId();
+    const after = Math.floor(Date.now() / 1000);
+
+    expect(id.id).toHaveLength(12);
+    expect(id.toHexString()).toMatch(/^[0-9a-f]{24}$/);
+    const seconds = id.getTimestamp().getTime() / 1000;
+    expect(seconds).toBeGreaterThanOrEqual(before);
+    expect(seconds).toBeLessThanOrEqual(after);
+  });
+
+  test('should share the process bytes and increment the counter', () => {
+    const first = new ObjectId();
+    const second = new ObjectId();
+
+    expect(first.toHexString().slice(8, 18)).toBe(second.toHexString().slice(8, 18));
+    const counter = hex => parseInt(hex.slice(18), 16);
+    expect(counter(second.toHexString())).toBe((counter(first.toHexString()) + 1) % 0x1000000);
+  });
+
+  test('should round-trip hex strings and bytes', () => {
+    const hex = '65a1b2c3d4e5f60718293a4b';
+    const id = new ObjectId(hex);
+
+    expect(id.toHexString()).toBe(hex);
+    expect(String(id)).toBe(hex);
+    expect(JSON.stringify({ id })).toBe(`{"id":"${hex}"}`);
+    expect(new ObjectId(id.id).toHexString()).toBe(hex);
+    expect(ObjectId.createFromHexString(hex).equals(id)).toBe(true);
+    expect(id.getTimestamp()).toEqual(new Date(0x65a1b2c3 * 1000));
+  });
+
+  test('should build ids from a timestamp', () => {
+    expect(ObjectId.createFromTime(0x65a1b2c3).toHexString()).toBe('65a1b2c30000000000000000');
+    expect(new ObjectId(1700000000).getTimestamp()).toEqual(new Date(1700000000 * 1000));
+  });
+
+  test('should compare by value', () => {
+    const hex = '65a1b2c3d4e5f60718293a4b';
+    const id = new ObjectId(hex);
+
+    expect(id.equals(new ObjectId(hex))).toBe(true);
+    expect(id.equals(hex.toUpperCase())).toBe(true);
+    expect(id.equals(new ObjectId())).toBe(false);
+    expect(id.equals(null)).toBe(false);
+    expect(new ObjectId(hex)).toEqual(id);
+  });
+
+  test('should validate candidate values', () => {
+    expect(ObjectId.isValid('65a1b2c3d4e5f60718293a4b')).toBe(true);
+    expect(ObjectId.isValid(new ObjectId())).toBe(true);
+    expect(ObjectId.isValid(Buffer.alloc(12))).toBe(true);
+    expect(ObjectId.isValid(42)).toBe(true);
+    expect(ObjectId.isValid('not-an-id')).toBe(false);
+    expect(ObjectId.isValid('65a1b2c3d4e5f60718293a4')).toBe(false);
+    expect(ObjectId.isValid(null)).toBe(false);
+    expect(ObjectId.isValid({})).toBe(false);
+
+    expect(() => new ObjectId('xyz')).toThrow(BSONError);
+    expect(() => ObjectId.createFromHexString('xyz')).toThrow('24 character hex string');
+  });
+
+  describe('as document ids', () => {
+    let db;
+    let users;
+
+    beforeEach(() => {
+      db = new MockDatabase();
+      users = db.collection('users');
+    });
+
+    test('should be the default _id and be set on the inserted document', async () => {
+      const doc = { name: 'Alice' };
+      const { insertedId } = await users.insertOne(doc);
+
+      expect(insertedId).toBeInstanceOf(ObjectId);
+      expect(doc._id).toBe(insertedId);
+
+      const found = await users.findOne({ name: 'Alice' });
+      expect(Object.keys(found)).toEqual(['_id', 'name']);
+      expect(found._id.equals(insertedId)).toBe(true);
+    });
+
+    test('should keep falsy ids provided by the caller', async () => {
+      expect((await users.insertOne({ _id: 0 })).insertedId).toBe(0);
+      expect((await users.insertOne({ _id: '' })).insertedId).toBe('');
+    });
+
+    test('should find documents by an equal ObjectId instance', async () => {
+      const { insertedId } = await users.insertOne({ name: 'Alice' });
+      await users.insertOne({ name: 'Bob' });
+
+      const copy = new ObjectId(insertedId.toHexString());
+      expect((await users.findOne({ _id: copy })).name).toBe('Alice');
+      expect(await users.find({ _id: { $in: [copy] } }).toArray()).toHaveLength(1);
+      expect(await users.find({ _id: { $ne: copy } }).toArray()).toHaveLength(1);
+    });
+
+    test('should match $type objectId and sort in creation order', async () => {
+      const ids = [];
+      for (const name of ['a', 'b', 'c']) {
+        ids.push((await users.insertOne({ name })).insertedId);
+      }
+
+      expect(await users.find({ _id: { $type: 'objectId' } }).toArray()).toHaveLength(3);
+      const sorted = await users.find().sort({ _id: -1 }).toArray();
+      expect(sorted.map(doc => doc.name)).toEqual(['c', 'b', 'a']);
+      expect(await users.findOne({ _id: { $gt: ids[1] } })).toMatchObject({ name: 'c' });
+    });
+
+    test('should reject a duplicate ObjectId _id', async () => {
+      const { insertedId } = await users.insertOne({});
+      await expect(users.insertOne({ _id: new ObjectId(insertedId.toHexString()) })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('should generate sequential ids with deterministicIds', async () => {
+      const seeded = new MockDatabase({ deterministicIds: true }).collection('users');
+      const result = await seeded.insertMany([{ name: 'a' }, { name: 'b' }]);
+
+      expect(result.insertedIds[0].toHexString()).toBe('000000000000000000000001');
+      expect(result.insertedIds[1].toHexString()).toBe('000000000000000000000002');
+    });
+
+    test('should use a custom pkFactory', async () => {
+      let next = 100;
+      const custom = new MockDatabase({ pkFactory: { createPk: () => `user-${next++}` } }).collection('users');
+
+      expect((await custom.insertOne({})).insertedId).toBe('user-100');
+      expect((await custom.insertOne({})).insertedId).toBe('user-101');
+    });
+
+    test('should generate ObjectIds for a standalone collection', async () => {
+      const standalone = new MockCollection('things');
+      expect((await standalone.insertOne({})).insertedId).toBeInstanceOf(ObjectId);
+    });
+  });
+});
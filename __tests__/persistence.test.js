@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockDatabase, ObjectId } = require('../index');
+
+describe('Persistence', () => {
+  let dir;
+  let file;
+  let db;
+  let opened;
+
+  // Opening the file again while `db` is still running stands in for a restart
+  const open = (persist = {}, options = {}) => {
+    const database = new MockDatabase({ ...options, persist: { path: file, ...persist } });
+    opened.push(database);
+    return database;
+  };
+  const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-db-persist-'));
+    file = path.join(dir, 'data', 'db.log');
+    opened = [];
+    db = open();
+  });
+
+  afterEach(() => {
+    opened.forEach(database => database.close());
+    const data = path.dirname(file);
+    fs.readdirSync(data).forEach(name => fs.unlinkSync(path.join(data, name)));
+    fs.rmdirSync(data);
+    fs.rmdirSync(dir);
+  });
+
+  test('should leave in-memory databases alone', () => {
+    expect(new MockDatabase().persistence).toBeNull();
+  });
+
+  test('should bring back documents, types, indexes and options after a restart', async () => {
+    const id = new ObjectId();
+    await db.createCollection('users', { validator: { name: { $type: 'string' } } });
+    const users = db.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insertMany([
+      { _id: id, name: 'Alice', email: 'a@example.com', joined: new Date(0), visits: 7n },
+      { name: 'Bob', email: 'b@example.com' }
+    ]);
+    await users.updateOne({ _id: id }, { $set: { name: 'Alicia' } });
+    await users.deleteOne({ name: 'Bob' });
+
+    const reopened = open();
+    const copy = reopened.collection('users');
+    expect(await copy.find().toArray()).toEqual([
+      { _id: id, name: 'Alicia', email: 'a@example.com', joined: new Date(0), visits: 7n }
+    ]);
+    expect(await copy.indexExists('email_1')).toBe(true);
+    await expect(copy.insertOne({ name: 42, email: 'c@example.com' })).rejects.toMatchObject({ code: 121 });
+  });
+
+  test('should persist drops, clears and $out', async () => {
+    await db.collection('logs').insertOne({ msg: 'hi' });
+    await db.collection('tmp').insertOne({ x: 1 });
+    await db.collection('items').insertMany([{ _id: 1 }, { _id: 2 }]);
+    db.dropCollection('tmp');
+    db.collection('logs').clear();
+    await db.collection('items').aggregate([{ $match: { _id: 2 } }, { $out: 'picked' }]).toArray();
+
+    const reopened = open();
+    expect(reopened.listCollections().sort()).toEqual(['items', 'logs', 'picked']);
+    expect(reopened.collection('logs').count()).toBe(0);
+    expect(await reopened.collection('picked').find().toArray()).toEqual([{ _id: 2 }]);
+  });
+
+  test('should save a committed transaction as one record and skip aborted ones', async () => {
+    const accounts = db.collection('accounts');
+    await accounts.insertMany([{ _id: 'a', balance: 10 }, { _id: 'b', balance: 0 }]);
+    const before = lines().length;
+
+    const session = db.startSession();
+    await session.withTransaction(async () => {
+      await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -5 } }, { session });
+      await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 5 } }, { session });
+    });
+    session.startTransaction();
+    await accounts.deleteMany({}, { session });
+    await session.abortTransaction();
+    await session.endSession();
+
+    expect(lines()).toHaveLength(before + 1);
+    expect(JSON.parse(lines()[before])).toMatchObject({ op: 'batch' });
+    expect(await open().collection('accounts').find().toArray()).toEqual([
+      { _id: 'a', balance: 5 },
+      { _id: 'b', balance: 5 }
+    ]);
+  });
+
+  test('should ignore a last line cut short by a crash', async () => {
+    await db.collection('items').insertOne({ _id: 1 });
+    fs.appendFileSync(file, '{"op":"put","coll":"items","doc":{"_id":2');
+
+    const reopened = open();
+    expect(await reopened.collection('items').find().toArray()).toEqual([{ _id: 1 }]);
+  });
+
+  test('should compact the log periodically with an atomic rename', async () => {
+    db.close();
+    db = open({ compactAfter: 5 });
+    const items = db.collection('items');
+    await items.insertOne({ _id: 1, n: 0 });
+    for (let n = 1; n <= 6; n++) {
+      await items.updateOne({ _id: 1 }, { $set: { n } });
+    }
+
+    // Header, collection and one document, plus the two updates logged since compaction
+    expect(lines()).toHaveLength(5);
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+    expect(await open().collection('items').findOne()).toEqual({ _id: 1, n: 6 });
+  });
+
+  test('should flush each append to disk with fsync', async () => {
+    const fsync = jest.spyOn(fs, 'fsyncSync');
+    try {
+      await db.collection('items').insertOne({ _id: 1 });
+      expect(fsync).not.toHaveBeenCalled();
+
+      db.close();
+      db = open({ fsync: true });
+      fsync.mockClear();
+      await db.collection('items').insertMany([{ _id: 2 }, { _id: 3 }]);
+      expect(fsync).toHaveBeenCalledTimes(2);
+      expect(await open().collection('items').find().toArray()).toEqual([{ _id: 1 }, { _id: 2 }, { _id: 3 }]);
+    } finally {
+      fsync.mockRestore();
+    }
+  });
+
+  test('should keep deterministic ids unique across restarts', async () => {
+    db.close();
+    db = open({}, { deterministicIds: true });
+    const first = (await db.collection('items').insertOne({})).insertedId;
+
+    const reopened = open({}, { deterministicIds: true });
+    const second = (await reopened.collection('items').insertOne({})).insertedId;
+    expect(second.equals(first)).toBe(false);
+  });
+
+  test('should stop saving after close', async () => {
+    db.close();
+    await db.collection('items').insertOne({ _id: 1 });
+    expect(open().listCollections()).toEqual([]);
+  });
+
+  test('should refuse files it did not write', () => {
+    const other = path.join(dir, 'data', 'notes.txt');
+    fs.writeFileSync(other, 'shopping list\n');
+    expect(() => new MockDatabase({ persist: { path: other } })).toThrow('is not a mock-db-connector data file');
+    expect(fs.readFileSync(other, 'utf8')).toBe('shopping list\n');
+    expect(() => new MockDatabase({ persist: {} })).toThrow('persist.path must be a non-empty string');
+  });
+});
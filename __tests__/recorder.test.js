@@ -0,0 +1,188 @@
+const { MockDatabase, OperationRecorder, matchers } = require('../index');
+
+expect.extend(matchers);
+
+describe('Operation recorder', () => {
+  let db;
+  let users;
+
+  beforeEach(async () => {
+    db = new MockDatabase({ deterministicIds: true });
+    users = db.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insertMany([
+      { name: 'Alice', email: 'alice@example.com', age: 30 },
+      { name: 'Bob', email: 'bob@example.com', age: 25 },
+      { name: 'Carol', email: 'carol@example.com', age: 35 }
+    ]);
+  });
+
+  describe('recording', () => {
+    test('should log each call with arguments, result and duration', async () => {
+      const recorder = db.startRecording();
+      expect(recorder).toBeInstanceOf(OperationRecorder);
+
+      const filter = { email: 'bob@example.com' };
+      await users.updateOne(filter, { $set: { age: 26 } });
+      filter.email = 'changed';
+
+      expect(recorder.calls).toHaveLength(1);
+      const [call] = recorder.calls;
+      expect(call).toMatchObject({
+        collection: 'users',
+        method: 'updateOne',
+        args: [{ email: 'bob@example.com' }, { $set: { age: 26 } }],
+        filter: { email: 'bob@example.com' },
+        result: { matchedCount: 1, modifiedCount: 1 }
+      });
+      expect(typeof call.duration).toBe('number');
+    });
+
+    test('should log only the outer call of methods built on others', async () => {
+      const recorder = db.startRecording();
+      await users.findOne({ name: 'Alice' });
+      await users.insertMany([{ email: 'd@example.com' }, { email: 'e@example.com' }]);
+      await users.bulkWrite([{ deleteOne: { filter: { email: 'd@example.com' } } }]);
+
+      expect(recorder.calls.map(call => call.method)).toEqual(['findOne', 'insertMany', 'bulkWrite']);
+    });
+
+    test('should log calls made concurrently', async () => {
+      const recorder = db.startRecording();
+      await Promise.all([users.findOne({ age: 30 }), users.insertOne({ email: 'f@example.com' })]);
+      expect(recorder.calls.map(call => call.method)).toEqual(['findOne', 'insertOne']);
+    });
+
+    test('should record errors', async () => {
+      const recorder = users.startRecording();
+      await expect(users.insertOne({ email: 'alice@example.com' })).rejects.toMatchObject({ code: 11000 });
+      expect(recorder.calls[0].error).toMatchObject({ code: 11000 });
+    });
+
+    test('should report collection scans and index scans', async () => {
+      const recorder = db.startRecording();
+      await users.find({ age: { $gt: 26 } }).toArray();
+      await users.findOne({ email: 'carol@example.com' });
+      await users.aggregate([{ $match: { email: { $in: ['alice@example.com', 'bob@example.com'] } } }]).toArray();
+
+      expect(recorder.calls.map(({ planSummary, docsExamined }) => ({ planSummary, docsExamined }))).toEqual([
+        { planSummary: 'COLLSCAN', docsExamined: 3 },
+        { planSummary: 'IXSCAN { email: 1 }', docsExamined: 1 },
+        { planSummary: 'IXSCAN { email: 1 }', docsExamined: 2 }
+      ]);
+    });
+
+    test('should log counts and distinct with their filters', async () => {
+      const recorder = db.startRecording();
+      await users.countDocuments({ email: 'bob@example.com' });
+      await users.estimatedDocumentCount();
+      await users.distinct('name', { age: { $gt: 26 } });
+
+      expect(recorder.calls.map(({ method, filter, planSummary }) => ({ method, filter, planSummary }))).toEqual([
+        { method: 'countDocuments', filter: { email: 'bob@example.com' }, planSummary: 'IXSCAN { email: 1 }' },
+        { method: 'estimatedDocumentCount', filter: undefined, planSummary: undefined },
+        { method: 'distinct', filter: { age: { $gt: 26 } }, planSummary: 'COLLSCAN' }
+      ]);
+    });
+
+    test('should stop, clear and scope recorders', async () => {
+      const all = db.startRecording();
+      const onlyOrders = db.collection('orders').startRecording();
+
+      await users.findOne({});
+      await db.collection('orders').insertOne({ total: 5 });
+      expect(all.calls).toHaveLength(2);
+      expect(onlyOrders.calls).toHaveLength(1);
+
+      all.stop();
+      expect(all.isRecording).toBe(false);
+      await users.findOne({});
+      expect(all.calls).toHaveLength(2);
+
+      onlyOrders.clear();
+      expect(onlyOrders.calls).toEqual([]);
+      expect(onlyOrders.callsTo('insertOne')).toEqual([]);
+    });
+
+    test('should not record anything unless asked', async () => {
+      await users.findOne({});
+      expect(db.recorders.size).toBe(0);
+    });
+  });
+
+  describe('matchers', () => {
+    let recorder;
+
+    beforeEach(() => {
+      recorder = db.startRecording();
+    });
+
+    test('toHaveInserted should match inserted documents partially, including generated ids', async () => {
+      const { insertedId } = await users.insertOne({ name: 'Dave', email: 'dave@example.com' });
+      await users.bulkWrite([{ insertOne: { document: { name: 'Eve', email: 'eve@example.com' } } }]);
+
+      expect(recorder).toHaveInserted();
+      expect(recorder).toHaveInserted({ name: 'Dave' });
+      expect(recorder).toHaveInserted({ _id: insertedId, email: expect.stringContaining('@') });
+      expect(recorder).toHaveInserted({ name: 'Eve' });
+      expect(recorder).not.toHaveInserted({ name: 'Alice' });
+      expect(() => expect(recorder).toHaveInserted({ name: 'Zed' })).toThrow('Expected an insert of a document matching');
+    });
+
+    test('toHaveInserted should only count the documents a rejected batch wrote', async () => {
+      await expect(users.insertMany([
+        { email: 'frank@example.com', tag: 'new' },
+        { email: 'alice@example.com', tag: 'dup' }
+      ])).rejects.toMatchObject({ code: 11000 });
+      await expect(users.bulkWrite([
+        { insertOne: { document: { email: 'bob@example.com', tag: 'bulk-dup' } } }
+      ])).rejects.toMatchObject({ code: 11000 });
+
+      expect(recorder).toHaveInserted({ tag: 'new' });
+      expect(recorder).not.toHaveInserted({ tag: 'dup' });
+      expect(recorder).not.toHaveInserted({ tag: 'bulk-dup' });
+    });
+
+    test('toHaveQueried and toHaveBeenCalledWithFilter should compare filters', async () => {
+      await users.find({ age: { $gte: 30 } }).toArray();
+      await users.updateOne({ email: 'bob@example.com' }, { $inc: { age: 1 } });
+
+      expect(recorder).toHaveQueried('users');
+      expect(recorder).toHaveQueried('users', { age: { $gte: 30 } });
+      expect(recorder).not.toHaveQueried('orders');
+      expect(recorder).toHaveBeenCalledWithFilter('updateOne', { email: expect.any(String) });
+      expect(recorder.callsTo('updateOne')).toHaveLength(1);
+      expect(() => expect(recorder).toHaveBeenCalledWithFilter('updateOne', { email: 'x' }))
+        .toThrow('users.updateOne');
+    });
+
+    test('toHaveScannedCollection should catch unindexed filters', async () => {
+      await users.findOne({ email: 'alice@example.com' });
+      expect(recorder).not.toHaveScannedCollection('users');
+
+      await users.find({ name: 'Alice' }).toArray();
+      expect(recorder).toHaveScannedCollection('users');
+      expect(() => expect(recorder).not.toHaveScannedCollection()).toThrow('Expected no collection scan of any collection');
+    });
+
+    test('toContainDocument should check collection contents', async () => {
+      expect(users).toContainDocument({ name: 'Alice', age: 30 });
+      expect(users).not.toContainDocument({ name: 'Alice', age: 31 });
+      expect(() => expect({}).toContainDocument({})).toThrow('received value must be a MockCollection');
+    });
+
+    test('should require a recorder', () => {
+      expect(() => expect(users).toHaveInserted()).toThrow('received value must be an OperationRecorder');
+    });
+
+    test('toMatchOperationLog should snapshot calls without timings', async () => {
+      const session = db.startSession();
+      await users.findOne({ email: 'alice@example.com' }, { session });
+      await users.updateMany({ age: { $lt: 30 } }, { $set: { junior: true } });
+      await users.insertOne({ name: 'Dave', createdAt: new Date(0) });
+      await session.endSession();
+
+      expect(recorder).toMatchOperationLog();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const net = require('net');
+const { startMockServer, MockMongoClient, ObjectId, Decimal128, Timestamp, MinKey, MaxKey } = require('../index');
+const bson = require('../lib/bson');
+const wire = require('../lib/wireProtocol');
+
+/**
+ * Minimal wire protocol client: sends commands and waits for each reply
+ */
+class WireClient {
+  constructor(socket) {
+    this.socket = socket;
+    this.requestId = 0;
+    this.waiting = new Map();
+    this.pending = Buffer.alloc(0);
+    this.closed = new Promise(resolve => socket.on('close', resolve));
+    socket.on('data', chunk => {
+      const { messages, rest } = wire.splitMessages(Buffer.concat([this.pending, chunk]));
+      this.pending = rest;
+      for (const message of messages) {
+        const reply = wire.decodeMessage(message);
+        this.waiting.get(reply.responseTo)(reply);
+        this.waiting.delete(reply.responseTo);
+      }
+    });
+  }
+
+  static connect(server) {
+    return new Promise(resolve => {
+      const socket = net.connect(server.port, server.host, () => resolve(new WireClient(socket)));
+    });
+  }
+
+  send(message, requestId) {
+    return new Promise(resolve => {
+      this.waiting.set(requestId, resolve);
+      this.socket.write(message);
+    });
+  }
+
+  async handshake() {
+    const requestId = ++this.requestId;
+    const reply = await this.send(wire.encodeQuery('admin.$cmd', { $query: { isMaster: 1, client: { driver: { name: 'test' } } } }, { requestId }), requestId);
+    return reply.documents[0];
+  }
+
+  async command(dbName, command) {
+    const requestId = ++this.requestId;
+    const reply = await this.send(wire.encodeMsg({ ...command, $db: dbName }, { requestId }), requestId);
+    return reply.body;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+describe('BSON', () => {
+  test('should round-trip the supported types', () => {
+    const doc = {
+      _id: new ObjectId('64b7f0c2a1b2c3d4e5f60718'),
+      int: 42,
+      negative: -7,
+      double: 1.5,
+      big: 3000000000,
+      long: 9007199254740993n,
+      text: 'héllo',
+      flag: true,
+      nothing: null,
+      when: new Date('2024-01-02T03:04:05.678Z'),
+      pattern: /^a.c$/im,
+      bytes: Buffer.from([1, 2, 3]),
+      price: Decimal128.fromString('-12.340'),
+      ts: new Timestamp({ t: 1700000000, i: 7 }),
+      low: new MinKey(),
+      high: new MaxKey(),
+      nested: { list: [1, 'two', { three: 3 }, [4]] }
+    };
+    const decoded = bson.deserialize(bson.serialize(doc));
+
+    expect(decoded).toEqual(doc);
+    expect(decoded._id).toBeInstanceOf(ObjectId);
+    expect(typeof decoded.long).toBe('bigint');
+    expect(decoded.price.toString()).toBe('-12.340');
+    // Same bytes as the driver's Decimal128.fromString('1')
+    expect(Decimal128.fromString('1').bytes.toString('hex')).toBe('01000000000000000000000000004030');
+  });
+
+  test('should drop undefined fields and null undefined array items', () => {
+    expect(bson.deserialize(bson.serialize({ a: undefined, b: [undefined] }))).toEqual({ b: [null] });
+  });
+
+  test('should reject values and types it cannot represent', () => {
+    expect(() => bson.serialize({ f: () => {} })).toThrow('Cannot convert a Function to BSON');
+    expect(() => bson.serialize({ m: new Map() })).toThrow('Cannot convert a Map to BSON');
+    expect(() => bson.serialize([])).toThrow('serialize() expects a document');
+
+    const symbol = Buffer.from('000000000e6400020000007800' + '00', 'hex');
+    symbol.writeInt32LE(symbol.length, 0);
+    expect(() => bson.deserialize(symbol)).toThrow('BSON type Symbol is not supported');
+    expect(() => bson.deserialize(Buffer.from([5, 0, 0, 0]))).toThrow('truncated');
+  });
+});
+
+describe('Mock server', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startMockServer({ port: 0 });
+    client = await WireClient.connect(server);
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.close();
+    MockMongoClient.reset();
+  });
+
+  test('should answer the legacy handshake and hello', async () => {
+    const handshake = await client.handshake();
+    expect(handshake).toMatchObject({ ismaster: true, isWritablePrimary: true, maxWireVersion: 17, connectionId: 1, ok: 1 });
+
+    expect(await client.command('admin', { hello: 1 })).toMatchObject({ helloOk: true, ok: 1 });
+    expect(await client.command('admin', { ping: 1 })).toEqual({ ok: 1 });
+    expect(await client.command('admin', { buildInfo: 1 })).toMatchObject({ version: '6.0.0', versionArray: [6, 0, 0, 0] });
+  });
+
+  test('should insert, find and page through cursors', async () => {
+    const documents = Array.from({ length: 5 }, (_, i) => ({ _id: i, n: i }));
+    expect(await client.command('app', { insert: 'items', documents })).toEqual({ n: 5, ok: 1 });
+
+    const first = await client.command('app', { find: 'items', filter: { n: { $gte: 1 } }, sort: { n: -1 }, batchSize: 2 });
+    expect(first.cursor.firstBatch).toEqual([{ _id: 4, n: 4 }, { _id: 3, n: 3 }]);
+    expect(first.cursor.ns).toBe('app.items');
+    expect(first.cursor.id).not.toBe(0n);
+
+    const next = await client.command('app', { getMore: first.cursor.id, collection: 'items', batchSize: 1 });
+    expect(next.cursor.nextBatch).toEqual([{ _id: 2, n: 2 }]);
+    const last = await client.command('app', { getMore: first.cursor.id, collection: 'items' });
+    expect(last.cursor).toMatchObject({ id: 0n, nextBatch: [{ _id: 1, n: 1 }] });
+
+    expect(await client.command('app', { getMore: first.cursor.id, collection: 'items' }))
+      .toMatchObject({ ok: 0, code: 43, codeName: 'CursorNotFound' });
+
+    const limited = await client.command('app', { find: 'items', projection: { n: 0 }, skip: 1, limit: -2 });
+    expect(limited.cursor).toEqual({ id: 0n, ns: 'app.items', firstBatch: [{ _id: 1 }, { _id: 2 }] });
+  });
+
+  test('should kill cursors', async () => {
+    await client.command('app', { insert: 'items', documents: [{ n: 1 }, { n: 2 }] });
+    const { cursor } = await client.command('app', { find: 'items', batchSize: 1 });
+    expect(await client.command('app', { killCursors: 'items', cursors: [cursor.id, 99n] }))
+      .toMatchObject({ cursorsKilled: [cursor.id], cursorsNotFound: [99n], ok: 1 });
+  });
+
+  test('should report write errors of ordered and unordered inserts', async () => {
+    await client.command('app', { insert: 'items', documents: [{ _id: 1 }] });
+
+    const ordered = await client.command('app', { insert: 'items', documents: [{ _id: 2 }, { _id: 1 }, { _id: 3 }] });
+    expect(ordered).toMatchObject({ n: 1, ok: 1, writeErrors: [{ index: 1, code: 11000 }] });
+
+    const unordered = await client.command('app', { insert: 'items', ordered: false, documents: [{ _id: 1 }, { _id: 4 }] });
+    expect(unordered).toMatchObject({ n: 1, writeErrors: [{ index: 0, code: 11000 }] });
+  });
+
+  test('should run update and delete statements', async () => {
+    await client.command('app', { insert: 'items', documents: [{ _id: 1, n: 1 }, { _id: 2, n: 2 }, { _id: 3, n: 3 }] });
+
+    const updated = await client.command('app', {
+      update: 'items',
+      updates: [
+        { q: { n: { $gte: 2 } }, u: { $inc: { n: 10 } }, multi: true },
+        { q: { _id: 1 }, u: { n: 100 } },
+        { q: { _id: 9 }, u: { $set: { n: 9 } }, upsert: true },
+        { q: { _id: 1 }, u: { n: 0 }, multi: true }
+      ]
+    });
+    expect(updated).toMatchObject({
+      n: 4,
+      nModified: 3,
+      upserted: [{ index: 2, _id: 9 }],
+      writeErrors: [{ index: 3, code: 9 }],
+      ok: 1
+    });
+
+    const deleted = await client.command('app', { delete: 'items', deletes: [{ q: { n: { $gt: 10 } }, limit: 1 }, { q: {}, limit: 0 }] });
+    expect(deleted).toEqual({ n: 4, ok: 1 });
+  });
+
+  test('should aggregate and count', async () => {
+    await client.command('app', { insert: 'sales', documents: [{ item: 'a', qty: 2 }, { item: 'b', qty: 3 }, { item: 'a', qty: 5 }] });
+
+    const { cursor } = await client.command('app', {
+      aggregate: 'sales',
+      pipeline: [{ $group: { _id: '$item', total: { $sum: '$qty' } } }, { $sort: { _id: 1 } }],
+      cursor: {}
+    });
+    expect(cursor.firstBatch).toEqual([{ _id: 'a', total: 7 }, { _id: 'b', total: 3 }]);
+    expect(await client.command('app', { count: 'sales', query: { item: 'a' } })).toEqual({ n: 2, ok: 1 });
+    expect(await client.command('app', { count: 'missing' })).toEqual({ n: 0, ok: 1 });
+  });
+
+  test('should manage collections, indexes and databases', async () => {
+    expect(await client.command('app', { create: 'users', validator: { name: { $type: 'string' } } })).toEqual({ ok: 1 });
+    expect(await client.command('app', { create: 'users' })).toMatchObject({ ok: 0, code: 48, codeName: 'NamespaceExists' });
+    await client.command('app', { insert: 'logs', documents: [{}] });
+
+    const collections = await client.command('app', { listCollections: 1, filter: { name: 'users' } });
+    expect(collections.cursor.firstBatch).toEqual([expect.objectContaining({
+      name: 'users',
+      type: 'collection',
+      options: expect.objectContaining({ validator: { name: { $type: 'string' } } })
+    })]);
+    const names = await client.command('app', { listCollections: 1, nameOnly: true });
+    expect(names.cursor.firstBatch.map(entry => entry.name).sort()).toEqual(['logs', 'users']);
+
+    expect(await client.command('app', { createIndexes: 'users', indexes: [{ key: { email: 1 }, name: 'email_1', unique: true }] }))
+      .toEqual({ createdCollectionAutomatically: false, numIndexesBefore: 1, numIndexesAfter: 2, ok: 1 });
+    const indexes = await client.command('app', { listIndexes: 'users', cursor: {} });
+    expect(indexes.cursor.firstBatch.map(index => index.name)).toEqual(['_id_', 'email_1']);
+    expect(await client.command('app', { dropIndexes: 'users', index: 'email_1' })).toEqual({ nIndexesWas: 2, ok: 1 });
+    expect(await client.command('app', { listIndexes: 'nope' })).toMatchObject({ ok: 0, code: 26 });
+
+    expect(await client.command('app', { drop: 'logs' })).toEqual({ ns: 'app.logs', nIndexesWas: 1, ok: 1 });
+    expect(await client.command('app', { drop: 'logs' })).toMatchObject({ ok: 0, codeName: 'NamespaceNotFound' });
+
+    const { databases } = await client.command('admin', { listDatabases: 1, nameOnly: true });
+    expect(databases).toEqual([{ name: 'app' }]);
+    expect(await client.command('app', { dropDatabase: 1 })).toEqual({ dropped: 'app', ok: 1 });
+    expect((await client.command('admin', { listDatabases: 1 })).databases).toEqual([]);
+  });
+
+  test('should reject unknown commands', async () => {
+    expect(await client.command('app', { mapReduce: 'items' }))
+      .toEqual({ ok: 0, errmsg: "no such command: 'mapReduce'", code: 59, codeName: 'CommandNotFound' });
+  });
+
+  test('should share data with MockMongoClients for the same address', async () => {
+    await client.command('app', { insert: 'items', documents: [{ name: 'wire' }] });
+
+    const local = await MockMongoClient.connect(`${server.uri}/app`);
+    expect(await local.db().collection('items').findOne({})).toMatchObject({ name: 'wire' });
+    expect(server.client.db('app')).toBe(local.db());
+  });
+
+  test('should apply fail points, closing the connection on network errors', async () => {
+    const db = server.client.db('app');
+    db.failPoint({ method: 'insertMany', times: 1, error: 'NotWritablePrimary' });
+    expect(await client.command('app', { insert: 'items', documents: [{}] }))
+      .toMatchObject({ ok: 0, code: 10107, errorLabels: ['RetryableWriteError'] });
+
+    db.failPoint({ method: 'insertMany', times: 1, error: 'writeConcern' });
+    expect(await client.command('app', { insert: 'items', documents: [{}] }))
+      .toMatchObject({ n: 1, ok: 1, writeConcernError: { code: 91 }, errorLabels: ['RetryableWriteError'] });
+
+    db.failPoint({ method: 'find', error: 'network' });
+    const requestId = ++client.requestId;
+    client.socket.write(wire.encodeMsg({ find: 'items', $db: 'app' }, { requestId }));
+    await client.closed;
+  });
+
+  test('should close connections that send malformed messages', async () => {
+    client.socket.write(Buffer.from([8, 0, 0, 0, 0, 0, 0, 0]));
+    await client.closed;
+  });
+});
@@ -0,0 +1,154 @@
+const { MockDatabase } = require('../index');
+
+describe('Database snapshots', () => {
+  let db;
+  let users;
+  let fixture;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    users = await db.createCollection('users', { validator: { name: { $type: 'string' } } });
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insertMany([
+      { _id: 1, name: 'Alice', email: 'alice@example.com', profile: { tags: ['a'] } },
+      { _id: 2, name: 'Bob', email: 'bob@example.com' }
+    ]);
+    fixture = db.snapshot();
+  });
+
+  describe('restore', () => {
+    test('should bring back documents after inserts, updates and deletes', async () => {
+      await users.insertOne({ _id: 3, name: 'Carol', email: 'carol@example.com' });
+      await users.updateOne({ _id: 1 }, { $push: { 'profile.tags': 'b' }, $set: { name: 'Alicia' } });
+      await users.deleteOne({ _id: 2 });
+
+      db.restore(fixture);
+
+      expect(await users.find().toArray()).toEqual([
+        { _id: 1, name: 'Alice', email: 'alice@example.com', profile: { tags: ['a'] } },
+        { _id: 2, name: 'Bob', email: 'bob@example.com' }
+      ]);
+    });
+
+    test('should be reusable many times', async () => {
+      for (let round = 0; round < 3; round++) {
+        await users.insertOne({ _id: 10 + round, name: 'Temp', email: `t${round}@example.com` });
+        await users.deleteMany({ _id: 1 });
+        expect(users.count()).toBe(2);
+        db.restore(fixture);
+        expect(users.count()).toBe(2);
+        expect(await users.findOne({ _id: 1 })).not.toBeNull();
+      }
+    });
+
+    test('should restore indexes and validation options', async () => {
+      await users.dropIndexes();
+      await db.command({ collMod: 'users', validator: {}, validationLevel: 'off' });
+
+      db.restore(fixture);
+
+      expect((await users.indexes()).map(index => index.name)).toEqual(['_id_', 'email_1']);
+      await expect(users.insertOne({ name: 'Dup', email: 'alice@example.com' })).rejects.toMatchObject({ code: 11000 });
+      await expect(users.insertOne({ name: 42, email: 'x@example.com' })).rejects.toMatchObject({ code: 121 });
+    });
+
+    test('should drop collections created after the snapshot and bring back dropped ones', async () => {
+      await db.collection('logs').insertOne({ msg: 'hi' });
+      db.dropCollection('users');
+
+      db.restore(fixture);
+
+      expect(db.listCollections()).toEqual(['users']);
+      expect(db.collection('users')).toBe(users);
+      expect(users.count()).toBe(2);
+    });
+
+    test('should keep collection objects obtained before the restore', async () => {
+      const handle = db.collection('users');
+      await handle.deleteMany({});
+      db.restore(fixture);
+      expect(handle.count()).toBe(2);
+    });
+
+    test('should rewind deterministic ids', async () => {
+      const seeded = new MockDatabase({ deterministicIds: true });
+      await seeded.collection('items').insertOne({ n: 1 });
+      const snapshot = seeded.snapshot();
+
+      const first = (await seeded.collection('items').insertOne({ n: 2 })).insertedId;
+      seeded.restore(snapshot);
+      const second = (await seeded.collection('items').insertOne({ n: 2 })).insertedId;
+
+      expect(first.toHexString()).toBe('000000000000000000000002');
+      expect(second.equals(first)).toBe(true);
+    });
+
+    test('should reject anything but a snapshot handle', () => {
+      expect(() => db.restore({})).toThrow('restore() expects a handle returned by snapshot()');
+    });
+
+    test('should reject snapshots of another database', () => {
+      const other = new MockDatabase();
+      expect(() => other.restore(fixture)).toThrow('restore() expects a snapshot of this database');
+      expect(() => db.fork().restore(fixture)).toThrow('restore() expects a snapshot of this database');
+    });
+  });
+
+  describe('copy-on-write', () => {
+    test('should share documents until the next write', async () => {
+      const before = users.documents;
+      const snapshot = db.snapshot();
+      expect(users.documents).toBe(before);
+
+      await users.insertOne({ _id: 3, name: 'Carol', email: 'carol@example.com' });
+      expect(users.documents).not.toBe(before);
+      expect(before).toHaveLength(2);
+
+      db.restore(snapshot);
+      expect(users.documents).toBe(before);
+    });
+
+    test('should keep later snapshots independent', async () => {
+      await users.insertOne({ _id: 3, name: 'Carol', email: 'carol@example.com' });
+      const withCarol = db.snapshot();
+
+      db.restore(fixture);
+      expect(users.count()).toBe(2);
+      db.restore(withCarol);
+      expect(users.count()).toBe(3);
+    });
+  });
+
+  describe('fork', () => {
+    test('should create an independent copy', async () => {
+      const copy = db.fork();
+      const copiedUsers = copy.collection('users');
+
+      await copiedUsers.insertOne({ _id: 3, name: 'Carol', email: 'carol@example.com' });
+      await users.deleteOne({ _id: 1 });
+
+      expect(copiedUsers.count()).toBe(3);
+      expect(users.count()).toBe(1);
+      expect(copy).not.toBe(db);
+      expect(copiedUsers).not.toBe(users);
+    });
+
+    test('should copy indexes, options and the database name', async () => {
+      const named = new MockDatabase({ name: 'shop' });
+      await named.createCollection('orders', { validator: { total: { $gte: 0 } } });
+      const copy = named.fork();
+
+      expect(copy.databaseName).toBe('shop');
+      expect(await copy.collection('orders').options()).toEqual(await named.collection('orders').options());
+
+      const copiedUsers = db.fork().collection('users');
+      await expect(copiedUsers.insertOne({ name: 'Dup', email: 'bob@example.com' })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('should not share index changes with the original', async () => {
+      const copy = db.fork();
+      await copy.collection('users').createIndex({ name: 1 });
+      expect(await users.indexExists('name_1')).toBe(false);
+    });
+  });
+});
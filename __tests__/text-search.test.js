@@ -0,0 +1,264 @@
+const { MockDatabase, QueryBuilder, MongoServerError } = require('../index');
+
+describe('Text search', () => {
+  let db;
+  let articles;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    articles = db.collection('articles');
+    await articles.insertMany([
+      { _id: 1, subject: 'coffee', author: 'xyz', views: 50 },
+      { _id: 2, subject: 'Coffee Shopping', author: 'efg', views: 5 },
+      { _id: 3, subject: 'Baking a cake', author: 'abc', views: 90 },
+      { _id: 4, subject: 'baking', author: 'xyz', views: 100 },
+      { _id: 5, subject: 'Café Con Leche', author: 'abc', views: 200 },
+      { _id: 6, subject: 'Сырники', author: 'jkl', views: 80 },
+      { _id: 7, subject: 'coffee and cream', author: 'efg', views: 10 },
+      { _id: 8, subject: 'Cafe con Leche', author: 'xyz', views: 10 }
+    ]);
+  });
+
+  const ids = async (filter, options) => (await articles.find(filter, options).toArray()).map(doc => doc._id);
+
+  describe('text indexes', () => {
+    test('should list a text index like MongoDB', async () => {
+      expect(await articles.createIndex({ subject: 'text', author: 'text' }, { weights: { subject: 10 } })).toBe('subject_text_author_text');
+
+      expect((await articles.indexes())[1]).toEqual({
+        v: 2,
+        key: { _fts: 'text', _ftsx: 1 },
+        name: 'subject_text_author_text',
+        weights: { author: 1, subject: 10 },
+        default_language: 'english',
+        language_override: 'language',
+        textIndexVersion: 3
+      });
+    });
+
+    test('should allow only one text index per collection', async () => {
+      await articles.createIndex({ subject: 'text' });
+      expect(await articles.createIndex({ subject: 'text' })).toBe('subject_text');
+      await expect(articles.createIndex({ author: 'text' })).rejects.toMatchObject({ code: 85, codeName: 'IndexOptionsConflict' });
+    });
+
+    test('should reject invalid text index options', async () => {
+      await expect(articles.createIndex({ subject: 'text', views: 1 })).rejects.toMatchObject({ code: 67 });
+      await expect(articles.createIndex({ subject: 'text' }, { weights: { subject: 0 } })).rejects.toMatchObject({ code: 67 });
+      await expect(articles.createIndex({ subject: 'text' }, { default_language: 'klingon' }))
+        .rejects.toThrow('unsupported language: "klingon" for text index version 3');
+    });
+
+    test('should require a text index for $text queries', async () => {
+      await expect(articles.find({ $text: { $search: 'coffee' } }).toArray())
+        .rejects.toMatchObject({ code: 27, codeName: 'IndexNotFound', message: 'text index required for $text query' });
+    });
+
+    test('should require a text index even when no document is checked', async () => {
+      const empty = db.collection('empty');
+      await expect(empty.find({ $text: { $search: 'coffee' } }).toArray()).rejects.toMatchObject({ code: 27 });
+      await expect(empty.find({ $or: [{ $text: { $search: 'coffee' } }, { views: 1 }] }).toArray()).rejects.toMatchObject({ code: 27 });
+      await expect(empty.aggregate([{ $match: { $text: { $search: 'coffee' } } }]).toArray()).rejects.toMatchObject({ code: 27 });
+    });
+  });
+
+  describe('$text', () => {
+    beforeEach(async () => {
+      await articles.createIndex({ subject: 'text' });
+    });
+
+    test('should match any of the terms, stemmed and case-insensitively', async () => {
+      expect(await ids({ $text: { $search: 'coffee' } })).toEqual([1, 2, 7]);
+      expect(await ids({ $text: { $search: 'bake coffee cake' } })).toEqual([1, 2, 3, 4, 7]);
+      expect(await ids({ $text: { $search: 'shops' } })).toEqual([2]);
+      expect(await ids({ $text: { $search: 'сырники' } })).toEqual([6]);
+    });
+
+    test('should ignore diacritics unless asked not to', async () => {
+      expect(await ids({ $text: { $search: 'CAFÉ' } })).toEqual([5, 8]);
+      expect(await ids({ $text: { $search: 'CAFÉ', $diacriticSensitive: true } })).toEqual([5]);
+    });
+
+    test('should match case-sensitively when asked', async () => {
+      expect(await ids({ $text: { $search: 'Coffee', $caseSensitive: true } })).toEqual([2]);
+      expect(await ids({ $text: { $search: 'coffee', $caseSensitive: true } })).toEqual([1, 7]);
+    });
+
+    test('should search for phrases and exclude negated terms', async () => {
+      expect(await ids({ $text: { $search: '"coffee shop"' } })).toEqual([2]);
+      expect(await ids({ $text: { $search: 'coffee -shop' } })).toEqual([1, 7]);
+      expect(await ids({ $text: { $search: 'coffee -"and cream"' } })).toEqual([1, 2]);
+      expect(await ids({ $text: { $search: '"con leche" -café', $diacriticSensitive: true } })).toEqual([8]);
+    });
+
+    test('should not match stop words or negations alone', async () => {
+      expect(await ids({ $text: { $search: 'a and the' } })).toEqual([]);
+      expect(await ids({ $text: { $search: '-coffee' } })).toEqual([]);
+    });
+
+    test('should combine with other conditions', async () => {
+      expect(await ids({ $text: { $search: 'coffee cake' }, views: { $gte: 50 } })).toEqual([1, 3]);
+      expect(await ids({ $and: [{ author: 'efg' }, { $text: { $search: 'cream' } }] })).toEqual([7]);
+    });
+
+    test('should update and delete the documents it matches', async () => {
+      await articles.updateMany({ $text: { $search: 'leche' } }, { $set: { drink: true } });
+      expect(await ids({ drink: true })).toEqual([5, 8]);
+
+      await articles.deleteMany({ $text: { $search: 'bake' } });
+      expect(articles.count()).toBe(6);
+    });
+
+    test('should reject invalid $text expressions', async () => {
+      const run = filter => articles.find(filter).toArray();
+      await expect(run({ $text: { $search: 1 } })).rejects.toMatchObject({ code: 14 });
+      await expect(run({ $text: { $search: 'x', $caseSensitive: 'yes' } })).rejects.toMatchObject({ code: 14 });
+      await expect(run({ $text: { $search: 'x', $language: 'klingon' } })).rejects.toMatchObject({ code: 2 });
+      await expect(run({ $text: { $search: 'x', $fuzzy: true } })).rejects.toMatchObject({ code: 2 });
+      await expect(run({ $and: [{ $text: { $search: 'x' } }, { $text: { $search: 'y' } }] })).rejects.toThrow('Too many text expressions');
+      await expect(run({ $nor: [{ $text: { $search: 'x' } }] })).rejects.toBeInstanceOf(MongoServerError);
+    });
+
+    test('should be available to QueryBuilder with a text index', async () => {
+      const queryBuilder = new QueryBuilder(articles.documents, { textIndex: articles.indexManager.textIndex() });
+      const matched = queryBuilder.match({ $text: { $search: 'cake' } }).execute();
+      expect(matched.map(doc => doc._id)).toEqual([3]);
+      expect(queryBuilder.textScore(matched[0])).toBe(0.75);
+    });
+  });
+
+  describe('textScore', () => {
+    beforeEach(async () => {
+      await articles.createIndex({ subject: 'text' });
+    });
+
+    test('should project and sort by relevance', async () => {
+      const results = await articles.find(
+        { $text: { $search: 'coffee cake' } },
+        { projection: { _id: 0, subject: 1, score: { $meta: 'textScore' } }, sort: { score: { $meta: 'textScore' } } }
+      ).toArray();
+
+      expect(results).toEqual([
+        { subject: 'coffee', score: 1 },
+        { subject: 'Coffee Shopping', score: 0.75 },
+        { subject: 'Baking a cake', score: 0.75 },
+        { subject: 'coffee and cream', score: 0.75 }
+      ]);
+    });
+
+    test('should add the score to whole documents', async () => {
+      const doc = await articles.findOne({ $text: { $search: 'leche' } }, { projection: { score: { $meta: 'textScore' } } });
+      expect(doc).toEqual({ _id: 5, subject: 'Café Con Leche', author: 'abc', views: 200, score: 2 / 3 });
+    });
+
+    test('should count repeated terms for less and less', async () => {
+      await articles.insertMany([
+        { _id: 9, subject: 'tea' },
+        { _id: 10, subject: 'tea tea' },
+        { _id: 11, subject: 'tea tea tea tea' }
+      ]);
+      const scores = await articles.find({ $text: { $search: 'tea' } }, { projection: { score: { $meta: 'textScore' } } })
+        .map(doc => doc.score).toArray();
+      expect(scores).toEqual([1.1, 1.5, 1.875]);
+    });
+
+    test('should sort by score before other keys', async () => {
+      expect(await ids({ $text: { $search: 'coffee cake' } }, { sort: { score: { $meta: 'textScore' }, views: -1 } }))
+        .toEqual([1, 3, 7, 2]);
+    });
+
+    test('should require a $text query', async () => {
+      await expect(articles.find({}, { projection: { score: { $meta: 'textScore' } } }).toArray())
+        .rejects.toMatchObject({ code: 40218 });
+      await expect(articles.find({}).sort({ score: { $meta: 'textScore' } }).toArray()).rejects.toMatchObject({ code: 40218 });
+      expect(() => articles.find({}, { projection: { score: { $meta: 'searchScore' } } })).toThrow('Unsupported $meta');
+    });
+
+    test('should be returned by find-and-modify', async () => {
+      const doc = await articles.findOneAndUpdate(
+        { $text: { $search: 'coffee' } },
+        { $inc: { views: 1 } },
+        { sort: { score: { $meta: 'textScore' } }, projection: { views: 1, score: { $meta: 'textScore' } }, returnDocument: 'after' }
+      );
+      expect(doc).toEqual({ _id: 1, views: 51, score: 1 });
+    });
+  });
+
+  describe('weights and languages', () => {
+    test('should weight fields', async () => {
+      await articles.createIndex({ subject: 'text', author: 'text' }, { weights: { author: 3 } });
+      await articles.insertOne({ _id: 9, subject: 'notes', author: 'coffee' });
+
+      const results = await articles.find({ $text: { $search: 'coffee' } }, { projection: { score: { $meta: 'textScore' } } })
+        .sort({ score: { $meta: 'textScore' } }).toArray();
+      expect(results.map(doc => [doc._id, doc.score])).toEqual([[9, 3], [1, 1], [2, 0.75], [7, 0.75]]);
+    });
+
+    test('should index every string field with a wildcard', async () => {
+      const notes = db.collection('notes');
+      await notes.insertMany([
+        { _id: 1, title: 'Groceries', tags: ['milk', 'bread'], meta: { place: 'bakery' } },
+        { _id: 2, title: 'Bread recipes', body: 'flour water salt' }
+      ]);
+      await notes.createIndex({ '$**': 'text' }, { weights: { title: 2 } });
+
+      const results = await notes.find({ $text: { $search: 'bread' } }, { projection: { score: { $meta: 'textScore' } } }).toArray();
+      expect(results.map(doc => [doc._id, doc.score])).toEqual([[1, 1.1], [2, 1.5]]);
+      expect((await notes.find({ $text: { $search: 'bakeries' } }).toArray()).map(doc => doc._id)).toEqual([1]);
+    });
+
+    test('should not stem or drop stop words for language none', async () => {
+      const posts = db.collection('posts');
+      await posts.insertMany([
+        { _id: 1, text: 'running the show' },
+        { _id: 2, text: 'running the show', language: 'none' }
+      ]);
+      await posts.createIndex({ text: 'text' });
+
+      expect((await posts.find({ $text: { $search: 'run' } }).toArray()).map(doc => doc._id)).toEqual([1]);
+      expect((await posts.find({ $text: { $search: 'the', $language: 'none' } }).toArray()).map(doc => doc._id)).toEqual([2]);
+    });
+  });
+
+  describe('aggregation', () => {
+    beforeEach(async () => {
+      await articles.createIndex({ subject: 'text' });
+    });
+
+    test('should search in a leading $match and expose the score', async () => {
+      const results = await articles.aggregate([
+        { $match: { $text: { $search: 'coffee cake' } } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        { $sort: { score: { $meta: 'textScore' }, _id: 1 } },
+        { $project: { _id: 1, score: 1, boosted: { $multiply: [{ $meta: 'textScore' }, 2] } } }
+      ]).toArray();
+
+      expect(results).toEqual([
+        { _id: 1, score: 1, boosted: 2 },
+        { _id: 2, score: 0.75, boosted: 1.5 },
+        { _id: 3, score: 0.75, boosted: 1.5 },
+        { _id: 7, score: 0.75, boosted: 1.5 }
+      ]);
+    });
+
+    test('should group by score', async () => {
+      const [result] = await articles.aggregate([
+        { $match: { $text: { $search: 'coffee' } } },
+        { $group: { _id: null, total: { $sum: { $meta: 'textScore' } } } }
+      ]).toArray();
+      expect(result.total).toBe(2.5);
+    });
+
+    test('should only allow $text in the first stage', () => {
+      expect(() => articles.aggregate([{ $sort: { _id: 1 } }, { $match: { $text: { $search: 'coffee' } } }]))
+        .toThrow('$match with $text is only allowed as the first pipeline stage');
+    });
+  });
+
+  test('should report the text index in the recorded plan', async () => {
+    await articles.createIndex({ subject: 'text' });
+    const recorder = articles.startRecording();
+    await articles.find({ $text: { $search: 'coffee' } }).toArray();
+    expect(recorder.calls[0]).toMatchObject({ planSummary: 'IXSCAN { _fts: "text", _ftsx: 1 }', docsExamined: 3 });
+  });
+});
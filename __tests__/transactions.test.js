@@ -0,0 +1,246 @@
+const {
+  MockDatabase,
+  ClientSession,
+  MongoServerError,
+  MongoTransactionError,
+  MongoExpiredSessionError
+} = require('../index');
+
+describe('Sessions and transactions', () => {
+  let db;
+  let accounts;
+  let session;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    accounts = db.collection('accounts');
+    await accounts.insertMany([{ _id: 'a', balance: 100 }, { _id: 'b', balance: 0 }]);
+    session = db.startSession();
+  });
+
+  afterEach(async () => {
+    await session.endSession();
+  });
+
+  describe('isolation', () => {
+    test('should hide writes from others until commit', async () => {
+      expect(session).toBeInstanceOf(ClientSession);
+      session.startTransaction();
+      expect(session.inTransaction()).toBe(true);
+
+      await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -30 } }, { session });
+      await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 30 } }, { session });
+      await accounts.insertOne({ _id: 'c', balance: 5 }, { session });
+
+      // Inside the transaction the writes are visible...
+      expect(await accounts.findOne({ _id: 'a' }, { session })).toEqual({ _id: 'a', balance: 70 });
+      expect(await accounts.find({}, { session }).toArray()).toHaveLength(3);
+      // ...outside they are not
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 100 });
+      expect(accounts.count()).toBe(2);
+
+      await session.commitTransaction();
+      expect(session.inTransaction()).toBe(false);
+      expect(session.transaction.state).toBe('TRANSACTION_COMMITTED');
+      expect(await accounts.find().toArray()).toEqual([
+        { _id: 'a', balance: 70 },
+        { _id: 'b', balance: 30 },
+        { _id: 'c', balance: 5 }
+      ]);
+    });
+
+    test('should discard writes on abort', async () => {
+      session.startTransaction();
+      await accounts.deleteOne({ _id: 'a' }, { session });
+      await accounts.replaceOne({ _id: 'b' }, { balance: 1 }, { session });
+      await accounts.findOneAndUpdate({ _id: 'x' }, { $set: { balance: 9 } }, { upsert: true, session });
+      await accounts.bulkWrite([{ insertOne: { document: { _id: 'y' } } }], { session });
+
+      await session.abortTransaction();
+      expect(await accounts.find().toArray()).toEqual([{ _id: 'a', balance: 100 }, { _id: 'b', balance: 0 }]);
+    });
+
+    test('should read a snapshot taken when the transaction first touches the collection', async () => {
+      session.startTransaction();
+      expect(await accounts.findOne({ _id: 'a' }, { session })).toEqual({ _id: 'a', balance: 100 });
+
+      await accounts.updateOne({ _id: 'b' }, { $set: { balance: 50 } });
+      expect(await accounts.findOne({ _id: 'b' }, { session })).toEqual({ _id: 'b', balance: 0 });
+      await session.abortTransaction();
+    });
+
+    test('should see its own writes in aggregations and $lookup', async () => {
+      const owners = db.collection('owners');
+      session.startTransaction();
+      await owners.insertOne({ _id: 1, account: 'c' }, { session });
+      await accounts.insertOne({ _id: 'c', balance: 1 }, { session });
+
+      const [joined] = await owners.aggregate([
+        { $lookup: { from: 'accounts', localField: 'account', foreignField: '_id', as: 'accounts' } }
+      ], { session }).toArray();
+      expect(joined.accounts).toEqual([{ _id: 'c', balance: 1 }]);
+      expect(() => owners.aggregate([{ $out: 'copy' }], { session })).toThrow(expect.objectContaining({ code: 263 }));
+    });
+
+    test('should run operations without a transaction directly', async () => {
+      await accounts.updateOne({ _id: 'a' }, { $set: { balance: 1 } }, { session });
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 1 });
+    });
+
+    test('should report committed writes to change streams with the session id', async () => {
+      const stream = accounts.watch();
+      session.startTransaction();
+      await accounts.insertOne({ _id: 'c' }, { session });
+      expect(await stream.tryNext()).toBeNull();
+
+      await session.commitTransaction();
+      const event = await stream.next();
+      expect(event).toMatchObject({ operationType: 'insert', documentKey: { _id: 'c' }, txnNumber: 1, lsid: session.id });
+      await stream.close();
+    });
+  });
+
+  describe('write conflicts', () => {
+    let other;
+
+    beforeEach(() => {
+      other = db.startSession();
+    });
+
+    afterEach(async () => {
+      await other.endSession();
+    });
+
+    test('should raise WriteConflict when two transactions write the same document', async () => {
+      session.startTransaction();
+      other.startTransaction();
+      await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1 } }, { session });
+
+      const error = await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 2 } }, { session: other }).catch(e => e);
+      expect(error).toBeInstanceOf(MongoServerError);
+      expect(error.code).toBe(112);
+      expect(error.codeName).toBe('WriteConflict');
+      expect(error.hasErrorLabel('TransientTransactionError')).toBe(true);
+
+      // The conflicting transaction is aborted on the server
+      await expect(accounts.findOne({}, { session: other })).rejects.toMatchObject({ code: 251, codeName: 'NoSuchTransaction' });
+      await other.abortTransaction();
+
+      await session.commitTransaction();
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 101 });
+    });
+
+    test('should raise WriteConflict for documents changed since the snapshot', async () => {
+      session.startTransaction();
+      await accounts.findOne({}, { session });
+      await accounts.updateOne({ _id: 'a' }, { $set: { balance: 0 } });
+
+      await expect(accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1 } }, { session }))
+        .rejects.toMatchObject({ code: 112 });
+    });
+
+    test('should fail the commit when a write outside the transaction got there first', async () => {
+      session.startTransaction();
+      await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1 } }, { session });
+      await accounts.updateOne({ _id: 'a' }, { $set: { balance: 0 } });
+
+      const error = await session.commitTransaction().catch(e => e);
+      expect(error.code).toBe(112);
+      expect(error.hasErrorLabel('TransientTransactionError')).toBe(true);
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 0 });
+    });
+
+    test('should abort on any error and keep the collection unchanged', async () => {
+      session.startTransaction();
+      await accounts.insertOne({ _id: 'c' }, { session });
+      await expect(accounts.insertOne({ _id: 'a' }, { session })).rejects.toMatchObject({ code: 11000 });
+      await expect(session.commitTransaction()).rejects.toMatchObject({ code: 251 });
+      expect(accounts.count()).toBe(2);
+    });
+  });
+
+  describe('withTransaction', () => {
+    test('should commit and return the callback result', async () => {
+      const result = await session.withTransaction(async () => {
+        await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -10 } }, { session });
+        await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 10 } }, { session });
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(await accounts.find().toArray()).toEqual([{ _id: 'a', balance: 90 }, { _id: 'b', balance: 10 }]);
+    });
+
+    test('should abort and rethrow when the callback fails', async () => {
+      await expect(session.withTransaction(async () => {
+        await accounts.updateOne({ _id: 'a' }, { $set: { balance: 0 } }, { session });
+        throw new Error('insufficient funds');
+      })).rejects.toThrow('insufficient funds');
+
+      expect(session.transaction.state).toBe('TRANSACTION_ABORTED');
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 100 });
+    });
+
+    test('should retry the callback after a write conflict', async () => {
+      const other = db.startSession();
+      let attempts = 0;
+
+      await session.withTransaction(async () => {
+        attempts++;
+        if (attempts === 1) {
+          other.startTransaction();
+          await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1000 } }, { session: other });
+        } else {
+          await other.commitTransaction();
+        }
+        await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1 } }, { session });
+      });
+
+      expect(attempts).toBe(2);
+      expect(await accounts.findOne({ _id: 'a' })).toEqual({ _id: 'a', balance: 1101 });
+      await other.endSession();
+    });
+
+    test('should retry when the commit conflicts', async () => {
+      let attempts = 0;
+
+      await session.withTransaction(async () => {
+        attempts++;
+        await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 1 } }, { session });
+        if (attempts === 1) {
+          await accounts.updateOne({ _id: 'b' }, { $set: { balance: 10 } });
+        }
+      });
+
+      expect(attempts).toBe(2);
+      expect(await accounts.findOne({ _id: 'b' })).toEqual({ _id: 'b', balance: 11 });
+    });
+  });
+
+  describe('session state', () => {
+    test('should enforce the order of transaction calls', async () => {
+      await expect(session.commitTransaction()).rejects.toThrow(MongoTransactionError);
+      session.startTransaction();
+      expect(() => session.startTransaction()).toThrow('Transaction already in progress');
+      await session.abortTransaction();
+      await expect(session.abortTransaction()).rejects.toThrow('Cannot call abortTransaction twice');
+      await expect(session.commitTransaction()).rejects.toThrow('Cannot call commitTransaction after calling abortTransaction');
+
+      session.startTransaction();
+      await session.commitTransaction();
+      await session.commitTransaction();
+      await expect(session.abortTransaction()).rejects.toThrow('Cannot call abortTransaction after calling commitTransaction');
+    });
+
+    test('should abort on endSession and refuse to be used afterwards', async () => {
+      session.startTransaction();
+      await accounts.insertOne({ _id: 'c' }, { session });
+      await session.endSession();
+
+      expect(session.hasEnded).toBe(true);
+      expect(accounts.count()).toBe(2);
+      await expect(accounts.insertOne({ _id: 'd' }, { session })).rejects.toThrow(MongoExpiredSessionError);
+      expect(() => session.startTransaction()).toThrow(MongoExpiredSessionError);
+    });
+  });
+});
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockDatabase, MockMongoClient, Clock } = require('../index');
+
+const START = new Date('2024-01-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+const ids = async (collection, options) => (await collection.find({}, options).toArray()).map(doc => doc._id);
+
+describe('Clock', () => {
+  test('should stay frozen at its start time until moved', () => {
+    const clock = new Clock(START);
+
+    expect(clock.isFrozen).toBe(true);
+    expect(clock.now()).toEqual(START);
+    expect(clock.advance(MINUTE)).toEqual(new Date('2024-01-01T00:01:00Z'));
+    expect(clock.set(START.getTime())).toEqual(START);
+  });
+
+  test('should follow the system clock, plus what it was advanced by', () => {
+    const clock = new Clock();
+    const before = Date.now();
+    clock.advance(MINUTE);
+
+    expect(clock.isFrozen).toBe(false);
+    expect(clock.now().getTime()).toBeGreaterThanOrEqual(before + MINUTE);
+    expect(clock.now().getTime()).toBeLessThan(Date.now() + 2 * MINUTE);
+  });
+
+  test('should tell listeners when it moves', () => {
+    const clock = new Clock(START);
+    const ticks = [];
+    const stop = clock.onTick(now => ticks.push(now));
+
+    clock.advance(1000);
+    stop();
+    clock.advance(1000);
+
+    expect(ticks).toEqual([new Date('2024-01-01T00:00:01Z')]);
+  });
+
+  test('should reject invalid times', () => {
+    expect(() => new Clock('tomorrow')).toThrow('A clock time must be a valid Date or a number of milliseconds');
+    expect(() => new Clock(new Date('invalid'))).toThrow('A clock time must be a valid Date');
+    expect(() => new Clock(START).advance(-1)).toThrow('advance() expects a non-negative number of milliseconds');
+  });
+
+  test('should drive $currentDate, $$NOW, ObjectId timestamps and change events', async () => {
+    const db = new MockDatabase({ clock: START });
+    const users = db.collection('users');
+    const stream = users.watch();
+
+    const { insertedId } = await users.insertOne({ name: 'Ada' });
+    db.clock.advance(MINUTE);
+    await users.updateOne({ _id: insertedId }, { $currentDate: { seenAt: true } });
+
+    expect(insertedId.getTimestamp()).toEqual(START);
+    expect((await users.findOne()).seenAt).toEqual(new Date('2024-01-01T00:01:00Z'));
+    expect(await users.aggregate([{ $project: { _id: 0, now: '$$NOW' } }]).toArray())
+      .toEqual([{ now: new Date('2024-01-01T00:01:00Z') }]);
+    expect(await users.find({ $expr: { $lt: ['$seenAt', '$$NOW'] } }).toArray()).toEqual([]);
+    expect((await stream.next()).wallTime).toEqual(START);
+  });
+
+  test('should share one clock between the databases of a client', async () => {
+    const client = new MockMongoClient('mongodb://clock-test', { clock: START });
+    await client.connect();
+
+    expect(client.db('a').clock).toBe(client.db('b').clock);
+    expect(client.db('a').clock.now()).toEqual(START);
+    await client.close();
+  });
+
+  describe('with Jest fake timers', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: START });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should move with the fake system time', async () => {
+      const db = new MockDatabase();
+      const sessions = db.collection('sessions');
+      await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 });
+      await sessions.insertOne({ createdAt: new Date() });
+
+      jest.advanceTimersByTime(MINUTE - 1);
+      expect(db.clock.now()).toEqual(new Date('2024-01-01T00:00:59.999Z'));
+      expect((await ids(sessions)).length).toBe(1);
+
+      jest.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+      expect((await ids(sessions)).length).toBe(0);
+    });
+  });
+});
+
+describe('TTL indexes', () => {
+  let db;
+  let sessions;
+
+  beforeEach(async () => {
+    db = new MockDatabase({ clock: START });
+    sessions = db.collection('sessions');
+  });
+
+  test('should list expireAfterSeconds on the index', async () => {
+    expect(await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 })).toBe('createdAt_1');
+
+    expect((await sessions.indexes())[1]).toEqual({ v: 2, key: { createdAt: 1 }, name: 'createdAt_1', expireAfterSeconds: 3600 });
+  });
+
+  test('should remove documents once expireAfterSeconds has passed', async () => {
+    await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+    await sessions.insertMany([
+      { _id: 1, createdAt: START },
+      { _id: 2, createdAt: new Date('2024-01-01T00:30:00Z') },
+      { _id: 3, createdAt: 'not a date' },
+      { _id: 4 }
+    ]);
+
+    db.clock.advance(60 * MINUTE);
+    expect(await ids(sessions)).toEqual([2, 3, 4]);
+
+    db.clock.advance(30 * MINUTE);
+    expect(await ids(sessions)).toEqual([3, 4]);
+  });
+
+  test('should expire documents at a given time with expireAfterSeconds: 0', async () => {
+    await sessions.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await sessions.insertMany([
+      { _id: 1, expireAt: new Date('2024-01-01T00:05:00Z') },
+      { _id: 2, expireAt: [new Date('2024-01-02T00:00:00Z'), new Date('2024-01-01T00:10:00Z')] }
+    ]);
+
+    db.clock.set(new Date('2024-01-01T00:05:00Z'));
+    expect(await ids(sessions)).toEqual([2]);
+
+    db.clock.set(new Date('2024-01-01T00:10:00Z'));
+    expect(await ids(sessions)).toEqual([]);
+  });
+
+  test('should only expire documents matching a partial filter', async () => {
+    await sessions.createIndex({ createdAt: 1 }, {
+      expireAfterSeconds: 60,
+      partialFilterExpression: { persistent: { $ne: true } }
+    });
+    await sessions.insertMany([{ _id: 1, createdAt: START }, { _id: 2, createdAt: START, persistent: true }]);
+
+    db.clock.advance(MINUTE);
+    expect(await ids(sessions)).toEqual([2]);
+  });
+
+  test('should report removals as delete events', async () => {
+    await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 });
+    await sessions.insertOne({ _id: 1, createdAt: START });
+    const stream = sessions.watch();
+
+    db.clock.advance(MINUTE);
+
+    expect(await stream.next()).toMatchObject({ operationType: 'delete', documentKey: { _id: 1 } });
+  });
+
+  test('should expire documents on demand with db.expireDocuments()', async () => {
+    jest.useFakeTimers({ now: START });
+    try {
+      const live = new MockDatabase();
+      const cache = live.collection('cache');
+      await cache.createIndex({ at: 1 }, { expireAfterSeconds: 1 });
+      await cache.insertMany([{ at: new Date() }, { at: new Date() }]);
+
+      jest.advanceTimersByTime(1000);
+      expect(live.expireDocuments()).toBe(2);
+      expect(cache.count()).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should change expireAfterSeconds with collMod', async () => {
+    await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+    await sessions.insertOne({ _id: 1, createdAt: START });
+
+    const reply = await db.command({ collMod: 'sessions', index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: 60 } });
+    expect(reply).toEqual({ expireAfterSeconds_old: 3600, expireAfterSeconds_new: 60, ok: 1 });
+
+    db.clock.advance(MINUTE);
+    expect((await ids(sessions)).length).toBe(0);
+
+    await sessions.createIndex({ name: 1 });
+    await expect(db.command({ collMod: 'sessions', index: { name: 'name_1', expireAfterSeconds: 60 } }))
+      .rejects.toMatchObject({ code: 72, message: 'no expireAfterSeconds field to update' });
+    await expect(db.command({ collMod: 'sessions', index: { name: 'missing', expireAfterSeconds: 60 } }))
+      .rejects.toMatchObject({ code: 27 });
+  });
+
+  test('should reject invalid TTL indexes', async () => {
+    await expect(sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 'soon' }))
+      .rejects.toMatchObject({ code: 67 });
+    await expect(sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: -1 }))
+      .rejects.toMatchObject({ code: 67 });
+    await expect(sessions.createIndex({ _id: 1 }, { expireAfterSeconds: 60 }))
+      .rejects.toMatchObject({ code: 197 });
+    await expect(sessions.createIndex({ a: 1, b: 1 }, { expireAfterSeconds: 60 }))
+      .rejects.toThrow('TTL indexes are single-field indexes, compound indexes do not support TTL');
+  });
+
+  test('should be kept in snapshots', async () => {
+    await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 });
+    const snapshot = db.snapshot();
+    await db.command({ collMod: 'sessions', index: { name: 'createdAt_1', expireAfterSeconds: 3600 } });
+
+    db.restore(snapshot);
+    await sessions.insertOne({ createdAt: START });
+    db.clock.advance(MINUTE);
+    expect((await ids(sessions)).length).toBe(0);
+  });
+
+  test('should stop expiring on clock moves once a fork is closed', async () => {
+    await sessions.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 });
+    await sessions.insertOne({ _id: 1, createdAt: START });
+    const open = db.fork();
+    const closed = db.fork();
+    closed.close();
+
+    db.clock.advance(MINUTE);
+    expect(open.collection('sessions').documents).toHaveLength(0);
+    expect(closed.collection('sessions').documents).toHaveLength(1);
+    expect(await ids(closed.collection('sessions'))).toEqual([]);
+  });
+});
+
+describe('Capped collections', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MockDatabase();
+  });
+
+  test('should report capped options', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 5000, max: 10 });
+
+    expect(await log.isCapped()).toBe(true);
+    expect(await log.options()).toEqual({ capped: true, size: 5120, max: 10 });
+    expect(await db.collection('other').isCapped()).toBe(false);
+    expect((await db.createCollection('tiny', { capped: true, size: 1 })).capped).toEqual({ size: 4096, max: 0 });
+  });
+
+  test('should require a size', async () => {
+    await expect(db.createCollection('log', { capped: true, max: 10 }))
+      .rejects.toMatchObject({ code: 72, message: "the 'size' field is required when 'capped' is true" });
+    await expect(db.createCollection('log', { capped: true, size: 'big' })).rejects.toMatchObject({ code: 2 });
+    expect(db.collections.log).toBeUndefined();
+  });
+
+  test('should remove the oldest documents beyond max', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 100000, max: 3 });
+    const stream = log.watch();
+    for (let i = 1; i <= 5; i++) {
+      await log.insertOne({ _id: i });
+    }
+
+    expect(await ids(log)).toEqual([3, 4, 5]);
+    expect(await ids(log, { sort: { $natural: -1 } })).toEqual([5, 4, 3]);
+
+    // Evictions are not reported
+    const events = [];
+    for (let i = 0; i < 5; i++) {
+      events.push((await stream.next()).operationType);
+    }
+    expect(events).toEqual(['insert', 'insert', 'insert', 'insert', 'insert']);
+    expect(await stream.tryNext()).toBeNull();
+  });
+
+  test('should remove the oldest documents beyond size', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 4096 });
+    const payload = 'x'.repeat(900);
+    for (let i = 1; i <= 5; i++) {
+      await log.insertOne({ _id: i, payload });
+    }
+
+    expect(await ids(log)).toEqual([2, 3, 4, 5]);
+    await expect(log.insertOne({ payload: 'x'.repeat(5000) }))
+      .rejects.toMatchObject({ code: 2, message: expect.stringContaining('object to insert exceeds cappedMaxSize') });
+    expect((await ids(log)).length).toBe(4);
+  });
+
+  test('should not let updates change the size of a document', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 4096 });
+    await log.insertOne({ _id: 1, level: 'info' });
+
+    await log.updateOne({ _id: 1 }, { $set: { level: 'warn' } });
+    await expect(log.updateOne({ _id: 1 }, { $set: { level: 'error' } }))
+      .rejects.toMatchObject({ code: 10003 });
+    expect(await log.findOne()).toEqual({ _id: 1, level: 'warn' });
+  });
+
+  test('should not accept TTL indexes', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 4096 });
+
+    await expect(log.createIndex({ at: 1 }, { expireAfterSeconds: 60 }))
+      .rejects.toThrow('Cannot create TTL index on a capped collection');
+  });
+
+  test('should not be written to in a transaction', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 4096 });
+    const session = db.startSession();
+    session.startTransaction();
+
+    await expect(log.insertOne({ _id: 1 }, { session }))
+      .rejects.toMatchObject({ code: 263, codeName: 'OperationNotSupportedInTransaction' });
+    await session.abortTransaction();
+    expect((await ids(log)).length).toBe(0);
+  });
+
+  test('should keep capped options in snapshots and forks', async () => {
+    const log = await db.createCollection('log', { capped: true, size: 4096, max: 2 });
+    const snapshot = db.snapshot();
+    const copy = db.fork();
+
+    await copy.collection('log').insertMany([{ _id: 1 }, { _id: 2 }, { _id: 3 }]);
+    expect(await ids(copy.collection('log'))).toEqual([2, 3]);
+
+    db.restore(snapshot);
+    expect(await log.options()).toEqual({ capped: true, size: 4096, max: 2 });
+  });
+
+  test('should keep capped options and evictions in a persistent database', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-db-capped-'));
+    const file = path.join(dir, 'db.log');
+    try {
+      const first = new MockDatabase({ persist: { path: file } });
+      const log = await first.createCollection('log', { capped: true, size: 4096, max: 2 });
+      await log.insertMany([{ _id: 1 }, { _id: 2 }, { _id: 3 }]);
+      first.close();
+
+      const second = new MockDatabase({ persist: { path: file } });
+      expect(await second.collection('log').options()).toEqual({ capped: true, size: 4096, max: 2 });
+      expect(await ids(second.collection('log'))).toEqual([2, 3]);
+      second.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
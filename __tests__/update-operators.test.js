@@ -0,0 +1,277 @@
+const { MockDatabase, MongoServerError, Timestamp } = require('../index');
+
+describe('Update Operators', () => {
+  let db;
+  let items;
+
+  beforeEach(async () => {
+    db = new MockDatabase();
+    items = db.collection('items');
+    await items.insertOne({
+      _id: 1,
+      name: 'Widget',
+      qty: 5,
+      price: 10,
+      stats: { views: 1 },
+      tags: ['a', 'b'],
+      grades: [80, 85, 90],
+      students: [
+        { name: 'Ann', score: 7 },
+        { name: 'Ben', score: 9 }
+      ]
+    });
+  });
+
+  const get = () => items.findOne({ _id: 1 });
+
+  describe('field operators', () => {
+    test('should $set nested paths, creating intermediate documents', async () => {
+      await items.updateOne({ _id: 1 }, { $set: { 'stats.views': 2, 'meta.color.primary': 'red' } });
+      const doc = await get();
+      expect(doc.stats).toEqual({ views: 2 });
+      expect(doc.meta).toEqual({ color: { primary: 'red' } });
+    });
+
+    test('should $unset nested paths', async () => {
+      await items.updateOne({ _id: 1 }, { $unset: { 'stats.views': '' } });
+      expect((await get()).stats).toEqual({});
+    });
+
+    test('should $inc and $mul numeric fields', async () => {
+      await items.updateOne({ _id: 1 }, { $inc: { qty: -2, 'stats.clicks': 3 }, $mul: { price: 1.5, discount: 2 } });
+      const doc = await get();
+      expect(doc.qty).toBe(3);
+      expect(doc.stats.clicks).toBe(3);
+      expect(doc.price).toBe(15);
+      expect(doc.discount).toBe(0);
+    });
+
+    test('should reject $inc on non-numeric fields', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $inc: { name: 1 } })).rejects.toThrow(/non-numeric/);
+    });
+
+    test('should apply $min and $max', async () => {
+      await items.updateOne({ _id: 1 }, { $min: { qty: 3, price: 20 }, $max: { 'stats.views': 10, low: 1 } });
+      const doc = await get();
+      expect(doc.qty).toBe(3);
+      expect(doc.price).toBe(10);
+      expect(doc.stats.views).toBe(10);
+      expect(doc.low).toBe(1);
+    });
+
+    test('should $inc and $mul bigint (int64) values with the server result types', async () => {
+      await items.updateOne({ _id: 1 }, { $set: { long: 10n, double: 1.5 } });
+      await items.updateOne({ _id: 1 }, { $inc: { long: 5n, qty: 1n, views: 2n }, $mul: { double: 2n, price: 3n, total: 4n } });
+      expect(await get()).toMatchObject({ long: 15n, qty: 6n, views: 2n, double: 3, price: 30n, total: 0n });
+
+      await items.updateOne({ _id: 1 }, { $inc: { long: 0.5 }, $mul: { qty: 2 } });
+      expect(await get()).toMatchObject({ long: 15.5, qty: 12n });
+
+      await items.updateOne({ _id: 1 }, { $set: { long: 2n ** 63n - 1n } });
+      await expect(items.updateOne({ _id: 1 }, { $inc: { long: 1n } })).rejects.toMatchObject({ code: 2, codeName: 'BadValue' });
+      expect((await get()).long).toBe(2n ** 63n - 1n);
+    });
+
+    test('should $rename fields', async () => {
+      await items.updateOne({ _id: 1 }, { $rename: { name: 'title', 'stats.views': 'stats.hits' } });
+      const doc = await get();
+      expect(doc.name).toBeUndefined();
+      expect(doc.title).toBe('Widget');
+      expect(doc.stats).toEqual({ hits: 1 });
+    });
+
+    test('should set $currentDate', async () => {
+      await items.updateOne({ _id: 1 }, { $currentDate: { updatedAt: true, 'audit.at': { $type: 'date' } } });
+      const doc = await get();
+      expect(doc.updatedAt).toBeInstanceOf(Date);
+      expect(doc.audit.at).toBeInstanceOf(Date);
+    });
+
+    test('should set a Timestamp with $currentDate { $type: \'timestamp\' }', async () => {
+      await items.updateOne({ _id: 1 }, { $currentDate: { first: { $type: 'timestamp' } } });
+      await items.updateOne({ _id: 1 }, { $currentDate: { second: { $type: 'timestamp' } } });
+      const { first, second } = await get();
+      expect(first).toBeInstanceOf(Timestamp);
+      expect(Math.abs(first.t - Date.now() / 1000)).toBeLessThan(5);
+      expect(second.t > first.t || (second.t === first.t && second.i > first.i)).toBe(true);
+      expect(await items.find({ first: { $type: 'timestamp' } }).toArray()).toHaveLength(1);
+    });
+
+    test('should only apply $setOnInsert when upserting', async () => {
+      await items.updateOne({ _id: 1 }, { $set: { qty: 6 }, $setOnInsert: { createdBy: 'x' } });
+      expect((await get()).createdBy).toBeUndefined();
+
+      await items.updateOne({ _id: 2 }, { $set: { qty: 1 }, $setOnInsert: { createdBy: 'x' } }, { upsert: true });
+      expect(await items.findOne({ _id: 2 })).toEqual({ _id: 2, qty: 1, createdBy: 'x' });
+    });
+  });
+
+  describe('array operators', () => {
+    test('should $push single values and create missing arrays', async () => {
+      await items.updateOne({ _id: 1 }, { $push: { tags: 'c', history: { v: 1 } } });
+      const doc = await get();
+      expect(doc.tags).toEqual(['a', 'b', 'c']);
+      expect(doc.history).toEqual([{ v: 1 }]);
+    });
+
+    test('should $push with $each, $position, $sort and $slice', async () => {
+      await items.updateOne({ _id: 1 }, { $push: { tags: { $each: ['x', 'y'], $position: 0 } } });
+      expect((await get()).tags).toEqual(['x', 'y', 'a', 'b']);
+
+      await items.updateOne({ _id: 1 }, { $push: { grades: { $each: [70, 95], $sort: -1, $slice: 3 } } });
+      expect((await get()).grades).toEqual([95, 90, 85]);
+
+      await items.updateOne({ _id: 1 }, { $push: { students: { $each: [{ name: 'Cy', score: 8 }], $sort: { score: 1 }, $slice: -2 } } });
+      expect((await get()).students.map(s => s.name)).toEqual(['Cy', 'Ben']);
+    });
+
+    test('should reject $push on non-array fields', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $push: { name: 'x' } })).rejects.toThrow(/must be an array/);
+    });
+
+    test('should $pull by value, operator condition and embedded query', async () => {
+      await items.updateOne({ _id: 1 }, { $pull: { tags: 'a', grades: { $gte: 90 }, students: { score: { $lt: 8 } } } });
+      const doc = await get();
+      expect(doc.tags).toEqual(['b']);
+      expect(doc.grades).toEqual([80, 85]);
+      expect(doc.students).toEqual([{ name: 'Ben', score: 9 }]);
+    });
+
+    test('should $pullAll listed values', async () => {
+      await items.updateOne({ _id: 1 }, { $pullAll: { grades: [80, 90] } });
+      expect((await get()).grades).toEqual([85]);
+    });
+
+    test('should $addToSet only missing values', async () => {
+      await items.updateOne({ _id: 1 }, { $addToSet: { tags: { $each: ['b', 'c', 'c'] }, students: { name: 'Ann', score: 7 } } });
+      const doc = await get();
+      expect(doc.tags).toEqual(['a', 'b', 'c']);
+      expect(doc.students).toHaveLength(2);
+    });
+
+    test('should $pop first and last elements', async () => {
+      await items.updateOne({ _id: 1 }, { $pop: { grades: -1, tags: 1 } });
+      const doc = await get();
+      expect(doc.grades).toEqual([85, 90]);
+      expect(doc.tags).toEqual(['a']);
+    });
+
+    test('should reject $pop arguments other than 1 and -1', async () => {
+      for (const direction of [0, 2, '1', true, null]) {
+        await expect(items.updateOne({ _id: 1 }, { $pop: { grades: direction } })).rejects.toMatchObject({
+          code: 9,
+          codeName: 'FailedToParse'
+        });
+      }
+      await expect(items.updateOne({ _id: 2 }, { $pop: { grades: 2 } })).rejects.toThrow('$pop expects 1 or -1, found: 2');
+      expect((await get()).grades).toEqual([80, 85, 90]);
+
+      await items.updateOne({ _id: 1 }, { $pop: { grades: -1n } });
+      expect((await get()).grades).toEqual([85, 90]);
+    });
+  });
+
+  describe('positional updates', () => {
+    test('should update the element matched by the query with $', async () => {
+      await items.updateOne({ _id: 1, grades: 85 }, { $set: { 'grades.$': 86 } });
+      expect((await get()).grades).toEqual([80, 86, 90]);
+
+      await items.updateOne({ _id: 1, 'students.name': 'Ben' }, { $inc: { 'students.$.score': 1 } });
+      expect((await get()).students[1].score).toBe(10);
+    });
+
+    test('should use $elemMatch conditions for $', async () => {
+      await items.updateOne(
+        { students: { $elemMatch: { name: 'Ann', score: 7 } } },
+        { $set: { 'students.$.passed': true } }
+      );
+      expect((await get()).students[0]).toEqual({ name: 'Ann', score: 7, passed: true });
+    });
+
+    test('should fail when $ has no matching array condition', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $set: { 'grades.$': 1 } })).rejects.toThrow(/positional operator/);
+    });
+
+    test('should update every element with $[]', async () => {
+      await items.updateOne({ _id: 1 }, { $inc: { 'grades.$[]': 1, 'students.$[].score': 10 } });
+      const doc = await get();
+      expect(doc.grades).toEqual([81, 86, 91]);
+      expect(doc.students.map(s => s.score)).toEqual([17, 19]);
+    });
+
+    test('should update filtered elements with $[<id>] and arrayFilters', async () => {
+      await items.updateOne(
+        { _id: 1 },
+        { $set: { 'grades.$[high]': 100, 'students.$[s].honors': true } },
+        { arrayFilters: [{ high: { $gte: 85 } }, { 's.score': { $gt: 8 } }] }
+      );
+      const doc = await get();
+      expect(doc.grades).toEqual([80, 100, 100]);
+      expect(doc.students).toEqual([{ name: 'Ann', score: 7 }, { name: 'Ben', score: 9, honors: true }]);
+    });
+
+    test('should require an array filter for every identifier', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $set: { 'grades.$[x]': 1 } })).rejects.toThrow(/No array filter/);
+    });
+  });
+
+  describe('validation and results', () => {
+    test('should reject unknown operators', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $frobnicate: { qty: 1 } })).rejects.toThrow(/Unknown modifier/);
+    });
+
+    test('should reject updates without operators', async () => {
+      await expect(items.updateOne({ _id: 1 }, { qty: 1 })).rejects.toThrow(/atomic operators/);
+    });
+
+    test('should reject conflicting paths', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $set: { stats: {} }, $inc: { 'stats.views': 1 } })).rejects.toThrow(/conflict/);
+    });
+
+    test('should reject changes to _id', async () => {
+      await expect(items.updateOne({ _id: 1 }, { $set: { _id: 2 } })).rejects.toThrow(/immutable/);
+    });
+
+    test('should reject invalid updates with the server error codes', async () => {
+      const rejects = update => expect(items.updateOne({ _id: 1 }, update)).rejects;
+      await rejects({ $set: { stats: {} }, $inc: { 'stats.views': 1 } }).toMatchObject({ code: 40, codeName: 'ConflictingUpdateOperators' });
+      await rejects({ $set: { _id: 2 } }).toMatchObject({ code: 66, codeName: 'ImmutableField' });
+      await rejects({ $inc: { name: 1 } }).toMatchObject({ code: 14, codeName: 'TypeMismatch' });
+      await rejects({ $inc: { qty: 'one' } }).toMatchObject({ code: 14, codeName: 'TypeMismatch' });
+      await rejects({ $frobnicate: { qty: 1 } }).toMatchObject({ code: 9, codeName: 'FailedToParse' });
+      await rejects({ qty: 1 }).toMatchObject({ code: 9, codeName: 'FailedToParse' });
+      await rejects({}).toMatchObject({ code: 9, codeName: 'FailedToParse' });
+      await rejects('qty').toMatchObject({ code: 9, codeName: 'FailedToParse' });
+      await expect(items.findOneAndUpdate({ _id: 1 }, { qty: 1 })).rejects.toMatchObject({ code: 9, codeName: 'FailedToParse' });
+      await rejects({ $push: { name: 'x' } }).toBeInstanceOf(MongoServerError);
+    });
+
+    test('should only count documents whose contents changed', async () => {
+      const unchanged = await items.updateOne({ _id: 1 }, { $set: { qty: 5 }, $addToSet: { tags: 'a' } });
+      expect(unchanged.matchedCount).toBe(1);
+      expect(unchanged.modifiedCount).toBe(0);
+
+      const changed = await items.updateOne({ _id: 1 }, { $set: { qty: 6 } });
+      expect(changed.modifiedCount).toBe(1);
+    });
+
+    test('should build upserted documents from the filter equality fields', async () => {
+      const result = await items.updateOne(
+        { sku: 'X-1', 'dims.unit': 'cm', price: { $gt: 5 }, $and: [{ color: { $eq: 'red' } }] },
+        { $inc: { qty: 2 }, $push: { tags: 'new' } },
+        { upsert: true }
+      );
+      expect(result.upsertedCount).toBe(1);
+
+      const doc = await items.findOne({ _id: result.upsertedId });
+      expect(doc).toEqual({
+        _id: result.upsertedId,
+        sku: 'X-1',
+        dims: { unit: 'cm' },
+        color: 'red',
+        qty: 2,
+        tags: ['new']
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const { MockDatabase, MongoServerError, MongoBulkWriteError } = require('../index');
+
+const userSchema = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['name', 'email'],
+    additionalProperties: false,
+    properties: {
+      _id: { bsonType: 'objectId' },
+      name: { bsonType: 'string', minLength: 1 },
+      email: { bsonType: 'string', pattern: '^[^@]+@[^@]+$' },
+      age: { bsonType: ['int', 'double'], minimum: 0, maximum: 150 },
+      role: { enum: ['admin', 'member'] },
+      tags: { bsonType: 'array', items: { bsonType: 'string' }, uniqueItems: true, maxItems: 3 }
+    }
+  }
+};
+
+describe('Schema validation', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MockDatabase();
+  });
+
+  describe('createCollection', () => {
+    test('should create a collection and refuse to create it twice', async () => {
+      const users = await db.createCollection('users');
+      expect(db.collection('users')).toBe(users);
+      await expect(db.createCollection('users')).rejects.toMatchObject({ code: 48, codeName: 'NamespaceExists' });
+    });
+
+    test('should report its validation options', async () => {
+      const users = await db.createCollection('users', { validator: userSchema, validationLevel: 'moderate' });
+      expect(await users.options()).toEqual({ validator: userSchema, validationLevel: 'moderate', validationAction: 'error' });
+      expect(await db.collection('plain').options()).toEqual({});
+    });
+
+    test('should reject invalid options and schemas', async () => {
+      await expect(db.createCollection('a', { validationLevel: 'sometimes' })).rejects.toMatchObject({ code: 2 });
+      await expect(db.createCollection('b', { validator: { $jsonSchema: { bsonType: 'object', format: 'email' } } }))
+        .rejects.toThrow('Unknown $jsonSchema keyword: format');
+    });
+  });
+
+  describe('$jsonSchema validators', () => {
+    let users;
+
+    beforeEach(async () => {
+      users = await db.createCollection('users', { validator: userSchema });
+    });
+
+    test('should accept valid documents', async () => {
+      await users.insertOne({ name: 'Alice', email: 'alice@example.com', age: 30, role: 'admin', tags: ['a'] });
+      expect(users.count()).toBe(1);
+    });
+
+    test('should reject invalid documents with code 121 and errInfo', async () => {
+      const error = await users.insertOne({ _id: 7, name: '', email: 'nope', age: -1, role: 'owner', extra: true }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MongoServerError);
+      expect(error.code).toBe(121);
+      expect(error.codeName).toBe('DocumentValidationFailure');
+      expect(error.message).toBe('Document failed validation');
+      expect(error.errInfo.failingDocumentId).toBe(7);
+
+      const { operatorName, schemaRulesNotSatisfied } = error.errInfo.details;
+      expect(operatorName).toBe('$jsonSchema');
+      expect(schemaRulesNotSatisfied.map(rule => rule.operatorName)).toEqual(['additionalProperties', 'properties']);
+      expect(schemaRulesNotSatisfied[0].additionalProperties).toEqual(['extra']);
+
+      const properties = schemaRulesNotSatisfied[1].propertiesNotSatisfied;
+      expect(properties.map(property => property.propertyName)).toEqual(['_id', 'name', 'email', 'age', 'role']);
+      expect(properties[3].details).toEqual([
+        { operatorName: 'minimum', specifiedAs: { minimum: 0 }, reason: 'comparison failed', consideredValue: -1 }
+      ]);
+      expect(properties[4].details[0].reason).toBe('value was not found in enum');
+      expect(users.count()).toBe(0);
+    });
+
+    test('should report missing required properties', async () => {
+      const error = await users.insertOne({ name: 'Bob' }).catch(e => e);
+      expect(error.errInfo.details.schemaRulesNotSatisfied).toEqual([
+        { operatorName: 'required', specifiedAs: { required: ['name', 'email'] }, missingProperties: ['email'] }
+      ]);
+    });
+
+    test('should check array items', async () => {
+      await expect(users.insertOne({ name: 'A', email: 'a@x', tags: ['x', 1] })).rejects.toMatchObject({ code: 121 });
+      await expect(users.insertOne({ name: 'A', email: 'a@x', tags: ['x', 'x'] })).rejects.toMatchObject({ code: 121 });
+      await expect(users.insertOne({ name: 'A', email: 'a@x', tags: ['a', 'b', 'c', 'd'] })).rejects.toMatchObject({ code: 121 });
+    });
+
+    test('should validate updates, replacements and upserts', async () => {
+      const { insertedId } = await users.insertOne({ name: 'Alice', email: 'alice@example.com' });
+
+      await expect(users.updateOne({ _id: insertedId }, { $set: { age: 200 } })).rejects.toMatchObject({ code: 121 });
+      await expect(users.updateOne({ _id: insertedId }, { $unset: { email: '' } })).rejects.toMatchObject({ code: 121 });
+      await expect(users.replaceOne({ _id: insertedId }, { name: 'Alice' })).rejects.toMatchObject({ code: 121 });
+      await expect(users.findOneAndUpdate({ _id: insertedId }, { $set: { role: 'root' } })).rejects.toMatchObject({ code: 121 });
+      await expect(users.updateOne({ name: 'Nobody' }, { $set: { age: 1 } }, { upsert: true })).rejects.toMatchObject({ code: 121 });
+
+      expect(await users.findOne({ _id: insertedId })).toEqual({ _id: insertedId, name: 'Alice', email: 'alice@example.com' });
+    });
+
+    test('should report failures inside bulk writes', async () => {
+      const error = await users.insertMany([
+        { name: 'A', email: 'a@x' },
+        { name: 'B' }
+      ]).catch(e => e);
+      expect(error).toBeInstanceOf(MongoBulkWriteError);
+      expect(error.writeErrors[0].code).toBe(121);
+      expect(error.writeErrors[0].errInfo.details.operatorName).toBe('$jsonSchema');
+    });
+
+    test('should skip validation with bypassDocumentValidation', async () => {
+      await users.insertOne({ name: 'X' }, { bypassDocumentValidation: true });
+      await users.bulkWrite([{ insertOne: { document: { name: 'Y' } } }], { bypassDocumentValidation: true });
+      expect(users.count()).toBe(2);
+    });
+
+    test('should be usable as a query operator', async () => {
+      await users.insertOne({ name: 'X' }, { bypassDocumentValidation: true });
+      await users.insertOne({ name: 'Alice', email: 'alice@example.com' });
+
+      const valid = await users.find(userSchema).toArray();
+      const invalid = await users.find({ $nor: [userSchema] }).toArray();
+      expect(valid.map(doc => doc.name)).toEqual(['Alice']);
+      expect(invalid.map(doc => doc.name)).toEqual(['X']);
+    });
+  });
+
+  describe('query validators', () => {
+    test('should enforce query operators and explain the failing clause', async () => {
+      const orders = await db.createCollection('orders', {
+        validator: { total: { $gte: 0 }, status: { $in: ['new', 'paid'] } }
+      });
+
+      await orders.insertOne({ total: 5, status: 'new' });
+      const error = await orders.insertOne({ _id: 'o2', total: -5, status: 'new' }).catch(e => e);
+
+      expect(error.code).toBe(121);
+      expect(error.errInfo).toEqual({
+        failingDocumentId: 'o2',
+        details: {
+          operatorName: '$and',
+          clausesNotSatisfied: [{
+            index: 0,
+            details: { operatorName: '$gte', specifiedAs: { total: { $gte: 0 } }, reason: 'comparison failed', consideredValue: -5 }
+          }]
+        }
+      });
+    });
+
+    test('should explain missing fields and $expr validators', async () => {
+      const items = await db.createCollection('items', { validator: { sku: { $type: 'string' } } });
+      const error = await items.insertOne({ _id: 1 }).catch(e => e);
+      expect(error.errInfo.details).toEqual({ operatorName: '$type', specifiedAs: { sku: { $type: 'string' } }, reason: 'field was missing' });
+
+      const ranges = await db.createCollection('ranges', { validator: { $expr: { $lt: ['$low', '$high'] } } });
+      await ranges.insertOne({ low: 1, high: 2 });
+      await expect(ranges.insertOne({ low: 3, high: 2 })).rejects.toMatchObject({
+        errInfo: { details: { operatorName: '$expr', reason: 'expression did not match' } }
+      });
+    });
+  });
+
+  describe('validation levels and actions', () => {
+    let users;
+    let ids;
+
+    beforeEach(async () => {
+      users = db.collection('users');
+      ids = (await users.insertMany([{ name: 'legacy' }, { name: 'Alice', email: 'a@x' }])).insertedIds;
+    });
+
+    test('should apply a validator added with collMod to later writes only', async () => {
+      await db.command({ collMod: 'users', validator: userSchema });
+
+      expect(users.count()).toBe(2);
+      await expect(users.insertOne({ name: 'NoEmail' })).rejects.toMatchObject({ code: 121 });
+      await expect(users.updateOne({ _id: ids[0] }, { $set: { nickname: 'l' } })).rejects.toMatchObject({ code: 121 });
+    });
+
+    test('should skip updates to already-invalid documents when moderate', async () => {
+      await db.command({ collMod: 'users', validator: userSchema, validationLevel: 'moderate' });
+
+      await users.updateOne({ _id: ids[0] }, { $set: { name: 'still legacy' } });
+      await expect(users.updateOne({ _id: ids[1] }, { $unset: { email: '' } })).rejects.toMatchObject({ code: 121 });
+      await expect(users.insertOne({ name: 'new' })).rejects.toMatchObject({ code: 121 });
+    });
+
+    test('should allow invalid writes with validationAction warn or validationLevel off', async () => {
+      await db.command({ collMod: 'users', validator: userSchema, validationAction: 'warn' });
+      await users.insertOne({ name: 'warned' });
+
+      await db.command({ collMod: 'users', validationAction: 'error', validationLevel: 'off' });
+      await users.insertOne({ name: 'unchecked' });
+
+      expect(users.count()).toBe(4);
+      expect(await users.options()).toMatchObject({ validationAction: 'error', validationLevel: 'off' });
+    });
+
+    test('should fail collMod on a missing collection and unknown commands', async () => {
+      await expect(db.command({ collMod: 'missing', validator: {} })).rejects.toMatchObject({ code: 26 });
+      await expect(db.command({ frobnicate: 1 })).rejects.toMatchObject({ code: 59 });
+      expect(await db.command({ ping: 1 })).toEqual({ ok: 1 });
+    });
+  });
+});
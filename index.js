@@ -9,12 +9,72 @@
  * @license MIT
  */
 
+const MockMongoClient = require('./lib/MockMongoClient');
+const { MockServer, startMockServer } = require('./lib/MockServer');
+const { DataApiServer, startDataApiServer } = require('./lib/DataApiServer');
 const MockDatabase = require('./lib/MockDatabase');
 const MockCollection = require('./lib/MockCollection');
 const QueryBuilder = require('./lib/QueryBuilder');
+const MockCursor = require('./lib/MockCursor');
+const ChangeStream = require('./lib/ChangeStream');
+const ClientSession = require('./lib/ClientSession');
+const OperationRecorder = require('./lib/OperationRecorder');
+const FailPoint = require('./lib/FailPoint');
+const Clock = require('./lib/Clock');
+const ObjectId = require('./lib/ObjectId');
+const Decimal128 = require('./lib/Decimal128');
+const Timestamp = require('./lib/Timestamp');
+const MinKey = require('./lib/MinKey');
+const MaxKey = require('./lib/MaxKey');
+const EJSON = require('./lib/ejson');
+const matchers = require('./lib/matchers');
+const {
+  MongoError,
+  MongoServerError,
+  MongoBulkWriteError,
+  WriteError,
+  MongoTransactionError,
+  MongoExpiredSessionError,
+  MongoParseError,
+  MongoInvalidArgumentError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  BSONError
+} = require('./lib/errors');
 
 module.exports = {
+  MockMongoClient,
+  MockServer,
+  startMockServer,
+  DataApiServer,
+  startDataApiServer,
   MockDatabase,
   MockCollection,
-  QueryBuilder
+  QueryBuilder,
+  MockCursor,
+  ChangeStream,
+  ClientSession,
+  OperationRecorder,
+  FailPoint,
+  Clock,
+  ObjectId,
+  Decimal128,
+  Timestamp,
+  MinKey,
+  MaxKey,
+  EJSON,
+  matchers,
+  MongoError,
+  MongoServerError,
+  MongoBulkWriteError,
+  WriteError,
+  MongoTransactionError,
+  MongoExpiredSessionError,
+  MongoParseError,
+  MongoInvalidArgumentError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  BSONError
 };
@@ -0,0 +1,596 @@
+const QueryBuilder = require('./QueryBuilder');
+const { evaluateExpression, isExpression, sumValues, averageValues, extremeValue } = require('./expressions');
+const { applyProjection } = require('./projection');
+const { sortDocuments } = require('./sort');
+const { getPathValues, getPath, setPath, unsetPath, isTraversable } = require('./pathUtils');
+const { deepEqual } = require('./compare');
+const { deepClone } = require('./clone');
+const { MongoServerError } = require('./errors');
+const { findTextExpressions, setTextScore, copyTextScore } = require('./textSearch');
+const { countNearExpressions, noQueryExecutionPlans } = require('./geo');
+
+/**
+ * Stages that write their input to another collection and must come last
+ */
+const OUTPUT_STAGES = ['$out', '$merge'];
+
+/**
+ * AggregationPipeline - The aggregation engine for MockCollection.aggregate
+ *
+ * This class runs an array of stages over a list of documents. $match reuses
+ * QueryBuilder, expressions are evaluated by the expressions module, and stages
+ * that reach other collections ($lookup, $out, $merge) go through the owning
+ * MockDatabase.
+ */
+class AggregationPipeline {
+  /**
+   * Constructor
+   * @param {Array<Object>} pipeline - Aggregation stages
+   * @param {Object} options - { database, transaction, textIndex, geoIndexes } - the MockDatabase used to resolve
+   *   other collections, the transaction whose view of them to read, the text index a leading $text $match
+   *   searches and the 2dsphere indexes a leading $geoNear uses
+   */
+  constructor(pipeline, options = {}) {
+    if (!Array.isArray(pipeline)) {
+      throw new Error('Aggregation pipeline must be an array');
+    }
+
+    pipeline.forEach((stage, index) => {
+      const keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+      if (keys.length !== 1) {
+        throw new Error('A pipeline stage specification object must contain exactly one field.');
+      }
+      if (!STAGES[keys[0]]) {
+        throw new Error(`Unrecognized pipeline stage name: '${keys[0]}'`);
+      }
+      if (OUTPUT_STAGES.includes(keys[0]) && index !== pipeline.length - 1) {
+        throw new Error(`${keys[0]} can only be the final stage in the pipeline`);
+      }
+      if (OUTPUT_STAGES.includes(keys[0]) && options.transaction) {
+        throw new MongoServerError(`${keys[0]} cannot be used in a transaction`, {
+          code: 263,
+          codeName: 'OperationNotSupportedInTransaction'
+        });
+      }
+      if (keys[0] === '$match' && index > 0 && findTextExpressions(stage.$match).length > 0) {
+        throw new MongoServerError('$match with $text is only allowed as the first pipeline stage', {
+          code: 17313,
+          codeName: 'Location17313'
+        });
+      }
+      if (keys[0] === '$geoNear' && index > 0) {
+        throw new MongoServerError('$geoNear is only valid as the first stage in a pipeline', {
+          code: 40602,
+          codeName: 'Location40602'
+        });
+      }
+      if (keys[0] === '$facet') {
+        const nested = Object.values(stage.$facet || {}).reduce((all, facet) => all.concat(Array.isArray(facet) ? facet : []), []);
+        const output = nested.map(facetStage => Object.keys(facetStage || {})[0]).find(name => OUTPUT_STAGES.includes(name));
+        if (output) {
+          throw new MongoServerError(`${output} is not allowed to be used within a $facet stage`, {
+            code: 40600,
+            codeName: 'Location40600'
+          });
+        }
+      }
+      if (keys[0] === '$match' && countNearExpressions(stage.$match) > 0) {
+        throw nearNotAllowed();
+      }
+    });
+
+    this.pipeline = pipeline;
+    this.database = options.database || null;
+    this.transaction = options.transaction || null;
+    this.variables = options.variables || {};
+    this.textIndex = options.textIndex || null;
+    this.geoIndexes = options.geoIndexes || [];
+  }
+
+  /**
+   * Run the pipeline
+   * @param {Array<Object>} documents - Input documents (not modified)
+   * @returns {Array<Object>} - Output documents
+   */
+  run(documents) {
+    return this.pipeline.reduce((docs, stage) => {
+      const name = Object.keys(stage)[0];
+      return STAGES[name].call(this, docs, stage[name]);
+    }, documents.map(doc => copyTextScore(doc, deepClone(doc))));
+  }
+
+  /**
+   * Evaluate an expression against a document with the pipeline's variables
+   * @param {*} expression - Aggregation expression
+   * @param {Object} doc - Current document
+   * @returns {*} - Evaluated value
+   * @private
+   */
+  _evaluate(expression, doc) {
+    return evaluateExpression(expression, doc, this.variables);
+  }
+
+  /**
+   * Get a collection's documents from the owning database without creating it
+   * @param {string} name - Collection name
+   * @returns {Array<Object>} - Stored documents (empty if the collection doesn't exist)
+   * @private
+   */
+  _foreignDocuments(name) {
+    if (!this.database) {
+      throw new Error('This stage requires the collection to belong to a MockDatabase');
+    }
+    if (!this.database.hasCollection(name)) {
+      return [];
+    }
+    const collection = this.database.collection(name);
+    return this.transaction ? this.transaction.viewOf(collection).documents : collection.documents;
+  }
+
+  /**
+   * Choose the field a $geoNear stage measures
+   * @param {string|undefined} key - The stage's `key` option
+   * @returns {string} - Field with a 2dsphere index
+   * @throws {MongoServerError} - Without a matching index, or when the choice is ambiguous
+   * @private
+   */
+  _geoNearKey(key) {
+    const fields = [];
+    for (const index of this.geoIndexes) {
+      fields.push(...Object.keys(index.key).filter(field => index.key[field] === '2dsphere'));
+    }
+    if (key !== undefined) {
+      if (typeof key !== 'string' || key === '') {
+        throw new Error('$geoNear parameter \'key\' must be a non-empty string');
+      }
+      if (!fields.includes(key)) {
+        throw noQueryExecutionPlans();
+      }
+      return key;
+    }
+    if (fields.length === 0) {
+      throw new MongoServerError('$geoNear requires a 2d or 2dsphere index, but none were found', {
+        code: 291,
+        codeName: 'NoQueryExecutionPlans'
+      });
+    }
+    if (fields.length > 1) {
+      throw new MongoServerError('There is more than one 2dsphere index; unsure which to use for $geoNear', {
+        code: 2,
+        codeName: 'BadValue'
+      });
+    }
+    return fields[0];
+  }
+
+  /**
+   * Apply a $project / $addFields style specification with computed fields
+   * @param {Object} doc - Input document
+   * @param {Object} spec - Stage specification
+   * @returns {Object} - Projected document
+   * @private
+   */
+  _project(doc, spec) {
+    const fields = flattenSpec(spec);
+    const isFlag = value => value === 0 || value === 1 || value === false || value === true;
+    const inclusions = fields.filter(([path, value]) => path !== '_id' && isFlag(value) && value);
+    const exclusions = fields.filter(([, value]) => isFlag(value) && !value);
+    const computed = fields.filter(([, value]) => !isFlag(value));
+
+    if (inclusions.length === 0 && computed.length === 0 && exclusions.length > 0) {
+      return applyProjection(doc, Object.fromEntries(fields));
+    }
+
+    const excludeId = exclusions.some(([path]) => path === '_id');
+    if (exclusions.some(([path]) => path !== '_id')) {
+      throw new Error(`Invalid $project :: caused by :: Cannot do exclusion on field ${exclusions.find(([path]) => path !== '_id')[0]} in inclusion projection`);
+    }
+
+    const result = {};
+    if (!excludeId && doc._id !== undefined) {
+      result._id = doc._id;
+    }
+    if (inclusions.length > 0) {
+      const projection = { _id: 0 };
+      inclusions.forEach(([path]) => { projection[path] = 1; });
+      Object.assign(result, applyProjection(doc, projection));
+    }
+
+    for (const [path, expression] of computed) {
+      const value = this._evaluate(expression, doc);
+      if (value !== undefined) {
+        setPath(result, path, value);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Flatten nested field specifications ({ a: { b: 1 } }) into dotted paths,
+ * leaving expressions intact
+ * @param {Object} spec - Field specification
+ * @param {string} prefix - Path prefix
+ * @returns {Array<Array>} - [path, value] pairs
+ * @private
+ */
+function flattenSpec(spec, prefix = '') {
+  const fields = [];
+  for (const key of Object.keys(spec)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = spec[key];
+    if (isTraversable(value) && !isExpression(value) && Object.keys(value).length > 0) {
+      fields.push(...flattenSpec(value, path));
+    } else {
+      fields.push([path, value]);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build a fresh accumulator state for a $group field
+ * @param {Object} spec - Accumulator specification (e.g. { $sum: '$qty' })
+ * @returns {Object} - { operator, expression, values }
+ * @private
+ */
+function createAccumulator(spec) {
+  const keys = isTraversable(spec) ? Object.keys(spec) : [];
+  if (keys.length !== 1 || !ACCUMULATORS[keys[0]]) {
+    throw new Error(`Unknown group accumulator: ${JSON.stringify(spec)}`);
+  }
+  return { operator: keys[0], expression: spec[keys[0]], values: [] };
+}
+
+/**
+ * $group accumulators, each reducing the collected values of a group
+ */
+const ACCUMULATORS = {
+  $sum: values => sumValues(values),
+  $avg: values => averageValues(values),
+  $min: values => extremeValue(values, -1),
+  $max: values => extremeValue(values, 1),
+  $push: values => values.filter(value => value !== undefined),
+  $addToSet: values => values.reduce((set, value) => {
+    if (value !== undefined && !set.some(existing => deepEqual(existing, value))) {
+      set.push(value);
+    }
+    return set;
+  }, []),
+  $first: values => (values.length > 0 && values[0] !== undefined ? values[0] : null),
+  $last: values => (values.length > 0 && values[values.length - 1] !== undefined ? values[values.length - 1] : null),
+  $count: values => values.length
+};
+
+/**
+ * Build the error for a proximity query where only filtering is allowed
+ * @returns {MongoServerError} - BadValue error
+ * @private
+ */
+function nearNotAllowed() {
+  return new MongoServerError('$geoNear, $near, and $nearSphere are not allowed in this context', {
+    code: 2,
+    codeName: 'BadValue'
+  });
+}
+
+/**
+ * Stage implementations, called with the pipeline as `this`
+ */
+const STAGES = {
+  $match(docs, query) {
+    const queryBuilder = new QueryBuilder(docs, { variables: this.variables, textIndex: this.textIndex });
+    return queryBuilder.match(query).execute().map(doc => setTextScore(doc, queryBuilder.textScore(doc)));
+  },
+
+  $geoNear(docs, spec) {
+    if (!isTraversable(spec)) {
+      throw new Error('$geoNear argument must be an object');
+    }
+    if (spec.near === undefined) {
+      throw new Error('$geoNear requires a \'near\' option');
+    }
+    if (typeof spec.distanceField !== 'string' || spec.distanceField === '') {
+      throw new Error('$geoNear requires a \'distanceField\' option as a String');
+    }
+    if (spec.query !== undefined && countNearExpressions(spec.query) > 0) {
+      throw nearNotAllowed();
+    }
+    const multiplier = spec.distanceMultiplier === undefined ? 1 : spec.distanceMultiplier;
+    if (typeof multiplier !== 'number' || multiplier < 0) {
+      throw new Error('distanceMultiplier must be a non-negative number');
+    }
+
+    // A GeoJSON point measures in meters and a legacy pair in radians, as with $nearSphere
+    const key = this._geoNearKey(spec.key);
+    const limits = {};
+    if (spec.minDistance !== undefined) {
+      limits.$minDistance = spec.minDistance;
+    }
+    if (spec.maxDistance !== undefined) {
+      limits.$maxDistance = spec.maxDistance;
+    }
+    const condition = isTraversable(spec.near) && spec.near.type !== undefined
+      ? { $nearSphere: { $geometry: spec.near, ...limits } }
+      : { $nearSphere: spec.near, ...limits };
+    const query = { [key]: condition };
+    if (spec.query !== undefined && Object.keys(spec.query).length > 0) {
+      query.$and = [spec.query];
+    }
+
+    const queryBuilder = new QueryBuilder(docs, { variables: this.variables, geoIndexes: this.geoIndexes });
+    return queryBuilder.match(query).execute().map(doc => {
+      const result = copyTextScore(doc, { ...doc });
+      setPath(result, spec.distanceField, queryBuilder.nearDistance(doc) * multiplier);
+      if (spec.includeLocs) {
+        setPath(result, spec.includeLocs, deepClone(getPath(doc, key)));
+      }
+      return result;
+    });
+  },
+
+  $project(docs, spec) {
+    return docs.map(doc => copyTextScore(doc, this._project(doc, spec)));
+  },
+
+  $addFields(docs, spec) {
+    return docs.map(doc => {
+      const result = copyTextScore(doc, { ...doc });
+      for (const [path, expression] of Object.entries(spec)) {
+        const value = this._evaluate(expression, doc);
+        if (value === undefined) {
+          unsetPath(result, path);
+        } else {
+          setPath(result, path, value);
+        }
+      }
+      return result;
+    });
+  },
+
+  $set(docs, spec) {
+    return STAGES.$addFields.call(this, docs, spec);
+  },
+
+  $unset(docs, fields) {
+    const projection = {};
+    for (const field of Array.isArray(fields) ? fields : [fields]) {
+      projection[field] = 0;
+    }
+    return docs.map(doc => copyTextScore(doc, applyProjection(doc, projection)));
+  },
+
+  $replaceRoot(docs, spec) {
+    return docs.map(doc => {
+      const root = this._evaluate(spec.newRoot, doc);
+      if (!isTraversable(root)) {
+        throw new Error(`'newRoot' expression must evaluate to an object, but resulting value was: ${JSON.stringify(root)}`);
+      }
+      return root;
+    });
+  },
+
+  $replaceWith(docs, expression) {
+    return STAGES.$replaceRoot.call(this, docs, { newRoot: expression });
+  },
+
+  $group(docs, spec) {
+    if (!('_id' in spec)) {
+      throw new Error("a group specification must include an _id");
+    }
+
+    const groups = [];
+    for (const doc of docs) {
+      let key = this._evaluate(spec._id, doc);
+      if (key === undefined) {
+        key = null;
+      }
+
+      let group = groups.find(candidate => deepEqual(candidate.key, key));
+      if (!group) {
+        group = { key, accumulators: {} };
+        for (const field of Object.keys(spec)) {
+          if (field !== '_id') {
+            group.accumulators[field] = createAccumulator(spec[field]);
+          }
+        }
+        groups.push(group);
+      }
+
+      for (const accumulator of Object.values(group.accumulators)) {
+        accumulator.values.push(this._evaluate(accumulator.expression, doc));
+      }
+    }
+
+    return groups.map(group => {
+      const result = { _id: group.key };
+      for (const [field, accumulator] of Object.entries(group.accumulators)) {
+        result[field] = ACCUMULATORS[accumulator.operator](accumulator.values);
+      }
+      return result;
+    });
+  },
+
+  $sort(docs, spec) {
+    return sortDocuments(docs, spec);
+  },
+
+  $skip(docs, count) {
+    return docs.slice(count);
+  },
+
+  $limit(docs, count) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('the limit must be positive');
+    }
+    return docs.slice(0, count);
+  },
+
+  $count(docs, field) {
+    if (typeof field !== 'string' || field === '' || field.startsWith('$') || field.includes('.')) {
+      throw new Error('the count field must be a non-empty string without "$" or "."');
+    }
+    return docs.length === 0 ? [] : [{ [field]: docs.length }];
+  },
+
+  $sortByCount(docs, expression) {
+    const grouped = STAGES.$group.call(this, docs, { _id: expression, count: { $sum: 1 } });
+    return sortDocuments(grouped, { count: -1 });
+  },
+
+  $sample(docs, spec) {
+    const shuffled = docs.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, spec.size);
+  },
+
+  $unwind(docs, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+      throw new Error('$unwind path must be a field path prefixed with "$"');
+    }
+    const path = options.path.slice(1);
+    const results = [];
+
+    for (const doc of docs) {
+      const value = getPath(doc, path);
+
+      if (Array.isArray(value) && value.length > 0) {
+        value.forEach((element, index) => {
+          const copy = deepClone(doc);
+          setPath(copy, path, element);
+          if (options.includeArrayIndex) {
+            setPath(copy, options.includeArrayIndex, index);
+          }
+          results.push(copy);
+        });
+      } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+        const copy = { ...doc };
+        if (options.includeArrayIndex) {
+          setPath(copy, options.includeArrayIndex, null);
+        }
+        results.push(copy);
+      } else if (options.preserveNullAndEmptyArrays) {
+        const copy = deepClone(doc);
+        if (Array.isArray(value)) {
+          unsetPath(copy, path);
+        }
+        if (options.includeArrayIndex) {
+          setPath(copy, options.includeArrayIndex, null);
+        }
+        results.push(copy);
+      }
+    }
+    return results;
+  },
+
+  $facet(docs, spec) {
+    const result = {};
+    for (const [name, pipeline] of Object.entries(spec)) {
+      const facet = new AggregationPipeline(pipeline, { database: this.database, transaction: this.transaction, variables: this.variables });
+      result[name] = facet.run(docs);
+    }
+    return [result];
+  },
+
+  $lookup(docs, spec) {
+    const foreignDocs = this._foreignDocuments(spec.from);
+
+    return docs.map(doc => {
+      let matches;
+
+      if (spec.pipeline) {
+        const variables = { ...this.variables };
+        for (const [name, expression] of Object.entries(spec.let || {})) {
+          variables[name] = this._evaluate(expression, doc);
+        }
+        let candidates = foreignDocs;
+        if (spec.localField && spec.foreignField) {
+          candidates = candidates.filter(foreign => lookupMatches(doc, spec.localField, foreign, spec.foreignField));
+        }
+        const subPipeline = new AggregationPipeline(spec.pipeline, { database: this.database, transaction: this.transaction, variables });
+        matches = subPipeline.run(candidates);
+      } else {
+        matches = foreignDocs
+          .filter(foreign => lookupMatches(doc, spec.localField, foreign, spec.foreignField))
+          .map(deepClone);
+      }
+
+      const result = { ...doc };
+      setPath(result, spec.as, matches);
+      return result;
+    });
+  },
+
+  $out(docs, target) {
+    const name = typeof target === 'string' ? target : target.coll;
+    const collection = this.database.collection(name);
+    if (collection.capped) {
+      throw new MongoServerError(`namespace '${this.database.databaseName}.${name}' is capped so it can't be used for $out`, {
+        code: 17152,
+        codeName: 'Location17152'
+      });
+    }
+    collection._setDocuments(docs.map(doc => collection._prepareForInsert(doc)));
+    return [];
+  },
+
+  $merge(docs, spec) {
+    const options = typeof spec === 'string' ? { into: spec } : spec;
+    const name = typeof options.into === 'string' ? options.into : options.into.coll;
+    const on = Array.isArray(options.on) ? options.on : [options.on || '_id'];
+    const whenMatched = options.whenMatched || 'merge';
+    const whenNotMatched = options.whenNotMatched || 'insert';
+    const collection = this.database.collection(name);
+
+    for (const doc of docs) {
+      const index = collection.documents.findIndex(existing =>
+        on.every(field => deepEqual(getPath(existing, field), getPath(doc, field)))
+      );
+
+      if (index === -1) {
+        if (whenNotMatched === 'fail') {
+          throw new Error(`$merge could not find a matching document in the target collection '${name}'`);
+        }
+        if (whenNotMatched === 'insert') {
+          collection._insertDocument(collection._prepareForInsert(doc));
+        }
+        continue;
+      }
+
+      const existing = collection.documents[index];
+      switch (whenMatched) {
+        case 'replace':
+          collection._replaceDocument(existing, { _id: existing._id, ...deepClone(doc) }, {}, 'replace');
+          break;
+        case 'keepExisting':
+          break;
+        case 'fail':
+          throw new Error(`$merge found a document already present in the target collection '${name}'`);
+        default:
+          collection._replaceDocument(existing, { ...existing, ...deepClone(doc), _id: existing._id });
+      }
+    }
+    return [];
+  }
+};
+
+/**
+ * Check whether a foreign document joins with a local one on the given fields
+ *
+ * Array values on either side match when any element is equal, and a missing
+ * local field matches foreign documents where the field is null or missing.
+ *
+ * @private
+ */
+function lookupMatches(local, localField, foreign, foreignField) {
+  const expand = values => values.reduce((all, value) => all.concat(Array.isArray(value) ? value : [value]), []);
+  const localValues = expand(getPathValues(local, localField)).map(value => (value === undefined ? null : value));
+  const foreignValues = expand(getPathValues(foreign, foreignField)).map(value => (value === undefined ? null : value));
+  return localValues.some(a => foreignValues.some(b => deepEqual(a, b)));
+}
+
+module.exports = AggregationPipeline;
@@ -0,0 +1,116 @@
+const { MongoServerError } = require('./errors');
+
+/**
+ * Number of change entries kept for resuming streams, like a capped oplog
+ */
+const HISTORY_LIMIT = 10000;
+
+/**
+ * ChangeLog - The ordered record of writes that change streams read from
+ *
+ * Every write to a collection appends an entry holding the document before and
+ * after the change. Stored documents are never mutated in place (writes swap
+ * in new objects), so entries can keep references instead of copies; change
+ * streams copy them when they turn entries into events.
+ */
+class ChangeLog {
+  /**
+   * Constructor
+   * @param {Clock} [clock] - Clock that gives events their wall time (the system clock by default)
+   */
+  constructor(clock = null) {
+    this.clock = clock;
+    this.entries = [];
+    this.streams = new Set();
+    this._sequence = 0;
+  }
+
+  /**
+   * Append an entry and hand it to every open stream
+   * @param {Object} entry - { operationType, ns, documentKey, before, after, collection }
+   * @returns {Object} - The entry, with its resume token
+   */
+  record(entry) {
+    this._sequence += 1;
+    const recorded = { ...entry, token: { _data: encodeToken(this._sequence) }, sequence: this._sequence, wallTime: this.clock ? this.clock.now() : new Date() };
+
+    this.entries.push(recorded);
+    if (this.entries.length > HISTORY_LIMIT) {
+      this.entries.shift();
+    }
+
+    for (const stream of this.streams) {
+      stream._notify(recorded);
+    }
+    return recorded;
+  }
+
+  /**
+   * Get the entries recorded after a resume token
+   * @param {Object} token - Resume token ({ _data })
+   * @returns {Array<Object>} - Entries after the token, oldest first
+   * @throws {MongoServerError} - If the token is malformed or no longer in the history
+   */
+  entriesAfter(token) {
+    const sequence = decodeToken(token);
+    const oldest = this.entries.length > 0 ? this.entries[0].sequence : this._sequence + 1;
+
+    if (sequence > this._sequence) {
+      throw new MongoServerError('cannot resume stream; the resume token was not found', {
+        code: 280,
+        codeName: 'ChangeStreamFatalError'
+      });
+    }
+    if (sequence < oldest - 1) {
+      throw new MongoServerError('Resume of change stream was not possible, as the resume point may no longer be in the oplog.', {
+        code: 286,
+        codeName: 'ChangeStreamHistoryLost'
+      });
+    }
+    return this.entries.filter(entry => entry.sequence > sequence);
+  }
+
+  /**
+   * Get a token for the current end of the log, to resume from when nothing was consumed yet
+   * @returns {Object} - Resume token
+   */
+  latestToken() {
+    return { _data: encodeToken(this._sequence) };
+  }
+
+  /**
+   * Find the entry a resume token was issued for
+   * @param {Object} token - Resume token
+   * @returns {Object|undefined} - The entry, if still in the history
+   */
+  entryFor(token) {
+    const sequence = decodeToken(token);
+    return this.entries.find(entry => entry.sequence === sequence);
+  }
+}
+
+/**
+ * Encode a sequence number as resume token data
+ * @param {number} sequence - Sequence number
+ * @returns {string} - Hex token data
+ * @private
+ */
+function encodeToken(sequence) {
+  return `82${sequence.toString(16).padStart(16, '0')}`;
+}
+
+/**
+ * Decode resume token data back into a sequence number
+ * @param {Object} token - Resume token ({ _data })
+ * @returns {number} - Sequence number
+ * @private
+ */
+function decodeToken(token) {
+  const data = token && token._data;
+  if (typeof data !== 'string' || !/^82[0-9a-f]{16}$/.test(data)) {
+    throw new MongoServerError(`Invalid resume token: ${JSON.stringify(token)}`, { code: 260, codeName: 'InvalidResumeToken' });
+  }
+  return parseInt(data.slice(2), 16);
+}
+
+module.exports = ChangeLog;
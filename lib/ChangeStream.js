@@ -0,0 +1,452 @@
+const { EventEmitter } = require('events');
+const AggregationPipeline = require('./AggregationPipeline');
+const { deepEqual, valuesEqual } = require('./compare');
+const { isTraversable } = require('./pathUtils');
+const { deepFreeze } = require('./clone');
+const { MongoServerError } = require('./errors');
+
+/**
+ * Stages a change stream pipeline may contain
+ */
+const ALLOWED_STAGES = ['$match', '$project', '$addFields', '$set', '$unset', '$replaceRoot', '$replaceWith'];
+
+/**
+ * Accepted values of the fullDocument option
+ */
+const FULL_DOCUMENT_MODES = ['default', 'updateLookup', 'whenAvailable', 'required'];
+
+/**
+ * Accepted values of the fullDocumentBeforeChange option
+ */
+const BEFORE_CHANGE_MODES = ['off', 'whenAvailable', 'required'];
+
+/**
+ * ChangeStream - A stream of change events for a collection or database
+ *
+ * Mimics the driver's ChangeStream: it can be consumed as an iterator
+ * (next, tryNext, hasNext, for await...of) or as an EventEmitter by listening
+ * for 'change', but not both. Events are read from the database's ChangeLog,
+ * so a stream sees every write made after it was opened, or after the token
+ * given as `resumeAfter` / `startAfter`.
+ */
+class ChangeStream extends EventEmitter {
+  /**
+   * Constructor
+   * @param {ChangeLog} changeLog - Log the stream reads from
+   * @param {Array<Object>} pipeline - Stages applied to each event ($match, $project, ...)
+   * @param {Object} options - { fullDocument, fullDocumentBeforeChange, resumeAfter, startAfter }
+   * @param {Object} context - { ns: { db, coll }, frozen } - watched namespace (no coll for a whole database)
+   */
+  constructor(changeLog, pipeline = [], options = {}, context = {}) {
+    super();
+
+    if (!Array.isArray(pipeline)) {
+      throw new Error('Change stream pipeline must be an array');
+    }
+    pipeline.forEach(stage => {
+      const name = stage && typeof stage === 'object' ? Object.keys(stage)[0] : undefined;
+      if (!ALLOWED_STAGES.includes(name)) {
+        throw new Error(`${name} is not permitted in a $changeStream pipeline`);
+      }
+    });
+
+    this.pipeline = pipeline;
+    this.options = options;
+    this.fullDocument = checkMode('fullDocument', options.fullDocument || 'default', FULL_DOCUMENT_MODES);
+    this.fullDocumentBeforeChange = checkMode('fullDocumentBeforeChange', options.fullDocumentBeforeChange || 'off', BEFORE_CHANGE_MODES);
+    this.namespace = context.ns;
+    this.closed = false;
+    this._frozen = Boolean(context.frozen);
+    this._aggregation = new AggregationPipeline(pipeline);
+    this._changeLog = changeLog;
+    this._queue = [];
+    this._peeked = null;
+    this._waiters = [];
+    this._mode = null;
+    this._drainScheduled = false;
+    this._invalidated = false;
+
+    const resumeToken = options.startAfter || options.resumeAfter;
+    if (resumeToken) {
+      const resumedFrom = changeLog.entryFor(resumeToken);
+      if (options.resumeAfter && !options.startAfter && resumedFrom && resumedFrom.operationType === 'invalidate') {
+        throw new MongoServerError('cannot resume stream after an invalidate event; use startAfter instead', {
+          code: 260,
+          codeName: 'InvalidResumeToken'
+        });
+      }
+      this._queue = changeLog.entriesAfter(resumeToken).filter(entry => this._isWatched(entry));
+      this.resumeToken = resumeToken;
+    } else {
+      this.resumeToken = changeLog.latestToken();
+    }
+
+    changeLog.streams.add(this);
+    this.on('newListener', event => {
+      if (event === 'change') {
+        this._useAs('emitter');
+        this._scheduleDrain();
+      }
+    });
+  }
+
+  /**
+   * Wait for the next change event
+   * @returns {Promise<Object>} - Change event
+   * @throws {Error} - If the stream is closed
+   */
+  async next() {
+    if (!(await this.hasNext())) {
+      throw new Error('ChangeStream is closed');
+    }
+    return this._consume();
+  }
+
+  /**
+   * Get the next change event if one is available, without waiting
+   * @returns {Promise<Object|null>} - Change event, or null
+   */
+  async tryNext() {
+    this._useAs('iterator');
+    if (!this._peeked) {
+      this._peeked = this._take();
+    }
+    if (this._peeked) {
+      return this._consume();
+    }
+    if (this.closed) {
+      throw new Error('ChangeStream is closed');
+    }
+    return null;
+  }
+
+  /**
+   * Wait until a change event is available
+   * @returns {Promise<boolean>} - True when an event is available, false once the stream is closed
+   */
+  async hasNext() {
+    this._useAs('iterator');
+    for (;;) {
+      if (!this._peeked) {
+        this._peeked = this._take();
+      }
+      if (this._peeked) {
+        return true;
+      }
+      if (this.closed) {
+        return false;
+      }
+      await new Promise(resolve => this._waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Close the stream, ending any pending iteration
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this._queue = [];
+    this._changeLog.streams.delete(this);
+    this._wake();
+    this.emit('close');
+  }
+
+  /**
+   * Iterate over change events until the stream is closed
+   *
+   * Like the driver, leaving a `for await` loop (with break, return or an
+   * exception) closes the stream.
+   *
+   * @returns {AsyncGenerator<Object>} - Change events
+   */
+  async *[Symbol.asyncIterator]() {
+    try {
+      while (await this.hasNext()) {
+        yield this._consume();
+      }
+    } finally {
+      await this.close();
+    }
+  }
+
+  /**
+   * Receive an entry recorded in the change log
+   * @param {Object} entry - Change log entry
+   * @private
+   */
+  _notify(entry) {
+    if (this.closed || !this._isWatched(entry)) {
+      return;
+    }
+    this._queue.push(entry);
+    this._wake();
+    this._scheduleDrain();
+  }
+
+  /**
+   * Check whether a log entry belongs to the watched namespace
+   * @param {Object} entry - Change log entry
+   * @returns {boolean} - True if the stream should see it
+   * @private
+   */
+  _isWatched(entry) {
+    if (entry.ns.db !== this.namespace.db) {
+      return false;
+    }
+    // Dropping a collection only invalidates the streams opened on that collection
+    return this.namespace.coll === undefined
+      ? entry.operationType !== 'invalidate'
+      : entry.ns.coll === this.namespace.coll;
+  }
+
+  /**
+   * Commit to being consumed as an iterator or as an emitter
+   * @param {string} mode - 'iterator' or 'emitter'
+   * @private
+   */
+  _useAs(mode) {
+    if (this._mode && this._mode !== mode) {
+      throw new Error(mode === 'emitter'
+        ? 'ChangeStream cannot be used as an EventEmitter after being used as an iterator'
+        : 'ChangeStream cannot be used as an iterator after being used as an EventEmitter');
+    }
+    this._mode = mode;
+  }
+
+  /**
+   * Resolve every pending hasNext()
+   * @private
+   */
+  _wake() {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Emit queued events to 'change' listeners on the next microtask
+   * @private
+   */
+  _scheduleDrain() {
+    if (this._mode !== 'emitter' || this._drainScheduled) {
+      return;
+    }
+    this._drainScheduled = true;
+    Promise.resolve().then(() => {
+      this._drainScheduled = false;
+      try {
+        let event;
+        while (!this.closed && (event = this._take())) {
+          this._setResumeToken(event._id);
+          this.emit('change', event);
+        }
+      } catch (error) {
+        this.close();
+        this.emit('error', error);
+      }
+    });
+  }
+
+  /**
+   * Hand out the event found by hasNext()
+   * @returns {Object} - Change event
+   * @private
+   */
+  _consume() {
+    const event = this._peeked;
+    this._peeked = null;
+    this._setResumeToken(event._id);
+    return event;
+  }
+
+  /**
+   * Update the resume token
+   * @param {Object} token - Resume token
+   * @private
+   */
+  _setResumeToken(token) {
+    this.resumeToken = token;
+    this.emit('resumeTokenChanged', token);
+  }
+
+  /**
+   * Turn queued entries into events until one passes the pipeline
+   * @returns {Object|null} - Change event, or null when the queue is exhausted
+   * @private
+   */
+  _take() {
+    if (this._invalidated) {
+      this.close();
+      return null;
+    }
+
+    while (this._queue.length > 0) {
+      const entry = this._queue.shift();
+      const [event] = this._aggregation.run([this._toEvent(entry)]);
+
+      if (entry.operationType === 'invalidate') {
+        this._invalidated = true;
+      }
+      if (!event) {
+        this._setResumeToken(entry.token);
+        continue;
+      }
+      if (!deepEqual(event._id, entry.token)) {
+        throw new MongoServerError(
+          'Encountered an event whose _id field, which contains the resume token, was modified by the pipeline.',
+          { code: 280, codeName: 'ChangeStreamFatalError' }
+        );
+      }
+      return this._frozen ? deepFreeze(event) : event;
+    }
+    return null;
+  }
+
+  /**
+   * Build the change event for a log entry
+   *
+   * Documents are copied by the pipeline run, so events never share objects
+   * with the stored documents.
+   *
+   * @param {Object} entry - Change log entry
+   * @returns {Object} - Change event
+   * @private
+   */
+  _toEvent(entry) {
+    const { operationType, before, after } = entry;
+    const event = { _id: entry.token, operationType, wallTime: entry.wallTime };
+
+    if (operationType === 'insert' || operationType === 'replace') {
+      event.fullDocument = after;
+    } else if (operationType === 'update') {
+      if (this.fullDocument === 'updateLookup') {
+        event.fullDocument = lookupDocument(entry);
+      } else if (this.fullDocument !== 'default') {
+        event.fullDocument = after;
+      }
+    }
+
+    if (entry.lsid) {
+      event.lsid = entry.lsid;
+      event.txnNumber = entry.txnNumber;
+    }
+    event.ns = entry.ns;
+    if (entry.documentKey) {
+      event.documentKey = entry.documentKey;
+    }
+    if (operationType === 'update') {
+      event.updateDescription = describeUpdate(before, after);
+    }
+    if (this.fullDocumentBeforeChange !== 'off' && ['update', 'replace', 'delete'].includes(operationType)) {
+      event.fullDocumentBeforeChange = before;
+    }
+    return event;
+  }
+}
+
+/**
+ * Find the current version of an updated document, for fullDocument: 'updateLookup'
+ * @param {Object} entry - Change log entry
+ * @returns {Object|null} - The document as stored now, or null if it is gone
+ * @private
+ */
+function lookupDocument(entry) {
+  const current = entry.collection.documents.find(doc => valuesEqual(doc._id, entry.documentKey._id));
+  return current || null;
+}
+
+/**
+ * Describe the difference between two versions of a document, as the updateDescription of an update event
+ *
+ * Nested documents are compared field by field (reporting dotted paths).
+ * Arrays that only grew or shrank report their new elements and truncation;
+ * any other change to an array reports the whole array.
+ *
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @returns {Object} - { updatedFields, removedFields, truncatedArrays }
+ * @private
+ */
+function describeUpdate(before, after) {
+  const description = { updatedFields: {}, removedFields: [], truncatedArrays: [] };
+  diffDocuments(before, after, '', description);
+  return description;
+}
+
+/**
+ * Add the differences between two embedded documents to an update description
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @param {string} prefix - Dotted path of the documents, with a trailing dot
+ * @param {Object} description - Update description being built
+ * @private
+ */
+function diffDocuments(before, after, prefix, description) {
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      description.removedFields.push(`${prefix}${key}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(after)) {
+    const path = `${prefix}${key}`;
+    const previous = before[key];
+
+    if (key in before && deepEqual(previous, value)) {
+      continue;
+    }
+    if (isTraversable(previous) && isTraversable(value)) {
+      diffDocuments(previous, value, `${path}.`, description);
+    } else if (Array.isArray(previous) && Array.isArray(value) && isResized(previous, value)) {
+      if (value.length < previous.length) {
+        description.truncatedArrays.push({ field: path, newSize: value.length });
+      }
+      for (let index = previous.length; index < value.length; index++) {
+        description.updatedFields[`${path}.${index}`] = value[index];
+      }
+    } else {
+      description.updatedFields[path] = value;
+    }
+  }
+}
+
+/**
+ * Check whether one array is the other with elements added or removed at the end
+ * @param {Array} previous - Previous array
+ * @param {Array} value - New array
+ * @returns {boolean} - True if the shorter array is a prefix of the longer one
+ * @private
+ */
+function isResized(previous, value) {
+  const length = Math.min(previous.length, value.length);
+  for (let index = 0; index < length; index++) {
+    if (!deepEqual(previous[index], value[index])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check an option against its allowed values
+ * @param {string} option - Option name
+ * @param {string} value - Given value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string} - The value
+ * @private
+ */
+function checkMode(option, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new MongoServerError(`Enumeration value '${value}' for field '${option}' is not a valid value.`, {
+      code: 2,
+      codeName: 'BadValue'
+    });
+  }
+  return value;
+}
+
+module.exports = ChangeStream;
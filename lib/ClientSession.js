@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const Transaction = require('./Transaction');
+const { MongoError, MongoTransactionError, MongoExpiredSessionError } = require('./errors');
+
+/**
+ * How long withTransaction keeps retrying transient failures, as in the driver
+ */
+const WITH_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * ClientSession - A session that groups operations into transactions
+ *
+ * Mimics the driver's ClientSession. Pass `{ session }` to collection methods
+ * to run them inside the session's current transaction; outside a transaction
+ * the session has no effect.
+ */
+class ClientSession {
+  /**
+   * Constructor
+   * @param {Object} options - { defaultTransactionOptions }
+   */
+  constructor(options = {}) {
+    this.id = { id: crypto.randomBytes(16) };
+    this.hasEnded = false;
+    this.txnNumber = 0;
+    this.defaultTransactionOptions = options.defaultTransactionOptions || {};
+    this.transaction = new Transaction(this);
+  }
+
+  /**
+   * Check whether a transaction is in progress
+   * @returns {boolean} - True between startTransaction and commit/abort
+   */
+  inTransaction() {
+    return this.transaction.isActive;
+  }
+
+  /**
+   * Start a transaction
+   * @param {Object} options - { readConcern, writeConcern, readPreference }
+   * @throws {MongoTransactionError} - If a transaction is already in progress
+   */
+  startTransaction(options = {}) {
+    this._assertNotEnded();
+    if (this.inTransaction()) {
+      throw new MongoTransactionError('Transaction already in progress');
+    }
+    this.txnNumber += 1;
+    this.transaction.start({ ...this.defaultTransactionOptions, ...options });
+  }
+
+  /**
+   * Commit the current transaction, making its writes visible
+   * @returns {Promise<void>}
+   * @throws {MongoServerError} - WriteConflict (labelled TransientTransactionError) if another write got there first
+   */
+  async commitTransaction() {
+    this._assertNotEnded();
+    const { state } = this.transaction;
+    if (state === 'NO_TRANSACTION') {
+      throw new MongoTransactionError('No transaction started');
+    }
+    if (state === 'TRANSACTION_ABORTED') {
+      throw new MongoTransactionError('Cannot call commitTransaction after calling abortTransaction');
+    }
+
+    // Committing again after a successful commit is a no-op, as in the driver
+    this.transaction.state = 'TRANSACTION_COMMITTED';
+    this.transaction.commit();
+  }
+
+  /**
+   * Abort the current transaction, discarding its writes
+   * @returns {Promise<void>}
+   */
+  async abortTransaction() {
+    this._assertNotEnded();
+    const { state } = this.transaction;
+    if (state === 'NO_TRANSACTION') {
+      throw new MongoTransactionError('No transaction started');
+    }
+    if (state === 'TRANSACTION_COMMITTED') {
+      throw new MongoTransactionError('Cannot call abortTransaction after calling commitTransaction');
+    }
+    if (state === 'TRANSACTION_ABORTED') {
+      throw new MongoTransactionError('Cannot call abortTransaction twice');
+    }
+
+    this.transaction.state = 'TRANSACTION_ABORTED';
+    this.transaction.abort();
+  }
+
+  /**
+   * Run a callback in a transaction and commit it, retrying on transient errors
+   *
+   * Like the driver, the whole callback is retried when it or the commit fails
+   * with an error labelled TransientTransactionError (such as a WriteConflict),
+   * for up to 120 seconds. Any other error aborts the transaction and is
+   * rethrown.
+   *
+   * @param {Function} callback - async (session) => result
+   * @param {Object} options - Transaction options
+   * @returns {Promise<*>} - The callback's result
+   */
+  async withTransaction(callback, options = {}) {
+    const startTime = Date.now();
+    const canRetry = error => error instanceof MongoError &&
+      error.hasErrorLabel('TransientTransactionError') &&
+      Date.now() - startTime < WITH_TRANSACTION_TIMEOUT_MS;
+
+    for (;;) {
+      this.startTransaction(options);
+
+      let result;
+      try {
+        result = await callback(this);
+      } catch (error) {
+        if (this.inTransaction()) {
+          await this.abortTransaction();
+        }
+        if (canRetry(error)) {
+          continue;
+        }
+        throw error;
+      }
+
+      // The callback may have committed or aborted the transaction itself
+      if (!this.inTransaction()) {
+        return result;
+      }
+
+      try {
+        await this.commitTransaction();
+        return result;
+      } catch (error) {
+        if (canRetry(error)) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * End the session, aborting any transaction in progress
+   * @returns {Promise<void>}
+   */
+  async endSession() {
+    if (this.hasEnded) {
+      return;
+    }
+    if (this.inTransaction()) {
+      await this.abortTransaction();
+    }
+    this.hasEnded = true;
+  }
+
+  /**
+   * Throw if the session has ended
+   * @throws {MongoExpiredSessionError} - If endSession() was called
+   * @private
+   */
+  _assertNotEnded() {
+    if (this.hasEnded) {
+      throw new MongoExpiredSessionError();
+    }
+  }
+}
+
+module.exports = ClientSession;
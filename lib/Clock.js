@@ -0,0 +1,139 @@
+/**
+ * Clock - The time a database runs on
+ *
+ * TTL expiry, `$currentDate`, `$$NOW`, the timestamps of generated ObjectIds
+ * and the wall time of change events all read the database's clock, so tests
+ * can move time forward instead of waiting:
+ *
+ *   db.clock.advance(60 * 60 * 1000); // an hour later, expired sessions are gone
+ *
+ * A clock created without a start time follows the system clock, plus
+ * whatever it was advanced by. Jest's fake timers replace the system clock,
+ * so `jest.setSystemTime()` and `jest.advanceTimersByTime()` move it too. A
+ * clock created with a start time is frozen there and only moves with
+ * advance() and set().
+ */
+class Clock {
+  /**
+   * Constructor
+   * @param {Date|number} [start] - Time to freeze the clock at; omit to follow the system clock
+   */
+  constructor(start) {
+    this._frozenAt = start === undefined ? null : toMilliseconds(start);
+    this._offset = 0;
+    this._listeners = new Set();
+  }
+
+  /**
+   * Whether the clock only moves when told to
+   * @returns {boolean} - True for a clock created with a start time
+   */
+  get isFrozen() {
+    return this._frozenAt !== null;
+  }
+
+  /**
+   * Get the current time
+   * @returns {Date} - Current time
+   */
+  now() {
+    return new Date(this.isFrozen ? this._frozenAt : Date.now() + this._offset);
+  }
+
+  /**
+   * Move the clock forward
+   * @param {number} ms - Milliseconds to move by
+   * @returns {Date} - New current time
+   */
+  advance(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+      throw new Error('advance() expects a non-negative number of milliseconds');
+    }
+    return this.set(this.now().getTime() + ms);
+  }
+
+  /**
+   * Move the clock to a given time
+   * @param {Date|number} time - New current time
+   * @returns {Date} - New current time
+   */
+  set(time) {
+    const target = toMilliseconds(time);
+    if (this.isFrozen) {
+      this._frozenAt = target;
+    } else {
+      this._offset = target - Date.now();
+    }
+    for (const listener of Array.from(this._listeners)) {
+      listener(this.now());
+    }
+    return this.now();
+  }
+
+  /**
+   * Wait until the clock has moved on by a number of milliseconds
+   *
+   * Any clock gets there when advance() or set() moves it far enough. A clock
+   * that follows the system clock also gets there as time passes, on a timer
+   * that Jest's fake timers control like any other.
+   *
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>} - Resolves once the clock reads at least now + ms (at once for 0)
+   */
+  sleep(ms) {
+    if (!(ms > 0)) {
+      return Promise.resolve();
+    }
+    const until = this.now().getTime() + ms;
+    return new Promise(resolve => {
+      let timer = null;
+      const stop = this.onTick(now => {
+        if (now.getTime() >= until) {
+          finish();
+        }
+      });
+      const finish = () => {
+        stop();
+        clearTimeout(timer);
+        resolve();
+      };
+      const wait = () => {
+        const remaining = until - this.now().getTime();
+        if (remaining <= 0) {
+          finish();
+        } else {
+          timer = setTimeout(wait, remaining);
+        }
+      };
+      if (!this.isFrozen) {
+        wait();
+      }
+    });
+  }
+
+  /**
+   * Run a function whenever advance() or set() moves the clock
+   * @param {Function} listener - Called with the new current time
+   * @returns {Function} - Call to remove the listener
+   */
+  onTick(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+}
+
+/**
+ * Convert a time to milliseconds since the epoch
+ * @param {Date|number} time - Date or milliseconds
+ * @returns {number} - Milliseconds
+ * @private
+ */
+function toMilliseconds(time) {
+  const ms = time instanceof Date ? time.getTime() : time;
+  if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+    throw new Error('A clock time must be a valid Date or a number of milliseconds');
+  }
+  return ms;
+}
+
+module.exports = Clock;
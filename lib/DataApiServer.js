@@ -0,0 +1,428 @@
+const http = require('http');
+const MockMongoClient = require('./MockMongoClient');
+const MockCollection = require('./MockCollection');
+const ejson = require('./ejson');
+const { MongoServerError, MongoNetworkError } = require('./errors');
+
+/**
+ * Path of the action endpoints: /app/<appId>/endpoint/data/v1/action/<action>, or just /action/<action>
+ */
+const ACTION_PATH = /^(?:\/app\/[^/]+\/endpoint\/data\/v1)?\/action\/([A-Za-z]+)\/?$/;
+
+/**
+ * Largest request body accepted (16 MB)
+ */
+const MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Handler method, HTTP status and required body fields of each action
+ */
+const ACTIONS = {
+  findOne: { handler: '_findOne', status: 200, fields: [] },
+  find: { handler: '_find', status: 200, fields: [] },
+  insertOne: { handler: '_insertOne', status: 201, fields: ['document'] },
+  insertMany: { handler: '_insertMany', status: 201, fields: ['documents'] },
+  updateOne: { handler: '_update', status: 200, fields: ['filter', 'update'] },
+  updateMany: { handler: '_update', status: 200, fields: ['filter', 'update'] },
+  replaceOne: { handler: '_replaceOne', status: 200, fields: ['filter', 'replacement'] },
+  deleteOne: { handler: '_delete', status: 200, fields: ['filter'] },
+  deleteMany: { handler: '_delete', status: 200, fields: ['filter'] },
+  aggregate: { handler: '_aggregate', status: 200, fields: ['pipeline'] }
+};
+
+/**
+ * DataApiError - A request the Data API rejects, with its HTTP status
+ * @private
+ */
+class DataApiError extends Error {
+  /**
+   * Constructor
+   * @param {number} status - HTTP status code
+   * @param {string} errorCode - Value of `error_code` in the response
+   * @param {string} message - Error message
+   */
+  constructor(status, errorCode, message) {
+    super(message);
+    this.status = status;
+    this.errorCode = errorCode;
+  }
+}
+
+/**
+ * DataApiServer - Serves mock databases through an HTTP data API
+ *
+ * Emulates the action endpoints of MongoDB's Atlas Data API: each request
+ * is a POST to `.../action/<action>` with a JSON body naming the
+ * `dataSource`, `database` and `collection` plus the action's arguments
+ * (`filter`, `document`, `update`, `pipeline`, ...). Request bodies are read
+ * as Extended JSON. Responses are relaxed Extended JSON, or canonical with
+ * `Accept: application/ejson`.
+ *
+ * When `apiKeys` are given, requests must send one in the `api-key` header.
+ * Errors are returned as `{ error, error_code }` with a matching status:
+ * 400 for invalid requests and rejected writes, 401 for a missing or wrong
+ * key, 404 for unknown actions, 405 for methods other than POST, 409 for
+ * duplicate keys, 413 for oversized bodies and 503 for injected network
+ * errors.
+ *
+ * `handleRequest` can also be mounted in an existing HTTP server.
+ */
+class DataApiServer {
+  /**
+   * Constructor
+   * @param {Object} options - Server options
+   * @param {MockDatabase} [options.db] - Serve only this database
+   * @param {MockMongoClient} [options.client] - Serve every database of this client (default: a new MockMongoClient)
+   * @param {Array<string>|string} [options.apiKeys] - Accepted API keys (no check when omitted)
+   * @param {number} [options.port] - TCP port; 0 (the default) picks a free one
+   * @param {string} [options.host] - Address to listen on (default '127.0.0.1')
+   * @param {string} [options.appId] - App id used in `url` (default 'data-mock')
+   */
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.client = this.db ? null : options.client || new MockMongoClient();
+    this.apiKeys = options.apiKeys === undefined ? null : [].concat(options.apiKeys);
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.appId = options.appId || 'data-mock';
+    this.handleRequest = this.handleRequest.bind(this);
+    this._server = null;
+  }
+
+  /**
+   * Base URL of the API; actions are at `${url}/action/<action>`
+   * @returns {string} - e.g. 'http://127.0.0.1:8080/app/data-mock/endpoint/data/v1'
+   */
+  get url() {
+    return `http://${this.host}:${this.port}/app/${this.appId}/endpoint/data/v1`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<DataApiServer>} - This server, once it accepts requests
+   */
+  listen() {
+    this._server = http.createServer(this.handleRequest);
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, this.host, () => {
+        this._server.removeListener('error', reject);
+        this.port = this._server.address().port;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this._server) {
+      return Promise.resolve();
+    }
+    const server = this._server;
+    this._server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Answer an HTTP request (usable as a listener of any http.Server)
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const canonical = /application\/ejson/.test(req.headers.accept || '');
+    try {
+      const match = ACTION_PATH.exec(req.url.split('?')[0]);
+      const action = match && Object.prototype.hasOwnProperty.call(ACTIONS, match[1]) ? ACTIONS[match[1]] : null;
+      if (!action) {
+        throw new DataApiError(404, 'NotFound', `No action at ${req.url}`);
+      }
+      if (req.method !== 'POST') {
+        res.setHeader('Allow', 'POST');
+        throw new DataApiError(405, 'MethodNotAllowed', `${req.method} is not allowed; use POST`);
+      }
+      this._checkApiKey(req);
+
+      const body = parseBody(await readBody(req));
+      for (const field of ['dataSource', 'database', 'collection']) {
+        if (typeof body[field] !== 'string' || body[field] === '') {
+          throw new DataApiError(400, 'MissingParameter', `'${field}' must be a non-empty string`);
+        }
+      }
+      for (const field of action.fields) {
+        if (body[field] === undefined) {
+          throw new DataApiError(400, 'MissingParameter', `'${field}' is required for ${match[1]}`);
+        }
+      }
+
+      const result = await this[action.handler](this._database(body.database), body, match[1]);
+      send(res, action.status, result, canonical);
+    } catch (error) {
+      const { status, errorCode } = errorStatus(error);
+      send(res, status, { error: error.message, error_code: errorCode }, canonical);
+    }
+  }
+
+  /**
+   * findOne: { filter, projection } -> { document }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _findOne(db, body) {
+    const document = await readCollection(db, body.collection).findOne(body.filter || {}, { projection: body.projection });
+    return { document };
+  }
+
+  /**
+   * find: { filter, projection, sort, skip, limit } -> { documents }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _find(db, body) {
+    const { filter = {}, projection, sort, skip, limit } = body;
+    const documents = await readCollection(db, body.collection).find(filter, { projection, sort, skip, limit }).toArray();
+    return { documents };
+  }
+
+  /**
+   * insertOne: { document } -> { insertedId }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _insertOne(db, body) {
+    const { insertedId } = await db.collection(body.collection).insertOne(body.document);
+    return { insertedId };
+  }
+
+  /**
+   * insertMany: { documents } -> { insertedIds }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _insertMany(db, body) {
+    const { insertedIds } = await db.collection(body.collection).insertMany(body.documents);
+    return { insertedIds: Object.keys(insertedIds).sort((a, b) => a - b).map(index => insertedIds[index]) };
+  }
+
+  /**
+   * updateOne / updateMany: { filter, update, upsert } -> { matchedCount, modifiedCount, upsertedId }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @param {string} action - 'updateOne' or 'updateMany'
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _update(db, body, action) {
+    const result = await db.collection(body.collection)[action](body.filter, body.update, { upsert: Boolean(body.upsert) });
+    return updateResponse(result);
+  }
+
+  /**
+   * replaceOne: { filter, replacement, upsert } -> { matchedCount, modifiedCount, upsertedId }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _replaceOne(db, body) {
+    const result = await db.collection(body.collection).replaceOne(body.filter, body.replacement, { upsert: Boolean(body.upsert) });
+    return updateResponse(result);
+  }
+
+  /**
+   * deleteOne / deleteMany: { filter } -> { deletedCount }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @param {string} action - 'deleteOne' or 'deleteMany'
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _delete(db, body, action) {
+    const { deletedCount } = await readCollection(db, body.collection)[action](body.filter);
+    return { deletedCount };
+  }
+
+  /**
+   * aggregate: { pipeline } -> { documents }
+   * @param {MockDatabase} db - Database
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Response
+   * @private
+   */
+  async _aggregate(db, body) {
+    if (!Array.isArray(body.pipeline)) {
+      throw new DataApiError(400, 'InvalidParameter', "'pipeline' must be an array");
+    }
+    const documents = await readCollection(db, body.collection).aggregate(body.pipeline).toArray();
+    return { documents };
+  }
+
+  /**
+   * Reject requests without an accepted API key
+   * @param {http.IncomingMessage} req - Request
+   * @throws {DataApiError} - 401 if the key is missing or wrong
+   * @private
+   */
+  _checkApiKey(req) {
+    if (this.apiKeys && !this.apiKeys.includes(req.headers['api-key'])) {
+      throw new DataApiError(401, 'InvalidSession', req.headers['api-key'] ? 'Invalid API key' : "Missing 'api-key' header");
+    }
+  }
+
+  /**
+   * Get the database a request names
+   * @param {string} name - Database name
+   * @returns {MockDatabase} - Database
+   * @throws {DataApiError} - 404 if the server serves a single, different database
+   * @private
+   */
+  _database(name) {
+    if (this.db) {
+      if (name !== this.db.databaseName) {
+        throw new DataApiError(404, 'NotFound', `Database '${name}' is not served here`);
+      }
+      return this.db;
+    }
+    return this.client.db(name);
+  }
+}
+
+/**
+ * Start a Data API server
+ * @param {Object} [options] - { db, client, apiKeys, port, host, appId } (see DataApiServer)
+ * @returns {Promise<DataApiServer>} - Listening server; call close() when done
+ */
+function startDataApiServer(options) {
+  return new DataApiServer(options).listen();
+}
+
+/**
+ * Get a collection to read, without creating it
+ * @param {MockDatabase} db - Database
+ * @param {string} name - Collection name
+ * @returns {MockCollection} - The collection, or an empty one not added to the database
+ * @private
+ */
+function readCollection(db, name) {
+  return db.collections[name] || new MockCollection(name, db);
+}
+
+/**
+ * Shape the result of an update or replace
+ * @param {Object} result - Collection method result
+ * @returns {Object} - { matchedCount, modifiedCount, upsertedId (when upserted) }
+ * @private
+ */
+function updateResponse({ matchedCount, modifiedCount, upsertedId }) {
+  const response = { matchedCount, modifiedCount };
+  if (upsertedId !== null && upsertedId !== undefined) {
+    response.upsertedId = upsertedId;
+  }
+  return response;
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} - Body text
+ * @throws {DataApiError} - 413 if the body is too large
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // Discard the rest of the body so the error response can still be sent
+        req.removeListener('data', onData);
+        req.resume();
+        reject(new DataApiError(413, 'PayloadTooLarge', 'Request body is larger than 16 MB'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a request body as Extended JSON
+ * @param {string} text - Body text
+ * @returns {Object} - Body document
+ * @throws {DataApiError} - 400 if it is not an Extended JSON document
+ * @private
+ */
+function parseBody(text) {
+  let body;
+  try {
+    body = ejson.parse(text);
+  } catch (error) {
+    throw new DataApiError(400, 'InvalidParameter', `Invalid request body: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new DataApiError(400, 'InvalidParameter', 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+/**
+ * Choose the HTTP status of a failed request
+ * @param {Error} error - Error raised while answering
+ * @returns {Object} - { status, errorCode }
+ * @private
+ */
+function errorStatus(error) {
+  if (error instanceof DataApiError) {
+    return { status: error.status, errorCode: error.errorCode };
+  }
+  if (error instanceof MongoNetworkError) {
+    return { status: 503, errorCode: 'ServiceUnavailable' };
+  }
+  if (error instanceof MongoServerError) {
+    return error.code === 11000
+      ? { status: 409, errorCode: 'DuplicateKey' }
+      : { status: 400, errorCode: error.codeName || 'InvalidParameter' };
+  }
+  if (error.name === 'BSONError' || error.constructor === Error) {
+    // Invalid arguments, rejected by the mock as plain Errors
+    return { status: 400, errorCode: 'InvalidParameter' };
+  }
+  return { status: 500, errorCode: 'InternalServerError' };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {boolean} canonical - Send canonical Extended JSON
+ * @private
+ */
+function send(res, status, body, canonical) {
+  const text = ejson.stringify(body, { relaxed: !canonical });
+  res.writeHead(status, {
+    'Content-Type': canonical ? 'application/ejson' : 'application/json',
+    'Content-Length': Buffer.byteLength(text)
+  });
+  res.end(text);
+}
+
+module.exports = {
+  DataApiServer,
+  startDataApiServer
+};
@@ -0,0 +1,116 @@
+const MockCursor = require('./MockCursor');
+const QueryBuilder = require('./QueryBuilder');
+const { deepClone } = require('./clone');
+
+/**
+ * Db - A MockDatabase seen through the driver's Db interface
+ *
+ * The `mongodb` module's clients return these from db(), so application code
+ * gets the driver's return types: listCollections() is a cursor and the drop
+ * methods return Promises. The MockDatabase API used by tests is unchanged;
+ * both views share the same collections and data.
+ */
+class Db {
+  /**
+   * Constructor
+   * @param {MockDatabase} database - Database to expose
+   */
+  constructor(database) {
+    this._database = database;
+  }
+
+  /**
+   * Name of the database
+   * @returns {string} - Database name
+   */
+  get databaseName() {
+    return this._database.databaseName;
+  }
+
+  /**
+   * Get a collection, creating it on first use
+   * @param {string} name - Collection name
+   * @returns {MockCollection} - The collection
+   */
+  collection(name) {
+    return this._database.collection(name);
+  }
+
+  /**
+   * Get every collection of the database
+   * @returns {Promise<Array<MockCollection>>} - Collections
+   */
+  async collections() {
+    return Object.values(this._database.collections);
+  }
+
+  /**
+   * Create a collection (see MockDatabase#createCollection)
+   * @param {string} name - Collection name
+   * @param {Object} options - Validation and capped options
+   * @returns {Promise<MockCollection>} - The new collection
+   */
+  createCollection(name, options) {
+    return this._database.createCollection(name, options);
+  }
+
+  /**
+   * Run a database command (see MockDatabase#command)
+   * @param {Object} command - Command document
+   * @returns {Promise<Object>} - Command reply
+   */
+  command(command) {
+    return this._database.command(command);
+  }
+
+  /**
+   * Watch every collection of the database (see MockDatabase#watch)
+   * @param {Array<Object>} pipeline - Stages applied to the events
+   * @param {Object} options - Change stream options
+   * @returns {ChangeStream} - Change stream
+   */
+  watch(pipeline, options) {
+    return this._database.watch(pipeline, options);
+  }
+
+  /**
+   * List the collections of the database
+   * @param {Object} filter - Query over the entries (e.g. { name: 'users' })
+   * @param {Object} options - { nameOnly } to leave out options, info and idIndex
+   * @returns {MockCursor} - Cursor over { name, type, options, info, idIndex } entries
+   */
+  listCollections(filter = {}, options = {}) {
+    return new MockCursor(() => {
+      const entries = Object.values(this._database.collections).map(collection => (options.nameOnly
+        ? { name: collection.name, type: 'collection' }
+        : {
+          name: collection.name,
+          type: 'collection',
+          options: deepClone(collection._collectionOptions()),
+          info: { readOnly: false },
+          idIndex: { v: 2, key: { _id: 1 }, name: '_id_' }
+        }));
+      return new QueryBuilder(entries).match(filter).execute();
+    }, { frozen: this._database.frozenResults });
+  }
+
+  /**
+   * Drop a collection
+   * @param {string} name - Collection name
+   * @returns {Promise<boolean>} - True if the collection was dropped, false if it didn't exist
+   */
+  async dropCollection(name) {
+    return this._database.dropCollection(name);
+  }
+
+  /**
+   * Drop every collection of the database, each with its drop and invalidate change events
+   * @returns {Promise<boolean>} - True
+   */
+  async dropDatabase() {
+    Object.keys(this._database.collections).forEach(name => this._database.dropCollection(name));
+    return true;
+  }
+}
+
+module.exports = Db;
@@ -0,0 +1,278 @@
+const { BSONError } = require('./errors');
+
+/**
+ * Largest number of significant digits a Decimal128 holds
+ */
+const MAX_DIGITS = 34;
+
+/**
+ * Range of the exponent, and the bias it is stored with
+ */
+const EXPONENT_MIN = -6176;
+const EXPONENT_MAX = 6111;
+const EXPONENT_BIAS = 6176;
+
+/**
+ * Largest coefficient (34 nines)
+ */
+const MAX_COEFFICIENT = 10n ** 34n - 1n;
+
+/**
+ * Decimal numbers accepted by fromString
+ */
+const DECIMAL_PATTERN = /^([-+])?(\d*)(?:\.(\d*))?(?:[eE]([-+]?\d+))?$/;
+
+/**
+ * Decimal128 - A 128-bit decimal number compatible with the driver's Decimal128
+ *
+ * Values are kept as the 16 bytes of the IEEE 754-2008 decimal128 encoding
+ * (binary integer significand), as BSON stores them, so they round-trip
+ * through Extended JSON and the wire protocol digit for digit: `1.50` stays
+ * `1.50`. Queries compare them by numeric value with each other and with
+ * numbers; arithmetic operators do not compute with them.
+ */
+class Decimal128 {
+  /**
+   * Constructor
+   * @param {string|Buffer|Uint8Array} input - Decimal string (see fromString) or the 16 encoded bytes
+   */
+  constructor(input) {
+    if (typeof input === 'string') {
+      this.bytes = encode(parseDecimal(input));
+    } else if (input instanceof Uint8Array && input.length === 16) {
+      this.bytes = Buffer.from(input);
+    } else {
+      throw new BSONError('Decimal128 must take a string or a 16 byte Uint8Array');
+    }
+  }
+
+  /**
+   * Create a Decimal128 from its string form
+   * @param {string} text - e.g. '1.50', '-2E+3', 'Infinity' or 'NaN'
+   * @returns {Decimal128} - New Decimal128
+   * @throws {BSONError} - If the string is not a number, or needs more than 34 digits or a larger exponent
+   */
+  static fromString(text) {
+    return new Decimal128(text);
+  }
+
+  /**
+   * Compare two numbers, at least one of them a Decimal128, by value
+   *
+   * NaN sorts before every other number and equals itself, as in queries.
+   *
+   * @param {Decimal128|number|bigint} a - First number
+   * @param {Decimal128|number|bigint} b - Second number
+   * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+   */
+  static compare(a, b) {
+    const x = partsOf(a);
+    const y = partsOf(b);
+    const rank = parts => (parts.nan ? 0 : parts.infinite ? (parts.negative ? 1 : 3) : 2);
+    if (rank(x) !== rank(y) || rank(x) !== 2) {
+      return rank(x) - rank(y);
+    }
+
+    const sign = parts => (parts.coefficient === 0n ? 0 : parts.negative ? -1 : 1);
+    if (sign(x) !== sign(y)) {
+      return sign(x) - sign(y);
+    }
+    const exponent = Math.min(x.exponent, y.exponent);
+    const scaledX = x.coefficient * 10n ** BigInt(x.exponent - exponent);
+    const scaledY = y.coefficient * 10n ** BigInt(y.exponent - exponent);
+    const magnitude = scaledX < scaledY ? -1 : scaledX > scaledY ? 1 : 0;
+    return sign(x) < 0 ? -magnitude : magnitude;
+  }
+
+  /**
+   * Get the string form, as the server and driver write it
+   * @returns {string} - e.g. '1.50', '1.2E+5' or 'NaN'
+   */
+  toString() {
+    const { negative, nan, infinite, coefficient, exponent } = decode(this.bytes);
+    if (nan) {
+      return 'NaN';
+    }
+    const sign = negative ? '-' : '';
+    if (infinite) {
+      return `${sign}Infinity`;
+    }
+
+    const digits = coefficient.toString();
+    const adjusted = exponent + digits.length - 1;
+    if (exponent <= 0 && adjusted >= -6) {
+      if (exponent === 0) {
+        return `${sign}${digits}`;
+      }
+      const point = digits.length + exponent;
+      return point > 0
+        ? `${sign}${digits.slice(0, point)}.${digits.slice(point)}`
+        : `${sign}0.${'0'.repeat(-point)}${digits}`;
+    }
+    const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+    return `${sign}${mantissa}E${adjusted >= 0 ? '+' : ''}${adjusted}`;
+  }
+
+  /**
+   * JSON form ({ $numberDecimal }, like the driver)
+   * @returns {Object} - { $numberDecimal: string }
+   */
+  toJSON() {
+    return { $numberDecimal: this.toString() };
+  }
+
+  /**
+   * Representation shown by console.log and util.inspect
+   * @returns {string} - e.g. new Decimal128("1.50")
+   */
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `new Decimal128("${this.toString()}")`;
+  }
+}
+
+// Tags the value as a BSON type so paths don't traverse into it and type checks recognise it
+Object.defineProperty(Decimal128.prototype, '_bsontype', { value: 'Decimal128' });
+
+/**
+ * Read a decimal string into its sign, coefficient and exponent, within Decimal128's limits
+ * @param {string} text - Decimal string
+ * @returns {Object} - { negative, nan, infinite, coefficient, exponent }
+ * @throws {BSONError} - If the string is not a number or does not fit
+ * @private
+ */
+function parseDecimal(text) {
+  const parts = readDecimal(text);
+  if (!parts) {
+    throw new BSONError(`${JSON.stringify(text)} is not a valid Decimal128 string`);
+  }
+  if (parts.nan || parts.infinite) {
+    return parts;
+  }
+
+  let { coefficient, exponent } = parts;
+  // Trailing zeros can be traded for a larger exponent, and a large exponent for trailing zeros
+  while ((coefficient > MAX_COEFFICIENT || exponent < EXPONENT_MIN) && coefficient % 10n === 0n && coefficient !== 0n) {
+    coefficient /= 10n;
+    exponent++;
+  }
+  while (exponent > EXPONENT_MAX && coefficient * 10n <= MAX_COEFFICIENT) {
+    coefficient *= 10n;
+    exponent--;
+  }
+  if (coefficient === 0n) {
+    exponent = Math.min(Math.max(exponent, EXPONENT_MIN), EXPONENT_MAX);
+  }
+  if (coefficient > MAX_COEFFICIENT || exponent < EXPONENT_MIN || exponent > EXPONENT_MAX) {
+    throw new BSONError(`${JSON.stringify(text)} cannot be represented exactly as a Decimal128 (${MAX_DIGITS} digits at most)`);
+  }
+  return { ...parts, coefficient, exponent };
+}
+
+/**
+ * Read a decimal string into its sign, coefficient and exponent, without limits
+ * @param {string} text - Decimal string
+ * @returns {Object|null} - { negative, nan, infinite, coefficient, exponent }, or null if it is not a number
+ * @private
+ */
+function readDecimal(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const special = text.match(/^([-+])?(inf|infinity|nan)$/i);
+  if (special) {
+    const nan = special[2].toLowerCase() === 'nan';
+    return { negative: special[1] === '-' && !nan, nan, infinite: !nan, coefficient: 0n, exponent: 0 };
+  }
+
+  const match = text.match(DECIMAL_PATTERN);
+  if (!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+  const fraction = match[3] || '';
+  return {
+    negative: match[1] === '-',
+    nan: false,
+    infinite: false,
+    coefficient: BigInt(`${match[2]}${fraction}` || '0'),
+    exponent: Number(match[4] || 0) - fraction.length
+  };
+}
+
+/**
+ * Get the parts of a number for comparison
+ * @param {Decimal128|number|bigint} value - Number
+ * @returns {Object} - { negative, nan, infinite, coefficient, exponent }
+ * @private
+ */
+function partsOf(value) {
+  if (value && value._bsontype === 'Decimal128') {
+    return decode(value.bytes);
+  }
+  if (typeof value === 'bigint') {
+    return { negative: value < 0n, nan: false, infinite: false, coefficient: value < 0n ? -value : value, exponent: 0 };
+  }
+  // Doubles compare by their shortest decimal form, so 0.1 equals Decimal128('0.1')
+  return readDecimal(String(value));
+}
+
+/**
+ * Encode the parts of a decimal as 16 bytes
+ * @param {Object} parts - { negative, nan, infinite, coefficient, exponent }
+ * @returns {Buffer} - Little-endian decimal128 bytes
+ * @private
+ */
+function encode({ negative, nan, infinite, coefficient, exponent }) {
+  let high;
+  let low = 0n;
+  if (nan) {
+    high = 0x7C00000000000000n;
+  } else if (infinite) {
+    high = 0x7800000000000000n;
+  } else {
+    high = (BigInt(exponent + EXPONENT_BIAS) << 49n) | (coefficient >> 64n);
+    low = coefficient & 0xFFFFFFFFFFFFFFFFn;
+  }
+  if (negative) {
+    high |= 1n << 63n;
+  }
+
+  const bytes = Buffer.alloc(16);
+  bytes.writeBigUInt64LE(low, 0);
+  bytes.writeBigUInt64LE(high, 8);
+  return bytes;
+}
+
+/**
+ * Decode 16 decimal128 bytes into their parts
+ * @param {Buffer} bytes - Little-endian decimal128 bytes
+ * @returns {Object} - { negative, nan, infinite, coefficient, exponent }
+ * @private
+ */
+function decode(bytes) {
+  const low = bytes.readBigUInt64LE(0);
+  const high = bytes.readBigUInt64LE(8);
+  const negative = (high >> 63n) === 1n;
+  const combination = Number((high >> 58n) & 0x1Fn);
+
+  if (combination === 0x1F) {
+    return { negative: false, nan: true, infinite: false, coefficient: 0n, exponent: 0 };
+  }
+  if (combination === 0x1E) {
+    return { negative, nan: false, infinite: true, coefficient: 0n, exponent: 0 };
+  }
+  if (((high >> 61n) & 0x3n) === 0x3n) {
+    // Coefficients of this form are larger than 34 digits, which the standard reads as zero
+    return { negative, nan: false, infinite: false, coefficient: 0n, exponent: Number((high >> 47n) & 0x3FFFn) - EXPONENT_BIAS };
+  }
+
+  const coefficient = ((high & 0x1FFFFFFFFFFFFn) << 64n) | low;
+  return {
+    negative,
+    nan: false,
+    infinite: false,
+    coefficient: coefficient > MAX_COEFFICIENT ? 0n : coefficient,
+    exponent: Number((high >> 49n) & 0x3FFFn) - EXPONENT_BIAS
+  };
+}
+
+module.exports = Decimal128;
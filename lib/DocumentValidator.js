@@ -0,0 +1,208 @@
+const QueryBuilder = require('./QueryBuilder');
+const { getPathValues } = require('./pathUtils');
+const { validateSchema } = require('./jsonSchema');
+const { MongoServerError } = require('./errors');
+
+/**
+ * Accepted values of the validationLevel option
+ */
+const VALIDATION_LEVELS = ['off', 'strict', 'moderate'];
+
+/**
+ * Accepted values of the validationAction option
+ */
+const VALIDATION_ACTIONS = ['error', 'warn'];
+
+/**
+ * Failure reasons reported for field operators, by operator
+ */
+const OPERATOR_REASONS = {
+  $eq: 'comparison failed',
+  $ne: 'comparison failed',
+  $gt: 'comparison failed',
+  $gte: 'comparison failed',
+  $lt: 'comparison failed',
+  $lte: 'comparison failed',
+  $in: 'no matching value found in array',
+  $nin: 'matching value found in array',
+  $regex: 'regular expression did not match',
+  $type: 'type did not match'
+};
+
+/**
+ * DocumentValidator - Enforces a collection's validator on writes
+ *
+ * A validator is a query: either plain query operators ({ age: { $gte: 18 } }),
+ * a `$jsonSchema`, or both. Like MongoDB, the validation level decides which
+ * writes are checked ('strict' checks all, 'moderate' skips updates to
+ * documents that were already invalid, 'off' checks none), and the action
+ * decides whether a failure rejects the write ('error', raising code 121
+ * with `errInfo`) or lets it through ('warn').
+ */
+class DocumentValidator {
+  /**
+   * Constructor
+   * @param {Object} options - { validator, validationLevel: 'strict', validationAction: 'error' }
+   */
+  constructor(options = {}) {
+    this.validator = {};
+    this.validationLevel = 'strict';
+    this.validationAction = 'error';
+    this.update(options);
+  }
+
+  /**
+   * Change some of the validation options, as collMod does
+   * @param {Object} options - { validator, validationLevel, validationAction }
+   */
+  update({ validator, validationLevel, validationAction }) {
+    if (validator !== undefined) {
+      if (!validator || typeof validator !== 'object' || Array.isArray(validator)) {
+        throw new MongoServerError('validator must be an object', { code: 14, codeName: 'TypeMismatch' });
+      }
+      // Surface schema errors (e.g. unknown keywords) now rather than on the first write
+      if (validator.$jsonSchema) {
+        validateSchema(validator.$jsonSchema, {});
+      }
+      this.validator = validator;
+    }
+    if (validationLevel !== undefined) {
+      this.validationLevel = checkEnum('validationLevel', validationLevel, VALIDATION_LEVELS);
+    }
+    if (validationAction !== undefined) {
+      this.validationAction = checkEnum('validationAction', validationAction, VALIDATION_ACTIONS);
+    }
+  }
+
+  /**
+   * Get the options in the form collection.options() reports them
+   * @returns {Object} - { validator, validationLevel, validationAction }, or {} without a validator
+   */
+  getOptions() {
+    if (Object.keys(this.validator).length === 0) {
+      return {};
+    }
+    return {
+      validator: this.validator,
+      validationLevel: this.validationLevel,
+      validationAction: this.validationAction
+    };
+  }
+
+  /**
+   * Check a document about to be written
+   * @param {Object} doc - New document, or new version of a document
+   * @param {Object|null} existingDoc - Stored version being replaced (null for inserts)
+   * @throws {MongoServerError} - Code 121 DocumentValidationFailure
+   */
+  validate(doc, existingDoc = null) {
+    if (this.validationLevel === 'off' || this.validationAction === 'warn' || this._isValid(doc)) {
+      return;
+    }
+    if (this.validationLevel === 'moderate' && existingDoc && !this._isValid(existingDoc)) {
+      return;
+    }
+
+    throw new MongoServerError('Document failed validation', {
+      code: 121,
+      codeName: 'DocumentValidationFailure',
+      errInfo: {
+        failingDocumentId: doc._id,
+        details: this._explain(doc)
+      }
+    });
+  }
+
+  /**
+   * Check whether a document satisfies the validator
+   * @param {Object} doc - Document
+   * @returns {boolean} - True if valid
+   * @private
+   */
+  _isValid(doc) {
+    return new QueryBuilder([]).matches(doc, this.validator);
+  }
+
+  /**
+   * Describe why a document fails the validator, in the server's errInfo format
+   * @param {Object} doc - Invalid document
+   * @returns {Object} - errInfo.details
+   * @private
+   */
+  _explain(doc) {
+    const queryBuilder = new QueryBuilder([]);
+    const clauses = Object.entries(this.validator);
+    const failed = clauses
+      .map(([key, condition], index) => ({ key, condition, index }))
+      .filter(({ key, condition }) => !queryBuilder.matches(doc, { [key]: condition }));
+
+    if (clauses.length === 1) {
+      return this._explainClause(doc, failed[0].key, failed[0].condition);
+    }
+    return {
+      operatorName: '$and',
+      clausesNotSatisfied: failed.map(({ key, condition, index }) => ({
+        index,
+        details: this._explainClause(doc, key, condition)
+      }))
+    };
+  }
+
+  /**
+   * Describe one failed top-level clause of the validator
+   * @param {Object} doc - Invalid document
+   * @param {string} key - Field path or top-level operator
+   * @param {*} condition - Clause condition
+   * @returns {Object} - Failure details
+   * @private
+   */
+  _explainClause(doc, key, condition) {
+    if (key === '$jsonSchema') {
+      return { operatorName: '$jsonSchema', schemaRulesNotSatisfied: validateSchema(condition, doc) };
+    }
+    if (key === '$expr') {
+      return { operatorName: '$expr', specifiedAs: { $expr: condition }, reason: 'expression did not match', expressionResult: false };
+    }
+    if (key.startsWith('$')) {
+      return { operatorName: key, specifiedAs: { [key]: condition }, reason: 'expression did not match' };
+    }
+
+    const isOperatorObject = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+      Object.keys(condition).length > 0 && Object.keys(condition).every(operator => operator.startsWith('$'));
+    const queryBuilder = new QueryBuilder([]);
+    const operatorName = isOperatorObject
+      ? Object.keys(condition).find(operator => operator !== '$options' &&
+          !queryBuilder.matches(doc, { [key]: { [operator]: condition[operator] } })) || Object.keys(condition)[0]
+      : '$eq';
+
+    const values = getPathValues(doc, key).filter(value => value !== undefined);
+    const details = { operatorName, specifiedAs: { [key]: condition } };
+    if (values.length === 0) {
+      details.reason = 'field was missing';
+    } else {
+      details.reason = OPERATOR_REASONS[operatorName] || 'expression did not match';
+      details.consideredValue = values.length === 1 ? values[0] : values;
+    }
+    return details;
+  }
+}
+
+/**
+ * Check an option against its allowed values
+ * @param {string} option - Option name
+ * @param {string} value - Given value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string} - The value
+ * @private
+ */
+function checkEnum(option, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new MongoServerError(
+      `Enumeration value '${value}' for field '${option}' is not a valid value.`,
+      { code: 2, codeName: 'BadValue' }
+    );
+  }
+  return value;
+}
+
+module.exports = DocumentValidator;
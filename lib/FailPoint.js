@@ -0,0 +1,486 @@
+const { INSTRUMENTED_METHODS } = require('./instrument');
+const {
+  MongoServerError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError
+} = require('./errors');
+
+/**
+ * Methods a fail point can act on (change streams are not intercepted)
+ */
+const FAULT_METHODS = INSTRUMENTED_METHODS.filter(method => method !== 'watch');
+
+/**
+ * Methods that write documents, and so may fail with a write concern error
+ */
+const WRITE_METHODS = [
+  'insertOne', 'insertMany', 'deleteOne', 'deleteMany', 'updateOne', 'updateMany', 'replaceOne',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'bulkWrite', 'importDocuments'
+];
+
+/**
+ * Methods that return a cursor; their faults are raised on the first read
+ */
+const CURSOR_METHODS = ['find', 'aggregate', 'listIndexes'];
+
+/**
+ * Server error codes by name
+ */
+const ERROR_CODES = {
+  InternalError: 1,
+  BadValue: 2,
+  HostUnreachable: 6,
+  HostNotFound: 7,
+  Unauthorized: 13,
+  NetworkTimeout: 89,
+  ShutdownInProgress: 91,
+  WriteConflict: 112,
+  PrimarySteppedDown: 189,
+  ExceededTimeLimit: 262,
+  SocketException: 9001,
+  NotWritablePrimary: 10107,
+  InterruptedAtShutdown: 11600,
+  InterruptedDueToReplStateChange: 11602,
+  NotPrimaryNoSecondaryOk: 13435,
+  NotPrimaryOrSecondary: 13436
+};
+
+/**
+ * Codes of errors that retryable writes retry
+ */
+const RETRYABLE_CODES = [6, 7, 89, 91, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436];
+
+/**
+ * Collection methods run by each command name of the failCommand fail point
+ */
+const COMMAND_METHODS = {
+  insert: ['insertOne', 'insertMany', 'bulkWrite', 'importDocuments'],
+  update: ['updateOne', 'updateMany', 'replaceOne', 'bulkWrite'],
+  delete: ['deleteOne', 'deleteMany', 'bulkWrite'],
+  find: ['find', 'findOne', 'exportDocuments'],
+  findAndModify: ['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'],
+  aggregate: ['aggregate', 'countDocuments'],
+  count: ['estimatedDocumentCount'],
+  distinct: ['distinct'],
+  createIndexes: ['createIndex', 'createIndexes'],
+  dropIndexes: ['dropIndex', 'dropIndexes'],
+  listIndexes: ['listIndexes', 'indexes', 'indexExists'],
+  listCollections: ['options']
+};
+
+const FAILPOINT_MESSAGE = "Failing command due to 'failCommand' failpoint";
+const DEFAULT_WRITE_CONCERN_ERROR = { code: 91, codeName: 'ShutdownInProgress', errmsg: 'Replication is being shut down' };
+const DEFAULT_SEED = 1;
+
+/**
+ * FailPoint - Makes collection calls fail or slow down, for testing error handling
+ *
+ * Created with `db.failPoint(options)`, or through the `failCommand` fail
+ * point of `db.command({ configureFailPoint })` as on a real server. Each
+ * call the application makes to a matching collection and method counts as a
+ * hit, after `skip` calls and while fewer than `times` hits have happened. A
+ * hit waits `afterMs` plus the configured latency, then raises the error (if
+ * any) instead of running the call; write concern errors are raised after the
+ * write is applied. Cursor methods wait and fail on their first read. Waits
+ * run on the database's clock (see Clock#sleep), so advancing it, or Jest's
+ * fake timers, ends them.
+ *
+ * Probabilistic hits and random latencies come from a generator seeded with
+ * `seed`, so a test sees the same sequence on every run.
+ */
+class FailPoint {
+  /**
+   * Constructor
+   * @param {Object} options - Fail point options
+   * @param {string} [options.collection] - Only calls to this collection (any collection when omitted)
+   * @param {string|Array<string>} [options.method] - Only these methods (every method when omitted)
+   * @param {number} [options.times] - Stop after this many hits (never stops when omitted)
+   * @param {number} [options.skip] - Let this many matching calls through first
+   * @param {number} [options.probability] - Chance (0 to 1) that a matching call is hit; defaults to 1
+   * @param {number} [options.seed] - Seed of the random generator
+   * @param {string|Object|Error} [options.error] - 'network', 'timeout', 'writeConcern', a code name (e.g. 'NotWritablePrimary'),
+   *   { code, codeName, errmsg, errorLabels, writeConcernError }, or an Error to throw
+   * @param {number} [options.afterMs] - Milliseconds to wait before failing
+   * @param {number|Object|Function} [options.latency] - Extra delay: milliseconds, { distribution: 'uniform', min, max },
+   *   { distribution: 'normal', mean, stdDev }, { distribution: 'exponential', mean }, or a function of a random() source
+   * @param {Set} registry - Set of fail points of the database
+   */
+  constructor(options, registry) {
+    options = options || {};
+    this.collection = options.collection;
+    this.times = options.times;
+    this.skip = options.skip || 0;
+    this.probability = options.probability === undefined ? 1 : options.probability;
+    this.afterMs = options.afterMs || 0;
+    this.hits = 0;
+    this._error = normalizeError(options.error);
+    this._latency = normalizeLatency(options.latency);
+    this._random = createRandom(options.seed === undefined ? DEFAULT_SEED : options.seed);
+    this._skipped = 0;
+    this._registry = registry;
+
+    const defaultMethods = this._error && this._error.kind === 'writeConcern' ? WRITE_METHODS : FAULT_METHODS;
+    this.methods = options.method === undefined ? defaultMethods : [].concat(options.method);
+    for (const method of this.methods) {
+      if (!FAULT_METHODS.includes(method)) {
+        throw new Error(`Cannot set a fail point on method '${method}'`);
+      }
+      if (!defaultMethods.includes(method)) {
+        throw new Error(`Write concern errors can only be raised by write methods, not '${method}'`);
+      }
+    }
+    if (this.times !== undefined && !(Number.isInteger(this.times) && this.times >= 0)) {
+      throw new Error('times must be a non-negative integer');
+    }
+    if (!(Number.isInteger(this.skip) && this.skip >= 0)) {
+      throw new Error('skip must be a non-negative integer');
+    }
+    if (typeof this.probability !== 'number' || this.probability < 0 || this.probability > 1) {
+      throw new Error('probability must be a number between 0 and 1');
+    }
+
+    registry.add(this);
+  }
+
+  /**
+   * Whether the fail point can still be hit
+   * @returns {boolean} - False once disabled or after `times` hits
+   */
+  get isActive() {
+    return this._registry.has(this) && (this.times === undefined || this.hits < this.times);
+  }
+
+  /**
+   * Turn the fail point off
+   */
+  disable() {
+    this._registry.delete(this);
+  }
+
+  /**
+   * Check whether a call is one the fail point acts on
+   * @param {MockCollection} collection - Collection called
+   * @param {string} method - Method name
+   * @returns {boolean} - True if the collection and method match
+   */
+  matches(collection, method) {
+    return (this.collection === undefined || this.collection === collection.name) && this.methods.includes(method);
+  }
+
+  /**
+   * Decide whether a matching call is hit, counting it
+   * @returns {boolean} - True if the call should be delayed or failed
+   * @private
+   */
+  _trigger() {
+    if (this._skipped < this.skip) {
+      this._skipped++;
+      return false;
+    }
+    if (!this.isActive) {
+      return false;
+    }
+    if (this.probability < 1 && this._random() >= this.probability) {
+      return false;
+    }
+    this.hits++;
+    return true;
+  }
+
+  /**
+   * Get how long a hit call waits
+   * @returns {number} - Milliseconds
+   * @private
+   */
+  _delay() {
+    return this.afterMs + (this._latency ? Math.max(0, this._latency(this._random)) : 0);
+  }
+
+  /**
+   * Create the error a hit call raises
+   * @param {string} method - Method called
+   * @param {Array} args - Arguments of the call
+   * @param {Object} [result] - Result of the write, for write concern errors
+   * @returns {Error} - Error to throw
+   * @private
+   */
+  _createError(method, args, result) {
+    const spec = this._error;
+    const session = sessionOf(args);
+    const inTransaction = Boolean(session && session.inTransaction());
+    let error;
+    let retryable = false;
+
+    switch (spec.kind) {
+      case 'instance':
+        return spec.error;
+      case 'network':
+        error = new MongoNetworkError('connection 1 to 127.0.0.1:27017 closed');
+        retryable = true;
+        break;
+      case 'timeout':
+        error = new MongoNetworkTimeoutError('connection 1 to 127.0.0.1:27017 timed out');
+        retryable = true;
+        break;
+      case 'writeConcern': {
+        const { code, codeName, errmsg, errInfo } = spec.writeConcernError;
+        error = new MongoWriteConcernError(errmsg, {
+          code,
+          codeName,
+          errInfo,
+          result: { ...result, writeConcernError: { ...spec.writeConcernError } }
+        });
+        retryable = RETRYABLE_CODES.includes(code);
+        break;
+      }
+      default:
+        error = new MongoServerError(spec.errmsg, { code: spec.code, codeName: spec.codeName });
+        retryable = RETRYABLE_CODES.includes(spec.code);
+    }
+
+    if (spec.errorLabels) {
+      spec.errorLabels.forEach(label => error.addErrorLabel(label));
+    } else {
+      if (retryable && WRITE_METHODS.includes(method) && !inTransaction) {
+        error.addErrorLabel('RetryableWriteError');
+      }
+      if (inTransaction && (spec.kind === 'network' || spec.kind === 'timeout')) {
+        error.addErrorLabel('TransientTransactionError');
+      }
+    }
+    return error;
+  }
+
+  /**
+   * Create the fail point set by a `configureFailPoint: 'failCommand'` command
+   * @param {Object} command - { configureFailPoint, mode, data }
+   * @param {Set} registry - Set of fail points of the database
+   * @returns {FailPoint|null} - New fail point, or null for mode 'off'
+   */
+  static fromCommand(command, registry) {
+    const { mode, data = {} } = command;
+    if (mode === 'off') {
+      return null;
+    }
+
+    const options = {};
+    if (mode && typeof mode === 'object') {
+      options.times = mode.times;
+      options.skip = mode.skip;
+      options.probability = mode.activationProbability;
+    } else if (mode !== 'alwaysOn') {
+      throw new MongoServerError(`Invalid fail point mode: ${JSON.stringify(mode)}`, { code: 2, codeName: 'BadValue' });
+    }
+
+    if (!Array.isArray(data.failCommands) || data.failCommands.length === 0) {
+      throw new MongoServerError('failCommand fail point requires a non-empty data.failCommands array', { code: 2, codeName: 'BadValue' });
+    }
+    const methods = new Set();
+    for (const name of data.failCommands) {
+      if (!COMMAND_METHODS[name]) {
+        throw new MongoServerError(`failCommand cannot fail command '${name}'`, { code: 2, codeName: 'BadValue' });
+      }
+      COMMAND_METHODS[name].forEach(method => methods.add(method));
+    }
+    options.method = Array.from(methods);
+
+    if (data.closeConnection) {
+      options.error = 'network';
+    } else if (data.errorCode !== undefined) {
+      options.error = { code: data.errorCode, errorLabels: data.errorLabels };
+    } else if (data.writeConcernError) {
+      options.error = { writeConcernError: data.writeConcernError, errorLabels: data.errorLabels };
+      options.method = options.method.filter(method => WRITE_METHODS.includes(method));
+    }
+    if (data.blockConnection) {
+      options.afterMs = data.blockTimeMS || 0;
+    }
+
+    return new FailPoint(options, registry);
+  }
+
+  /**
+   * Whether fail points are set on a collection's database (instrument hook)
+   * @param {MockCollection} collection - Collection
+   * @returns {boolean} - True if the database has fail points
+   */
+  static isActive(collection) {
+    return Boolean(collection.database) && collection.database.failPoints.size > 0;
+  }
+
+  /**
+   * Run a collection call, delaying or failing it if fail points are hit (instrument hook)
+   * @param {MockCollection} collection - Collection called
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @param {Function} proceed - Runs the call
+   * @returns {*} - The call's return value
+   */
+  static intercept(collection, method, args, proceed) {
+    const hit = Array.from(collection.database.failPoints)
+      .filter(failPoint => failPoint.matches(collection, method) && failPoint._trigger());
+    if (hit.length === 0) {
+      return proceed();
+    }
+
+    const delay = hit.reduce((total, failPoint) => total + failPoint._delay(), 0);
+    const failing = hit.find(failPoint => failPoint._error);
+
+    if (CURSOR_METHODS.includes(method)) {
+      const cursor = proceed();
+      cursor._setBeforeRead(async () => {
+        await collection.database.clock.sleep(delay);
+        if (failing) {
+          throw failing._createError(method, args);
+        }
+      });
+      return cursor;
+    }
+
+    return (async () => {
+      await collection.database.clock.sleep(delay);
+      if (!failing) {
+        return proceed();
+      }
+      if (failing._error.kind === 'writeConcern') {
+        const result = await proceed();
+        throw failing._createError(method, args, result);
+      }
+      throw failing._createError(method, args);
+    })();
+  }
+}
+
+/**
+ * Turn the error option of a fail point into a description of the error
+ * @param {string|Object|Error} [error] - Error option
+ * @returns {Object|null} - { kind, ... }, or null for fail points that only add latency
+ * @private
+ */
+function normalizeError(error) {
+  if (error === undefined || error === null) {
+    return null;
+  }
+  if (error instanceof Error) {
+    return { kind: 'instance', error };
+  }
+  if (error === 'network' || error === 'timeout') {
+    return { kind: error };
+  }
+  if (error === 'writeConcern') {
+    return { kind: 'writeConcern', writeConcernError: DEFAULT_WRITE_CONCERN_ERROR };
+  }
+  if (typeof error === 'string') {
+    if (ERROR_CODES[error] === undefined) {
+      throw new Error(`Unknown fail point error '${error}'`);
+    }
+    return { kind: 'server', code: ERROR_CODES[error], codeName: error, errmsg: FAILPOINT_MESSAGE };
+  }
+  if (typeof error === 'object') {
+    if (error.writeConcernError) {
+      const writeConcernError = { ...DEFAULT_WRITE_CONCERN_ERROR, ...error.writeConcernError };
+      if (error.writeConcernError.code !== undefined && error.writeConcernError.codeName === undefined) {
+        writeConcernError.codeName = codeNameOf(writeConcernError.code);
+      }
+      return { kind: 'writeConcern', writeConcernError, errorLabels: error.errorLabels };
+    }
+    const code = error.code !== undefined ? error.code : ERROR_CODES[error.codeName];
+    if (typeof code !== 'number') {
+      throw new Error('A fail point error object needs a numeric code or a known codeName');
+    }
+    return {
+      kind: 'server',
+      code,
+      codeName: error.codeName || codeNameOf(code),
+      errmsg: error.errmsg || FAILPOINT_MESSAGE,
+      errorLabels: error.errorLabels
+    };
+  }
+  throw new Error(`Unknown fail point error ${JSON.stringify(error)}`);
+}
+
+/**
+ * Turn the latency option of a fail point into a sampling function
+ * @param {number|Object|Function} [latency] - Latency option
+ * @returns {Function|null} - (random) => milliseconds, or null for no latency
+ * @private
+ */
+function normalizeLatency(latency) {
+  if (latency === undefined || latency === null) {
+    return null;
+  }
+  if (typeof latency === 'function') {
+    return latency;
+  }
+  if (typeof latency === 'number') {
+    return () => latency;
+  }
+
+  switch (latency.distribution) {
+    case 'uniform': {
+      const { min = 0, max } = latency;
+      if (typeof max !== 'number' || max < min) {
+        throw new Error('Uniform latency needs max >= min');
+      }
+      return random => min + random() * (max - min);
+    }
+    case 'normal': {
+      const { mean, stdDev = 0 } = latency;
+      if (typeof mean !== 'number') {
+        throw new Error('Normal latency needs a mean');
+      }
+      // Box-Muller transform
+      return random => mean + stdDev * Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+    case 'exponential': {
+      const { mean } = latency;
+      if (typeof mean !== 'number') {
+        throw new Error('Exponential latency needs a mean');
+      }
+      return random => -mean * Math.log(1 - random());
+    }
+    default:
+      throw new Error(`Unknown latency distribution '${latency.distribution}'`);
+  }
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} - () => number in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the name of a server error code
+ * @param {number} code - Error code
+ * @returns {string|undefined} - Code name, if known
+ * @private
+ */
+function codeNameOf(code) {
+  return Object.keys(ERROR_CODES).find(name => ERROR_CODES[name] === code);
+}
+
+/**
+ * Find the session passed in a call's options
+ * @param {Array} args - Arguments
+ * @returns {ClientSession|undefined} - Session, if any
+ * @private
+ */
+function sessionOf(args) {
+  const options = args.find(arg => arg && typeof arg === 'object' && !Array.isArray(arg) && arg.session);
+  return options && options.session;
+}
+
+module.exports = FailPoint;
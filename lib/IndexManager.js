@@ -0,0 +1,596 @@
+const QueryBuilder = require('./QueryBuilder');
+const { getPathValues } = require('./pathUtils');
+const { compareValues, deepEqual } = require('./compare');
+const { deepClone } = require('./clone');
+const { MongoServerError } = require('./errors');
+const { textIndexSpec, isTextIndex } = require('./textSearch');
+const { geoKeyError, isGeoCondition } = require('./geo');
+
+/**
+ * Name of the index every collection has on _id
+ */
+const ID_INDEX_NAME = '_id_';
+
+/**
+ * Index options that are kept on the index specification
+ */
+const INDEX_OPTIONS = ['unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds'];
+
+/**
+ * Largest expireAfterSeconds a TTL index accepts
+ */
+const MAX_EXPIRE_AFTER_SECONDS = 2147483647;
+
+/**
+ * Query operators an index can answer on its first key
+ */
+const INDEXABLE_OPERATORS = ['$eq', '$in', '$gt', '$gte', '$lt', '$lte'];
+
+/**
+ * Index types that may appear in a key pattern instead of a direction
+ */
+const INDEX_TYPES = ['text', '2dsphere'];
+
+/**
+ * Version of the 2dsphere index format reproduced here
+ */
+const GEO_INDEX_VERSION = 3;
+
+/**
+ * IndexManager - Keeps the index definitions of a collection and enforces them
+ *
+ * Indexes are not used to speed up queries; the mock scans its documents
+ * anyway. They exist so that unique constraints behave like MongoDB's:
+ * every write is checked against the unique indexes (including the implicit
+ * one on _id) and a duplicate raises an E11000 MongoServerError carrying
+ * `code`, `keyPattern` and `keyValue`. A collection may also have one text
+ * index, which $text queries require, and 2dsphere indexes, which reject
+ * documents whose indexed field is not a valid location and which $near
+ * queries require. TTL indexes (with `expireAfterSeconds`) pick the documents
+ * that have expired; see ttl.
+ */
+class IndexManager {
+  /**
+   * Constructor
+   * @param {MockCollection} collection - Collection the indexes belong to
+   */
+  constructor(collection) {
+    this.collection = collection;
+    this.indexes = [{ v: 2, key: { _id: 1 }, name: ID_INDEX_NAME }];
+  }
+
+  /**
+   * Create an index, or do nothing if an identical one already exists
+   * @param {Object|string|Array} keys - Key pattern (e.g. { email: 1 }, [['a', 1], ['b', -1]] or { title: 'text' })
+   * @param {Object} options - { name, unique, sparse, partialFilterExpression, expireAfterSeconds }, plus
+   *   { weights, default_language, language_override } for text indexes
+   * @returns {string} - Name of the index
+   * @throws {MongoServerError} - On conflicts, duplicates, or stored locations a 2dsphere index cannot hold
+   */
+  createIndex(keys, options = {}) {
+    let key = normalizeKeyPattern(keys);
+    const spec = { v: 2, key, name: options.name || defaultIndexName(key) };
+    for (const option of INDEX_OPTIONS) {
+      if (options[option] !== undefined && options[option] !== false) {
+        spec[option] = options[option];
+      }
+    }
+    if (Object.values(key).includes('text')) {
+      // Every text index has the same key pattern, so a second one conflicts with the first
+      Object.assign(spec, textIndexSpec(key, options));
+      key = spec.key;
+    }
+    if (Object.values(key).includes('2dsphere')) {
+      spec['2dsphereIndexVersion'] = GEO_INDEX_VERSION;
+    }
+    if (spec.expireAfterSeconds !== undefined) {
+      assertTtlIndex(spec);
+      if (this.collection && this.collection.capped) {
+        throw new MongoServerError('Cannot create TTL index on a capped collection', {
+          code: 67,
+          codeName: 'CannotCreateIndex'
+        });
+      }
+    }
+
+    const existing = this.indexes.find(index => index.name === spec.name || deepEqual(index.key, key));
+    if (existing) {
+      if (deepEqual(existing, spec)) {
+        return spec.name;
+      }
+      if (existing.name === spec.name && !deepEqual(existing.key, key)) {
+        throw new MongoServerError(
+          `An existing index has the same name as the requested index. Requested index: ${JSON.stringify(spec)}, existing index: ${JSON.stringify(existing)}`,
+          { code: 86, codeName: 'IndexKeySpecsConflict' }
+        );
+      }
+      throw new MongoServerError(
+        `An equivalent index already exists with a different name and options. Requested index: ${JSON.stringify(spec)}, existing index: ${JSON.stringify(existing)}`,
+        { code: 85, codeName: 'IndexOptionsConflict' }
+      );
+    }
+
+    if (spec.unique) {
+      this._assertUniqueAmong(this.collection.documents, [spec]);
+    }
+    this.collection.documents.forEach(doc => this._assertGeoKeys(doc, [spec]));
+
+    this.indexes.push(spec);
+    return spec.name;
+  }
+
+  /**
+   * Drop an index by name or key pattern
+   * @param {string|Object} nameOrKeys - Index name or key pattern
+   */
+  dropIndex(nameOrKeys) {
+    const position = this._position(nameOrKeys);
+    if (this.indexes[position].name === ID_INDEX_NAME) {
+      throw new MongoServerError('cannot drop _id index', { code: 72, codeName: 'InvalidOptions' });
+    }
+
+    this.indexes.splice(position, 1);
+  }
+
+  /**
+   * Drop every index except the one on _id
+   */
+  dropIndexes() {
+    this.indexes = this.indexes.filter(index => index.name === ID_INDEX_NAME);
+  }
+
+  /**
+   * Get copies of the index specifications
+   * @returns {Array<Object>} - Specifications shaped like `listIndexes` output
+   */
+  list() {
+    return this.indexes.map(deepClone);
+  }
+
+  /**
+   * Change the expireAfterSeconds of a TTL index, as collMod does
+   * @param {string|Object} nameOrKeys - Index name or key pattern
+   * @param {number} expireAfterSeconds - New expiry delay
+   * @returns {number} - Previous expiry delay
+   * @throws {MongoServerError} - IndexNotFound, or InvalidOptions if the index is not a TTL index
+   */
+  setExpireAfterSeconds(nameOrKeys, expireAfterSeconds) {
+    const index = this.indexes[this._position(nameOrKeys)];
+    if (index.expireAfterSeconds === undefined) {
+      throw new MongoServerError('no expireAfterSeconds field to update', { code: 72, codeName: 'InvalidOptions' });
+    }
+    assertTtlIndex({ ...index, expireAfterSeconds });
+    const previous = index.expireAfterSeconds;
+    index.expireAfterSeconds = expireAfterSeconds;
+    return previous;
+  }
+
+  /**
+   * Pick the documents that have expired according to the TTL indexes
+   *
+   * A document expires once the date in a TTL index's field (the earliest
+   * one, for an array of dates) is expireAfterSeconds in the past. Documents
+   * without a date there never expire, and a partial TTL index only expires
+   * the documents its filter matches.
+   *
+   * @param {Array<Object>} documents - Stored documents
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} - Expired documents
+   */
+  expiredDocuments(documents, now) {
+    const ttlIndexes = this.ttlIndexes();
+    if (ttlIndexes.length === 0) {
+      return [];
+    }
+    return documents.filter(doc => ttlIndexes.some(index => isExpired(index, doc, now.getTime())));
+  }
+
+  /**
+   * Get the TTL indexes of the collection
+   * @returns {Array<Object>} - Index specifications with expireAfterSeconds
+   */
+  ttlIndexes() {
+    return this.indexes.filter(index => index.expireAfterSeconds !== undefined);
+  }
+
+  /**
+   * Get the text index of the collection
+   * @returns {Object|null} - Text index specification, or null if there is none
+   */
+  textIndex() {
+    return this.indexes.find(isTextIndex) || null;
+  }
+
+  /**
+   * Get the 2dsphere indexes of the collection
+   * @returns {Array<Object>} - Index specifications with at least one 2dsphere key
+   */
+  geoIndexes() {
+    return this.indexes.filter(isGeoIndex);
+  }
+
+  /**
+   * Choose the index MongoDB would use to answer a filter
+   *
+   * An approximation of the query planner: a $text query uses the text index,
+   * otherwise the first index whose leading key is matched by equality, $in or
+   * a range in the filter (or one of its $and clauses) is used, or by a
+   * geospatial operator for a 2dsphere key. Sparse and partial indexes are
+   * never chosen.
+   *
+   * @param {Object} filter - Query filter
+   * @returns {Object|null} - { index, condition } with the part of the filter the index answers, or null for a collection scan
+   */
+  planQuery(filter = {}) {
+    const clauses = [filter].concat(Array.isArray(filter.$and) ? filter.$and : []);
+    const textClause = clauses.find(candidate => candidate && candidate.$text !== undefined);
+    if (textClause && this.textIndex()) {
+      return { index: this.textIndex(), condition: { $text: textClause.$text } };
+    }
+    for (const index of this.indexes) {
+      if (index.sparse || index.partialFilterExpression || isTextIndex(index)) {
+        continue;
+      }
+      const field = Object.keys(index.key)[0];
+      const clause = clauses.find(candidate => candidate && isIndexableCondition(candidate[field], index.key[field]));
+      if (clause) {
+        return { index, condition: { [field]: clause[field] } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that a new document can be added to the stored documents
+   * @param {Object} doc - Document about to be inserted
+   * @param {Array<Object>} documents - Documents currently stored
+   * @throws {MongoServerError} - E11000 duplicate key error, or a location a 2dsphere index cannot hold
+   */
+  assertCanInsert(doc, documents) {
+    this._assertGeoKeys(doc, this.indexes);
+    this._assertUnique(doc, documents, null, this.indexes);
+  }
+
+  /**
+   * Check that a stored document can be replaced by a new version
+   * @param {Object} existingDoc - Stored document being replaced
+   * @param {Object} doc - New version of the document
+   * @param {Array<Object>} documents - Documents currently stored
+   * @throws {MongoServerError} - E11000 duplicate key error, or a location a 2dsphere index cannot hold
+   */
+  assertCanReplace(existingDoc, doc, documents) {
+    this._assertGeoKeys(doc, this.indexes);
+    this._assertUnique(doc, documents, existingDoc, this.indexes);
+  }
+
+  /**
+   * Check that a whole set of documents satisfies every unique and 2dsphere index
+   * @param {Array<Object>} documents - Documents to check
+   * @throws {MongoServerError} - E11000 duplicate key error, or a location a 2dsphere index cannot hold
+   */
+  assertValid(documents) {
+    documents.forEach(doc => this._assertGeoKeys(doc, this.indexes));
+    this._assertUniqueAmong(documents, this.indexes);
+  }
+
+  /**
+   * Find an index by name or key pattern
+   * @param {string|Object} nameOrKeys - Index name or key pattern
+   * @returns {number} - Position of the index
+   * @throws {MongoServerError} - IndexNotFound
+   * @private
+   */
+  _position(nameOrKeys) {
+    const byName = typeof nameOrKeys === 'string';
+    const key = byName ? null : normalizeKeyPattern(nameOrKeys);
+    const position = this.indexes.findIndex(index => byName ? index.name === nameOrKeys : deepEqual(index.key, key));
+
+    if (position === -1) {
+      throw new MongoServerError(
+        byName ? `index not found with name [${nameOrKeys}]` : `can't find index with key: ${JSON.stringify(key)}`,
+        { code: 27, codeName: 'IndexNotFound' }
+      );
+    }
+    return position;
+  }
+
+  /**
+   * Check that a document's values for 2dsphere keys are valid locations
+   *
+   * Documents without the field, or with null, are left out of the index.
+   *
+   * @param {Object} doc - Document to check
+   * @param {Array<Object>} indexes - Index specifications to enforce
+   * @throws {MongoServerError} - Can't extract geo keys
+   * @private
+   */
+  _assertGeoKeys(doc, indexes) {
+    for (const index of indexes.filter(isGeoIndex)) {
+      for (const [field, type] of Object.entries(index.key)) {
+        if (type !== '2dsphere') {
+          continue;
+        }
+        for (const value of getPathValues(doc, field)) {
+          const reason = value === undefined || value === null ? null : geoKeyError(value);
+          if (reason) {
+            throw new MongoServerError(`Can't extract geo keys: ${JSON.stringify(doc)}  ${reason}`, {
+              code: 16755,
+              codeName: 'Location16755'
+            });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check a set of documents against each other
+   * @param {Array<Object>} documents - Documents to check
+   * @param {Array<Object>} indexes - Index specifications to enforce
+   * @private
+   */
+  _assertUniqueAmong(documents, indexes) {
+    documents.forEach((doc, position) => {
+      this._assertUnique(doc, documents.slice(0, position), null, indexes);
+    });
+  }
+
+  /**
+   * Check one document against other documents
+   * @param {Object} doc - Document to check
+   * @param {Array<Object>} documents - Documents it must not collide with
+   * @param {Object|null} ignored - Stored document to skip (the one being replaced)
+   * @param {Array<Object>} indexes - Index specifications to enforce
+   * @private
+   */
+  _assertUnique(doc, documents, ignored, indexes) {
+    for (const index of indexes) {
+      if (index.name !== ID_INDEX_NAME && !index.unique) {
+        continue;
+      }
+
+      const keys = indexKeys(index, doc);
+      if (!keys) {
+        continue;
+      }
+
+      for (const other of documents) {
+        if (other === ignored || other === doc) {
+          continue;
+        }
+        const otherKeys = indexKeys(index, other);
+        const duplicate = otherKeys && keys.find(key => otherKeys.some(otherKey => sameKey(key, otherKey)));
+        if (duplicate) {
+          throw this._duplicateKeyError(index, duplicate);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the error MongoDB raises for a unique index violation
+   * @param {Object} index - Violated index specification
+   * @param {Array} key - Duplicated key values, one per indexed field
+   * @returns {MongoServerError} - Duplicate key error
+   * @private
+   */
+  _duplicateKeyError(index, key) {
+    const keyValue = {};
+    Object.keys(index.key).forEach((field, position) => {
+      keyValue[field] = key[position];
+    });
+
+    const database = this.collection.database;
+    const namespace = `${database ? database.databaseName : 'test'}.${this.collection.name}`;
+    const shownKey = Object.entries(keyValue).map(([field, value]) => `${field}: ${JSON.stringify(value)}`).join(', ');
+
+    return new MongoServerError(
+      `E11000 duplicate key error collection: ${namespace} index: ${index.name} dup key: { ${shownKey} }`,
+      {
+        code: 11000,
+        codeName: 'DuplicateKey',
+        keyPattern: { ...index.key },
+        keyValue
+      }
+    );
+  }
+}
+
+/**
+ * Check the expireAfterSeconds option of an index
+ * @param {Object} spec - Index specification
+ * @throws {MongoServerError} - If the option is invalid or the index cannot be a TTL index
+ * @private
+ */
+function assertTtlIndex(spec) {
+  const seconds = spec.expireAfterSeconds;
+  if (typeof seconds !== 'number' || Number.isNaN(seconds)) {
+    throw new MongoServerError(
+      `TTL index 'expireAfterSeconds' option must be numeric, but received a type of '${typeof seconds}'`,
+      { code: 67, codeName: 'CannotCreateIndex' }
+    );
+  }
+  if (seconds < 0 || seconds > MAX_EXPIRE_AFTER_SECONDS) {
+    throw new MongoServerError(
+      `TTL index 'expireAfterSeconds' option must be within an acceptable range, try a lower number: ${seconds}`,
+      { code: 67, codeName: 'CannotCreateIndex' }
+    );
+  }
+  if (spec.name === ID_INDEX_NAME || '_id' in spec.key) {
+    throw new MongoServerError("The field 'expireAfterSeconds' is not valid for an _id index specification", {
+      code: 197,
+      codeName: 'InvalidIndexSpecificationOption'
+    });
+  }
+  if (Object.keys(spec.key).length > 1 || Object.values(spec.key).some(direction => typeof direction !== 'number')) {
+    throw new MongoServerError('TTL indexes are single-field indexes, compound indexes do not support TTL', {
+      code: 67,
+      codeName: 'CannotCreateIndex'
+    });
+  }
+}
+
+/**
+ * Check whether a TTL index expires a document
+ * @param {Object} index - TTL index specification
+ * @param {Object} doc - Stored document
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the document has expired
+ * @private
+ */
+function isExpired(index, doc, now) {
+  const field = Object.keys(index.key)[0];
+  const dates = [];
+  for (const value of getPathValues(doc, field)) {
+    for (const element of Array.isArray(value) ? value : [value]) {
+      if (element instanceof Date && !Number.isNaN(element.getTime())) {
+        dates.push(element.getTime());
+      }
+    }
+  }
+  if (dates.length === 0 || Math.min(...dates) + index.expireAfterSeconds * 1000 > now) {
+    return false;
+  }
+  return !index.partialFilterExpression || new QueryBuilder([]).matches(doc, index.partialFilterExpression);
+}
+
+/**
+ * Check whether an index specification has a 2dsphere key
+ * @param {Object} index - Index specification
+ * @returns {boolean} - True for 2dsphere indexes
+ * @private
+ */
+function isGeoIndex(index) {
+  return Object.values(index.key).includes('2dsphere');
+}
+
+/**
+ * Check whether a field condition can be answered from an index
+ * @param {*} condition - Condition on the field (a value or an operator object)
+ * @param {number|string} type - Direction or type of the indexed key
+ * @returns {boolean} - True for equality, $in and ranges, or geospatial operators on a 2dsphere key
+ * @private
+ */
+function isIndexableCondition(condition, type) {
+  if (type === '2dsphere') {
+    return isGeoCondition(condition);
+  }
+  if (condition === undefined || condition instanceof RegExp) {
+    return false;
+  }
+  if (condition && typeof condition === 'object' && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.keys(condition).some(key => INDEXABLE_OPERATORS.includes(key));
+  }
+  return true;
+}
+
+/**
+ * Convert any supported key pattern form into a plain object
+ * @param {Object|string|Array|Map} keys - Key pattern
+ * @returns {Object} - Key pattern such as { a: 1, b: -1 }
+ * @private
+ */
+function normalizeKeyPattern(keys) {
+  let entries;
+  if (typeof keys === 'string') {
+    entries = [[keys, 1]];
+  } else if (Array.isArray(keys)) {
+    entries = keys.map(entry => Array.isArray(entry) ? entry : [entry, 1]);
+  } else if (keys instanceof Map) {
+    entries = Array.from(keys.entries());
+  } else if (keys && typeof keys === 'object') {
+    entries = Object.entries(keys);
+  } else {
+    entries = [];
+  }
+
+  if (entries.length === 0) {
+    throw new MongoServerError('Index keys cannot be empty.', { code: 67, codeName: 'CannotCreateIndex' });
+  }
+
+  const key = {};
+  for (const [field, direction] of entries) {
+    if (INDEX_TYPES.includes(direction)) {
+      key[field] = direction;
+      continue;
+    }
+    if (typeof direction !== 'number' || direction === 0 || Number.isNaN(direction)) {
+      throw new MongoServerError(
+        `Values in the index key pattern must be non-zero numbers or one of ${INDEX_TYPES.map(type => `'${type}'`).join(', ')}, found ${field}: ${JSON.stringify(direction)}`,
+        { code: 67, codeName: 'CannotCreateIndex' }
+      );
+    }
+    key[field] = direction;
+  }
+  return key;
+}
+
+/**
+ * Build the default name of an index (e.g. "email_1" or "a_1_b_-1")
+ * @param {Object} key - Key pattern
+ * @returns {string} - Index name
+ * @private
+ */
+function defaultIndexName(key) {
+  return Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+}
+
+/**
+ * Compute the keys a document contributes to an index
+ *
+ * Array values produce one key per element (a multikey index). Missing fields
+ * are indexed as null unless the index is sparse, and documents outside a
+ * partial index's filter are not indexed at all.
+ *
+ * @param {Object} index - Index specification
+ * @param {Object} doc - Document
+ * @returns {Array<Array>|null} - Keys (one value per indexed field), or null if the document isn't indexed
+ * @private
+ */
+function indexKeys(index, doc) {
+  if (index.partialFilterExpression && !new QueryBuilder([]).matches(doc, index.partialFilterExpression)) {
+    return null;
+  }
+
+  const valuesPerField = Object.keys(index.key).map(field => {
+    const values = [];
+    for (const value of getPathValues(doc, field)) {
+      if (Array.isArray(value) && value.length > 0) {
+        values.push(...value);
+      } else {
+        values.push(value);
+      }
+    }
+    return values;
+  });
+
+  if (index.sparse && valuesPerField.every(values => values.every(value => value === undefined))) {
+    return null;
+  }
+
+  return valuesPerField.reduce(
+    (keys, values) => {
+      const combined = [];
+      for (const key of keys) {
+        for (const value of values) {
+          combined.push([...key, value === undefined ? null : value]);
+        }
+      }
+      return combined;
+    },
+    [[]]
+  );
+}
+
+/**
+ * Check whether two index keys are equal
+ * @param {Array} a - First key
+ * @param {Array} b - Second key
+ * @returns {boolean} - True if every component compares equal
+ * @private
+ */
+function sameKey(a, b) {
+  return a.every((value, position) => compareValues(value, b[position]) === 0);
+}
+
+module.exports = IndexManager;
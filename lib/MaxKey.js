@@ -0,0 +1,27 @@
+/**
+ * MaxKey - The BSON value that sorts after every other value, compatible with the driver's MaxKey
+ *
+ * Every MaxKey equals every other one.
+ */
+class MaxKey {
+  /**
+   * JSON form ({ $maxKey: 1 }, like the driver)
+   * @returns {Object} - { $maxKey: 1 }
+   */
+  toJSON() {
+    return { $maxKey: 1 };
+  }
+
+  /**
+   * Representation shown by console.log and util.inspect
+   * @returns {string} - new MaxKey()
+   */
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return 'new MaxKey()';
+  }
+}
+
+// Tags the value as a BSON type so paths don't traverse into it and type checks recognise it
+Object.defineProperty(MaxKey.prototype, '_bsontype', { value: 'MaxKey' });
+
+module.exports = MaxKey;
@@ -0,0 +1,27 @@
+/**
+ * MinKey - The BSON value that sorts before every other value, compatible with the driver's MinKey
+ *
+ * Every MinKey equals every other one.
+ */
+class MinKey {
+  /**
+   * JSON form ({ $minKey: 1 }, like the driver)
+   * @returns {Object} - { $minKey: 1 }
+   */
+  toJSON() {
+    return { $minKey: 1 };
+  }
+
+  /**
+   * Representation shown by console.log and util.inspect
+   * @returns {string} - new MinKey()
+   */
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return 'new MinKey()';
+  }
+}
+
+// Tags the value as a BSON type so paths don't traverse into it and type checks recognise it
+Object.defineProperty(MinKey.prototype, '_bsontype', { value: 'MinKey' });
+
+module.exports = MinKey;
@@ -1,4 +1,32 @@
+const fs = require('fs');
 const QueryBuilder = require('./QueryBuilder');
+const MockCursor = require('./MockCursor');
+const UpdateBuilder = require('./UpdateBuilder');
+const AggregationPipeline = require('./AggregationPipeline');
+const IndexManager = require('./IndexManager');
+const DocumentValidator = require('./DocumentValidator');
+const ChangeLog = require('./ChangeLog');
+const ChangeStream = require('./ChangeStream');
+const OperationRecorder = require('./OperationRecorder');
+const FailPoint = require('./FailPoint');
+const ObjectId = require('./ObjectId');
+const ejson = require('./ejson');
+const { instrument } = require('./instrument');
+const { compareValues, deepEqual } = require('./compare');
+const { getPathValues, isTraversable } = require('./pathUtils');
+const { sortDocuments } = require('./sort');
+const { applyProjection } = require('./projection');
+const { deepClone, deepFreeze } = require('./clone');
+const { setTextScore } = require('./textSearch');
+const { ttlMonitor } = require('./ttl');
+const { cappedOptions, documentsToEvict, assertSameSize } = require('./capped');
+const {
+  MongoBulkWriteError,
+  MongoExpiredSessionError,
+  MongoInvalidArgumentError,
+  MongoServerError,
+  toWriteError
+} = require('./errors');
 
 /**
  * MockCollection - Represents a single collection (e.g., "users", "posts")
@@ -10,117 +38,247 @@ class MockCollection {
   /**
    * Constructor
    * @param {string} name - Name of the collection
+   * @param {MockDatabase} database - Database that owns the collection (used by $lookup, $out and $merge)
+   * @param {Object} options - Collection options ({ validator, validationLevel, validationAction, capped, size, max })
    */
-  constructor(name) {
+  constructor(name, database = null, options = {}) {
     this.name = name;
+    this.database = database;
     this.documents = [];
+    this.capped = cappedOptions(options);
+    this.indexManager = new IndexManager(this);
+    this.documentValidator = new DocumentValidator(options);
+    this.changeLog = database ? database.changeLog : new ChangeLog();
+    this.recorders = new Set();
+    this._transaction = null;
+    this._sharedDocuments = false;
   }
 
   /**
    * Insert a single document into the collection
    * @param {Object} document - Document to insert
+   * @param {Object} options - Insert options ({ bypassDocumentValidation, session })
    * @returns {Promise<Object>} - MongoDB-style response object
+   * @throws {MongoInvalidArgumentError} - If the document is not an object (arrays and BSON values are not documents)
    */
-  async insertOne(document) {
-    if (!document || typeof document !== 'object') {
-      throw new Error('Document must be an object');
+  async insertOne(document, options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.insertOne(document, options));
+    }
+    if (!isTraversable(document)) {
+      throw new MongoInvalidArgumentError(`Document must be an object, not ${describeValue(document)}`);
+    }
+
+    const docToInsert = this._prepareForInsert(document);
+    this._insertDocument(docToInsert, options);
+
+    return {
+      acknowledged: true,
+      insertedId: document._id
+    };
+  }
+
+  /**
+   * Insert several documents into the collection
+   * @param {Array<Object>} documents - Documents to insert
+   * @param {Object} options - Insert options ({ ordered: true, bypassDocumentValidation, session })
+   * @returns {Promise<Object>} - MongoDB-style response object with an insertedIds map
+   */
+  async insertMany(documents, options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.insertMany(documents, options));
+    }
+    if (!Array.isArray(documents)) {
+      throw new MongoInvalidArgumentError('Argument "documents" must be an array of documents');
     }
 
-    // Create a copy of the document to avoid reference pollution
-    const docToInsert = { ...document };
+    const ordered = options.ordered !== false;
+    const insertedIds = {};
+    const writeErrors = [];
+    let insertedCount = 0;
 
-    // Generate a unique _id if not provided
-    if (!docToInsert._id) {
-      docToInsert._id = this._generateId();
+    for (let index = 0; index < documents.length; index++) {
+      try {
+        const result = await this.insertOne(documents[index], options);
+        insertedIds[index] = result.insertedId;
+        insertedCount++;
+      } catch (error) {
+        writeErrors.push(toWriteError(error, index, documents[index]));
+        if (ordered) {
+          break;
+        }
+      }
     }
 
-    this.documents.push(docToInsert);
+    if (writeErrors.length > 0) {
+      throw new MongoBulkWriteError(writeErrors, { acknowledged: true, insertedCount, insertedIds });
+    }
 
     return {
       acknowledged: true,
-      insertedId: docToInsert._id
+      insertedCount,
+      insertedIds
     };
   }
 
   /**
    * Find documents matching a query
    * @param {Object} query - Query object (defaults to empty object)
-   * @returns {Promise<Array>} - Array of matching documents
+   * @param {Object} options - Find options ({ sort, skip, limit, projection, session })
+   * @returns {MockCursor} - Cursor over the matching documents
    */
-  async find(query = {}) {
-    const queryBuilder = new QueryBuilder(this.documents);
-    const result = queryBuilder.match(query).execute();
-    
-    // Return a copy to prevent tests from accidentally modifying internal data
-    return result.map(doc => ({ ...doc }));
+  find(query = {}, options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.find(query, options));
+    }
+    return new MockCursor(() => {
+      const queryBuilder = this._queryBuilder();
+      const result = queryBuilder.match(query).execute();
+
+      // Return copies to prevent tests from accidentally modifying internal data
+      return result.map(doc => setTextScore(deepClone(doc), queryBuilder.textScore(doc)));
+    }, { ...options, frozen: this._frozenResults() });
   }
 
   /**
    * Find the first document matching a query
    * @param {Object} query - Query object (defaults to empty object)
+   * @param {Object} options - Find options ({ sort, skip, projection, session })
    * @returns {Promise<Object|null>} - First matching document or null
    */
-  async findOne(query = {}) {
-    const results = await this.find(query);
-    return results.length > 0 ? results[0] : null;
+  async findOne(query = {}, options = {}) {
+    return this.find(query, { ...options, limit: 1 }).next();
   }
 
   /**
-   * Delete the first document matching a query
-   * @param {Object} query - Query object
-   * @returns {Promise<Object>} - MongoDB-style response object
+   * Count the documents matching a query
+   * @param {Object} query - Query object (defaults to empty object)
+   * @param {Object} options - Count options ({ skip, limit, session })
+   * @returns {Promise<number>} - Number of matching documents
    */
-  async deleteOne(query = {}) {
-    const queryBuilder = new QueryBuilder(this.documents);
-    const matchingDocs = queryBuilder.match(query).execute();
-    
-    if (matchingDocs.length === 0) {
-      return {
-        acknowledged: true,
-        deletedCount: 0
-      };
+  async countDocuments(query = {}, options = {}) {
+    const { skip, limit, session } = options;
+    return this.find(query, { skip, limit, session }).count();
+  }
+
+  /**
+   * Get the number of documents in the collection, as kept in its metadata
+   * @returns {Promise<number>} - Number of documents, ignoring uncommitted transactions
+   */
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  /**
+   * Get the distinct values of a field among the documents matching a query
+   *
+   * Arrays contribute their elements, as with the server. Values come back
+   * sorted in BSON order.
+   *
+   * @param {string} key - Dot-notation path of the field
+   * @param {Object} query - Query object (defaults to empty object)
+   * @param {Object} options - Options ({ session })
+   * @returns {Promise<Array>} - Distinct values
+   */
+  async distinct(key, query = {}, options = {}) {
+    const values = [];
+    for (const doc of await this.find(query, { session: options.session }).toArray()) {
+      for (const value of getPathValues(doc, key)) {
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (item !== undefined && !values.some(existing => deepEqual(existing, item))) {
+            values.push(item);
+          }
+        }
+      }
     }
+    return values.sort(compareValues);
+  }
 
-    // Find the index of the first matching document in the original array
-    const docToDelete = matchingDocs[0];
-    const indexToDelete = this.documents.findIndex(doc => doc._id === docToDelete._id);
-    
-    if (indexToDelete !== -1) {
-      this.documents.splice(indexToDelete, 1);
-      return {
-        acknowledged: true,
-        deletedCount: 1
-      };
+  /**
+   * Run an aggregation pipeline over the collection
+   * @param {Array<Object>} pipeline - Aggregation stages
+   * @param {Object} options - Aggregate options ({ session })
+   * @returns {MockCursor} - Cursor over the pipeline output
+   */
+  aggregate(pipeline = [], options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.aggregate(pipeline, options));
     }
+    const aggregation = new AggregationPipeline(pipeline, {
+      database: this.database,
+      transaction: this._transaction,
+      textIndex: this.indexManager.textIndex(),
+      geoIndexes: this.indexManager.geoIndexes(),
+      variables: { NOW: this._now() }
+    });
+    return new MockCursor(() => aggregation.run(this.documents), { frozen: this._frozenResults() });
+  }
 
-    return {
-      acknowledged: true,
-      deletedCount: 0
-    };
+  /**
+   * Delete the first document matching a query
+   * @param {Object} query - Query object
+   * @param {Object} options - Delete options ({ session })
+   * @returns {Promise<Object>} - MongoDB-style response object
+   */
+  async deleteOne(query = {}, options = {}) {
+    return this._deleteMatching(query, options, false);
+  }
+
+  /**
+   * Delete every document matching a query
+   * @param {Object} query - Query object
+   * @param {Object} options - Delete options ({ session })
+   * @returns {Promise<Object>} - MongoDB-style response object
+   */
+  async deleteMany(query = {}, options = {}) {
+    return this._deleteMatching(query, options, true);
   }
 
   /**
    * Update the first document matching a filter
    * @param {Object} filter - Filter to find document to update
    * @param {Object} update - Update operations
-   * @param {Object} options - Update options (e.g., upsert)
+   * @param {Object} options - Update options (e.g., upsert, arrayFilters, session)
    * @returns {Promise<Object>} - MongoDB-style response object
    */
   async updateOne(filter, update, options = {}) {
-    if (!update || typeof update !== 'object') {
-      throw new Error('Update must be an object');
+    return this._updateMatching(filter, update, options, false);
+  }
+
+  /**
+   * Update every document matching a filter
+   * @param {Object} filter - Filter to find documents to update
+   * @param {Object} update - Update operations
+   * @param {Object} options - Update options (e.g., upsert, arrayFilters, session)
+   * @returns {Promise<Object>} - MongoDB-style response object
+   */
+  async updateMany(filter, update, options = {}) {
+    return this._updateMatching(filter, update, options, true);
+  }
+
+  /**
+   * Replace the first document matching a filter with a new document
+   * @param {Object} filter - Filter to find document to replace
+   * @param {Object} replacement - New document contents (no update operators)
+   * @param {Object} options - Replace options (e.g., upsert, session)
+   * @returns {Promise<Object>} - MongoDB-style response object
+   */
+  async replaceOne(filter, replacement, options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.replaceOne(filter, replacement, options));
     }
+    this._validateReplacement(replacement);
 
-    const existingDoc = await this.findOne(filter);
+    const queryBuilder = this._queryBuilder();
+    const existingDoc = queryBuilder.match(filter).execute()[0];
 
     if (!existingDoc && options.upsert) {
-      // Create new document by merging filter and update.$set
-      const newDoc = { ...filter };
-      if (update.$set) {
-        Object.assign(newDoc, update.$set);
-      }
-      
-      const insertResult = await this.insertOne(newDoc);
+      const insertResult = await this.insertOne(this._createReplacementUpsert(filter, replacement), options);
       return {
         acknowledged: true,
         matchedCount: 0,
@@ -134,51 +292,557 @@ class MockCollection {
       return {
         acknowledged: true,
         matchedCount: 0,
-        modifiedCount: 0
+        modifiedCount: 0,
+        upsertedCount: 0,
+        upsertedId: null
       };
     }
 
-    // Find the actual document in the array to modify in place
-    const docIndex = this.documents.findIndex(doc => doc._id === existingDoc._id);
-    if (docIndex === -1) {
+    const { document, modified } = this._applyReplacement(existingDoc, replacement);
+    if (modified) {
+      this._replaceDocument(existingDoc, document, options, 'replace');
+    }
+
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: modified ? 1 : 0,
+      upsertedCount: 0,
+      upsertedId: null
+    };
+  }
+
+  /**
+   * Atomically find a document, update it and return it
+   * @param {Object} filter - Filter to find the document
+   * @param {Object} update - Update operations
+   * @param {Object} options - { returnDocument: 'before'|'after', upsert, sort, projection, arrayFilters, includeResultMetadata }
+   * @returns {Promise<Object|null>} - The document (or a ModifyResult with includeResultMetadata)
+   */
+  async findOneAndUpdate(filter, update, options = {}) {
+    const updateBuilder = new UpdateBuilder(update, { arrayFilters: options.arrayFilters, now: this._now() });
+
+    return this._findOneAndModify(filter, options, {
+      modify: existingDoc => updateBuilder.apply(existingDoc, { query: filter }).document,
+      createUpsert: () => updateBuilder.apply(UpdateBuilder.createUpsertDocument(filter), { isUpsert: true }).document
+    });
+  }
+
+  /**
+   * Atomically find a document, replace it and return it
+   * @param {Object} filter - Filter to find the document
+   * @param {Object} replacement - New document contents (no update operators)
+   * @param {Object} options - { returnDocument: 'before'|'after', upsert, sort, projection, includeResultMetadata }
+   * @returns {Promise<Object|null>} - The document (or a ModifyResult with includeResultMetadata)
+   */
+  async findOneAndReplace(filter, replacement, options = {}) {
+    this._validateReplacement(replacement);
+
+    return this._findOneAndModify(filter, options, {
+      modify: existingDoc => this._applyReplacement(existingDoc, replacement).document,
+      createUpsert: () => this._createReplacementUpsert(filter, replacement),
+      operationType: 'replace'
+    });
+  }
+
+  /**
+   * Atomically find a document, delete it and return it
+   * @param {Object} filter - Filter to find the document
+   * @param {Object} options - { sort, projection, includeResultMetadata }
+   * @returns {Promise<Object|null>} - The deleted document (or a ModifyResult with includeResultMetadata)
+   */
+  async findOneAndDelete(filter, options = {}) {
+    return this._findOneAndModify(filter, { ...options, upsert: false, returnDocument: 'before' }, {
+      modify: null
+    });
+  }
+
+  /**
+   * Shared implementation of the find-and-modify family
+   *
+   * Selection and modification happen without yielding, so no other operation
+   * can interleave between finding the document and writing it.
+   *
+   * @param {Object} filter - Filter to find the document
+   * @param {Object} options - Find-and-modify options
+   * @param {Object} handlers - { modify(doc) -> newDoc, createUpsert() -> newDoc, operationType }; modify is null for deletes
+   * @returns {Promise<Object|null>} - The document or a ModifyResult
+   * @private
+   */
+  async _findOneAndModify(filter, options, handlers) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view._findOneAndModify(filter, options, handlers));
+    }
+    const queryBuilder = this._queryBuilder();
+    let matchingDocs = queryBuilder.match(filter).execute();
+    if (options.sort) {
+      // Sort copies carrying the text scores, then map back to the stored documents
+      const stored = new Map(matchingDocs.map(doc => [setTextScore({ ...doc }, queryBuilder.textScore(doc)), doc]));
+      matchingDocs = sortDocuments(Array.from(stored.keys()), options.sort).map(copy => stored.get(copy));
+    }
+
+    const existingDoc = matchingDocs[0];
+    const returnAfter = options.returnDocument === 'after';
+    let value = null;
+    let lastErrorObject;
+
+    if (existingDoc && !handlers.modify) {
+      this._removeDocuments([existingDoc]);
+      value = existingDoc;
+      lastErrorObject = { n: 1 };
+    } else if (existingDoc) {
+      const newDoc = handlers.modify(existingDoc);
+      this._replaceDocument(existingDoc, newDoc, options, handlers.operationType);
+      value = returnAfter ? newDoc : existingDoc;
+      lastErrorObject = { n: 1, updatedExisting: true };
+    } else if (options.upsert) {
+      const insertResult = await this.insertOne(handlers.createUpsert(), options);
+      const inserted = this.documents.find(doc => deepEqual(doc._id, insertResult.insertedId));
+      value = returnAfter ? inserted : null;
+      lastErrorObject = { n: 1, updatedExisting: false, upserted: insertResult.insertedId };
+    } else {
+      lastErrorObject = handlers.modify ? { n: 0, updatedExisting: false } : { n: 0 };
+    }
+
+    if (value) {
+      value = applyProjection(setTextScore(deepClone(value), queryBuilder.textScore(existingDoc)), options.projection);
+      if (this._frozenResults()) {
+        deepFreeze(value);
+      }
+    }
+
+    if (options.includeResultMetadata) {
+      return { value, ok: 1, lastErrorObject };
+    }
+    return value;
+  }
+
+  /**
+   * Run a batch of mixed write operations
+   *
+   * Accepts the driver's operation format, e.g. `{ insertOne: { document } }`,
+   * `{ updateMany: { filter, update, upsert } }` or `{ deleteOne: { filter } }`.
+   * Ordered batches stop at the first failure; unordered batches attempt every
+   * operation. Failures are reported through a MongoBulkWriteError.
+   *
+   * @param {Array<Object>} operations - Write operations
+   * @param {Object} options - Bulk options ({ ordered: true, bypassDocumentValidation, session })
+   * @returns {Promise<Object>} - BulkWriteResult-shaped object
+   */
+  async bulkWrite(operations, options = {}) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view.bulkWrite(operations, options));
+    }
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('Invalid BulkOperation, Batch cannot be empty');
+    }
+
+    const ordered = options.ordered !== false;
+    const result = {
+      acknowledged: true,
+      ok: 1,
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+      insertedIds: {},
+      upsertedIds: {}
+    };
+    const writeErrors = [];
+
+    for (let index = 0; index < operations.length; index++) {
+      const operation = operations[index];
+
+      try {
+        await this._runBulkOperation(operation, index, result, options);
+      } catch (error) {
+        writeErrors.push(toWriteError(error, index, operation));
+        if (ordered) {
+          break;
+        }
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      throw new MongoBulkWriteError(writeErrors, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run one bulkWrite operation and add its outcome to the result
+   * @param {Object} operation - Single bulk operation
+   * @param {number} index - Position of the operation in the batch
+   * @param {Object} result - Running BulkWriteResult to update
+   * @param {Object} options - Options of the whole batch ({ bypassDocumentValidation })
+   * @private
+   */
+  async _runBulkOperation(operation, index, result, options) {
+    const type = operation && typeof operation === 'object' ? Object.keys(operation)[0] : undefined;
+    const spec = type ? operation[type] : undefined;
+
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`Invalid bulk operation at index ${index}`);
+    }
+
+    const bypassDocumentValidation = options.bypassDocumentValidation;
+    const updateOptions = { upsert: spec.upsert, arrayFilters: spec.arrayFilters, bypassDocumentValidation };
+    let outcome;
+
+    switch (type) {
+      case 'insertOne':
+        outcome = await this.insertOne(spec.document, { bypassDocumentValidation });
+        result.insertedCount += 1;
+        result.insertedIds[index] = outcome.insertedId;
+        return;
+
+      case 'updateOne':
+        outcome = await this.updateOne(spec.filter, spec.update, updateOptions);
+        break;
+
+      case 'updateMany':
+        outcome = await this.updateMany(spec.filter, spec.update, updateOptions);
+        break;
+
+      case 'replaceOne':
+        outcome = await this.replaceOne(spec.filter, spec.replacement, updateOptions);
+        break;
+
+      case 'deleteOne':
+        outcome = await this.deleteOne(spec.filter);
+        result.deletedCount += outcome.deletedCount;
+        return;
+
+      case 'deleteMany':
+        outcome = await this.deleteMany(spec.filter);
+        result.deletedCount += outcome.deletedCount;
+        return;
+
+      default:
+        throw new Error(`Unknown bulk operation type: ${type}`);
+    }
+
+    result.matchedCount += outcome.matchedCount;
+    result.modifiedCount += outcome.modifiedCount;
+    if (outcome.upsertedCount > 0) {
+      result.upsertedCount += outcome.upsertedCount;
+      result.upsertedIds[index] = outcome.upsertedId;
+    }
+  }
+
+  /**
+   * Validate a replacement document
+   * @param {Object} replacement - Replacement document
+   * @throws {MongoInvalidArgumentError} - If it is not an object
+   * @private
+   */
+  _validateReplacement(replacement) {
+    if (!isTraversable(replacement)) {
+      throw new MongoInvalidArgumentError(`Replacement must be an object, not ${describeValue(replacement)}`);
+    }
+    if (Object.keys(replacement).some(key => key.startsWith('$'))) {
+      throw new Error('Replacement document must not contain atomic operators');
+    }
+  }
+
+  /**
+   * Build the replaced version of a stored document, keeping its _id
+   * @param {Object} existingDoc - Stored document
+   * @param {Object} replacement - Replacement document
+   * @returns {Object} - { document, modified }
+   * @private
+   */
+  _applyReplacement(existingDoc, replacement) {
+    if ('_id' in replacement && !deepEqual(replacement._id, existingDoc._id)) {
+      throw new Error("After applying the update, the (immutable) field '_id' was found to have been altered");
+    }
+
+    const document = { _id: existingDoc._id, ...deepClone(replacement) };
+    return {
+      document,
+      modified: !deepEqual(existingDoc, document)
+    };
+  }
+
+  /**
+   * Build the document inserted when a replacement upserts, taking _id from the filter
+   * @param {Object} filter - Filter used for the upsert
+   * @param {Object} replacement - Replacement document
+   * @returns {Object} - Document to insert
+   * @private
+   */
+  _createReplacementUpsert(filter, replacement) {
+    const seed = UpdateBuilder.createUpsertDocument(filter);
+    return '_id' in seed && !('_id' in replacement)
+      ? { _id: seed._id, ...replacement }
+      : { ...replacement };
+  }
+
+  /**
+   * Delete the first or every document matching a query
+   * @param {Object} query - Query object
+   * @param {Object} options - Delete options ({ session })
+   * @param {boolean} multi - True to delete every match
+   * @returns {Promise<Object>} - MongoDB-style response object
+   * @private
+   */
+  async _deleteMatching(query, options, multi) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view._deleteMatching(query, options, multi));
+    }
+    const queryBuilder = this._queryBuilder();
+    let matchingDocs = queryBuilder.match(query).execute();
+
+    if (!multi) {
+      matchingDocs = matchingDocs.slice(0, 1);
+    }
+
+    this._removeDocuments(matchingDocs);
+
+    return {
+      acknowledged: true,
+      deletedCount: matchingDocs.length
+    };
+  }
+
+  /**
+   * Update the first or every document matching a filter
+   * @param {Object} filter - Filter to find documents to update
+   * @param {Object} update - Update operations
+   * @param {Object} options - Update options (e.g., upsert, arrayFilters)
+   * @param {boolean} multi - True to update every match
+   * @returns {Promise<Object>} - MongoDB-style response object
+   * @private
+   */
+  async _updateMatching(filter, update, options, multi) {
+    const transaction = this._transactionFor(options);
+    if (transaction) {
+      return transaction.run(this, view => view._updateMatching(filter, update, options, multi));
+    }
+
+    const updateBuilder = new UpdateBuilder(update, { arrayFilters: options.arrayFilters, now: this._now() });
+    const queryBuilder = this._queryBuilder();
+    let matchingDocs = queryBuilder.match(filter).execute();
+
+    if (!multi) {
+      matchingDocs = matchingDocs.slice(0, 1);
+    }
+
+    if (matchingDocs.length === 0 && options.upsert) {
+      // Apply the whole update to the filter's equality fields, as MongoDB does
+      const { document } = updateBuilder.apply(UpdateBuilder.createUpsertDocument(filter), { isUpsert: true });
+
+      const insertResult = await this.insertOne(document, options);
       return {
         acknowledged: true,
         matchedCount: 0,
-        modifiedCount: 0
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: insertResult.insertedId
       };
     }
 
-    const docToUpdate = this.documents[docIndex];
-    let modified = false;
-
-    // Apply $set operations
-    if (update.$set) {
-      Object.assign(docToUpdate, update.$set);
-      modified = true;
-    }
+    // Compute every change before writing so an invalid update leaves the collection untouched.
+    // Duplicate keys are detected per document, so (as in MongoDB) earlier writes are kept.
+    const changes = matchingDocs.map(doc => ({ doc, ...updateBuilder.apply(doc, { query: filter }) }));
+    let modifiedCount = 0;
 
-    // Apply $unset operations
-    if (update.$unset) {
-      for (const key in update.$unset) {
-        if (key in docToUpdate) {
-          delete docToUpdate[key];
-          modified = true;
-        }
+    for (const change of changes) {
+      if (change.modified) {
+        this._replaceDocument(change.doc, change.document, options);
+        modifiedCount++;
       }
     }
 
     return {
       acknowledged: true,
-      matchedCount: 1,
-      modifiedCount: modified ? 1 : 0
+      matchedCount: matchingDocs.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null
     };
   }
 
+  /**
+   * Create an index on the collection
+   *
+   * Unique indexes (and the implicit unique index on _id) are enforced by every
+   * write, raising a MongoServerError with code 11000 on duplicates.
+   *
+   * @param {Object|string|Array} keys - Key pattern (e.g. { email: 1 } or { lastName: 1, firstName: 1 })
+   * @param {Object} options - Index options ({ name, unique, sparse, partialFilterExpression })
+   * @returns {Promise<string>} - Name of the index
+   */
+  async createIndex(keys, options = {}) {
+    const name = this.indexManager.createIndex(keys, options);
+    this._persistMetadata();
+    return name;
+  }
+
+  /**
+   * Create several indexes
+   * @param {Array<Object>} indexSpecs - Specifications like { key, name, unique }
+   * @returns {Promise<Array<string>>} - Names of the indexes
+   */
+  async createIndexes(indexSpecs) {
+    if (!Array.isArray(indexSpecs)) {
+      throw new Error('Argument "indexSpecs" must be an array');
+    }
+    const names = indexSpecs.map(({ key, ...options }) => this.indexManager.createIndex(key, options));
+    this._persistMetadata();
+    return names;
+  }
+
+  /**
+   * Drop an index
+   * @param {string|Object} nameOrKeys - Index name (e.g. "email_1") or key pattern
+   * @returns {Promise<Object>} - { ok: 1 }
+   */
+  async dropIndex(nameOrKeys) {
+    this.indexManager.dropIndex(nameOrKeys);
+    this._persistMetadata();
+    return { ok: 1 };
+  }
+
+  /**
+   * Drop every index except the one on _id
+   * @returns {Promise<boolean>} - True
+   */
+  async dropIndexes() {
+    this.indexManager.dropIndexes();
+    this._persistMetadata();
+    return true;
+  }
+
+  /**
+   * List the indexes of the collection
+   * @returns {MockCursor} - Cursor over index specifications ({ v, key, name, ... })
+   */
+  listIndexes() {
+    return new MockCursor(() => this.indexManager.list(), { frozen: this._frozenResults() });
+  }
+
+  /**
+   * Get the indexes of the collection as an array
+   * @returns {Promise<Array<Object>>} - Index specifications
+   */
+  async indexes() {
+    return this.indexManager.list();
+  }
+
+  /**
+   * Check whether one or more indexes exist
+   * @param {string|Array<string>} names - Index name or names
+   * @returns {Promise<boolean>} - True if every named index exists
+   */
+  async indexExists(names) {
+    const existing = this.indexManager.list().map(index => index.name);
+    return [].concat(names).every(name => existing.includes(name));
+  }
+
+  /**
+   * Open a change stream on the collection
+   *
+   * The stream receives insert, update, replace and delete events for every
+   * write made after it was opened, and a drop followed by an invalidate event
+   * when the collection is dropped.
+   *
+   * @param {Array<Object>} pipeline - Stages applied to each event ($match, $project, ...)
+   * @param {Object} options - { fullDocument: 'default'|'updateLookup'|'whenAvailable'|'required', fullDocumentBeforeChange, resumeAfter, startAfter }
+   * @returns {ChangeStream} - Change stream
+   */
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this.changeLog, pipeline, options, {
+      ns: this._namespace(),
+      frozen: this._frozenResults()
+    });
+  }
+
+  /**
+   * Start logging the calls made to this collection
+   *
+   * See OperationRecorder for what is logged. Pair it with the Jest matchers
+   * exported as `matchers`.
+   *
+   * @returns {OperationRecorder} - Recorder; call stop() when done
+   */
+  startRecording() {
+    return new OperationRecorder(this.recorders);
+  }
+
+  /**
+   * Insert documents from Extended JSON, such as mongoexport output
+   *
+   * Accepts canonical and relaxed Extended JSON, as a JSON array or one
+   * document per line. $oid, $date, $numberLong and the other type wrappers
+   * are converted to ObjectId, Date, bigint, etc. before inserting.
+   *
+   * @param {string|Array<Object>} source - Extended JSON text, a file path, or an array of Extended JSON documents
+   * @param {Object} options - Insert options ({ ordered, bypassDocumentValidation, session })
+   * @returns {Promise<Object>} - insertMany result
+   * @throws {BSONError} - If the input is not valid Extended JSON
+   */
+  async importDocuments(source, options = {}) {
+    let docs;
+    if (Array.isArray(source)) {
+      docs = ejson.deserialize(source);
+    } else if (/^\s*[[{]/.test(source) || source.trim() === '') {
+      docs = ejson.parseDocuments(source);
+    } else {
+      docs = ejson.parseDocuments(await fs.promises.readFile(source, 'utf8'));
+    }
+    return this.insertMany(docs, options);
+  }
+
+  /**
+   * Export documents as Extended JSON
+   * @param {Object} options - { filter, relaxed: true, format: 'ndjson'|'array', path }
+   * @returns {Promise<string>} - Extended JSON text, also written to `path` when given
+   */
+  async exportDocuments(options = {}) {
+    const docs = await this.find(options.filter || {}).toArray();
+    const text = ejson.formatDocuments(docs, options);
+    if (options.path) {
+      await fs.promises.writeFile(options.path, text);
+    }
+    return text;
+  }
+
+  /**
+   * Get the options the collection was created or modified with
+   * @returns {Promise<Object>} - { validator, validationLevel, validationAction, capped, size, max } (empty for a plain collection)
+   */
+  async options() {
+    return deepClone(this._collectionOptions());
+  }
+
+  /**
+   * Check whether the collection is capped
+   * @returns {Promise<boolean>} - True if created with { capped: true }
+   */
+  async isCapped() {
+    return Boolean(this.capped);
+  }
+
+  /**
+   * Drop the collection from its database
+   * @returns {Promise<boolean>} - True if the collection was dropped, false if it didn't exist
+   */
+  async drop() {
+    return this.database ? this.database.dropCollection(this.name) : false;
+  }
+
   /**
    * Clear all documents from the collection (helper for tests)
    */
   clear() {
     this.documents = [];
+    this._persist('clear');
   }
 
   /**
@@ -190,13 +854,327 @@ class MockCollection {
   }
 
   /**
-   * Generate a simple unique ID
-   * @returns {string} - Unique identifier
+   * Copy a document for storage and give it an _id if it has none
+   *
+   * Like the driver, a generated _id is also set on the caller's document.
+   * The stored copy always has _id as its first field, as the server does.
+   *
+   * @param {Object} document - Document to store
+   * @returns {Object} - Copy ready to be stored
+   * @private
+   */
+  _prepareForInsert(document) {
+    if (document._id === undefined) {
+      document._id = this._generateId();
+    }
+
+    // Create a deep copy of the document to avoid reference pollution
+    const { _id, ...fields } = deepClone(document);
+    return { _id, ...fields };
+  }
+
+  /**
+   * Check whether documents returned to callers should be deep-frozen
+   * @returns {boolean} - True if the owning database was created with { frozenResults: true }
+   * @private
+   */
+  _frozenResults() {
+    return Boolean(this.database && this.database.frozenResults);
+  }
+
+  /**
+   * Store a prepared document after checking the validator and unique indexes
+   * @param {Object} doc - Document returned by _prepareForInsert
+   * @param {Object} options - Write options ({ bypassDocumentValidation })
+   * @private
+   */
+  _insertDocument(doc, options = {}) {
+    this._assertWritable();
+    if (!options.bypassDocumentValidation) {
+      this.documentValidator.validate(doc);
+    }
+    this.indexManager.assertCanInsert(doc, this.documents);
+    const evicted = this.capped ? documentsToEvict(this.documents, doc, this.capped) : [];
+    this._ownDocuments();
+    if (evicted.length > 0) {
+      // Capped collections drop their oldest documents silently: no change events
+      this.documents.splice(0, evicted.length);
+      evicted.forEach(old => this._persist('delete', { id: old._id }));
+    }
+    this.documents.push(doc);
+    this._recordChange('insert', null, doc);
+  }
+
+  /**
+   * Swap a stored document for its new version after checking the validator and unique indexes
+   * @param {Object} existingDoc - Stored document
+   * @param {Object} doc - New version of the document
+   * @param {Object} options - Write options ({ bypassDocumentValidation })
+   * @param {string} operationType - Change event to report: 'update' or 'replace'
+   * @private
+   */
+  _replaceDocument(existingDoc, doc, options = {}, operationType = 'update') {
+    this._assertWritable();
+    if (!options.bypassDocumentValidation) {
+      this.documentValidator.validate(doc, existingDoc);
+    }
+    if (this.capped) {
+      assertSameSize(existingDoc, doc);
+    }
+    this.indexManager.assertCanReplace(existingDoc, doc, this.documents);
+    this._ownDocuments();
+    this.documents[this.documents.indexOf(existingDoc)] = doc;
+    this._recordChange(operationType, existingDoc, doc);
+  }
+
+  /**
+   * Remove stored documents
+   * @param {Array<Object>} docs - Stored documents to remove
+   * @private
+   */
+  _removeDocuments(docs) {
+    this._assertWritable();
+    const toDelete = new Set(docs);
+    this.documents = this.documents.filter(doc => !toDelete.has(doc));
+    docs.forEach(doc => this._recordChange('delete', doc, null));
+  }
+
+  /**
+   * Report a write to the change log read by change streams, and to the data file of a persistent database
+   * @param {string} operationType - 'insert', 'update', 'replace', 'delete', 'drop' or 'invalidate'
+   * @param {Object|null} before - Stored document before the write
+   * @param {Object|null} after - Stored document after the write
+   * @param {Object} transactionInfo - { lsid, txnNumber } for writes committed by a transaction
+   * @private
+   */
+  _recordChange(operationType, before = null, after = null, transactionInfo = {}) {
+    const doc = after || before;
+    this.changeLog.record({
+      ...transactionInfo,
+      operationType,
+      ns: this._namespace(),
+      documentKey: doc ? { _id: doc._id } : undefined,
+      before,
+      after,
+      collection: this
+    });
+
+    if (operationType === 'delete') {
+      this._persist('delete', { id: before._id });
+    } else if (after) {
+      this._persist('put', { doc: after });
+    }
+  }
+
+  /**
+   * Save the collection's indexes and validation options to the database's data file
+   * @private
+   */
+  _persistMetadata() {
+    this._persist('collection', {
+      indexes: this.indexManager.indexes,
+      options: this._collectionOptions()
+    });
+  }
+
+  /**
+   * Get the validation and capped options of the collection
+   * @returns {Object} - { validator, validationLevel, validationAction, capped, size, max } (not copied)
+   * @private
+   */
+  _collectionOptions() {
+    const options = this.documentValidator.getOptions();
+    return this.capped ? { ...options, capped: true, ...this.capped } : options;
+  }
+
+  /**
+   * Check that the collection can be written to where it is used
+   *
+   * Like mongod, a capped collection cannot be written to in a transaction.
+   *
+   * @throws {MongoServerError} - OperationNotSupportedInTransaction
+   * @private
+   */
+  _assertWritable() {
+    if (this.capped && this._transaction) {
+      throw new MongoServerError(
+        `Collection '${this._namespace().db}.${this.name}' is a capped collection. Writes in transactions are not allowed on capped collections.`,
+        { code: 263, codeName: 'OperationNotSupportedInTransaction' }
+      );
+    }
+  }
+
+  /**
+   * Get the current time of the database's clock
+   * @returns {Date} - Current time (the system time for a collection without a database)
+   * @private
+   */
+  _now() {
+    return this.database ? this.database.clock.now() : new Date();
+  }
+
+  /**
+   * Append an operation on the collection to the database's data file
+   *
+   * Only collections that belong to a persistent database are saved; a
+   * collection object kept after its collection was dropped is not.
+   *
+   * @param {string} op - Operation ('put', 'delete', 'clear' or 'collection')
+   * @param {Object} fields - Operation fields
+   * @private
+   */
+  _persist(op, fields = {}) {
+    if (this.database && this.database.collections[this.name] === this) {
+      this.database._persist({ op, coll: this.name, ...fields });
+    }
+  }
+
+  /**
+   * Capture the collection's documents, indexes and options for a database snapshot
+   *
+   * The documents array is shared with the snapshot rather than copied; the
+   * collection copies it before its next in-place change (copy-on-write).
+   *
+   * @returns {Object} - Collection state for _restoreState
+   * @private
+   */
+  _captureState() {
+    const { validator, validationLevel, validationAction } = this.documentValidator;
+    this._sharedDocuments = true;
+    return {
+      collection: this,
+      documents: this.documents,
+      indexes: deepClone(this.indexManager.indexes),
+      options: deepClone({ validator, validationLevel, validationAction, ...(this.capped && { capped: true, ...this.capped }) })
+    };
+  }
+
+  /**
+   * Bring the collection back to a captured state
+   * @param {Object} state - State returned by _captureState
+   * @private
+   */
+  _restoreState(state) {
+    this.documents = state.documents;
+    this._sharedDocuments = true;
+    this.indexManager.indexes = deepClone(state.indexes);
+    this.documentValidator = new DocumentValidator(deepClone(state.options));
+    this.capped = cappedOptions(state.options);
+  }
+
+  /**
+   * Create a query builder over the collection's documents
+   * @returns {QueryBuilder} - Query builder that can search the text and 2dsphere indexes
+   * @private
+   */
+  _queryBuilder() {
+    return new QueryBuilder(this.documents, {
+      textIndex: this.indexManager.textIndex(),
+      geoIndexes: this.indexManager.geoIndexes(),
+      variables: { NOW: this._now() }
+    });
+  }
+
+  /**
+   * Copy the documents array if it is shared with a snapshot, before changing it in place
+   * @private
+   */
+  _ownDocuments() {
+    if (this._sharedDocuments) {
+      this.documents = this.documents.slice();
+      this._sharedDocuments = false;
+    }
+  }
+
+  /**
+   * Get the transaction an operation must run in
+   *
+   * Operations given a session with a transaction in progress run against the
+   * transaction's view of the collection instead of the collection itself.
+   * Views return null here, since they already run inside their transaction.
+   *
+   * @param {Object} options - Operation options ({ session })
+   * @returns {Transaction|null} - The session's transaction, or null to run directly
+   * @private
+   */
+  _transactionFor(options) {
+    const session = options && options.session;
+    if (!session || this._transaction) {
+      return null;
+    }
+    if (session.hasEnded) {
+      throw new MongoExpiredSessionError();
+    }
+    return session.inTransaction() ? session.transaction : null;
+  }
+
+  /**
+   * Get the namespace of the collection
+   * @returns {Object} - { db, coll }
+   * @private
+   */
+  _namespace() {
+    return { db: this.database ? this.database.databaseName : 'test', coll: this.name };
+  }
+
+  /**
+   * Replace the whole contents of the collection, keeping its indexes and validator
+   *
+   * All-or-nothing: every document is checked against the validator and the
+   * unique indexes first. Change streams then see a delete for each old
+   * document and an insert for each new one.
+   *
+   * @param {Array<Object>} docs - Prepared documents
+   * @param {Object} options - Write options ({ bypassDocumentValidation })
+   * @private
+   */
+  _setDocuments(docs, options = {}) {
+    this._assertWritable();
+    if (!options.bypassDocumentValidation) {
+      docs.forEach(doc => this.documentValidator.validate(doc));
+    }
+    this.indexManager.assertValid(docs);
+    const replaced = this.documents;
+    this.documents = docs;
+    this._sharedDocuments = false;
+
+    const persistence = this.database && this.database.persistence;
+    if (persistence) {
+      persistence.startBatch();
+    }
+    replaced.forEach(doc => this._recordChange('delete', doc, null));
+    docs.forEach(doc => this._recordChange('insert', null, doc));
+    if (persistence) {
+      persistence.endBatch();
+    }
+  }
+
+  /**
+   * Generate an _id for a new document
+   * @returns {ObjectId|*} - A new ObjectId, or the id from the database's pkFactory
    * @private
    */
   _generateId() {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+    return this.database ? this.database.pkFactory.createPk() : new ObjectId();
   }
 }
 
+// The recorder is outermost so it logs the errors raised by fail points; expired
+// documents are removed last, right before the call runs
+/**
+ * Describe a value that is not a document, for error messages
+ * @param {*} value - Value given as a document
+ * @returns {string} - e.g. 'an array', 'a Date' or 'null'
+ * @private
+ */
+function describeValue(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  const type = Array.isArray(value) ? 'array' : typeof value === 'object' ? value._bsontype || value.constructor.name : typeof value;
+  return `${/^[aeiou]/i.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+instrument(MockCollection, [OperationRecorder, FailPoint, ttlMonitor]);
+
 module.exports = MockCollection;
@@ -0,0 +1,263 @@
+const { normalizeSort, sortDocuments } = require('./sort');
+const { applyProjection, parseProjection } = require('./projection');
+const { deepFreeze } = require('./clone');
+
+/**
+ * MockCursor - A lazily evaluated cursor over query results
+ *
+ * Mimics the MongoDB driver's FindCursor: modifiers such as sort, skip, limit
+ * and project can be chained until the first document is read, after which
+ * results are served from an internal buffer. Cursors are async iterable.
+ */
+class MockCursor {
+  /**
+   * Constructor
+   * @param {Function} fetch - Function returning the array of matching documents (copies)
+   * @param {Object} options - Initial cursor options ({ sort, skip, limit, projection }),
+   *   plus `frozen` to deep-freeze the documents it returns
+   */
+  constructor(fetch, options = {}) {
+    this._fetch = fetch;
+    this._frozen = Boolean(options.frozen);
+    this._sort = [];
+    this._skip = 0;
+    this._limit = 0;
+    this._projection = null;
+    this._transforms = [];
+    this._buffer = null;
+    this._position = 0;
+    this._beforeRead = null;
+    this.closed = false;
+
+    if (options.sort !== undefined) this.sort(options.sort);
+    if (options.skip !== undefined) this.skip(options.skip);
+    if (options.limit !== undefined) this.limit(options.limit);
+    if (options.projection !== undefined) this.project(options.projection);
+  }
+
+  /**
+   * Set the sort order
+   * @param {Object|Array|string} spec - Sort specification (e.g. { age: -1 })
+   * @param {number|string} [direction] - Direction when `spec` is a field name
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  sort(spec, direction) {
+    this._assertNotStarted();
+    this._sort = normalizeSort(spec, direction);
+    return this;
+  }
+
+  /**
+   * Skip a number of documents
+   * @param {number} value - Number of documents to skip
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  skip(value) {
+    this._assertNotStarted();
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error('Skip value must be a non-negative integer');
+    }
+    this._skip = value;
+    return this;
+  }
+
+  /**
+   * Limit the number of documents returned (0 means no limit)
+   * @param {number} value - Maximum number of documents
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  limit(value) {
+    this._assertNotStarted();
+    if (!Number.isInteger(value)) {
+      throw new Error('Limit value must be an integer');
+    }
+    this._limit = Math.abs(value);
+    return this;
+  }
+
+  /**
+   * Set a projection for returned documents
+   * @param {Object} projection - Projection specification (e.g. { name: 1, _id: 0 })
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  project(projection) {
+    this._assertNotStarted();
+    parseProjection(projection);
+    this._projection = projection;
+    return this;
+  }
+
+  /**
+   * Set the batch size (accepted for API compatibility, has no effect)
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  batchSize() {
+    return this;
+  }
+
+  /**
+   * Transform each document as it is read
+   * @param {Function} transform - Mapping function
+   * @returns {MockCursor} - Returns this for method chaining
+   */
+  map(transform) {
+    this._assertNotStarted();
+    if (typeof transform !== 'function') {
+      throw new Error('Map transform must be a function');
+    }
+    this._transforms.push(transform);
+    return this;
+  }
+
+  /**
+   * Count the documents this cursor would return (honours skip and limit)
+   * @returns {Promise<number>} - Number of documents
+   */
+  async count() {
+    await this._runBeforeRead();
+    return this._window(this._fetch()).length;
+  }
+
+  /**
+   * Read all remaining documents
+   * @returns {Promise<Array>} - Array of documents
+   */
+  async toArray() {
+    const results = [];
+    while (await this.hasNext()) {
+      results.push(await this.next());
+    }
+    return results;
+  }
+
+  /**
+   * Check whether another document is available
+   * @returns {Promise<boolean>} - True if next() will return a document
+   */
+  async hasNext() {
+    if (this.closed) {
+      return false;
+    }
+    await this._runBeforeRead();
+    this._initialize();
+    return this._position < this._buffer.length;
+  }
+
+  /**
+   * Read the next document
+   * @returns {Promise<Object|null>} - Next document, or null when exhausted
+   */
+  async next() {
+    if (!(await this.hasNext())) {
+      return null;
+    }
+    const doc = this._buffer[this._position++];
+    return this._transforms.reduce((value, transform) => transform(value), doc);
+  }
+
+  /**
+   * Call a function for every remaining document (stops early if it returns false)
+   * @param {Function} iterator - Callback receiving each document
+   * @returns {Promise<void>}
+   */
+  async forEach(iterator) {
+    while (await this.hasNext()) {
+      if (iterator(await this.next()) === false) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Reset the cursor so results are fetched again on the next read
+   */
+  rewind() {
+    this._buffer = null;
+    this._position = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Close the cursor and release its buffered results
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    this._buffer = [];
+  }
+
+  /**
+   * Async iterator support for `for await (const doc of cursor)`
+   * @returns {AsyncIterator<Object>}
+   */
+  async *[Symbol.asyncIterator]() {
+    while (await this.hasNext()) {
+      yield await this.next();
+    }
+  }
+
+  /**
+   * Delay the first read until an async step has run (used by fail points)
+   * @param {Function} step - async () => void; an error it throws is raised by the read
+   * @private
+   */
+  _setBeforeRead(step) {
+    this._beforeRead = step;
+  }
+
+  /**
+   * Run the step set by _setBeforeRead, once
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runBeforeRead() {
+    if (this._beforeRead) {
+      const step = this._beforeRead;
+      this._beforeRead = null;
+      await step();
+    }
+  }
+
+  /**
+   * Run the query and fill the buffer on first read
+   * @private
+   */
+  _initialize() {
+    if (this._buffer !== null) {
+      return;
+    }
+    let docs = this._window(this._fetch());
+    if (this._projection) {
+      docs = docs.map(doc => applyProjection(doc, this._projection));
+    }
+    if (this._frozen) {
+      docs = docs.map(deepFreeze);
+    }
+    this._buffer = docs;
+    this._position = 0;
+  }
+
+  /**
+   * Apply sort, skip and limit to a list of documents
+   * @param {Array<Object>} docs - Documents
+   * @returns {Array<Object>} - Documents in the cursor's window
+   * @private
+   */
+  _window(docs) {
+    let result = this._sort.length > 0 ? sortDocuments(docs, this._sort) : docs;
+    result = result.slice(this._skip, this._limit > 0 ? this._skip + this._limit : undefined);
+    return result;
+  }
+
+  /**
+   * Ensure the cursor has not been read from yet
+   * @private
+   */
+  _assertNotStarted() {
+    if (this._buffer !== null) {
+      throw new Error('Cursor is already initialized');
+    }
+  }
+}
+
+module.exports = MockCursor;
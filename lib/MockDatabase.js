@@ -1,4 +1,97 @@
+const fs = require('fs');
+const path = require('path');
 const MockCollection = require('./MockCollection');
+const ChangeLog = require('./ChangeLog');
+const ChangeStream = require('./ChangeStream');
+const ClientSession = require('./ClientSession');
+const Persistence = require('./Persistence');
+const OperationRecorder = require('./OperationRecorder');
+const FailPoint = require('./FailPoint');
+const ObjectId = require('./ObjectId');
+const Clock = require('./Clock');
+const ejson = require('./ejson');
+const { expireDocuments } = require('./ttl');
+const { MongoServerError } = require('./errors');
+
+/**
+ * Files read by loadFixtures() from a directory
+ */
+const FIXTURE_FILE_PATTERN = /\.(json|ndjson|jsonl)$/;
+
+/**
+ * ClockPkFactory - Default primary key factory: a fresh ObjectId per document
+ *
+ * The timestamp part of the ids is read from the database's clock, so
+ * `_id.getTimestamp()` agrees with moved clocks.
+ *
+ * @private
+ */
+class ClockPkFactory {
+  /**
+   * Constructor
+   * @param {Clock} clock - Database clock
+   */
+  constructor(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Generate a new id
+   * @returns {ObjectId} - New ObjectId
+   */
+  createPk() {
+    return new ObjectId(Math.floor(this.clock.now().getTime() / 1000));
+  }
+}
+
+/**
+ * SequentialPkFactory - Primary key factory that yields predictable ObjectIds
+ *
+ * Ids have a zero timestamp and process part and an increasing counter
+ * (000000000000000000000001, 000000000000000000000002, ...), so snapshots
+ * taken across test runs stay the same. The counter is part of database
+ * snapshots, so restoring one also rewinds the ids.
+ *
+ * @private
+ */
+class SequentialPkFactory {
+  /**
+   * Constructor
+   * @param {number} next - Counter of the next id
+   */
+  constructor(next = 1) {
+    this.next = next;
+  }
+
+  /**
+   * Generate the next id
+   * @returns {ObjectId} - New ObjectId
+   */
+  createPk() {
+    const bytes = Buffer.alloc(12);
+    bytes.writeUIntBE(this.next++, 6, 6);
+    return new ObjectId(bytes);
+  }
+}
+
+/**
+ * DatabaseSnapshot - Opaque handle returned by MockDatabase.snapshot()
+ * @private
+ */
+class DatabaseSnapshot {
+  /**
+   * Constructor
+   * @param {Object} collections - Captured state of each collection, by name
+   * @param {number|undefined} nextPk - Counter of a SequentialPkFactory
+   * @param {MockDatabase} database - Database the snapshot can be restored into
+   */
+  constructor(collections, nextPk, database) {
+    this._collections = collections;
+    this._nextPk = nextPk;
+    this._database = database;
+    Object.freeze(this);
+  }
+}
 
 /**
  * MockDatabase - The main entry point and hub for managing multiple collections
@@ -9,9 +102,39 @@ const MockCollection = require('./MockCollection');
 class MockDatabase {
   /**
    * Constructor
+   * @param {Object} options - Database options
+   * @param {string} [options.name] - Database name used in namespaces (defaults to "test")
+   * @param {Object} [options.pkFactory] - Object with a createPk() method that generates _ids, as in the driver
+   * @param {boolean} [options.deterministicIds] - Generate sequential ObjectIds instead of random ones
+   * @param {boolean} [options.frozenResults] - Return deeply frozen documents so accidental mutation throws
+   * @param {Object} [options.persist] - Keep the database in a file: { path, compactAfter, fsync } (see Persistence)
+   * @param {Clock|Date|number} [options.clock] - Clock to run on, or a time to start a frozen clock at (see Clock)
    */
-  constructor() {
+  constructor(options = {}) {
+    this.databaseName = options.name || 'test';
+    this.clock = options.clock instanceof Clock ? options.clock : new Clock(options.clock);
+    this.pkFactory = options.pkFactory ||
+      (options.deterministicIds ? new SequentialPkFactory() : new ClockPkFactory(this.clock));
+    this.frozenResults = Boolean(options.frozenResults);
     this.collections = {};
+    this.changeLog = new ChangeLog(this.clock);
+    this.activeTransactions = new Set();
+    this.recorders = new Set();
+    this.failPoints = new Set();
+    this._failCommand = null;
+    this.persistence = null;
+
+    if (options.persist) {
+      const persistence = new Persistence(options.persist, () => this._persistentState());
+      const stored = persistence.load();
+      if (stored) {
+        this.restore(new DatabaseSnapshot(stored.collections, stored.nextPk, this));
+      }
+      persistence.compact();
+      this.persistence = persistence;
+    }
+
+    this._stopExpiring = this.clock.onTick(() => this.expireDocuments());
   }
 
   /**
@@ -26,12 +149,135 @@ class MockDatabase {
 
     // Create collection if it doesn't exist
     if (!this.collections[name]) {
-      this.collections[name] = new MockCollection(name);
+      this.collections[name] = new MockCollection(name, this);
+    }
+
+    return this.collections[name];
+  }
+
+  /**
+   * Explicitly create a collection with options
+   *
+   * Mirrors `db.createCollection`: it fails if the collection already exists,
+   * and accepts a validator that every insert and update is checked against.
+   * `{ capped: true, size, max }` creates a capped collection, which drops its
+   * oldest documents once it holds `size` bytes or `max` documents.
+   *
+   * @param {string} name - Name of the collection
+   * @param {Object} options - { validator, validationLevel: 'strict'|'moderate'|'off', validationAction: 'error'|'warn',
+   *   capped, size, max }
+   * @returns {Promise<MockCollection>} - The new collection
+   */
+  async createCollection(name, options = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Collection name must be a non-empty string');
+    }
+    if (this.collections[name]) {
+      throw new MongoServerError(`Collection ${this.databaseName}.${name} already exists.`, {
+        code: 48,
+        codeName: 'NamespaceExists'
+      });
     }
 
+    this.collections[name] = new MockCollection(name, this, options);
+    this.collections[name]._persistMetadata();
     return this.collections[name];
   }
 
+  /**
+   * Run a database command
+   *
+   * Supports `ping`, `collMod` (changing a collection's validator,
+   * validationLevel or validationAction, or the expireAfterSeconds of a TTL
+   * index with `index: { name | keyPattern, expireAfterSeconds }`) and
+   * `configureFailPoint` for the `failCommand` fail point (see FailPoint).
+   * Setting `failCommand` again replaces the previous setting.
+   *
+   * @param {Object} command - Command document, e.g. { collMod: 'users', validator: {...} }
+   * @returns {Promise<Object>} - Command reply ({ ok: 1 })
+   */
+  async command(command) {
+    const name = Object.keys(command || {})[0];
+
+    switch (name) {
+      case 'ping':
+        return { ok: 1 };
+
+      case 'collMod': {
+        const collection = this.collections[command.collMod];
+        if (!collection) {
+          throw new MongoServerError(`ns does not exist: ${this.databaseName}.${command.collMod}`, {
+            code: 26,
+            codeName: 'NamespaceNotFound'
+          });
+        }
+        const reply = command.index ? this._modifyIndex(collection, command.index) : {};
+        collection.documentValidator.update(command);
+        collection._persistMetadata();
+        return { ...reply, ok: 1 };
+      }
+
+      case 'configureFailPoint': {
+        if (command.configureFailPoint !== 'failCommand') {
+          throw new MongoServerError(`Unknown fail point: ${command.configureFailPoint}`, { code: 2, codeName: 'BadValue' });
+        }
+        const failPoint = FailPoint.fromCommand(command, this.failPoints);
+        if (this._failCommand) {
+          this._failCommand.disable();
+        }
+        this._failCommand = failPoint;
+        return { ok: 1 };
+      }
+
+      default:
+        throw new MongoServerError(`no such command: '${name}'`, { code: 59, codeName: 'CommandNotFound' });
+    }
+  }
+
+  /**
+   * Remove the documents that TTL indexes have expired, from every collection
+   *
+   * Collections already do this before each call and whenever the clock is
+   * moved with advance() or set(); call it after moving time some other way
+   * (e.g. with Jest's fake timers) to see the removals in change streams
+   * right away.
+   *
+   * @returns {number} - Number of documents removed
+   */
+  expireDocuments() {
+    return Object.values(this.collections).reduce((count, collection) => count + expireDocuments(collection), 0);
+  }
+
+  /**
+   * Start a session for running transactions
+   *
+   * Pass the session to collection methods as `{ session }`. Writes made in a
+   * transaction are only visible to that transaction until it commits.
+   *
+   * @param {Object} options - { defaultTransactionOptions }
+   * @returns {ClientSession} - New session
+   */
+  startSession(options = {}) {
+    return new ClientSession(options);
+  }
+
+  /**
+   * Open a change stream on every collection of the database
+   *
+   * Receives the events of all collections (including drops), as
+   * `collection.watch()` does for a single one.
+   *
+   * @param {Array<Object>} pipeline - Stages applied to each event ($match, $project, ...)
+   * @param {Object} options - { fullDocument, fullDocumentBeforeChange, resumeAfter, startAfter }
+   * @returns {ChangeStream} - Change stream
+   */
+  watch(pipeline = [], options = {}) {
+    return new ChangeStream(this.changeLog, pipeline, options, {
+      ns: { db: this.databaseName },
+      frozen: this.frozenResults
+    });
+  }
+
   /**
    * Drop (delete) a collection
    * @param {string} name - Name of the collection to drop
@@ -39,12 +285,179 @@ class MockDatabase {
    */
   dropCollection(name) {
     if (this.collections[name]) {
+      const collection = this.collections[name];
       delete this.collections[name];
+      this._persist({ op: 'drop', coll: name });
+      collection._recordChange('drop');
+      collection._recordChange('invalidate');
       return true;
     }
     return false;
   }
 
+  /**
+   * Start logging the calls made to every collection of the database
+   *
+   * Collections created while recording are included. See OperationRecorder
+   * for what is logged.
+   *
+   * @returns {OperationRecorder} - Recorder; call stop() when done
+   */
+  startRecording() {
+    return new OperationRecorder(this.recorders);
+  }
+
+  /**
+   * Make collection calls fail or slow down
+   *
+   * See FailPoint for the options, e.g.
+   * `db.failPoint({ collection: 'orders', method: 'insertOne', times: 1, error: 'NotWritablePrimary' })`.
+   *
+   * @param {Object} options - { collection, method, times, skip, probability, seed, error, afterMs, latency }
+   * @returns {FailPoint} - Fail point; call disable() to turn it off
+   */
+  failPoint(options) {
+    return new FailPoint(options, this.failPoints);
+  }
+
+  /**
+   * Turn off every fail point, including the one set with configureFailPoint
+   */
+  clearFailPoints() {
+    this.failPoints.clear();
+    this._failCommand = null;
+  }
+
+  /**
+   * Capture the current state of every collection
+   *
+   * Snapshots are cheap: documents are shared with the collections, which
+   * copy them before their next write (copy-on-write). Take one after seeding
+   * a fixture and `restore()` it in `beforeEach`.
+   *
+   * @returns {DatabaseSnapshot} - Opaque handle for restore()
+   */
+  snapshot() {
+    const collections = {};
+    for (const [name, collection] of Object.entries(this.collections)) {
+      collections[name] = collection._captureState();
+    }
+    return new DatabaseSnapshot(collections, this._nextPk(), this);
+  }
+
+  /**
+   * Bring every collection back to a snapshot
+   *
+   * Restores documents, indexes and validation options; collections created
+   * since the snapshot are dropped and dropped ones come back. Collection
+   * objects obtained before are kept, so references held by tests stay valid.
+   * Restoring does not emit change events. Snapshots only restore into the
+   * database that took them; use fork() to copy a database.
+   *
+   * @param {DatabaseSnapshot} snapshot - Handle returned by snapshot()
+   * @throws {Error} - If the snapshot was not taken from this database
+   */
+  restore(snapshot) {
+    if (!(snapshot instanceof DatabaseSnapshot)) {
+      throw new Error('restore() expects a handle returned by snapshot()');
+    }
+    if (snapshot._database !== this) {
+      throw new Error('restore() expects a snapshot of this database; use fork() to copy another one');
+    }
+
+    const collections = {};
+    for (const [name, state] of Object.entries(snapshot._collections)) {
+      const collection = this.collections[name] ||
+        (state.collection && state.collection.database === this ? state.collection : new MockCollection(name, this));
+      collection._restoreState(state);
+      collections[name] = collection;
+    }
+    this.collections = collections;
+
+    if (snapshot._nextPk !== undefined && this.pkFactory instanceof SequentialPkFactory) {
+      this.pkFactory.next = snapshot._nextPk;
+    }
+    if (this.persistence) {
+      this.persistence.compact();
+    }
+  }
+
+  /**
+   * Create an independent copy of the database
+   *
+   * The copy has the same collections, documents, indexes and options, its
+   * own id sequence when deterministicIds is on, and the same clock. Writes to
+   * either database are not seen by the other. Like snapshots, forks share
+   * documents until they are written to. close() a fork that is no longer
+   * needed, so the shared clock lets go of it.
+   *
+   * @returns {MockDatabase} - New database
+   */
+  fork() {
+    const pkFactory = this.pkFactory instanceof SequentialPkFactory
+      ? new SequentialPkFactory(this.pkFactory.next)
+      : this.pkFactory;
+    const copy = new MockDatabase({ name: this.databaseName, pkFactory, frozenResults: this.frozenResults, clock: this.clock });
+    const { _collections, _nextPk } = this.snapshot();
+    copy.restore(new DatabaseSnapshot(_collections, _nextPk, copy));
+    return copy;
+  }
+
+  /**
+   * Load fixtures written as Extended JSON into collections
+   *
+   * Given a directory, every .json, .ndjson and .jsonl file is imported (in
+   * name order) into the collection named after the file, e.g. `users.json`
+   * into `users`. Given an object, each key names a collection and each value
+   * is an array of Extended JSON documents, Extended JSON text or a file path.
+   *
+   * @param {string|Object} source - Directory path, or { collectionName: documents }
+   * @param {Object} options - Insert options ({ ordered, bypassDocumentValidation })
+   * @returns {Promise<Object>} - Number of documents inserted per collection
+   */
+  async loadFixtures(source, options = {}) {
+    let fixtures = source;
+    if (typeof source === 'string') {
+      const files = (await fs.promises.readdir(source)).filter(file => FIXTURE_FILE_PATTERN.test(file)).sort();
+      fixtures = {};
+      for (const file of files) {
+        fixtures[file.replace(FIXTURE_FILE_PATTERN, '')] = path.join(source, file);
+      }
+    }
+
+    const counts = {};
+    for (const [name, documents] of Object.entries(fixtures)) {
+      const result = await this.collection(name).importDocuments(documents, options);
+      counts[name] = result.insertedCount;
+    }
+    return counts;
+  }
+
+  /**
+   * Export every collection as Extended JSON
+   *
+   * The result can be passed back to loadFixtures(). With `dir`, each
+   * collection is also written to `<dir>/<name>.json`.
+   *
+   * @param {Object} options - { relaxed: true, dir, format: 'ndjson'|'array' (for files) }
+   * @returns {Promise<Object>} - { collectionName: [Extended JSON documents] }
+   */
+  async exportAll(options = {}) {
+    if (options.dir) {
+      await fs.promises.mkdir(options.dir, { recursive: true });
+    }
+
+    const result = {};
+    for (const [name, collection] of Object.entries(this.collections)) {
+      const docs = await collection.find().toArray();
+      result[name] = ejson.serialize(docs, options);
+      if (options.dir) {
+        await fs.promises.writeFile(path.join(options.dir, `${name}.json`), ejson.formatDocuments(docs, options));
+      }
+    }
+    return result;
+  }
+
   /**
    * Get a list of all collection names
    * @returns {Array<string>} - Array of collection names
@@ -67,6 +480,7 @@ class MockDatabase {
    */
   clear() {
     this.collections = {};
+    this._persist({ op: 'dropDatabase' });
   }
 
   /**
@@ -99,6 +513,76 @@ class MockDatabase {
 
     return stats;
   }
+
+  /**
+   * Stop persisting the database and listening to its clock
+   *
+   * A persistent database leaves a compacted data file. The database keeps
+   * working in memory afterwards, but later writes are not saved and moving
+   * the clock no longer removes expired documents until the next call.
+   */
+  close() {
+    this._stopExpiring();
+    if (this.persistence) {
+      this.persistence.close();
+      this.persistence = null;
+    }
+  }
+
+  /**
+   * Append an operation to the data file of a persistent database
+   * @param {Object} record - { op, coll, ... }
+   * @private
+   */
+  _persist(record) {
+    if (this.persistence) {
+      const nextPk = this._nextPk();
+      this.persistence.log(nextPk === undefined ? record : { ...record, nextPk });
+    }
+  }
+
+  /**
+   * Change the expireAfterSeconds of a TTL index for collMod
+   * @param {MockCollection} collection - Collection
+   * @param {Object} index - { name | keyPattern, expireAfterSeconds }
+   * @returns {Object} - { expireAfterSeconds_old, expireAfterSeconds_new }
+   * @throws {MongoServerError} - InvalidOptions for an index option other than expireAfterSeconds
+   * @private
+   */
+  _modifyIndex(collection, index) {
+    if (index.expireAfterSeconds === undefined) {
+      throw new MongoServerError('no expireAfterSeconds field to update', { code: 72, codeName: 'InvalidOptions' });
+    }
+    const nameOrKeys = index.name !== undefined ? index.name : index.keyPattern;
+    const previous = collection.indexManager.setExpireAfterSeconds(nameOrKeys, index.expireAfterSeconds);
+    return { expireAfterSeconds_old: previous, expireAfterSeconds_new: index.expireAfterSeconds };
+  }
+
+  /**
+   * Get what a persistent database writes when compacting its data file
+   * @returns {Object} - { collections: { name: { documents, indexes, options } }, nextPk }
+   * @private
+   */
+  _persistentState() {
+    const collections = {};
+    for (const [name, collection] of Object.entries(this.collections)) {
+      collections[name] = {
+        documents: collection.documents,
+        indexes: collection.indexManager.indexes,
+        options: collection._collectionOptions()
+      };
+    }
+    return { collections, nextPk: this._nextPk() };
+  }
+
+  /**
+   * Get the counter of the next sequential id
+   * @returns {number|undefined} - Counter, or undefined unless deterministicIds is on
+   * @private
+   */
+  _nextPk() {
+    return this.pkFactory instanceof SequentialPkFactory ? this.pkFactory.next : undefined;
+  }
 }
 
 module.exports = MockDatabase;
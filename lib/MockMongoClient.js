@@ -0,0 +1,163 @@
+const EventEmitter = require('events');
+const MockDatabase = require('./MockDatabase');
+const Clock = require('./Clock');
+const ClientSession = require('./ClientSession');
+const ejson = require('./ejson');
+const { parseConnectionString } = require('./connectionString');
+
+/**
+ * Options of MockDatabase that a client passes on to its databases
+ */
+const DATABASE_OPTIONS = ['pkFactory', 'deterministicIds', 'frozenResults', 'clock'];
+
+/**
+ * Databases of every mock server, keyed by the hosts of the connection string
+ */
+const servers = new Map();
+
+/**
+ * MockMongoClient - In-memory stand-in for the driver's MongoClient
+ *
+ * Code written against the driver keeps working unchanged:
+ *
+ *   const client = await new MockMongoClient('mongodb://localhost/app').connect();
+ *   const users = client.db().collection('users');
+ *
+ * Databases live on a mock server identified by the connection string's
+ * hosts, so every client connected to the same hosts sees the same data, as
+ * it would with a real server: a test can seed data through its own client
+ * and read what the application wrote through another. Use
+ * `MockMongoClient.reset()` to discard every server between tests.
+ */
+class MockMongoClient extends EventEmitter {
+  /**
+   * Constructor
+   * @param {string} [uri] - Connection string; defaults to 'mongodb://localhost:27017'
+   * @param {Object} [options] - Driver options (ignored), plus pkFactory, deterministicIds, frozenResults and
+   *   clock for the databases this client creates (which share one clock)
+   * @throws {MongoParseError} - If the connection string is malformed
+   */
+  constructor(uri = 'mongodb://localhost:27017', options = {}) {
+    super();
+    this.connectionString = parseConnectionString(uri);
+    this.options = { ...options };
+    if (options.clock !== undefined && !(options.clock instanceof Clock)) {
+      this.options.clock = new Clock(options.clock);
+    }
+    this.isConnected = false;
+    this._sessions = new Set();
+
+    const key = this.connectionString.hosts.slice().sort().join(',');
+    if (!servers.has(key)) {
+      servers.set(key, new Map());
+    }
+    this._databases = servers.get(key);
+  }
+
+  /**
+   * Create and connect a client in one step
+   * @param {string} uri - Connection string
+   * @param {Object} [options] - Client options
+   * @returns {Promise<MockMongoClient>} - Connected client (of the class connect() is called on)
+   */
+  static async connect(uri, options) {
+    return new this(uri, options).connect();
+  }
+
+  /**
+   * Discard the data of every mock server
+   *
+   * Existing clients stay usable and get new, empty databases from db();
+   * database objects obtained before the reset keep their old data.
+   */
+  static reset() {
+    servers.forEach(databases => databases.clear());
+  }
+
+  /**
+   * Connect the client (nothing is contacted)
+   * @returns {Promise<MockMongoClient>} - This client
+   */
+  async connect() {
+    if (!this.isConnected) {
+      this.isConnected = true;
+      this.emit('open', this);
+    }
+    return this;
+  }
+
+  /**
+   * Close the client, ending the sessions it started
+   *
+   * The data stays on the mock server, and the client can connect again.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(Array.from(this._sessions, session => session.endSession()));
+    this._sessions.clear();
+    this.isConnected = false;
+  }
+
+  /**
+   * Get a database, creating it on first use
+   * @param {string} [name] - Database name; defaults to the connection string's database, or 'test'
+   * @returns {MockDatabase} - The database, shared by every client of the same server
+   */
+  db(name) {
+    const dbName = name === undefined ? this.connectionString.dbName || 'test' : name;
+    if (typeof dbName !== 'string' || dbName === '') {
+      throw new Error('Database name must be a non-empty string');
+    }
+
+    if (!this._databases.has(dbName)) {
+      const options = { name: dbName };
+      DATABASE_OPTIONS.filter(option => this.options[option] !== undefined)
+        .forEach(option => { options[option] = this.options[option]; });
+      this._databases.set(dbName, new MockDatabase(options));
+    }
+    return this._databases.get(dbName);
+  }
+
+  /**
+   * Start a session; it can run transactions across the client's databases
+   * @param {Object} [options] - { defaultTransactionOptions }
+   * @returns {ClientSession} - New session, ended by close()
+   */
+  startSession(options = {}) {
+    const session = new ClientSession(options);
+    this._sessions.add(session);
+    return session;
+  }
+
+  /**
+   * List the databases of the server that hold at least one collection
+   * @param {Object} [options] - { nameOnly }
+   * @returns {Promise<Object>} - { databases: [{ name, sizeOnDisk, empty }], totalSize, ok: 1 }
+   */
+  async listDatabases(options = {}) {
+    const databases = [];
+    let totalSize = 0;
+
+    for (const [name, db] of this._databases) {
+      const collections = Object.values(db.collections);
+      if (collections.length === 0) {
+        continue;
+      }
+      if (options.nameOnly) {
+        databases.push({ name });
+        continue;
+      }
+      // Size of the documents as Extended JSON, an approximation of their BSON size
+      const sizeOnDisk = collections.reduce((size, collection) => size + collection.documents
+        .reduce((sum, doc) => sum + Buffer.byteLength(ejson.stringify(doc, { relaxed: false })), 0), 0);
+      totalSize += sizeOnDisk;
+      databases.push({ name, sizeOnDisk, empty: collections.every(collection => collection.documents.length === 0) });
+    }
+
+    databases.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    return options.nameOnly ? { databases, ok: 1 } : { databases, totalSize, ok: 1 };
+  }
+}
+
+module.exports = MockMongoClient;
@@ -0,0 +1,696 @@
+const net = require('net');
+const MockMongoClient = require('./MockMongoClient');
+const MockCollection = require('./MockCollection');
+const Db = require('./Db');
+const wire = require('./wireProtocol');
+const {
+  MongoServerError,
+  MongoBulkWriteError,
+  MongoWriteConcernError,
+  MongoNetworkError
+} = require('./errors');
+
+/**
+ * Wire version and server version reported in the handshake (MongoDB 6.0)
+ */
+const MAX_WIRE_VERSION = 17;
+const SERVER_VERSION = '6.0.0';
+
+const MAX_BSON_OBJECT_SIZE = 16 * 1024 * 1024;
+const MAX_WRITE_BATCH_SIZE = 100000;
+
+/**
+ * Documents in the first batch of a cursor when the command gives no batchSize
+ */
+const DEFAULT_BATCH_SIZE = 101;
+
+/**
+ * Handler method of each supported command
+ */
+const COMMANDS = {
+  hello: '_hello',
+  isMaster: '_hello',
+  ismaster: '_hello',
+  ping: '_ok',
+  endSessions: '_ok',
+  buildInfo: '_buildInfo',
+  buildinfo: '_buildInfo',
+  listDatabases: '_listDatabases',
+  dropDatabase: '_dropDatabase',
+  listCollections: '_listCollections',
+  create: '_create',
+  drop: '_drop',
+  find: '_find',
+  getMore: '_getMore',
+  killCursors: '_killCursors',
+  aggregate: '_aggregate',
+  count: '_count',
+  insert: '_insert',
+  update: '_update',
+  delete: '_delete',
+  createIndexes: '_createIndexes',
+  listIndexes: '_listIndexes',
+  dropIndexes: '_dropIndexes'
+};
+
+/**
+ * MockServer - Serves mock databases over the MongoDB wire protocol
+ *
+ * Started with `startMockServer({ port })`, it listens on a local TCP port
+ * and answers the official driver and mongosh well enough for integration
+ * tests: the handshake, CRUD commands, cursors, collections, databases and
+ * indexes. Every command is run with the MockCollection and MockDatabase
+ * methods, so recorders and fail points see the calls (a network error from
+ * a fail point closes the connection).
+ *
+ * The databases belong to `server.client`, a MockMongoClient for
+ * `server.uri`, so a test can inspect them through any MockMongoClient for
+ * that address. Authentication, sessions and transactions are not supported;
+ * the handshake reports a standalone server without session support.
+ */
+class MockServer {
+  /**
+   * Constructor
+   * @param {Object} options - Server options
+   * @param {number} [options.port] - TCP port; 0 (the default) picks a free one
+   * @param {string} [options.host] - Address to listen on (default '127.0.0.1')
+   * @param {MockMongoClient} [options.client] - Client whose databases are served (default: a client for server.uri)
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.client = options.client || null;
+    this._server = net.createServer(socket => this._handleConnection(socket));
+    this._sockets = new Set();
+    this._cursors = new Map();
+    this._nextCursorId = 1n;
+    this._nextConnectionId = 1;
+    this._nextRequestId = 1;
+  }
+
+  /**
+   * Connection string of the server
+   * @returns {string} - e.g. 'mongodb://127.0.0.1:27017'
+   */
+  get uri() {
+    return `mongodb://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockServer>} - This server, once it accepts connections
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, this.host, () => {
+        this._server.removeListener('error', reject);
+        this.port = this._server.address().port;
+        if (!this.client) {
+          this.client = new MockMongoClient(this.uri);
+        }
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, closing open connections and cursors
+   * @returns {Promise<void>}
+   */
+  close() {
+    this._sockets.forEach(socket => socket.destroy());
+    this._sockets.clear();
+    this._cursors.clear();
+    return new Promise(resolve => this._server.close(() => resolve()));
+  }
+
+  /**
+   * Run a command against a database
+   * @param {string} dbName - Database name
+   * @param {Object} command - Command document
+   * @param {Object} [connection] - { id } of the connection the command came from
+   * @returns {Promise<Object>} - Reply document ({ ok: 0, errmsg, code, codeName } for failures)
+   * @throws {MongoNetworkError} - If a fail point closes the connection
+   */
+  async runCommand(dbName, command, connection = {}) {
+    const name = Object.keys(command)[0];
+    const handler = COMMANDS[name];
+    if (!handler) {
+      return errorReply(new MongoServerError(`no such command: '${name}'`, { code: 59, codeName: 'CommandNotFound' }));
+    }
+
+    try {
+      return await this[handler](this.client.db(dbName), command, connection);
+    } catch (error) {
+      if (error instanceof MongoNetworkError) {
+        throw error;
+      }
+      return errorReply(error);
+    }
+  }
+
+  /**
+   * Read messages from a new connection and answer them in order
+   * @param {net.Socket} socket - Connection
+   * @private
+   */
+  _handleConnection(socket) {
+    const connection = { id: this._nextConnectionId++ };
+    let pending = Buffer.alloc(0);
+    let queue = Promise.resolve();
+    this._sockets.add(socket);
+
+    socket.on('data', chunk => {
+      let messages;
+      try {
+        ({ messages, rest: pending } = wire.splitMessages(Buffer.concat([pending, chunk])));
+      } catch (error) {
+        socket.destroy();
+        return;
+      }
+      messages.forEach(message => {
+        queue = queue.then(() => this._handleMessage(socket, message, connection));
+      });
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this._sockets.delete(socket));
+  }
+
+  /**
+   * Answer one message
+   * @param {net.Socket} socket - Connection
+   * @param {Buffer} message - Message
+   * @param {Object} connection - { id }, reported by hello
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleMessage(socket, message, connection) {
+    if (socket.destroyed) {
+      return;
+    }
+    try {
+      const request = wire.decodeMessage(message);
+      const replyOptions = { requestId: this._nextRequestId++, responseTo: request.requestId };
+
+      if (request.opCode === wire.OP_CODES.OP_QUERY) {
+        const [dbName] = request.collection.split('.');
+        const command = request.query.$query || request.query;
+        const reply = await this.runCommand(dbName, command, connection);
+        socket.write(wire.encodeReply(reply, replyOptions));
+      } else if (request.opCode === wire.OP_CODES.OP_MSG) {
+        const { $db: dbName = 'admin', ...command } = request.body;
+        const reply = await this.runCommand(dbName, command, connection);
+        if (!request.moreToCome) {
+          socket.write(wire.encodeMsg(reply, replyOptions));
+        }
+      } else {
+        throw new Error(`Unexpected opCode ${request.opCode}`);
+      }
+    } catch (error) {
+      // Malformed messages and injected network errors end the connection
+      socket.destroy();
+    }
+  }
+
+  /**
+   * hello / isMaster: describe the server to the driver
+   * @param {MockDatabase} db - Database of the command
+   * @param {Object} command - Command
+   * @param {Object} connection - { id }
+   * @returns {Object} - Reply
+   * @private
+   */
+  _hello(db, command, connection) {
+    return {
+      helloOk: true,
+      ismaster: true,
+      isWritablePrimary: true,
+      maxBsonObjectSize: MAX_BSON_OBJECT_SIZE,
+      maxMessageSizeBytes: wire.MAX_MESSAGE_SIZE,
+      maxWriteBatchSize: MAX_WRITE_BATCH_SIZE,
+      localTime: new Date(),
+      connectionId: connection.id,
+      minWireVersion: 0,
+      maxWireVersion: MAX_WIRE_VERSION,
+      readOnly: false,
+      ok: 1
+    };
+  }
+
+  /**
+   * Commands that only need an acknowledgement (ping, endSessions)
+   * @returns {Object} - { ok: 1 }
+   * @private
+   */
+  _ok() {
+    return { ok: 1 };
+  }
+
+  /**
+   * buildInfo: report the server version
+   * @returns {Object} - Reply
+   * @private
+   */
+  _buildInfo() {
+    return {
+      version: SERVER_VERSION,
+      gitVersion: 'mock-db-connector',
+      versionArray: SERVER_VERSION.split('.').map(Number).concat(0),
+      bits: 64,
+      maxBsonObjectSize: MAX_BSON_OBJECT_SIZE,
+      ok: 1
+    };
+  }
+
+  /**
+   * listDatabases
+   * @param {MockDatabase} db - Database of the command (admin)
+   * @param {Object} command - { listDatabases: 1, nameOnly }
+   * @returns {Promise<Object>} - Reply
+   * @private
+   */
+  _listDatabases(db, command) {
+    return this.client.listDatabases({ nameOnly: command.nameOnly });
+  }
+
+  /**
+   * dropDatabase
+   * @param {MockDatabase} db - Database to drop
+   * @returns {Object} - Reply
+   * @private
+   */
+  _dropDatabase(db) {
+    db.clear();
+    return { dropped: db.databaseName, ok: 1 };
+  }
+
+  /**
+   * listCollections
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { listCollections: 1, filter, nameOnly, cursor: { batchSize } }
+   * @returns {Promise<Object>} - Cursor reply
+   * @private
+   */
+  async _listCollections(db, command) {
+    const matching = await new Db(db).listCollections(command.filter || {}, { nameOnly: command.nameOnly }).toArray();
+    return this._cursorReply(`${db.databaseName}.$cmd.listCollections`, matching, command.cursor);
+  }
+
+  /**
+   * create: create a collection, with validation and capped options
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { create: name, validator, validationLevel, validationAction, capped, size, max }
+   * @returns {Promise<Object>} - Reply
+   * @private
+   */
+  async _create(db, command) {
+    const { create: name, validator, validationLevel, validationAction, capped, size, max } = command;
+    await db.createCollection(name, { validator, validationLevel, validationAction, capped, size, max });
+    return { ok: 1 };
+  }
+
+  /**
+   * drop: drop a collection
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { drop: name }
+   * @returns {Object} - Reply
+   * @private
+   */
+  _drop(db, command) {
+    const collection = this._existingCollection(db, command.drop);
+    const nIndexesWas = collection.indexManager.list().length;
+    db.dropCollection(command.drop);
+    return { ns: `${db.databaseName}.${command.drop}`, nIndexesWas, ok: 1 };
+  }
+
+  /**
+   * find
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { find, filter, sort, projection, skip, limit, batchSize, singleBatch }
+   * @returns {Promise<Object>} - Cursor reply
+   * @private
+   */
+  async _find(db, command) {
+    const limit = command.limit === undefined ? 0 : Number(command.limit);
+    const documents = await this._readCollection(db, command.find)
+      .find(command.filter || {}, {
+        sort: command.sort,
+        projection: command.projection,
+        skip: command.skip === undefined ? undefined : Number(command.skip),
+        limit: Math.abs(limit)
+      })
+      .toArray();
+    return this._cursorReply(`${db.databaseName}.${command.find}`, documents, { batchSize: command.batchSize },
+      command.singleBatch || limit < 0);
+  }
+
+  /**
+   * getMore: next batch of an open cursor
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { getMore: cursorId, collection, batchSize }
+   * @returns {Object} - Cursor reply
+   * @private
+   */
+  _getMore(db, command) {
+    const id = BigInt(command.getMore);
+    const cursor = this._cursors.get(id);
+    if (!cursor) {
+      throw new MongoServerError(`cursor id ${id} not found`, { code: 43, codeName: 'CursorNotFound' });
+    }
+
+    const batchSize = command.batchSize ? Number(command.batchSize) : cursor.documents.length;
+    const nextBatch = cursor.documents.splice(0, batchSize);
+    if (cursor.documents.length === 0) {
+      this._cursors.delete(id);
+    }
+    return { cursor: { id: cursor.documents.length === 0 ? 0n : id, ns: cursor.ns, nextBatch }, ok: 1 };
+  }
+
+  /**
+   * killCursors
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { killCursors: collection, cursors: [ids] }
+   * @returns {Object} - Reply
+   * @private
+   */
+  _killCursors(db, command) {
+    const cursorsKilled = [];
+    const cursorsNotFound = [];
+    for (const id of command.cursors || []) {
+      (this._cursors.delete(BigInt(id)) ? cursorsKilled : cursorsNotFound).push(id);
+    }
+    return { cursorsKilled, cursorsNotFound, cursorsAlive: [], cursorsUnknown: [], ok: 1 };
+  }
+
+  /**
+   * aggregate
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { aggregate: collection, pipeline, cursor: { batchSize } }
+   * @returns {Promise<Object>} - Cursor reply
+   * @private
+   */
+  async _aggregate(db, command) {
+    if (typeof command.aggregate !== 'string') {
+      throw new MongoServerError('Database-level aggregation is not supported', { code: 2, codeName: 'BadValue' });
+    }
+    const documents = await this._readCollection(db, command.aggregate).aggregate(command.pipeline || []).toArray();
+    return this._cursorReply(`${db.databaseName}.${command.aggregate}`, documents, command.cursor);
+  }
+
+  /**
+   * count
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { count: collection, query, skip, limit }
+   * @returns {Promise<Object>} - { n, ok: 1 }
+   * @private
+   */
+  async _count(db, command) {
+    const documents = await this._readCollection(db, command.count).find(command.query || {}, {
+      skip: command.skip === undefined ? undefined : Number(command.skip),
+      limit: command.limit === undefined ? undefined : Math.abs(Number(command.limit))
+    }).toArray();
+    return { n: documents.length, ok: 1 };
+  }
+
+  /**
+   * insert
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { insert: collection, documents, ordered }
+   * @returns {Promise<Object>} - { n, writeErrors, writeConcernError, ok: 1 }
+   * @private
+   */
+  async _insert(db, command) {
+    const reply = { n: 0, ok: 1 };
+    try {
+      const result = await db.collection(command.insert).insertMany(command.documents || [], { ordered: command.ordered !== false });
+      reply.n = result.insertedCount;
+    } catch (error) {
+      if (error instanceof MongoBulkWriteError) {
+        reply.n = error.result.insertedCount;
+        reply.writeErrors = error.writeErrors.map(writeErrorReply);
+      } else if (error instanceof MongoWriteConcernError) {
+        reply.n = error.result.insertedCount;
+        addWriteConcernError(reply, error);
+      } else {
+        throw error;
+      }
+    }
+    return reply;
+  }
+
+  /**
+   * update: each statement runs as updateOne, updateMany or replaceOne
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { update: collection, updates: [{ q, u, upsert, multi, arrayFilters }], ordered }
+   * @returns {Promise<Object>} - { n, nModified, upserted, writeErrors, writeConcernError, ok: 1 }
+   * @private
+   */
+  async _update(db, command) {
+    const collection = db.collection(command.update);
+    const reply = { n: 0, nModified: 0, ok: 1 };
+    const upserted = [];
+
+    await this._runStatements(command, command.updates, reply, ({ q = {}, u, upsert, multi, arrayFilters }) => {
+      const options = { upsert: Boolean(upsert), arrayFilters };
+      if (u && typeof u === 'object' && !Array.isArray(u) && Object.keys(u).every(key => !key.startsWith('$'))) {
+        if (multi) {
+          throw new MongoServerError('multi update is not supported for replacement-style update', { code: 9, codeName: 'FailedToParse' });
+        }
+        return collection.replaceOne(q, u, options);
+      }
+      return multi ? collection.updateMany(q, u, options) : collection.updateOne(q, u, options);
+    }, (result, index) => {
+      reply.n += result.matchedCount + result.upsertedCount;
+      reply.nModified += result.modifiedCount;
+      if (result.upsertedId !== null && result.upsertedId !== undefined) {
+        upserted.push({ index, _id: result.upsertedId });
+      }
+    });
+
+    if (upserted.length > 0) {
+      reply.upserted = upserted;
+    }
+    return reply;
+  }
+
+  /**
+   * delete: each statement runs as deleteOne (limit 1) or deleteMany (limit 0)
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { delete: collection, deletes: [{ q, limit }], ordered }
+   * @returns {Promise<Object>} - { n, writeErrors, writeConcernError, ok: 1 }
+   * @private
+   */
+  async _delete(db, command) {
+    const collection = this._readCollection(db, command.delete);
+    const reply = { n: 0, ok: 1 };
+
+    await this._runStatements(command, command.deletes, reply,
+      ({ q = {}, limit }) => (Number(limit) === 1 ? collection.deleteOne(q) : collection.deleteMany(q)),
+      result => { reply.n += result.deletedCount; });
+    return reply;
+  }
+
+  /**
+   * createIndexes
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { createIndexes: collection, indexes: [{ key, name, ...options }] }
+   * @returns {Promise<Object>} - Reply
+   * @private
+   */
+  async _createIndexes(db, command) {
+    const existed = Boolean(db.collections[command.createIndexes]);
+    const collection = db.collection(command.createIndexes);
+    const numIndexesBefore = collection.indexManager.list().length;
+    await collection.createIndexes(command.indexes || []);
+    return {
+      createdCollectionAutomatically: !existed,
+      numIndexesBefore,
+      numIndexesAfter: collection.indexManager.list().length,
+      ok: 1
+    };
+  }
+
+  /**
+   * listIndexes
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { listIndexes: collection, cursor: { batchSize } }
+   * @returns {Promise<Object>} - Cursor reply
+   * @private
+   */
+  async _listIndexes(db, command) {
+    const indexes = await this._existingCollection(db, command.listIndexes).indexes();
+    return this._cursorReply(`${db.databaseName}.${command.listIndexes}`, indexes, command.cursor);
+  }
+
+  /**
+   * dropIndexes
+   * @param {MockDatabase} db - Database
+   * @param {Object} command - { dropIndexes: collection, index: '*' | name | key | [names] }
+   * @returns {Promise<Object>} - Reply
+   * @private
+   */
+  async _dropIndexes(db, command) {
+    const collection = this._existingCollection(db, command.dropIndexes);
+    const nIndexesWas = collection.indexManager.list().length;
+    if (command.index === '*') {
+      await collection.dropIndexes();
+    } else {
+      for (const index of [].concat(command.index)) {
+        await collection.dropIndex(index);
+      }
+    }
+    return { nIndexesWas, ok: 1 };
+  }
+
+  /**
+   * Run the statements of an update or delete command, honouring `ordered`
+   * @param {Object} command - Command ({ ordered })
+   * @param {Array<Object>} statements - Statements
+   * @param {Object} reply - Reply, given writeErrors and writeConcernError
+   * @param {Function} run - async (statement, index) => result
+   * @param {Function} count - (result, index) => void, adds a result to the reply
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runStatements(command, statements, reply, run, count) {
+    const writeErrors = [];
+    for (let index = 0; index < (statements || []).length; index++) {
+      try {
+        count(await run(statements[index], index), index);
+      } catch (error) {
+        if (error instanceof MongoWriteConcernError) {
+          count(error.result, index);
+          addWriteConcernError(reply, error);
+        } else if (error instanceof MongoNetworkError) {
+          throw error;
+        } else {
+          writeErrors.push(writeErrorReply({ index, code: error.code, errmsg: error.message, errInfo: error.errInfo }));
+          if (command.ordered !== false) {
+            break;
+          }
+        }
+      }
+    }
+    if (writeErrors.length > 0) {
+      reply.writeErrors = writeErrors;
+    }
+  }
+
+  /**
+   * Build the reply of a cursor command, keeping the rest of the results for getMore
+   * @param {string} ns - Namespace reported to the driver
+   * @param {Array<Object>} documents - All results
+   * @param {Object} [cursorOptions] - { batchSize }
+   * @param {boolean} [singleBatch] - Close the cursor after the first batch
+   * @returns {Object} - { cursor: { id, ns, firstBatch }, ok: 1 }
+   * @private
+   */
+  _cursorReply(ns, documents, cursorOptions = {}, singleBatch = false) {
+    const batchSize = cursorOptions && cursorOptions.batchSize !== undefined ? Number(cursorOptions.batchSize) : DEFAULT_BATCH_SIZE;
+    const firstBatch = singleBatch ? documents : documents.slice(0, batchSize);
+    const rest = documents.slice(firstBatch.length);
+
+    let id = 0n;
+    if (rest.length > 0) {
+      id = this._nextCursorId++;
+      this._cursors.set(id, { ns, documents: rest });
+    }
+    return { cursor: { id, ns, firstBatch }, ok: 1 };
+  }
+
+  /**
+   * Get a collection to read, without creating it
+   * @param {MockDatabase} db - Database
+   * @param {string} name - Collection name
+   * @returns {MockCollection} - The collection, or an empty one not added to the database
+   * @private
+   */
+  _readCollection(db, name) {
+    return db.collections[name] || new MockCollection(name, db);
+  }
+
+  /**
+   * Get a collection that must exist
+   * @param {MockDatabase} db - Database
+   * @param {string} name - Collection name
+   * @returns {MockCollection} - The collection
+   * @throws {MongoServerError} - NamespaceNotFound if it does not exist
+   * @private
+   */
+  _existingCollection(db, name) {
+    const collection = db.collections[name];
+    if (!collection) {
+      throw new MongoServerError(`ns does not exist: ${db.databaseName}.${name}`, { code: 26, codeName: 'NamespaceNotFound' });
+    }
+    return collection;
+  }
+}
+
+/**
+ * Start a mock server
+ * @param {Object} [options] - { port, host, client } (see MockServer)
+ * @returns {Promise<MockServer>} - Listening server; call close() when done
+ */
+function startMockServer(options) {
+  return new MockServer(options).listen();
+}
+
+/**
+ * Build the reply of a failed command
+ * @param {Error} error - Error raised by the command
+ * @returns {Object} - { ok: 0, errmsg, code, codeName, ... }
+ * @private
+ */
+function errorReply(error) {
+  const reply = { ok: 0, errmsg: error.message };
+  if (error instanceof MongoServerError) {
+    for (const field of ['code', 'codeName', 'keyPattern', 'keyValue', 'errInfo']) {
+      if (error[field] !== undefined) {
+        reply[field] = error[field];
+      }
+    }
+  } else {
+    // Invalid arguments, rejected by the mock as plain Errors
+    Object.assign(reply, { code: 2, codeName: 'BadValue' });
+  }
+  if (error.errorLabels && error.errorLabels.length > 0) {
+    reply.errorLabels = error.errorLabels;
+  }
+  return reply;
+}
+
+/**
+ * Build a writeErrors entry
+ * @param {Object} writeError - { index, code, errmsg, errInfo }
+ * @returns {Object} - Entry without undefined fields
+ * @private
+ */
+function writeErrorReply({ index, code, errmsg, errInfo }) {
+  const entry = { index, code: code === undefined ? 2 : code, errmsg };
+  if (errInfo !== undefined) {
+    entry.errInfo = errInfo;
+  }
+  return entry;
+}
+
+/**
+ * Report a write concern error in a write reply
+ * @param {Object} reply - Reply of the write command
+ * @param {MongoWriteConcernError} error - Error raised by a fail point
+ * @private
+ */
+function addWriteConcernError(reply, error) {
+  reply.writeConcernError = { code: error.code, codeName: error.codeName, errmsg: error.message };
+  if (error.errInfo !== undefined) {
+    reply.writeConcernError.errInfo = error.errInfo;
+  }
+  if (error.errorLabels.length > 0) {
+    reply.errorLabels = error.errorLabels;
+  }
+}
+
+module.exports = {
+  MockServer,
+  startMockServer
+};
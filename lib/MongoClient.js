@@ -0,0 +1,30 @@
+const MockMongoClient = require('./MockMongoClient');
+const Db = require('./Db');
+
+/**
+ * Driver views of the databases, so db() returns the same Db every time
+ */
+const views = new WeakMap();
+
+/**
+ * MongoClient - The MockMongoClient exported by the `mongodb` module
+ *
+ * Works like MockMongoClient, on the same mock servers, but db() returns a
+ * Db with the driver's return types instead of the MockDatabase itself.
+ */
+class MongoClient extends MockMongoClient {
+  /**
+   * Get a database, creating it on first use
+   * @param {string} [name] - Database name; defaults to the connection string's database, or 'test'
+   * @returns {Db} - Driver view of the database shared by every client of the same server
+   */
+  db(name) {
+    const database = super.db(name);
+    if (!views.has(database)) {
+      views.set(database, new Db(database));
+    }
+    return views.get(database);
+  }
+}
+
+module.exports = MongoClient;
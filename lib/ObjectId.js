@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { BSONError } = require('./errors');
+
+/**
+ * Five random bytes that identify this process, shared by every generated id
+ */
+const PROCESS_UNIQUE = crypto.randomBytes(5);
+
+/**
+ * Largest value of the 3-byte counter
+ */
+const COUNTER_MAX = 0xffffff;
+
+/**
+ * Pattern of a valid hex string representation
+ */
+const HEX_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+let counter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+/**
+ * ObjectId - A 12-byte identifier compatible with the driver's ObjectId
+ *
+ * The bytes follow MongoDB's layout: a 4-byte big-endian timestamp in
+ * seconds, 5 bytes unique to the process and a 3-byte counter starting at a
+ * random value. Ids are compared by value with `equals`, and the query
+ * engine treats two ObjectIds with the same bytes as equal.
+ */
+class ObjectId {
+  /**
+   * Constructor
+   * @param {string|Buffer|Uint8Array|ObjectId|number} [input] - 24-character hex string, 12 bytes,
+   *   another ObjectId, or a timestamp in seconds to generate from; omitted to generate a new id
+   */
+  constructor(input) {
+    if (input === undefined || input === null || typeof input === 'number') {
+      this.id = ObjectId.generate(typeof input === 'number' ? input : undefined);
+    } else if (input instanceof ObjectId || (input && input._bsontype === 'ObjectId')) {
+      this.id = Buffer.from(input.toHexString(), 'hex');
+    } else if (typeof input === 'string' && HEX_PATTERN.test(input)) {
+      this.id = Buffer.from(input, 'hex');
+    } else if (input instanceof Uint8Array && input.length === 12) {
+      this.id = Buffer.from(input);
+    } else {
+      throw new BSONError('input must be a 24 character hex string, 12 byte Uint8Array, or an integer');
+    }
+  }
+
+  /**
+   * Generate the 12 bytes of a new id
+   * @param {number} [time] - Timestamp in seconds (defaults to now)
+   * @returns {Buffer} - Id bytes
+   */
+  static generate(time = Math.floor(Date.now() / 1000)) {
+    counter = (counter + 1) % (COUNTER_MAX + 1);
+
+    const bytes = Buffer.alloc(12);
+    bytes.writeUInt32BE(time >>> 0, 0);
+    PROCESS_UNIQUE.copy(bytes, 4);
+    bytes.writeUIntBE(counter, 9, 3);
+    return bytes;
+  }
+
+  /**
+   * Create an ObjectId from a 24-character hex string
+   * @param {string} hexString - Hex representation
+   * @returns {ObjectId} - New ObjectId
+   */
+  static createFromHexString(hexString) {
+    if (typeof hexString !== 'string' || !HEX_PATTERN.test(hexString)) {
+      throw new BSONError('input must be a 24 character hex string');
+    }
+    return new ObjectId(hexString);
+  }
+
+  /**
+   * Create an ObjectId whose timestamp is the given time and whose other bytes are zero
+   *
+   * Useful for range queries on _id, e.g. `{ _id: { $gte: ObjectId.createFromTime(seconds) } }`.
+   *
+   * @param {number} time - Timestamp in seconds
+   * @returns {ObjectId} - New ObjectId
+   */
+  static createFromTime(time) {
+    const bytes = Buffer.alloc(12);
+    bytes.writeUInt32BE(time >>> 0, 0);
+    return new ObjectId(bytes);
+  }
+
+  /**
+   * Check whether a value can be turned into an ObjectId
+   * @param {*} value - Candidate value
+   * @returns {boolean} - True for ObjectIds, 24-character hex strings, 12-byte arrays and integers
+   */
+  static isValid(value) {
+    if (value === undefined || value === null) {
+      return false;
+    }
+    try {
+      new ObjectId(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the 24-character hex representation
+   * @returns {string} - Lower-case hex string
+   */
+  toHexString() {
+    return this.id.toString('hex');
+  }
+
+  /**
+   * Get the time the id was generated (second precision)
+   * @returns {Date} - Generation time
+   */
+  getTimestamp() {
+    return new Date(this.id.readUInt32BE(0) * 1000);
+  }
+
+  /**
+   * Compare with another ObjectId or hex string by value
+   * @param {ObjectId|string} other - Value to compare with
+   * @returns {boolean} - True if both represent the same id
+   */
+  equals(other) {
+    if (other === undefined || other === null) {
+      return false;
+    }
+    if (typeof other === 'string') {
+      return HEX_PATTERN.test(other) && other.toLowerCase() === this.toHexString();
+    }
+    if (other instanceof ObjectId || other._bsontype === 'ObjectId') {
+      return other.toHexString() === this.toHexString();
+    }
+    return false;
+  }
+
+  /**
+   * String form (the hex representation)
+   * @returns {string} - Hex string
+   */
+  toString() {
+    return this.toHexString();
+  }
+
+  /**
+   * JSON form (the hex representation)
+   * @returns {string} - Hex string
+   */
+  toJSON() {
+    return this.toHexString();
+  }
+
+  /**
+   * Representation shown by console.log and util.inspect
+   * @returns {string} - e.g. new ObjectId("65a1...")
+   */
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `new ObjectId("${this.toHexString()}")`;
+  }
+}
+
+// Tags the value as a BSON type so paths don't traverse into it and type checks recognise it
+Object.defineProperty(ObjectId.prototype, '_bsontype', { value: 'ObjectId' });
+
+module.exports = ObjectId;
@@ -0,0 +1,242 @@
+const QueryBuilder = require('./QueryBuilder');
+const ejson = require('./ejson');
+const { deepClone } = require('./clone');
+
+/**
+ * Methods whose first argument is a query filter
+ */
+const FILTER_METHODS = [
+  'find', 'findOne', 'countDocuments', 'deleteOne', 'deleteMany', 'updateOne', 'updateMany', 'replaceOne',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'
+];
+
+/**
+ * OperationRecorder - Log of the calls made to collections
+ *
+ * Started with `db.startRecording()` or `collection.startRecording()`. Each
+ * call the application makes (see instrument) is logged once, with what it
+ * was given and what it returned:
+ *
+ *   { collection, method, args, filter, result, error, duration, planSummary, docsExamined }
+ *
+ * `planSummary` ('COLLSCAN' or 'IXSCAN { field: 1 }') and `docsExamined`
+ * describe how MongoDB would have answered the filter with the collection's
+ * indexes, so tests can catch queries that scan a whole collection.
+ */
+class OperationRecorder {
+  /**
+   * Constructor
+   * @param {Set} registry - Set of recorders of the database or collection being recorded
+   */
+  constructor(registry) {
+    this.calls = [];
+    this._registry = registry;
+    registry.add(this);
+  }
+
+  /**
+   * Whether calls are still being recorded
+   * @returns {boolean} - False after stop()
+   */
+  get isRecording() {
+    return this._registry.has(this);
+  }
+
+  /**
+   * Stop recording; the calls recorded so far are kept
+   */
+  stop() {
+    this._registry.delete(this);
+  }
+
+  /**
+   * Forget the calls recorded so far
+   */
+  clear() {
+    this.calls = [];
+  }
+
+  /**
+   * Get the recorded calls of a method
+   * @param {string} method - Method name (e.g. 'updateOne')
+   * @param {string} [collection] - Only calls to this collection
+   * @returns {Array<Object>} - Recorded calls
+   */
+  callsTo(method, collection) {
+    return this.calls.filter(call => call.method === method && (collection === undefined || call.collection === collection));
+  }
+
+  /**
+   * Get a stable summary of the log, for snapshots
+   *
+   * Durations and results are left out; arguments are shown as relaxed
+   * Extended JSON and sessions as '[ClientSession]'.
+   *
+   * @returns {Array<Object>} - { collection, method, args, planSummary, docsExamined, error }
+   */
+  toJSON() {
+    return this.calls.map(call => {
+      const summary = { collection: call.collection, method: call.method, args: call.args.map(summarizeArgument) };
+      if (call.planSummary !== undefined) {
+        summary.planSummary = call.planSummary;
+        summary.docsExamined = call.docsExamined;
+      }
+      if (call.error) {
+        summary.error = call.error.message;
+      }
+      return summary;
+    });
+  }
+
+  /**
+   * Whether any recorder logs calls to a collection (instrument hook)
+   * @param {MockCollection} collection - Collection
+   * @returns {boolean} - True if the collection or its database is being recorded
+   */
+  static isActive(collection) {
+    return activeRecorders(collection).length > 0;
+  }
+
+  /**
+   * Run a collection call, logging it in the active recorders (instrument hook)
+   * @param {MockCollection} collection - Collection called
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @param {Function} proceed - Runs the call
+   * @returns {*} - The call's return value
+   */
+  static intercept(collection, method, args, proceed) {
+    const recorders = activeRecorders(collection);
+    const call = {
+      collection: collection.name,
+      method,
+      args: args.map(cloneArgument),
+      filter: filterOf(method, args),
+      result: undefined,
+      error: undefined,
+      duration: 0
+    };
+    if (call.filter !== undefined) {
+      Object.assign(call, planOf(collection, call.filter));
+    }
+    recorders.forEach(recorder => recorder.calls.push(call));
+
+    const start = process.hrtime();
+    const settle = (field, value) => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      call[field] = value;
+      call.duration = seconds * 1e3 + nanoseconds / 1e6;
+    };
+
+    let result;
+    try {
+      result = proceed();
+    } catch (error) {
+      settle('error', error);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(value => {
+        settle('result', value);
+        return value;
+      }, error => {
+        settle('error', error);
+        throw error;
+      });
+    }
+    settle('result', result);
+    return result;
+  }
+}
+
+/**
+ * Get the recorders that log calls to a collection
+ * @param {MockCollection} collection - Collection
+ * @returns {Array<OperationRecorder>} - Recorders of the collection and of its database
+ * @private
+ */
+function activeRecorders(collection) {
+  const recorders = Array.from(collection.recorders);
+  if (collection.database) {
+    recorders.push(...collection.database.recorders);
+  }
+  return recorders;
+}
+
+/**
+ * Get the query filter of a call
+ * @param {string} method - Method name
+ * @param {Array} args - Arguments
+ * @returns {Object|undefined} - Filter, the leading $match of an aggregation, or undefined for methods without one
+ * @private
+ */
+function filterOf(method, args) {
+  if (FILTER_METHODS.includes(method)) {
+    return deepClone(args[0] || {});
+  }
+  if (method === 'distinct') {
+    return deepClone(args[1] || {});
+  }
+  if (method === 'aggregate') {
+    const [first] = args[0] || [];
+    return deepClone(first && first.$match ? first.$match : {});
+  }
+  return undefined;
+}
+
+/**
+ * Describe how a filter would be answered
+ * @param {MockCollection} collection - Collection queried
+ * @param {Object} filter - Query filter
+ * @returns {Object} - { planSummary, docsExamined }
+ * @private
+ */
+function planOf(collection, filter) {
+  const plan = collection.indexManager.planQuery(filter);
+  if (!plan) {
+    return { planSummary: 'COLLSCAN', docsExamined: collection.documents.length };
+  }
+  const key = Object.entries(plan.index.key).map(([field, direction]) => `${field}: ${JSON.stringify(direction)}`).join(', ');
+  return {
+    planSummary: `IXSCAN { ${key} }`,
+    docsExamined: new QueryBuilder(collection.documents, {
+      textIndex: collection.indexManager.textIndex(),
+      geoIndexes: collection.indexManager.geoIndexes()
+    }).match(plan.condition).execute().length
+  };
+}
+
+/**
+ * Copy an argument so later changes by the caller do not alter the log
+ * @param {*} arg - Argument
+ * @returns {*} - Copy, sharing the session of an options object
+ * @private
+ */
+function cloneArgument(arg) {
+  if (arg && typeof arg === 'object' && !Array.isArray(arg) && arg.session) {
+    const { session, ...rest } = arg;
+    return { ...deepClone(rest), session };
+  }
+  return deepClone(arg);
+}
+
+/**
+ * Show an argument as relaxed Extended JSON for a log summary
+ * @param {*} arg - Recorded argument
+ * @returns {*} - JSON-compatible value (the argument itself if it cannot be converted)
+ * @private
+ */
+function summarizeArgument(arg) {
+  let value = arg;
+  if (arg && typeof arg === 'object' && !Array.isArray(arg) && arg.session) {
+    value = { ...arg, session: '[ClientSession]' };
+  }
+  try {
+    return ejson.serialize(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = OperationRecorder;
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const IndexManager = require('./IndexManager');
+const ejson = require('./ejson');
+
+/**
+ * Identifies data files written by Persistence
+ */
+const FORMAT = 'mock-db-connector';
+const FORMAT_VERSION = 1;
+
+/**
+ * Number of logged operations after which the log is compacted
+ */
+const DEFAULT_COMPACT_AFTER = 1000;
+
+/**
+ * Persistence - Keeps a database on disk as an append-only operation log
+ *
+ * The data file holds one Extended JSON record per line: a header, then
+ * operations such as { op: 'put', coll, doc } and { op: 'delete', coll, id }.
+ * Each write is appended as soon as it is made, and records that must apply
+ * together (a committed transaction) share a single line, so a crash can at
+ * worst cut off the last line, which is ignored on load.
+ *
+ * Once enough operations have been appended, the log is compacted: the whole
+ * database is written to a temporary file that then replaces the data file
+ * with an atomic rename.
+ *
+ * Appends survive a crash of the process but, unless `fsync` is set, not
+ * necessarily one of the machine: the operating system may not have written
+ * the last lines to disk yet. The file is not locked, so two databases (in
+ * one process or several) opened on it at the same time overwrite each
+ * other's writes when they compact.
+ */
+class Persistence {
+  /**
+   * Constructor
+   * @param {Object} options - { path, compactAfter, fsync: flush each append to disk before returning }
+   * @param {Function} getState - Returns the database state to compact: { collections: { name: { documents, indexes, options } }, nextPk }
+   */
+  constructor(options, getState) {
+    if (!options || typeof options.path !== 'string' || options.path === '') {
+      throw new Error('persist.path must be a non-empty string');
+    }
+    this.path = path.resolve(options.path);
+    this.compactAfter = options.compactAfter || DEFAULT_COMPACT_AFTER;
+    this.fsync = Boolean(options.fsync);
+    this._getState = getState;
+    this._fd = null;
+    this._logged = 0;
+    this._batch = null;
+    this._batchDepth = 0;
+  }
+
+  /**
+   * Read the database stored in the data file
+   * @returns {Object|null} - { collections: { name: { documents, indexes, options } }, nextPk }, or null if there is no data yet
+   * @throws {Error} - If the file is not a data file or is corrupt
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return null;
+    }
+
+    // Everything after the last newline is a write cut short by a crash
+    const lines = fs.readFileSync(this.path, 'utf8').split('\n').slice(0, -1);
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const state = { collections: new Map(), nextPk: undefined };
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = ejson.parse(line);
+      } catch (error) {
+        record = null;
+        if (index > 0) {
+          throw new Error(`Corrupt data file ${this.path} at line ${index + 1}: ${error.message}`);
+        }
+      }
+      if (index === 0 && (!record || record.op !== 'header' || record.format !== FORMAT)) {
+        throw new Error(`${this.path} is not a ${FORMAT} data file`);
+      }
+      this._apply(state, record, index + 1);
+    });
+
+    const collections = {};
+    state.collections.forEach((collection, name) => {
+      collections[name] = {
+        collection: null,
+        documents: Array.from(collection.documents.values()),
+        indexes: collection.indexes,
+        options: collection.options
+      };
+    });
+    return { collections, nextPk: state.nextPk };
+  }
+
+  /**
+   * Append an operation to the log
+   * @param {Object} record - { op, coll, ... }
+   */
+  log(record) {
+    if (this._batch) {
+      this._batch.push(record);
+      return;
+    }
+    this._append(record, 1);
+  }
+
+  /**
+   * Group the operations logged until endBatch() into one line, so they are loaded all or nothing
+   */
+  startBatch() {
+    if (this._batchDepth++ === 0) {
+      this._batch = [];
+    }
+  }
+
+  /**
+   * Write the operations grouped since startBatch()
+   */
+  endBatch() {
+    if (--this._batchDepth > 0) {
+      return;
+    }
+    const records = this._batch;
+    this._batch = null;
+    if (records.length === 1) {
+      this._append(records[0], 1);
+    } else if (records.length > 1) {
+      this._append({ op: 'batch', ops: records }, records.length);
+    }
+  }
+
+  /**
+   * Rewrite the data file with the current state of the database
+   *
+   * The state is written to a temporary file, flushed to disk and renamed
+   * over the data file, so the file always holds either the old or the new
+   * contents.
+   */
+  compact() {
+    const { collections, nextPk } = this._getState();
+    const records = [{ op: 'header', format: FORMAT, version: FORMAT_VERSION, nextPk }];
+    for (const [name, { documents, indexes, options }] of Object.entries(collections)) {
+      records.push({ op: 'collection', coll: name, indexes, options });
+      documents.forEach(doc => records.push({ op: 'put', coll: name, doc }));
+    }
+
+    const temporaryPath = `${this.path}.tmp`;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const fd = fs.openSync(temporaryPath, 'w');
+    try {
+      fs.writeSync(fd, records.map(record => `${ejson.stringify(record)}\n`).join(''));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this._closeFile();
+    fs.renameSync(temporaryPath, this.path);
+    this._fd = fs.openSync(this.path, 'a');
+    this._logged = 0;
+  }
+
+  /**
+   * Compact the log and close the data file
+   */
+  close() {
+    this.compact();
+    this._closeFile();
+  }
+
+  /**
+   * Write one line to the log, compacting it when it has grown long enough
+   * @param {Object} record - Record to write
+   * @param {number} count - Number of operations the record holds
+   * @private
+   */
+  _append(record, count) {
+    fs.writeSync(this._fd, `${ejson.stringify(record)}\n`);
+    if (this.fsync) {
+      fs.fsyncSync(this._fd);
+    }
+    this._logged += count;
+    if (this._logged >= this.compactAfter) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Apply a logged record to the state being loaded
+   * @param {Object} state - { collections: Map, nextPk }
+   * @param {Object} record - Record
+   * @param {number} line - Line number, for errors
+   * @private
+   */
+  _apply(state, record, line) {
+    if (record.nextPk !== undefined) {
+      state.nextPk = record.nextPk;
+    }
+
+    const collectionOf = name => {
+      if (!state.collections.has(name)) {
+        state.collections.set(name, { documents: new Map(), indexes: new IndexManager(null).indexes, options: {} });
+      }
+      return state.collections.get(name);
+    };
+
+    switch (record.op) {
+      case 'header':
+        break;
+      case 'collection':
+        Object.assign(collectionOf(record.coll), { indexes: record.indexes, options: record.options });
+        break;
+      case 'put':
+        collectionOf(record.coll).documents.set(documentKey(record.doc._id), record.doc);
+        break;
+      case 'delete':
+        collectionOf(record.coll).documents.delete(documentKey(record.id));
+        break;
+      case 'clear':
+        collectionOf(record.coll).documents.clear();
+        break;
+      case 'drop':
+        state.collections.delete(record.coll);
+        break;
+      case 'dropDatabase':
+        state.collections.clear();
+        break;
+      case 'batch':
+        record.ops.forEach(op => this._apply(state, op, line));
+        break;
+      default:
+        throw new Error(`Corrupt data file ${this.path} at line ${line}: unknown operation '${record.op}'`);
+    }
+  }
+
+  /**
+   * Close the data file if it is open
+   * @private
+   */
+  _closeFile() {
+    if (this._fd !== null) {
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+  }
+}
+
+/**
+ * Key identifying a document by _id while loading
+ * @param {*} id - _id value
+ * @returns {string} - Canonical Extended JSON of the id
+ * @private
+ */
+function documentKey(id) {
+  return ejson.stringify(id, { relaxed: false });
+}
+
+module.exports = Persistence;
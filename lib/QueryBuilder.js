@@ -1,16 +1,69 @@
+const { getPathValues } = require('./pathUtils');
+const { evaluateExpression, isTruthy } = require('./expressions');
+const { typeRank, compareValues, valuesEqual } = require('./compare');
+const { isOfType } = require('./bsonTypes');
+const { matchesJsonSchema } = require('./jsonSchema');
+const { findTextExpressions, parseTextQuery, scoreTextQuery } = require('./textSearch');
+const {
+  geometriesOf,
+  isNearCondition,
+  countNearExpressions,
+  parseNearQuery,
+  nearDistance,
+  toQueryDistance,
+  parseGeoShape,
+  matchesGeoShape,
+  noQueryExecutionPlans
+} = require('./geo');
+const { MongoServerError } = require('./errors');
+
+/**
+ * Top-level operators that combine whole sub-queries
+ */
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+/**
+ * Range operators, as tests on the result of compareValues(fieldValue, queryValue)
+ */
+const RANGE_OPERATORS = {
+  $gt: result => result > 0,
+  $gte: result => result >= 0,
+  $lt: result => result < 0,
+  $lte: result => result <= 0
+};
+
 /**
  * QueryBuilder - The query engine for filtering documents based on MongoDB-like operators
  * 
  * This class is responsible for filtering an array of documents based on query objects
- * that use MongoDB-like operators such as $eq, $ne, $gt, $gte, $lt, $lte, $in, $regex
+ * that use MongoDB-like operators: comparison ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+ * $regex), logical ($and, $or, $nor, $not), element ($exists, $type), array
+ * ($all, $elemMatch, $size), aggregation expression ($expr), $jsonSchema and $text
+ * operators. Field names may be dot-notation paths, and array fields match when any
+ * element does.
+ *
+ * $text needs the collection's text index; the scores of the documents it
+ * matches are kept and can be read with textScore(). Geospatial queries use
+ * $geoWithin, $geoIntersects, and $near or $nearSphere, which need a 2dsphere
+ * index on the field and return the nearest documents first.
  */
 class QueryBuilder {
   /**
    * Constructor
    * @param {Array} documents - Array of documents to perform operations on
+   * @param {Object} options - Query options ({ variables } available to $expr, the { textIndex } $text searches,
+   *   and the { geoIndexes } $near and $nearSphere use)
    */
-  constructor(documents) {
+  constructor(documents, options = {}) {
     this.documents = documents || [];
+    this.variables = options.variables || {};
+    this.textIndex = options.textIndex || null;
+    this.geoIndexes = options.geoIndexes || [];
+    this._textQueries = new Map();
+    this._textScores = new Map();
+    this._nearQueries = new Map();
+    this._nearDistances = new Map();
+    this._geoShapes = new Map();
   }
 
   /**
@@ -24,7 +77,14 @@ class QueryBuilder {
       return this;
     }
 
+    this._assertPlacement(query);
+    // Parsed up front, so a missing text index is reported even when no document is checked
+    findTextExpressions(query).forEach(condition => this._textQuery(condition));
     this.documents = this.documents.filter(doc => this._matchesQuery(doc, query));
+    if (countNearExpressions(query) > 0) {
+      // Proximity queries return the nearest documents first
+      this.documents.sort((a, b) => this._nearDistances.get(a) - this._nearDistances.get(b));
+    }
     return this;
   }
 
@@ -36,6 +96,58 @@ class QueryBuilder {
     return this.documents;
   }
 
+  /**
+   * Get the text score of a document matched by a $text query
+   * @param {Object} doc - Matched document
+   * @returns {number|undefined} - textScore, or undefined if no $text expression matched it
+   */
+  textScore(doc) {
+    return this._textScores.get(doc);
+  }
+
+  /**
+   * Get the distance of a document matched by a $near or $nearSphere query
+   * @param {Object} doc - Matched document
+   * @returns {number|undefined} - Distance in meters for GeoJSON points or radians for legacy
+   *   coordinate pairs, or undefined if no proximity expression matched it
+   */
+  nearDistance(doc) {
+    return this._nearDistances.get(doc);
+  }
+
+  /**
+   * Test a single document against a query without filtering the builder's documents
+   * @param {Object} doc - Document to check
+   * @param {Object} query - Query object
+   * @returns {boolean} - True if document matches query
+   */
+  matches(doc, query) {
+    if (!query || Object.keys(query).length === 0) {
+      return true;
+    }
+    this._assertPlacement(query);
+    return this._matchesQuery(doc, query);
+  }
+
+  /**
+   * Test a single array element against a condition, as $pull and $elemMatch do
+   *
+   * Embedded documents are matched as queries ({ score: { $gt: 5 } }), operator
+   * objects are applied to the element itself ({ $gt: 5 }) and anything else is
+   * compared for equality.
+   *
+   * @param {*} element - Array element
+   * @param {*} condition - Query, operator object or literal value
+   * @returns {boolean} - True if the element matches
+   */
+  matchesElement(element, condition) {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) &&
+        Object.getPrototypeOf(condition) === Object.prototype) {
+      return this._matchesElement(element, condition);
+    }
+    return this._matchesField([element], condition);
+  }
+
   /**
    * Check if a single document matches the query
    * @param {Object} doc - Document to check
@@ -46,62 +158,370 @@ class QueryBuilder {
   _matchesQuery(doc, query) {
     for (const key in query) {
       const queryValue = query[key];
-      const docValue = doc[key];
 
-      if (queryValue && typeof queryValue === 'object' && !Array.isArray(queryValue)) {
-        // Handle operators like { age: { $gte: 21 } }
-        for (const operator in queryValue) {
-          if (!this._matchesOperator(docValue, operator, queryValue[operator])) {
+      switch (key) {
+        case '$and':
+          if (!Array.isArray(queryValue) || !queryValue.every(sub => this._matchesQuery(doc, sub))) {
+            return false;
+          }
+          break;
+
+        case '$or':
+          if (!Array.isArray(queryValue) || !queryValue.some(sub => this._matchesQuery(doc, sub))) {
             return false;
           }
+          break;
+
+        case '$nor':
+          if (!Array.isArray(queryValue) || queryValue.some(sub => this._matchesQuery(doc, sub))) {
+            return false;
+          }
+          break;
+
+        case '$expr':
+          if (!isTruthy(evaluateExpression(queryValue, doc, this.variables))) {
+            return false;
+          }
+          break;
+
+        case '$jsonSchema':
+          if (!matchesJsonSchema(queryValue, doc)) {
+            return false;
+          }
+          break;
+
+        case '$text': {
+          const score = scoreTextQuery(this._textQuery(queryValue), this.textIndex, doc);
+          if (score === null) {
+            return false;
+          }
+          this._textScores.set(doc, score);
+          break;
         }
-      } else {
-        // Handle simple equality like { name: "Alice" }
-        if (!this._matchesOperator(docValue, '$eq', queryValue)) {
+
+        case '$comment':
+          // Comments are informational only
+          break;
+
+        default:
+          if (key.startsWith('$')) {
+            // Unknown top-level operator, return false for safety
+            return false;
+          }
+          if (isNearCondition(queryValue)) {
+            if (!this._matchesNear(doc, key, queryValue)) {
+              return false;
+            }
+          } else if (!this._matchesField(getPathValues(doc, key), queryValue)) {
+            return false;
+          }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Parse a $text expression once per query
+   * @param {Object} condition - $text expression
+   * @returns {Object} - Parsed text query
+   * @private
+   */
+  _textQuery(condition) {
+    if (!this._textQueries.has(condition)) {
+      this._textQueries.set(condition, parseTextQuery(condition, this.textIndex));
+    }
+    return this._textQueries.get(condition);
+  }
+
+  /**
+   * Check a document against a $near or $nearSphere condition and keep its distance
+   * @param {Object} doc - Document to check
+   * @param {string} path - Queried field
+   * @param {Object} condition - Field condition holding the proximity operator
+   * @returns {boolean} - True if a location of the field is within the query's limits
+   * @private
+   */
+  _matchesNear(doc, path, condition) {
+    const near = this._nearQuery(path, condition);
+    const geometries = [];
+    for (const value of getPathValues(doc, path)) {
+      geometries.push(...(geometriesOf(value) || []));
+    }
+    const distance = geometries.length > 0 ? nearDistance(near, geometries) : null;
+    if (distance === null) {
+      return false;
+    }
+    this._nearDistances.set(doc, toQueryDistance(near, distance));
+    return true;
+  }
+
+  /**
+   * Parse a proximity condition once per query
+   * @param {string} path - Queried field
+   * @param {Object} condition - Field condition holding the proximity operator
+   * @returns {Object} - Parsed proximity query
+   * @throws {MongoServerError} - NoQueryExecutionPlans without a 2dsphere index on the field
+   * @private
+   */
+  _nearQuery(path, condition) {
+    if (!this._nearQueries.has(condition)) {
+      if (!this.geoIndexes.some(index => index.key[path] === '2dsphere')) {
+        throw noQueryExecutionPlans();
+      }
+      this._nearQueries.set(condition, parseNearQuery(condition));
+    }
+    return this._nearQueries.get(condition);
+  }
+
+  /**
+   * Parse a $geoWithin or $geoIntersects shape once per query
+   * @param {string} operator - '$geoWithin' or '$geoIntersects'
+   * @param {Object} value - Operator argument
+   * @returns {Object} - Parsed shape
+   * @private
+   */
+  _geoShape(operator, value) {
+    if (!this._geoShapes.has(value)) {
+      this._geoShapes.set(value, parseGeoShape(operator, value));
+    }
+    return this._geoShapes.get(value);
+  }
+
+  /**
+   * Check that a query has at most one $text expression, outside $nor, and at
+   * most one $near or $nearSphere expression, at the top level
+   * @param {Object} query - Query object
+   * @throws {MongoServerError} - BadValue otherwise
+   * @private
+   */
+  _assertPlacement(query) {
+    if (findTextExpressions(query).length > 1) {
+      throw new MongoServerError('Too many text expressions', { code: 2, codeName: 'BadValue' });
+    }
+    if (countNearExpressions(query) > 1) {
+      throw new MongoServerError('Too many geoNear expressions', { code: 2, codeName: 'BadValue' });
+    }
+  }
+
+  /**
+   * Check if the values at a field path satisfy a field condition
+   * @param {Array} candidates - Values resolved from the document path
+   * @param {*} condition - Literal value or operator object (e.g. { $gte: 21, $lt: 65 })
+   * @returns {boolean} - True if the condition is met
+   * @private
+   */
+  _matchesField(candidates, condition) {
+    if (!this._isOperatorObject(condition)) {
+      // Handle simple equality like { name: "Alice" }
+      return this._matchesOperator(candidates, '$eq', condition);
+    }
+
+    // Handle operators like { age: { $gte: 21 } }
+    for (const operator in condition) {
+      if (operator === '$options') {
+        // Consumed together with $regex
+        continue;
+      }
+
+      let value = condition[operator];
+      if (operator === '$regex') {
+        value = this._toRegExp(value, condition.$options);
+      }
+
+      if (!this._matchesOperator(candidates, operator, value)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a query value is an operator expression ({ $gt: 1 }) rather than a literal
+   * @param {*} value - Query value
+   * @returns {boolean} - True if every key of the object is an operator
+   * @private
+   */
+  _isOperatorObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+  }
+
+  /**
+   * Expand candidate values so that array fields are also tested element by element
+   *
+   * MongoDB treats `{ tags: 'urgent' }` as matching when any element of `tags` equals
+   * 'urgent', while still allowing the array as a whole to be compared.
+   *
+   * @param {Array} candidates - Values resolved from the document path
+   * @returns {Array} - Candidates plus the elements of any array candidate
+   * @private
+   */
+  _expandCandidates(candidates) {
+    const expanded = [];
+    for (const candidate of candidates) {
+      expanded.push(candidate);
+      if (Array.isArray(candidate)) {
+        expanded.push(...candidate);
+      }
+    }
+    return expanded;
+  }
+
+  /**
+   * Check if the values at a field path satisfy a specific operator
+   * @param {Array} candidates - Values resolved from the document path
+   * @param {string} operator - MongoDB operator ($eq, $ne, etc.)
+   * @param {*} value - Value to compare against
+   * @returns {boolean} - True if the operator condition is met
+   * @private
+   */
+  _matchesOperator(candidates, operator, value) {
+    switch (operator) {
+      case '$ne':
+        return !this._matchesOperator(candidates, '$eq', value);
+
+      case '$nin':
+        return !this._matchesOperator(candidates, '$in', value);
+
+      case '$not':
+        return !this._matchesField(candidates, value);
+
+      case '$exists':
+        return candidates.some(candidate => candidate !== undefined) === Boolean(value);
+
+      case '$geoWithin':
+      case '$geoIntersects': {
+        const shape = this._geoShape(operator, value);
+        return candidates.some(candidate => {
+          const geometries = geometriesOf(candidate);
+          return geometries !== null && geometries.some(geometry => matchesGeoShape(operator, shape, geometry));
+        });
+      }
+
+      case '$type': {
+        const types = Array.isArray(value) ? value : [value];
+        return this._expandCandidates(candidates)
+          .some(fieldValue => fieldValue !== undefined && types.some(type => isOfType(fieldValue, type)));
+      }
+
+      case '$size':
+        return candidates.some(candidate => Array.isArray(candidate) && candidate.length === value);
+
+      case '$all':
+        if (!Array.isArray(value) || value.length === 0) {
           return false;
         }
+        return value.every(item => {
+          if (item && typeof item === 'object' && '$elemMatch' in item) {
+            return this._matchesOperator(candidates, '$elemMatch', item.$elemMatch);
+          }
+          return this._matchesOperator(candidates, '$eq', item);
+        });
+
+      case '$elemMatch':
+        return candidates.some(candidate =>
+          Array.isArray(candidate) && candidate.some(element => this._matchesElement(element, value))
+        );
+
+      default:
+        return this._expandCandidates(candidates)
+          .some(fieldValue => this._matchesValue(fieldValue, operator, value));
+    }
+  }
+
+  /**
+   * Check if a single array element satisfies an $elemMatch condition
+   *
+   * The condition is either a set of operators applied to the element itself
+   * ({ $gte: 80, $lt: 85 }) or a query applied to an embedded document
+   * ({ product: 'xyz', score: { $gte: 8 } }).
+   *
+   * @param {*} element - Array element
+   * @param {Object} condition - $elemMatch condition
+   * @returns {boolean} - True if the element matches
+   * @private
+   */
+  _matchesElement(element, condition) {
+    const keys = Object.keys(condition || {});
+    const isQuery = keys.some(key => !key.startsWith('$') || LOGICAL_OPERATORS.includes(key));
+
+    if (isQuery) {
+      return element !== null && typeof element === 'object' && !Array.isArray(element) &&
+        this._matchesQuery(element, condition);
+    }
+    return this._matchesField([element], condition);
+  }
+
+  /**
+   * Build a RegExp from a $regex value and optional $options string
+   * @param {string|RegExp} pattern - Pattern source or RegExp literal
+   * @param {string} [options] - Flags such as "i", "m", "s", "x"
+   * @returns {RegExp} - Compiled regular expression
+   * @private
+   */
+  _toRegExp(pattern, options) {
+    let source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    let flags = pattern instanceof RegExp ? pattern.flags.replace('g', '') : '';
+
+    if (typeof options === 'string') {
+      for (const flag of options) {
+        if (flag === 'x') {
+          // Extended mode: ignore unescaped whitespace and # comments
+          source = source.replace(/\\#/g, '\u0000').replace(/#.*$/gm, '').replace(/\s+/g, '').replace(/\u0000/g, '\\#');
+        } else if ('ims'.includes(flag) && !flags.includes(flag)) {
+          flags += flag;
+        }
       }
     }
-    return true;
+
+    return new RegExp(source, flags);
   }
 
   /**
-   * Check if a field value matches a specific operator
+   * Check if a single field value matches a specific operator
    * @param {*} fieldValue - Value from the document field
-   * @param {string} operator - MongoDB operator ($eq, $ne, etc.)
+   * @param {string} operator - MongoDB operator ($eq, $gt, etc.)
    * @param {*} value - Value to compare against
    * @returns {boolean} - True if the operator condition is met
    * @private
    */
-  _matchesOperator(fieldValue, operator, value) {
+  _matchesValue(fieldValue, operator, value) {
     switch (operator) {
       case '$eq':
-        return fieldValue === value;
-      
-      case '$ne':
-        return fieldValue !== value;
+        // A null query value also matches missing fields
+        if (value === null) {
+          return fieldValue === null || fieldValue === undefined;
+        }
+        // A RegExp literal matches strings, as in { name: /^A/ }, as well as equal regular expressions
+        if (value instanceof RegExp && !(fieldValue instanceof RegExp)) {
+          return typeof fieldValue === 'string' && this._toRegExp(value).test(fieldValue);
+        }
+        // BSON equality: Dates and ObjectIds by value, documents and arrays field by field
+        return valuesEqual(fieldValue, value);
       
       case '$gt':
-        return fieldValue > value;
-      
       case '$gte':
-        return fieldValue >= value;
-      
       case '$lt':
-        return fieldValue < value;
-      
-      case '$lte':
-        return fieldValue <= value;
+      case '$lte': {
+        // Range operators only compare values of the same BSON type ("type bracketing")
+        if (typeRank(fieldValue) !== typeRank(value)) {
+          return false;
+        }
+        const result = compareValues(fieldValue, value);
+        return RANGE_OPERATORS[operator](result);
+      }
       
       case '$in':
-        return Array.isArray(value) && value.includes(fieldValue);
+        return Array.isArray(value) && value.some(item => this._matchesValue(fieldValue, '$eq', item));
       
       case '$regex':
         if (typeof fieldValue !== 'string') {
           return false;
         }
-        const regex = new RegExp(value);
-        return regex.test(fieldValue);
+        return this._toRegExp(value).test(fieldValue);
       
       default:
         // Unknown operator, return false for safety
@@ -0,0 +1,66 @@
+const { BSONError } = require('./errors');
+
+/**
+ * Largest value of either half of a timestamp
+ */
+const UINT32_MAX = 0xFFFFFFFF;
+
+/**
+ * Timestamp - The internal BSON timestamp, compatible with the driver's Timestamp
+ *
+ * Holds `t`, seconds since the epoch, and `i`, an ordinal that tells apart
+ * timestamps within the same second. Timestamps sort by `t`, then `i`.
+ */
+class Timestamp {
+  /**
+   * Constructor
+   * @param {Object|bigint} value - { t, i }, or a 64-bit value with `t` in the high and `i` in the low 32 bits
+   */
+  constructor(value) {
+    let t;
+    let i;
+    if (typeof value === 'bigint') {
+      t = Number((value >> 32n) & 0xFFFFFFFFn);
+      i = Number(value & 0xFFFFFFFFn);
+    } else if (value && typeof value === 'object') {
+      ({ t, i } = value);
+    }
+    for (const part of [t, i]) {
+      if (!Number.isInteger(part) || part < 0 || part > UINT32_MAX) {
+        throw new BSONError('Timestamp must take { t, i } with unsigned 32-bit integers, or a bigint');
+      }
+    }
+    this.t = t;
+    this.i = i;
+  }
+
+  /**
+   * Compare with another timestamp by value
+   * @param {Timestamp} other - Timestamp to compare with
+   * @returns {boolean} - True if both have the same t and i
+   */
+  equals(other) {
+    return Boolean(other) && other._bsontype === 'Timestamp' && other.t === this.t && other.i === this.i;
+  }
+
+  /**
+   * JSON form ({ $timestamp }, like the driver)
+   * @returns {Object} - { $timestamp: { t, i } }
+   */
+  toJSON() {
+    return { $timestamp: { t: this.t, i: this.i } };
+  }
+
+  /**
+   * Representation shown by console.log and util.inspect
+   * @returns {string} - e.g. new Timestamp({ t: 1700000000, i: 1 })
+   */
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return `new Timestamp({ t: ${this.t}, i: ${this.i} })`;
+  }
+}
+
+// Tags the value as a BSON type so paths don't traverse into it and type checks recognise it
+Object.defineProperty(Timestamp.prototype, '_bsontype', { value: 'Timestamp' });
+
+module.exports = Timestamp;
@@ -0,0 +1,257 @@
+const { valuesEqual } = require('./compare');
+const { MongoServerError } = require('./errors');
+
+/**
+ * Transaction - The workspace of one multi-document transaction
+ *
+ * The first time a transaction touches a collection it takes a snapshot of
+ * the collection's documents and works on a view of the collection over that
+ * snapshot, so its reads and writes are invisible to everyone else until
+ * commit. Stored documents are never mutated in place, which makes the
+ * snapshot a cheap shallow copy and lets conflicts be detected by identity:
+ * a write conflicts when another active transaction has already written the
+ * same document, or when the stored document is no longer the version the
+ * snapshot saw.
+ */
+class Transaction {
+  /**
+   * Constructor
+   * @param {ClientSession} session - Session that owns the transaction
+   */
+  constructor(session) {
+    this.session = session;
+    this.state = 'NO_TRANSACTION';
+    this.options = {};
+    this._clear();
+  }
+
+  /**
+   * Whether the transaction has been started and not yet committed or aborted
+   * @returns {boolean} - True while in progress
+   */
+  get isActive() {
+    return this.state === 'STARTING_TRANSACTION' || this.state === 'TRANSACTION_IN_PROGRESS';
+  }
+
+  /**
+   * Begin a new transaction, discarding any previous workspace
+   * @param {Object} options - Transaction options ({ readConcern, writeConcern, readPreference })
+   */
+  start(options = {}) {
+    this._clear();
+    this.options = options;
+    this.state = 'STARTING_TRANSACTION';
+  }
+
+  /**
+   * Run a collection operation inside the transaction
+   *
+   * Like the server, any error raised by the operation aborts the
+   * transaction; later operations fail with NoSuchTransaction.
+   *
+   * @param {MockCollection} collection - Collection the operation targets
+   * @param {Function} operation - Receives the transaction's view of the collection
+   * @returns {*} - Result of the operation (a promise for async operations)
+   */
+  run(collection, operation) {
+    this._assertUsable();
+    this.state = 'TRANSACTION_IN_PROGRESS';
+
+    const fail = error => {
+      this._fail();
+      throw error;
+    };
+
+    let result;
+    try {
+      result = operation(this.viewOf(collection));
+    } catch (error) {
+      fail(error);
+    }
+    return result && typeof result.then === 'function' ? result.catch(fail) : result;
+  }
+
+  /**
+   * Get the transaction's view of a collection, snapshotting it on first use
+   * @param {MockCollection} collection - Collection
+   * @returns {MockCollection} - View that reads and writes the transaction's snapshot
+   */
+  viewOf(collection) {
+    let view = this._views.get(collection);
+    if (!view) {
+      view = Object.create(collection);
+      view.documents = collection.documents.slice();
+      view._transaction = this;
+      view._recordChange = (operationType, before, after) => this._recordWrite(collection, operationType, before, after);
+      this._views.set(collection, view);
+
+      if (collection.database) {
+        collection.database.activeTransactions.add(this);
+        this._databases.add(collection.database);
+      }
+    }
+    return view;
+  }
+
+  /**
+   * Apply the transaction's writes to the collections
+   *
+   * All-or-nothing: conflicts and duplicate keys are detected before any
+   * collection changes. Change events are then reported in write order.
+   *
+   * @throws {MongoServerError} - WriteConflict, NoSuchTransaction or DuplicateKey
+   */
+  commit() {
+    this._assertUsable();
+
+    for (const write of this._writes) {
+      if (findById(write.collection.documents, write.id) !== write.base) {
+        this._fail();
+        throw writeConflict();
+      }
+    }
+
+    const contents = new Map();
+    for (const write of this._writes) {
+      const docs = contents.get(write.collection) || write.collection.documents.slice();
+      const index = write.base ? docs.indexOf(write.base) : -1;
+
+      if (index === -1 && write.current) {
+        docs.push(write.current);
+      } else if (index !== -1 && write.current) {
+        docs[index] = write.current;
+      } else if (index !== -1) {
+        docs.splice(index, 1);
+      }
+      contents.set(write.collection, docs);
+    }
+
+    try {
+      contents.forEach((docs, collection) => collection.indexManager.assertValid(docs));
+    } catch (error) {
+      this._fail();
+      throw error;
+    }
+
+    contents.forEach((docs, collection) => {
+      collection.documents = docs;
+    });
+    // A persistent database saves the transaction's writes as one record
+    const persistences = Array.from(this._databases, database => database.persistence).filter(Boolean);
+    persistences.forEach(persistence => persistence.startBatch());
+    const transactionInfo = { lsid: this.session.id, txnNumber: this.session.txnNumber };
+    for (const { collection, operationType, before, after } of this._events) {
+      collection._recordChange(operationType, before, after, transactionInfo);
+    }
+    persistences.forEach(persistence => persistence.endBatch());
+    this._end();
+  }
+
+  /**
+   * Discard the transaction's writes
+   */
+  abort() {
+    this._end();
+  }
+
+  /**
+   * Track a write made through one of the transaction's views
+   * @param {MockCollection} collection - Collection written to
+   * @param {string} operationType - 'insert', 'update', 'replace' or 'delete'
+   * @param {Object|null} before - Document before the write (as the transaction saw it)
+   * @param {Object|null} after - Document after the write
+   * @throws {MongoServerError} - WriteConflict when another writer got to the document first
+   * @private
+   */
+  _recordWrite(collection, operationType, before, after) {
+    const id = (after || before)._id;
+    let write = this._writes.find(entry => entry.collection === collection && valuesEqual(entry.id, id));
+
+    if (!write) {
+      const heldByOther = collection.database && Array.from(collection.database.activeTransactions).some(transaction =>
+        transaction !== this && transaction._writes.some(entry => entry.collection === collection && valuesEqual(entry.id, id))
+      );
+      if (heldByOther || findById(collection.documents, id) !== before) {
+        throw writeConflict();
+      }
+      write = { collection, id, base: before };
+      this._writes.push(write);
+    }
+
+    write.current = after;
+    this._events.push({ collection, operationType, before, after });
+  }
+
+  /**
+   * Throw if the server side of the transaction was aborted by an error
+   * @throws {MongoServerError} - NoSuchTransaction
+   * @private
+   */
+  _assertUsable() {
+    if (this._failed) {
+      const error = new MongoServerError(`Transaction with { txnNumber: ${this.session.txnNumber} } has been aborted.`, {
+        code: 251,
+        codeName: 'NoSuchTransaction'
+      });
+      error.addErrorLabel('TransientTransactionError');
+      throw error;
+    }
+  }
+
+  /**
+   * Abort the server side of the transaction after an error
+   * @private
+   */
+  _fail() {
+    this._end();
+    this._failed = true;
+  }
+
+  /**
+   * Release the transaction's views and writes
+   * @private
+   */
+  _end() {
+    this._databases.forEach(database => database.activeTransactions.delete(this));
+    this._clear();
+  }
+
+  /**
+   * Reset the workspace
+   * @private
+   */
+  _clear() {
+    this._views = new Map();
+    this._writes = [];
+    this._events = [];
+    this._databases = new Set();
+    this._failed = false;
+  }
+}
+
+/**
+ * Find a stored document by _id
+ * @param {Array<Object>} docs - Stored documents
+ * @param {*} id - _id value
+ * @returns {Object|null} - The document, or null
+ * @private
+ */
+function findById(docs, id) {
+  return docs.find(doc => valuesEqual(doc._id, id)) || null;
+}
+
+/**
+ * Build the error raised when two writers touch the same document
+ * @returns {MongoServerError} - WriteConflict labelled TransientTransactionError
+ * @private
+ */
+function writeConflict() {
+  const error = new MongoServerError(
+    'Write conflict during plan execution and yielding is disabled. :: Please retry your operation or multi-document transaction.',
+    { code: 112, codeName: 'WriteConflict' }
+  );
+  error.addErrorLabel('TransientTransactionError');
+  return error;
+}
+
+module.exports = Transaction;
@@ -0,0 +1,556 @@
+const QueryBuilder = require('./QueryBuilder');
+const { getPath, hasPath, setPath, unsetPath, isTraversable } = require('./pathUtils');
+const { compareValues, deepEqual } = require('./compare');
+const { sortDocuments } = require('./sort');
+const { deepClone } = require('./clone');
+const { MongoServerError } = require('./errors');
+const Timestamp = require('./Timestamp');
+const { typeOf } = require('./bsonTypes');
+
+/**
+ * Update operators understood by UpdateBuilder
+ */
+const UPDATE_OPERATORS = [
+  '$set',
+  '$unset',
+  '$inc',
+  '$mul',
+  '$min',
+  '$max',
+  '$rename',
+  '$setOnInsert',
+  '$currentDate',
+  '$push',
+  '$pull',
+  '$pullAll',
+  '$addToSet',
+  '$pop'
+];
+
+/**
+ * UpdateBuilder - The update engine for applying MongoDB-like update operators
+ *
+ * This class validates an update document and applies it to individual documents.
+ * It supports the field operators ($set, $unset, $inc, $mul, $min, $max, $rename,
+ * $setOnInsert, $currentDate), the array operators ($push, $pull, $pullAll,
+ * $addToSet, $pop) and the positional path forms `$`, `$[]` and `$[<identifier>]`.
+ */
+class UpdateBuilder {
+  /**
+   * Constructor
+   * @param {Object} update - Update document (e.g. { $set: { age: 31 } })
+   * @param {Object} options - Update options ({ arrayFilters, now: the Date $currentDate sets })
+   */
+  constructor(update, options = {}) {
+    this.update = update;
+    this.arrayFilters = options.arrayFilters || [];
+    this.now = options.now || null;
+    this._queryBuilder = new QueryBuilder([]);
+    this._validate();
+  }
+
+  /**
+   * Apply the update to a document
+   * @param {Object} doc - Document to update (not modified)
+   * @param {Object} context - { query, isUpsert } - the filter used to find the document
+   * @returns {Object} - { document, modified } with the updated copy and whether it changed
+   */
+  apply(doc, context = {}) {
+    const target = deepClone(doc);
+
+    for (const operator of Object.keys(this.update)) {
+      if (operator === '$setOnInsert' && !context.isUpsert) {
+        continue;
+      }
+
+      const fields = this.update[operator];
+      for (const path of Object.keys(fields)) {
+        for (const concretePath of this._resolvePaths(target, path, context.query)) {
+          this._applyOperator(target, operator, concretePath, fields[path]);
+        }
+      }
+    }
+
+    if ('_id' in doc && !deepEqual(doc._id, target._id)) {
+      throw new MongoServerError("Performing an update on the path '_id' would modify the immutable field '_id'", {
+        code: 66,
+        codeName: 'ImmutableField'
+      });
+    }
+
+    return {
+      document: target,
+      modified: !deepEqual(doc, target)
+    };
+  }
+
+  /**
+   * Build the starting document for an upsert from a filter's equality conditions
+   *
+   * Fields compared with a literal or `$eq` (including inside `$and`) are copied
+   * into the new document; other conditions are ignored.
+   *
+   * @param {Object} query - Filter used for the upsert
+   * @returns {Object} - Seed document for the insert
+   */
+  static createUpsertDocument(query) {
+    const doc = {};
+
+    const collect = (filter) => {
+      for (const key of Object.keys(filter || {})) {
+        const value = filter[key];
+
+        if (key === '$and' && Array.isArray(value)) {
+          value.forEach(collect);
+        } else if (!key.startsWith('$')) {
+          const isOperatorObject = isTraversable(value) && Object.keys(value).length > 0 &&
+            Object.keys(value).every(operator => operator.startsWith('$'));
+          if (isOperatorObject) {
+            if ('$eq' in value) {
+              setPath(doc, key, deepClone(value.$eq));
+            }
+          } else if (!(value instanceof RegExp)) {
+            setPath(doc, key, deepClone(value));
+          }
+        }
+      }
+    };
+
+    collect(query);
+    return doc;
+  }
+
+  /**
+   * Validate the update document
+   * @private
+   */
+  _validate() {
+    const update = this.update;
+
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+      throw failedToParse('Update must be an object');
+    }
+
+    const operators = Object.keys(update);
+    if (operators.length === 0 || operators.some(key => !key.startsWith('$'))) {
+      throw failedToParse('Update document requires atomic operators');
+    }
+
+    const targetPaths = [];
+    for (const operator of operators) {
+      if (!UPDATE_OPERATORS.includes(operator)) {
+        throw failedToParse(`Unknown modifier: ${operator}. Expected a valid update modifier or pipeline-style update specified as an array`);
+      }
+
+      const fields = update[operator];
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw failedToParse(`Modifiers operate on fields but we found a non-object argument for ${operator}`);
+      }
+
+      for (const path of Object.keys(fields)) {
+        targetPaths.push(path);
+
+        if (operator === '$rename') {
+          if (typeof fields[path] !== 'string') {
+            throw badValue(`The 'to' field for $rename must be a string: ${path}`);
+          }
+          targetPaths.push(fields[path]);
+        }
+
+        if (operator === '$pop' && !isPopDirection(fields[path])) {
+          const found = typeof fields[path] === 'bigint' ? String(fields[path]) : JSON.stringify(fields[path]);
+          throw failedToParse(`$pop expects 1 or -1, found: ${found}`);
+        }
+      }
+    }
+
+    // Two operators may not touch the same path or a path and its parent
+    for (let i = 0; i < targetPaths.length; i++) {
+      for (let j = i + 1; j < targetPaths.length; j++) {
+        const a = targetPaths[i];
+        const b = targetPaths[j];
+        if (a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`)) {
+          throw new MongoServerError(`Updating the path '${a}' would create a conflict at '${b}'`, {
+            code: 40,
+            codeName: 'ConflictingUpdateOperators'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Expand positional path segments into concrete paths for a document
+   * @param {Object} doc - Document being updated
+   * @param {string} path - Path that may contain `$`, `$[]` or `$[<identifier>]`
+   * @param {Object} query - Filter used to find the document (for `$`)
+   * @returns {Array<string>} - Concrete dot-notation paths
+   * @private
+   */
+  _resolvePaths(doc, path, query) {
+    const segments = path.split('.');
+
+    const expand = (prefix, index) => {
+      if (index === segments.length) {
+        return [prefix.join('.')];
+      }
+
+      const segment = segments[index];
+      if (segment !== '$' && !/^\$\[.*\]$/.test(segment)) {
+        return expand(prefix.concat(segment), index + 1);
+      }
+
+      const arrayPath = prefix.join('.');
+      const array = getPath(doc, arrayPath);
+
+      if (segment === '$') {
+        const position = this._positionalIndex(doc, arrayPath, query);
+        return expand(prefix.concat(String(position)), index + 1);
+      }
+
+      if (!Array.isArray(array)) {
+        throw badValue(`The path '${arrayPath}' must exist in the document in order to apply array updates.`);
+      }
+
+      const identifier = segment.slice(2, -1);
+      const filter = identifier === '' ? null : this._arrayFilterFor(identifier, path);
+
+      const results = [];
+      array.forEach((element, position) => {
+        if (!filter || this._queryBuilder.matches({ [identifier]: element }, filter)) {
+          results.push(...expand(prefix.concat(String(position)), index + 1));
+        }
+      });
+      return results;
+    };
+
+    return expand([], 0);
+  }
+
+  /**
+   * Find the array filter that declares an identifier
+   * @param {string} identifier - Identifier used in `$[<identifier>]`
+   * @param {string} path - Update path (for error messages)
+   * @returns {Object} - Array filter document
+   * @private
+   */
+  _arrayFilterFor(identifier, path) {
+    const filter = this.arrayFilters.find(candidate =>
+      Object.keys(candidate).some(key => key.split('.')[0] === identifier)
+    );
+    if (!filter) {
+      throw badValue(`No array filter found for identifier '${identifier}' in path '${path}'`);
+    }
+    return filter;
+  }
+
+  /**
+   * Find the index of the first array element matched by the query, for the `$` operator
+   * @param {Object} doc - Document being updated
+   * @param {string} arrayPath - Path of the array the `$` refers to
+   * @param {Object} query - Filter used to find the document
+   * @returns {number} - Index of the matched element
+   * @private
+   */
+  _positionalIndex(doc, arrayPath, query) {
+    const array = getPath(doc, arrayPath);
+    const conditions = [];
+
+    const collect = (filter) => {
+      for (const key of Object.keys(filter || {})) {
+        if (key === '$and' && Array.isArray(filter[key])) {
+          filter[key].forEach(collect);
+        } else if (key === arrayPath || key.startsWith(`${arrayPath}.`)) {
+          conditions.push([key.slice(arrayPath.length + 1), filter[key]]);
+        }
+      }
+    };
+    collect(query);
+
+    if (Array.isArray(array) && conditions.length > 0) {
+      const position = array.findIndex(element => conditions.every(([subPath, condition]) => {
+        if (subPath === '') {
+          if (condition && typeof condition === 'object' && '$elemMatch' in condition) {
+            return this._queryBuilder.matchesElement(element, condition.$elemMatch);
+          }
+          return this._queryBuilder.matches({ element }, { element: condition });
+        }
+        return this._queryBuilder.matches({ element }, { [`element.${subPath}`]: condition });
+      }));
+
+      if (position !== -1) {
+        return position;
+      }
+    }
+
+    throw badValue('The positional operator did not find the match needed from the query.');
+  }
+
+  /**
+   * Apply one operator to one concrete path
+   * @param {Object} doc - Document copy to modify in place
+   * @param {string} operator - Update operator
+   * @param {string} path - Concrete dot-notation path
+   * @param {*} value - Operator argument for the path
+   * @private
+   */
+  _applyOperator(doc, operator, path, value) {
+    const current = getPath(doc, path);
+
+    switch (operator) {
+      case '$set':
+      case '$setOnInsert':
+        setPath(doc, path, deepClone(value));
+        break;
+
+      case '$unset':
+        unsetPath(doc, path);
+        break;
+
+      case '$inc':
+      case '$mul': {
+        if (!isArithmetic(value)) {
+          throw typeMismatch(`Cannot ${operator === '$inc' ? 'increment' : 'multiply'} with non-numeric argument: {${path}: ${JSON.stringify(value)}}`);
+        }
+        if (current === undefined) {
+          setPath(doc, path, operator === '$inc' ? value : typeof value === 'bigint' ? 0n : 0);
+        } else if (!isArithmetic(current)) {
+          throw typeMismatch(`Cannot apply ${operator} to a value of non-numeric type. Field '${path}' has a non-numeric value`);
+        } else {
+          setPath(doc, path, combine(operator, current, value));
+        }
+        break;
+      }
+
+      case '$min':
+      case '$max': {
+        const result = current === undefined ? null : compareValues(value, current);
+        if (result === null || (operator === '$min' ? result < 0 : result > 0)) {
+          setPath(doc, path, deepClone(value));
+        }
+        break;
+      }
+
+      case '$rename':
+        if (hasPath(doc, path)) {
+          unsetPath(doc, path);
+          setPath(doc, value, current);
+        }
+        break;
+
+      case '$currentDate':
+        if (value !== true && !(isTraversable(value) && ['date', 'timestamp'].includes(value.$type))) {
+          throw badValue(`$currentDate expects true or { $type: 'date' | 'timestamp' } for field '${path}'`);
+        }
+        if (value.$type === 'timestamp') {
+          setPath(doc, path, nextTimestamp(this.now || new Date()));
+        } else {
+          setPath(doc, path, this.now ? new Date(this.now.getTime()) : new Date());
+        }
+        break;
+
+      case '$push':
+        this._push(doc, path, this._arrayAt(doc, path, operator), value);
+        break;
+
+      case '$addToSet': {
+        const array = this._arrayAt(doc, path, operator);
+        const values = isTraversable(value) && '$each' in value ? value.$each : [value];
+        for (const item of values) {
+          if (!array.some(existing => deepEqual(existing, item))) {
+            array.push(deepClone(item));
+          }
+        }
+        break;
+      }
+
+      case '$pop':
+        if (Array.isArray(current) && current.length > 0) {
+          if (Number(value) === -1) {
+            current.shift();
+          } else {
+            current.pop();
+          }
+        } else if (current !== undefined && !Array.isArray(current)) {
+          throw typeMismatch(`Path '${path}' contains an element of non-array type`);
+        }
+        break;
+
+      case '$pull':
+      case '$pullAll':
+        if (current === undefined) {
+          break;
+        }
+        if (!Array.isArray(current)) {
+          throw badValue(`Cannot apply ${operator} to a non-array value`);
+        }
+        if (operator === '$pullAll' && !Array.isArray(value)) {
+          throw badValue('$pullAll requires an array argument');
+        }
+        setPath(doc, path, current.filter(element => operator === '$pull'
+          ? !this._queryBuilder.matchesElement(element, value)
+          : !value.some(item => deepEqual(item, element))));
+        break;
+    }
+  }
+
+  /**
+   * Get the array at a path for $push/$addToSet, creating it if missing
+   * @param {Object} doc - Document copy
+   * @param {string} path - Concrete path
+   * @param {string} operator - Operator name (for error messages)
+   * @returns {Array} - The array stored in the document
+   * @private
+   */
+  _arrayAt(doc, path, operator) {
+    const current = getPath(doc, path);
+    if (current === undefined) {
+      setPath(doc, path, []);
+      return getPath(doc, path);
+    }
+    if (!Array.isArray(current)) {
+      throw badValue(`The field '${path}' must be an array but is of a different type (${operator})`);
+    }
+    return current;
+  }
+
+  /**
+   * Apply a $push, including the $each, $position, $sort and $slice modifiers
+   * @param {Object} doc - Document copy
+   * @param {string} path - Concrete path
+   * @param {Array} array - Target array (modified in place)
+   * @param {*} value - Value or modifier document
+   * @private
+   */
+  _push(doc, path, array, value) {
+    if (!(isTraversable(value) && '$each' in value)) {
+      array.push(deepClone(value));
+      return;
+    }
+
+    if (!Array.isArray(value.$each)) {
+      throw badValue('The argument to $each in $push must be an array');
+    }
+
+    const items = value.$each.map(deepClone);
+    let position = value.$position === undefined ? array.length : value.$position;
+    if (position < 0) {
+      position = Math.max(0, array.length + position);
+    }
+    array.splice(Math.min(position, array.length), 0, ...items);
+
+    let result = array;
+    if (value.$sort !== undefined) {
+      if (typeof value.$sort === 'number') {
+        result = result.slice().sort((a, b) => compareValues(a, b) * value.$sort);
+      } else {
+        result = sortDocuments(result, value.$sort);
+      }
+    }
+
+    if (value.$slice !== undefined) {
+      result = value.$slice < 0 ? result.slice(value.$slice) : result.slice(0, value.$slice);
+    }
+
+    if (result !== array) {
+      setPath(doc, path, result);
+    }
+  }
+}
+
+/**
+ * Last timestamp set by $currentDate, so those within one second stay in order
+ */
+let lastTimestamp = { t: 0, i: 0 };
+
+/**
+ * Get the Timestamp $currentDate sets: seconds of the current time and an increasing ordinal
+ * @param {Date} now - Current time
+ * @returns {Timestamp} - New timestamp, later than every earlier one
+ * @private
+ */
+function nextTimestamp(now) {
+  const t = Math.floor(now.getTime() / 1000);
+  lastTimestamp = t > lastTimestamp.t ? { t, i: 1 } : { t: lastTimestamp.t, i: lastTimestamp.i + 1 };
+  return new Timestamp(lastTimestamp);
+}
+
+/**
+ * Check if $inc and $mul can compute with a value
+ * @param {*} value - Value
+ * @returns {boolean} - True for numbers and bigints (int64)
+ * @private
+ */
+function isArithmetic(value) {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+/**
+ * Add or multiply two values for $inc or $mul, with the server's result types
+ *
+ * A bigint with another bigint or an int32 gives a bigint, failing with
+ * BadValue if it overflows 64 bits; a bigint with a double gives a double.
+ *
+ * @param {string} operator - '$inc' or '$mul'
+ * @param {number|bigint} current - Value in the document
+ * @param {number|bigint} value - Argument
+ * @returns {number|bigint} - Result
+ * @private
+ */
+function combine(operator, current, value) {
+  const add = operator === '$inc';
+  if (typeof current === 'number' && typeof value === 'number') {
+    return add ? current + value : current * value;
+  }
+  if (![current, value].every(operand => typeof operand === 'bigint' || typeOf(operand) === 'int')) {
+    return add ? Number(current) + Number(value) : Number(current) * Number(value);
+  }
+  const result = add ? BigInt(current) + BigInt(value) : BigInt(current) * BigInt(value);
+  if (BigInt.asIntN(64, result) !== result) {
+    const shown = typeof current === 'bigint' ? `(NumberLong)${current}` : `(NumberInt)${current}`;
+    throw badValue(`Failed to apply ${operator} operations to current value (${shown})`);
+  }
+  return result;
+}
+
+/**
+ * Check a $pop argument
+ * @param {*} value - Argument
+ * @returns {boolean} - True for 1 or -1, as a number or a bigint
+ * @private
+ */
+function isPopDirection(value) {
+  return (typeof value === 'number' || typeof value === 'bigint') && Math.abs(Number(value)) === 1;
+}
+
+/**
+ * Create the error for an update document the server cannot parse
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - FailedToParse error
+ * @private
+ */
+function failedToParse(message) {
+  return new MongoServerError(message, { code: 9, codeName: 'FailedToParse' });
+}
+
+/**
+ * Create the error for an invalid update argument
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - BadValue error
+ * @private
+ */
+function badValue(message) {
+  return new MongoServerError(message, { code: 2, codeName: 'BadValue' });
+}
+
+/**
+ * Create the error for an update applied to a value of the wrong type
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - TypeMismatch error
+ * @private
+ */
+function typeMismatch(message) {
+  return new MongoServerError(message, { code: 14, codeName: 'TypeMismatch' });
+}
+
+module.exports = UpdateBuilder;
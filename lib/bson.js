@@ -0,0 +1,379 @@
+const ObjectId = require('./ObjectId');
+const Decimal128 = require('./Decimal128');
+const Timestamp = require('./Timestamp');
+const MinKey = require('./MinKey');
+const MaxKey = require('./MaxKey');
+const { isObjectId } = require('./compare');
+const { BSONError } = require('./errors');
+
+/**
+ * bson - Binary encoding of documents, as sent over the wire protocol
+ *
+ * Maps BSON types to the value types the mock stores, as ejson does:
+ *
+ *   double, int32                    <-> number
+ *   int64                            <-> bigint
+ *   string, bool, null               <-> string, boolean, null
+ *   ObjectId, datetime, regex        <-> ObjectId, Date, RegExp
+ *   decimal128, timestamp            <-> Decimal128, Timestamp
+ *   min key, max key                 <-> MinKey, MaxKey
+ *   binary                           <-> Buffer
+ *
+ * Numbers are written as int32 when they are integers in range, otherwise as
+ * doubles, like the driver does. Types the mock has no value type for (such
+ * as JavaScript code) raise a BSONError.
+ */
+
+const TYPE = {
+  DOUBLE: 0x01,
+  STRING: 0x02,
+  DOCUMENT: 0x03,
+  ARRAY: 0x04,
+  BINARY: 0x05,
+  UNDEFINED: 0x06,
+  OBJECT_ID: 0x07,
+  BOOLEAN: 0x08,
+  DATE: 0x09,
+  NULL: 0x0A,
+  REGEX: 0x0B,
+  INT32: 0x10,
+  TIMESTAMP: 0x11,
+  INT64: 0x12,
+  DECIMAL128: 0x13,
+  MIN_KEY: 0xFF,
+  MAX_KEY: 0x7F
+};
+
+/**
+ * Names of the BSON types that are not supported, for error messages
+ */
+const UNSUPPORTED_TYPES = {
+  0x0C: 'DBPointer',
+  0x0D: 'JavaScript code',
+  0x0E: 'Symbol',
+  0x0F: 'JavaScript code with scope'
+};
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+/**
+ * Encode a document as BSON
+ * @param {Object} doc - Document
+ * @returns {Buffer} - BSON bytes
+ * @throws {BSONError} - If the document holds a value BSON cannot represent
+ */
+function serialize(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new BSONError('serialize() expects a document');
+  }
+  const chunks = [];
+  writeDocument(chunks, doc, false);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a BSON document
+ * @param {Buffer} buffer - Buffer holding the document
+ * @param {number} [offset] - Position of the document in the buffer
+ * @returns {Object} - Document
+ * @throws {BSONError} - If the bytes are not a valid document or hold an unsupported type
+ */
+function deserialize(buffer, offset = 0) {
+  return readDocument(buffer, offset, false).value;
+}
+
+/**
+ * Get the size of the BSON document starting at an offset
+ * @param {Buffer} buffer - Buffer
+ * @param {number} offset - Position of the document
+ * @returns {number} - Size in bytes, as written in the document
+ */
+function documentSize(buffer, offset = 0) {
+  return buffer.readInt32LE(offset);
+}
+
+/**
+ * Write a document or array
+ * @param {Array<Buffer>} chunks - Output
+ * @param {Object|Array} value - Document or array
+ * @param {boolean} isArray - Write array indexes as keys
+ * @private
+ */
+function writeDocument(chunks, value, isArray) {
+  const sizeChunk = Buffer.alloc(4);
+  chunks.push(sizeChunk);
+  const start = chunks.length;
+
+  const entries = isArray ? value.map((item, index) => [String(index), item === undefined ? null : item]) : Object.entries(value);
+  for (const [key, item] of entries) {
+    if (item === undefined) {
+      continue;
+    }
+    if (key.includes('\0')) {
+      throw new BSONError(`Field names cannot contain null bytes: ${JSON.stringify(key)}`);
+    }
+    writeElement(chunks, key, item);
+  }
+  chunks.push(Buffer.from([0]));
+
+  const size = 4 + chunks.slice(start).reduce((total, chunk) => total + chunk.length, 0);
+  sizeChunk.writeInt32LE(size, 0);
+}
+
+/**
+ * Write one element (type byte, key and value)
+ * @param {Array<Buffer>} chunks - Output
+ * @param {string} key - Field name
+ * @param {*} value - Value
+ * @private
+ */
+function writeElement(chunks, key, value) {
+  const element = type => chunks.push(Buffer.from([type]), cstring(key));
+
+  if (value === null) {
+    element(TYPE.NULL);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX && !Object.is(value, -0)) {
+      element(TYPE.INT32);
+      chunks.push(int32(value));
+    } else {
+      element(TYPE.DOUBLE);
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleLE(value, 0);
+      chunks.push(buffer);
+    }
+  } else if (typeof value === 'bigint') {
+    if (value < INT64_MIN || value > INT64_MAX) {
+      throw new BSONError(`${value} does not fit in a 64-bit integer`);
+    }
+    element(TYPE.INT64);
+    chunks.push(int64(value));
+  } else if (typeof value === 'string') {
+    element(TYPE.STRING);
+    const bytes = Buffer.from(value, 'utf8');
+    chunks.push(int32(bytes.length + 1), bytes, Buffer.from([0]));
+  } else if (typeof value === 'boolean') {
+    element(TYPE.BOOLEAN);
+    chunks.push(Buffer.from([value ? 1 : 0]));
+  } else if (isObjectId(value)) {
+    element(TYPE.OBJECT_ID);
+    chunks.push(Buffer.from(value.toHexString(), 'hex'));
+  } else if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new BSONError('Cannot convert an invalid Date to BSON');
+    }
+    element(TYPE.DATE);
+    chunks.push(int64(BigInt(value.getTime())));
+  } else if (value instanceof RegExp) {
+    element(TYPE.REGEX);
+    chunks.push(cstring(value.source), cstring(value.flags.split('').filter(flag => 'imsux'.includes(flag)).sort().join('')));
+  } else if (value._bsontype === 'Decimal128') {
+    element(TYPE.DECIMAL128);
+    chunks.push(Buffer.from(value.bytes));
+  } else if (value._bsontype === 'Timestamp') {
+    element(TYPE.TIMESTAMP);
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32LE(value.i, 0);
+    buffer.writeUInt32LE(value.t, 4);
+    chunks.push(buffer);
+  } else if (value._bsontype === 'MinKey') {
+    element(TYPE.MIN_KEY);
+  } else if (value._bsontype === 'MaxKey') {
+    element(TYPE.MAX_KEY);
+  } else if (value instanceof Uint8Array) {
+    element(TYPE.BINARY);
+    chunks.push(int32(value.length), Buffer.from([0]), Buffer.from(value.buffer, value.byteOffset, value.length));
+  } else if (Array.isArray(value)) {
+    element(TYPE.ARRAY);
+    writeDocument(chunks, value, true);
+  } else if (typeof value === 'object' && Object.getPrototypeOf(value) !== Map.prototype &&
+    Object.getPrototypeOf(value) !== Set.prototype && value._bsontype === undefined) {
+    element(TYPE.DOCUMENT);
+    writeDocument(chunks, value, false);
+  } else {
+    throw new BSONError(`Cannot convert ${describe(value)} to BSON`);
+  }
+}
+
+/**
+ * Read a document or array
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Position of the document
+ * @param {boolean} isArray - Read into an array
+ * @returns {Object} - { value, end }
+ * @private
+ */
+function readDocument(buffer, offset, isArray) {
+  if (offset + 5 > buffer.length) {
+    throw new BSONError('BSON document is truncated');
+  }
+  const size = buffer.readInt32LE(offset);
+  const end = offset + size;
+  if (size < 5 || end > buffer.length || buffer[end - 1] !== 0) {
+    throw new BSONError('Invalid BSON document size');
+  }
+
+  const value = isArray ? [] : {};
+  let position = offset + 4;
+  while (position < end - 1) {
+    const type = buffer[position];
+    const keyEnd = buffer.indexOf(0, position + 1);
+    if (keyEnd === -1 || keyEnd >= end) {
+      throw new BSONError('Invalid BSON field name');
+    }
+    const key = buffer.toString('utf8', position + 1, keyEnd);
+    const element = readValue(buffer, type, keyEnd + 1, end);
+    if (isArray) {
+      value.push(element.value);
+    } else {
+      value[key] = element.value;
+    }
+    position = element.end;
+  }
+  if (position !== end - 1) {
+    throw new BSONError('Invalid BSON document: elements overrun the document');
+  }
+  return { value, end };
+}
+
+/**
+ * Read the value of one element
+ * @param {Buffer} buffer - Input
+ * @param {number} type - BSON type byte
+ * @param {number} offset - Position of the value
+ * @param {number} limit - End of the enclosing document
+ * @returns {Object} - { value, end }
+ * @private
+ */
+function readValue(buffer, type, offset, limit) {
+  const need = bytes => {
+    if (offset + bytes > limit) {
+      throw new BSONError('BSON value is truncated');
+    }
+  };
+
+  switch (type) {
+    case TYPE.DOUBLE:
+      need(8);
+      return { value: buffer.readDoubleLE(offset), end: offset + 8 };
+    case TYPE.STRING: {
+      need(4);
+      const length = buffer.readInt32LE(offset);
+      need(4 + length);
+      if (length < 1 || buffer[offset + 4 + length - 1] !== 0) {
+        throw new BSONError('Invalid BSON string');
+      }
+      return { value: buffer.toString('utf8', offset + 4, offset + 4 + length - 1), end: offset + 4 + length };
+    }
+    case TYPE.DOCUMENT:
+    case TYPE.ARRAY:
+      return readDocument(buffer, offset, type === TYPE.ARRAY);
+    case TYPE.BINARY: {
+      need(5);
+      const length = buffer.readInt32LE(offset);
+      need(5 + length);
+      const start = offset + 5;
+      return { value: Buffer.from(buffer.subarray(start, start + length)), end: start + length };
+    }
+    case TYPE.UNDEFINED:
+    case TYPE.NULL:
+      return { value: null, end: offset };
+    case TYPE.OBJECT_ID:
+      need(12);
+      return { value: new ObjectId(buffer.toString('hex', offset, offset + 12)), end: offset + 12 };
+    case TYPE.BOOLEAN:
+      need(1);
+      return { value: buffer[offset] === 1, end: offset + 1 };
+    case TYPE.DATE:
+      need(8);
+      return { value: new Date(Number(buffer.readBigInt64LE(offset))), end: offset + 8 };
+    case TYPE.REGEX: {
+      const patternEnd = buffer.indexOf(0, offset);
+      const flagsEnd = patternEnd === -1 ? -1 : buffer.indexOf(0, patternEnd + 1);
+      if (flagsEnd === -1 || flagsEnd >= limit) {
+        throw new BSONError('Invalid BSON regular expression');
+      }
+      const flags = buffer.toString('utf8', patternEnd + 1, flagsEnd).split('').filter(flag => 'imsu'.includes(flag)).join('');
+      return { value: new RegExp(buffer.toString('utf8', offset, patternEnd), flags), end: flagsEnd + 1 };
+    }
+    case TYPE.INT32:
+      need(4);
+      return { value: buffer.readInt32LE(offset), end: offset + 4 };
+    case TYPE.INT64:
+      need(8);
+      return { value: buffer.readBigInt64LE(offset), end: offset + 8 };
+    case TYPE.TIMESTAMP:
+      need(8);
+      return { value: new Timestamp({ t: buffer.readUInt32LE(offset + 4), i: buffer.readUInt32LE(offset) }), end: offset + 8 };
+    case TYPE.DECIMAL128:
+      need(16);
+      return { value: new Decimal128(buffer.subarray(offset, offset + 16)), end: offset + 16 };
+    case TYPE.MIN_KEY:
+      return { value: new MinKey(), end: offset };
+    case TYPE.MAX_KEY:
+      return { value: new MaxKey(), end: offset };
+    default:
+      throw new BSONError(UNSUPPORTED_TYPES[type]
+        ? `BSON type ${UNSUPPORTED_TYPES[type]} is not supported`
+        : `Unknown BSON type 0x${type.toString(16)}`);
+  }
+}
+
+/**
+ * Encode a null-terminated string
+ * @param {string} value - String
+ * @returns {Buffer} - UTF-8 bytes followed by a null byte
+ * @private
+ */
+function cstring(value) {
+  return Buffer.from(`${value}\0`, 'utf8');
+}
+
+/**
+ * Encode a 32-bit integer
+ * @param {number} value - Integer
+ * @returns {Buffer} - 4 little-endian bytes
+ * @private
+ */
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value, 0);
+  return buffer;
+}
+
+/**
+ * Encode a 64-bit integer
+ * @param {bigint} value - Integer
+ * @returns {Buffer} - 8 little-endian bytes
+ * @private
+ */
+function int64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigInt64LE(value, 0);
+  return buffer;
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value
+ * @returns {string} - Type description
+ * @private
+ */
+function describe(value) {
+  if (value && value._bsontype) {
+    return `BSON type ${value._bsontype}`;
+  }
+  if (value && value.constructor && value.constructor.name) {
+    return `a ${value.constructor.name}`;
+  }
+  return typeof value;
+}
+
+module.exports = {
+  serialize,
+  deserialize,
+  documentSize
+};
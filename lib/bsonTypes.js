@@ -0,0 +1,95 @@
+const { isObjectId } = require('./compare');
+
+/**
+ * bsonTypes - Mapping JavaScript values to BSON type names
+ *
+ * Used by the $type query operator and by $jsonSchema's bsonType keyword.
+ */
+
+/**
+ * Numeric BSON type codes accepted by $type, mapped to their string aliases
+ */
+const TYPE_NUMBERS = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  5: 'binData',
+  6: 'undefined',
+  7: 'objectId',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  11: 'regex',
+  13: 'javascript',
+  16: 'int',
+  17: 'timestamp',
+  18: 'long',
+  19: 'decimal',
+  '-1': 'minKey',
+  127: 'maxKey'
+};
+
+/**
+ * Aliases of the value types tagged with _bsontype
+ */
+const BSON_TYPE_ALIASES = {
+  ObjectId: 'objectId',
+  Decimal128: 'decimal',
+  Timestamp: 'timestamp',
+  MinKey: 'minKey',
+  MaxKey: 'maxKey'
+};
+
+/**
+ * Get the BSON type alias for a JavaScript value
+ * @param {*} value - Value to inspect
+ * @returns {string} - BSON type alias
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) return 'binData';
+  if (value instanceof Uint8Array) return 'binData';
+  if (isObjectId(value)) return 'objectId';
+  if (value._bsontype in BSON_TYPE_ALIASES) return BSON_TYPE_ALIASES[value._bsontype];
+
+  switch (typeof value) {
+    case 'string':
+      return 'string';
+    case 'boolean':
+      return 'bool';
+    case 'bigint':
+      return 'long';
+    case 'function':
+      return 'javascript';
+    case 'number':
+      return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 ? 'int' : 'double';
+    default:
+      return 'object';
+  }
+}
+
+/**
+ * Check if a value is of the given BSON type
+ * @param {*} value - Value to check
+ * @param {string|number} type - BSON type alias (e.g. "string"), "number", or type code (e.g. 2)
+ * @returns {boolean} - True if the value has that type
+ */
+function isOfType(value, type) {
+  const alias = typeof type === 'number' ? TYPE_NUMBERS[type] : type;
+
+  if (alias === 'number') {
+    return typeof value === 'number' || typeof value === 'bigint' || typeOf(value) === 'decimal';
+  }
+  return typeOf(value) === alias;
+}
+
+module.exports = {
+  TYPE_NUMBERS,
+  typeOf,
+  isOfType
+};
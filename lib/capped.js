@@ -0,0 +1,117 @@
+const { serialize } = require('./bson');
+const { MongoServerError } = require('./errors');
+
+/**
+ * capped - Size and count limits of capped collections
+ *
+ * A capped collection keeps its documents in insertion order and, when an
+ * insert would take it over its `size` in bytes or its `max` number of
+ * documents, removes the oldest ones to make room. Like mongod, the size is
+ * rounded up to a multiple of 256 bytes and is at least 4096, and documents
+ * cannot change size when updated.
+ */
+
+/**
+ * Smallest size of a capped collection, in bytes
+ */
+const MIN_CAPPED_SIZE = 4096;
+
+/**
+ * Sizes of stored documents, which are never changed in place
+ */
+const documentSizes = new WeakMap();
+
+/**
+ * Read the capped options given to createCollection
+ * @param {Object} options - Collection options ({ capped, size, max })
+ * @returns {Object|null} - { size, max } (max is 0 without a limit), or null for a collection that is not capped
+ * @throws {MongoServerError} - InvalidOptions without a size, BadValue for a size or max that is not a number
+ */
+function cappedOptions(options = {}) {
+  if (!options.capped) {
+    return null;
+  }
+  if (options.size === undefined) {
+    throw new MongoServerError("the 'size' field is required when 'capped' is true", {
+      code: 72,
+      codeName: 'InvalidOptions'
+    });
+  }
+  for (const field of ['size', 'max']) {
+    const value = options[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new MongoServerError(`The '${field}' field for capped collections must be a non-negative number`, {
+        code: 2,
+        codeName: 'BadValue'
+      });
+    }
+  }
+  return {
+    size: Math.max(MIN_CAPPED_SIZE, Math.ceil(options.size / 256) * 256),
+    max: options.max > 0 ? Math.floor(options.max) : 0
+  };
+}
+
+/**
+ * Get the size of a stored document in BSON bytes
+ * @param {Object} doc - Stored document
+ * @returns {number} - Size in bytes
+ */
+function documentSize(doc) {
+  if (!documentSizes.has(doc)) {
+    documentSizes.set(doc, serialize(doc).length);
+  }
+  return documentSizes.get(doc);
+}
+
+/**
+ * Pick the oldest documents to remove so that a new one fits
+ * @param {Array<Object>} documents - Stored documents, oldest first
+ * @param {Object} doc - Document about to be inserted
+ * @param {Object} capped - Limits returned by cappedOptions
+ * @returns {Array<Object>} - Documents to remove
+ * @throws {MongoServerError} - BadValue if the document alone is larger than the collection
+ */
+function documentsToEvict(documents, doc, capped) {
+  const size = documentSize(doc);
+  if (size > capped.size) {
+    throw new MongoServerError(`object to insert exceeds cappedMaxSize: ${size} > ${capped.size}`, {
+      code: 2,
+      codeName: 'BadValue'
+    });
+  }
+
+  let totalSize = documents.reduce((sum, stored) => sum + documentSize(stored), size);
+  let count = documents.length + 1;
+  let evicted = 0;
+  while (totalSize > capped.size || (capped.max > 0 && count > capped.max)) {
+    totalSize -= documentSize(documents[evicted]);
+    count--;
+    evicted++;
+  }
+  return documents.slice(0, evicted);
+}
+
+/**
+ * Check that an update leaves a document in a capped collection the same size
+ * @param {Object} before - Stored document
+ * @param {Object} after - New version of the document
+ * @throws {MongoServerError} - If the size changed
+ */
+function assertSameSize(before, after) {
+  const oldSize = documentSize(before);
+  const newSize = documentSize(after);
+  if (oldSize !== newSize) {
+    throw new MongoServerError(`Cannot change the size of a document in a capped collection: ${oldSize} != ${newSize}`, {
+      code: 10003,
+      codeName: 'Location10003'
+    });
+  }
+}
+
+module.exports = {
+  cappedOptions,
+  documentSize,
+  documentsToEvict,
+  assertSameSize
+};
@@ -0,0 +1,103 @@
+/**
+ * clone - Deep copying and freezing of documents and BSON-like values
+ *
+ * Keeps Dates, RegExps, Buffers, typed arrays, Maps and Sets as their own
+ * types, and preserves the prototype of class instances (such as ObjectId)
+ * so copied values behave like the originals.
+ */
+
+/**
+ * Deep clone a value
+ * @param {*} value - Value to copy
+ * @returns {*} - Independent copy of the value
+ */
+function deepClone(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(deepClone);
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (value instanceof RegExp) {
+    return new RegExp(value.source, value.flags);
+  }
+
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+
+  if (value instanceof Map) {
+    return new Map(Array.from(value.entries()).map(([key, entry]) => [key, deepClone(entry)]));
+  }
+
+  if (value instanceof Set) {
+    return new Set(Array.from(value.values()).map(deepClone));
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(value));
+  for (const key of Object.keys(value)) {
+    copy[key] = deepClone(value[key]);
+  }
+  return copy;
+}
+
+/**
+ * Methods that change a Date, Map or Set in place, which freezing does not stop
+ */
+const MUTATING_METHODS = [
+  [Date, Object.getOwnPropertyNames(Date.prototype).filter(name => name.startsWith('set'))],
+  [Map, ['set', 'delete', 'clear']],
+  [Set, ['add', 'delete', 'clear']]
+];
+
+/**
+ * Deep freeze a value in place
+ *
+ * Objects and arrays are frozen recursively, and so are the entries of Maps
+ * and Sets. Dates, Maps and Sets keep their internal state outside their
+ * properties, so their mutating methods (setTime(), set(), add(), ...) are
+ * replaced with ones that throw a TypeError. Binary data cannot be frozen
+ * and is left writable.
+ *
+ * @param {*} value - Value to freeze
+ * @returns {*} - The same value, frozen
+ */
+function deepFreeze(value) {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value) || ArrayBuffer.isView(value)) {
+    return value;
+  }
+
+  if (value instanceof Map) {
+    value.forEach(deepFreeze);
+  } else if (value instanceof Set) {
+    value.forEach(deepFreeze);
+  } else {
+    for (const key of Object.keys(value)) {
+      deepFreeze(value[key]);
+    }
+  }
+
+  for (const [type, methods] of MUTATING_METHODS) {
+    if (value instanceof type) {
+      for (const method of methods) {
+        Object.defineProperty(value, method, { value: () => { throw new TypeError(`Cannot call ${method}() on a frozen ${type.name}`); } });
+      }
+    }
+  }
+  return Object.freeze(value);
+}
+
+module.exports = {
+  deepClone,
+  deepFreeze
+};
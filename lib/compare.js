@@ -0,0 +1,211 @@
+const Decimal128 = require('./Decimal128');
+
+/**
+ * compare - Value ordering helpers following MongoDB's BSON comparison order
+ *
+ * MongoDB orders values of different types by type first, then by value:
+ * MinKey < null < numbers < strings < objects < arrays < binary data
+ * < ObjectId < booleans < dates < timestamps < regular expressions < MaxKey.
+ * Missing fields sort together with null.
+ */
+
+/**
+ * Rank in the BSON comparison order of the value types tagged with _bsontype
+ */
+const BSON_TYPE_RANKS = {
+  MinKey: 0,
+  Decimal128: 2,
+  ObjectId: 7,
+  Timestamp: 10,
+  MaxKey: 12
+};
+
+/**
+ * Check whether a value is an ObjectId (from this package or the bson library)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is an ObjectId
+ */
+function isObjectId(value) {
+  return Boolean(value) && value._bsontype === 'ObjectId' && typeof value.toHexString === 'function';
+}
+
+/**
+ * Get the rank of a value's type in the BSON comparison order
+ * @param {*} value - Value to rank
+ * @returns {number} - Type rank (lower sorts first)
+ */
+function typeRank(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === 'number' || typeof value === 'bigint') return 2;
+  if (value._bsontype in BSON_TYPE_RANKS) return BSON_TYPE_RANKS[value._bsontype];
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  if (value instanceof Uint8Array) return 6;
+  return 4;
+}
+
+/**
+ * Compare two values using BSON ordering
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  switch (rankA) {
+    case 0:
+    case 1:
+    case 12:
+      return 0;
+
+    case 2:
+      if (typeof a === 'object' || typeof b === 'object') {
+        return Decimal128.compare(a, b);
+      }
+      // NaN equals itself and sorts before every other number
+      if (Number.isNaN(a) || Number.isNaN(b)) {
+        return (Number.isNaN(a) ? 0 : 1) - (Number.isNaN(b) ? 0 : 1);
+      }
+      return a < b ? -1 : a > b ? 1 : 0;
+
+    case 3:
+    case 8:
+      return a < b ? -1 : a > b ? 1 : 0;
+
+    case 6: {
+      // Binary data orders by length first, then byte by byte
+      if (a.length !== b.length) {
+        return a.length - b.length;
+      }
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+          return a[i] - b[i];
+        }
+      }
+      return 0;
+    }
+
+    case 11:
+      return compareValues(a.source, b.source) || compareValues(a.flags, b.flags);
+
+    case 9:
+      return a.getTime() - b.getTime();
+
+    case 10:
+      return a.t - b.t || a.i - b.i;
+
+    case 7: {
+      // Hex strings of equal length order the same way as the underlying bytes
+      const hexA = a.toHexString();
+      const hexB = b.toHexString();
+      return hexA < hexB ? -1 : hexA > hexB ? 1 : 0;
+    }
+
+    case 5: {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    }
+
+    case 4: {
+      // Embedded documents compare field by field, in order
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+      const length = Math.min(keysA.length, keysB.length);
+      for (let i = 0; i < length; i++) {
+        const keyResult = compareValues(keysA[i], keysB[i]);
+        if (keyResult !== 0) {
+          return keyResult;
+        }
+        const valueResult = compareValues(a[keysA[i]], b[keysB[i]]);
+        if (valueResult !== 0) {
+          return valueResult;
+        }
+      }
+      return keysA.length - keysB.length;
+    }
+
+    default: {
+      const stringA = String(a);
+      const stringB = String(b);
+      return stringA < stringB ? -1 : stringA > stringB ? 1 : 0;
+    }
+  }
+}
+
+/**
+ * Check whether two values are equal under MongoDB's query semantics
+ *
+ * Numbers compare by value regardless of representation, Dates and ObjectIds
+ * by value, and embedded documents and arrays element by element, in order.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if the values are equal
+ */
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Check whether two values are structurally identical
+ *
+ * Unlike compareValues, this distinguishes missing values from null and
+ * requires embedded documents to have the same fields in the same order.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if the values are identical
+ */
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return Number.isNaN(a) && Number.isNaN(b);
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return a instanceof RegExp && b instanceof RegExp && a.source === b.source && a.flags === b.flags;
+  }
+  if (isObjectId(a) || isObjectId(b)) {
+    return isObjectId(a) && isObjectId(b) && a.toHexString() === b.toHexString();
+  }
+  if (a._bsontype !== b._bsontype) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  return keysA.every((key, index) => key === keysB[index] && deepEqual(a[key], b[key]));
+}
+
+module.exports = {
+  isObjectId,
+  typeRank,
+  compareValues,
+  valuesEqual,
+  deepEqual
+};
@@ -0,0 +1,423 @@
+const ObjectId = require('./ObjectId');
+const Decimal128 = require('./Decimal128');
+const Timestamp = require('./Timestamp');
+const MinKey = require('./MinKey');
+const MaxKey = require('./MaxKey');
+const { isObjectId } = require('./compare');
+const { BSONError } = require('./errors');
+
+/**
+ * ejson - MongoDB Extended JSON (v2) for fixtures, imports and exports
+ *
+ * Converts between documents and the canonical or relaxed Extended JSON that
+ * mongoexport writes, mapping each wrapper to the value type the mock stores:
+ *
+ *   { $oid }                          <-> ObjectId
+ *   { $date }                         <-> Date
+ *   { $numberInt }, { $numberDouble } <-> number
+ *   { $numberLong }                   <-> bigint
+ *   { $numberDecimal }                <-> Decimal128
+ *   { $timestamp }                    <-> Timestamp
+ *   { $minKey }, { $maxKey }          <-> MinKey, MaxKey
+ *   { $regularExpression }            <-> RegExp
+ *   { $binary }                       <-> Buffer
+ *
+ * Longs are kept as { $numberLong } in relaxed mode too, so every value
+ * round-trips to the same type.
+ */
+
+/**
+ * Bounds of a 32-bit integer, written as $numberInt in canonical mode
+ */
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+/**
+ * Wrappers of BSON types the mock has no value type for
+ */
+const UNSUPPORTED_WRAPPERS = ['$code', '$symbol', '$dbPointer'];
+
+/**
+ * Returned by parseWrapper for objects that are plain documents
+ */
+const NOT_A_WRAPPER = Symbol('notAWrapper');
+
+/**
+ * Convert a value to its Extended JSON form
+ * @param {*} value - Document or value
+ * @param {Object} options - { relaxed: true } - false for canonical mode
+ * @returns {*} - JSON-compatible value
+ * @throws {BSONError} - For values that have no BSON representation
+ */
+function serialize(value, options = {}) {
+  return serializeValue(value, options.relaxed !== false);
+}
+
+/**
+ * Convert Extended JSON (canonical, relaxed or legacy) back to values
+ * @param {*} value - Parsed JSON value
+ * @returns {*} - Value with ObjectIds, Dates, bigints, Decimal128s, Timestamps, RegExps and Buffers
+ * @throws {BSONError} - For malformed or unsupported type wrappers
+ */
+function deserialize(value) {
+  return deserializeValue(value, '');
+}
+
+/**
+ * Serialize a value to an Extended JSON string
+ * @param {*} value - Document or value
+ * @param {Object} options - { relaxed: true }
+ * @returns {string} - Extended JSON text
+ */
+function stringify(value, options = {}) {
+  return JSON.stringify(serialize(value, options));
+}
+
+/**
+ * Parse an Extended JSON string
+ * @param {string} text - Extended JSON text
+ * @returns {*} - Parsed value
+ * @throws {BSONError} - If the text is not valid Extended JSON
+ */
+function parse(text) {
+  return deserialize(parseJson(text));
+}
+
+/**
+ * Parse a list of documents, as a JSON array, newline-delimited JSON or a single document
+ * @param {string} text - Extended JSON text
+ * @returns {Array<Object>} - Documents
+ * @throws {BSONError} - If the text is malformed or holds something other than documents
+ */
+function parseDocuments(text) {
+  const trimmed = text.trim();
+  if (trimmed === '') {
+    return [];
+  }
+
+  let values;
+  if (trimmed.startsWith('[')) {
+    values = parseJson(trimmed);
+  } else {
+    try {
+      values = [JSON.parse(trimmed)];
+    } catch (error) {
+      // Not a single document: read one document per line, as mongoexport writes them
+      values = trimmed.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, number }) => parseJson(line, ` on line ${number}`));
+    }
+  }
+
+  return values.map((value, index) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new BSONError(`Expected a document at position ${index}, got ${JSON.stringify(value)}`);
+    }
+    return deserialize(value);
+  });
+}
+
+/**
+ * Format documents as Extended JSON text
+ * @param {Array<Object>} docs - Documents
+ * @param {Object} options - { relaxed: true, format: 'ndjson'|'array' }
+ * @returns {string} - One document per line (ndjson, as mongoexport writes) or a JSON array
+ */
+function formatDocuments(docs, options = {}) {
+  const serialized = docs.map(doc => serialize(doc, options));
+  if (options.format === 'array') {
+    return JSON.stringify(serialized);
+  }
+  if (options.format !== undefined && options.format !== 'ndjson') {
+    throw new Error(`Unknown Extended JSON format: '${options.format}'`);
+  }
+  return serialized.map(doc => `${JSON.stringify(doc)}\n`).join('');
+}
+
+/**
+ * Convert Extended JSON back to values, tracking the field path for errors
+ * @param {*} value - Parsed JSON value
+ * @param {string} path - Dotted path of the value ('' for the top level)
+ * @returns {*} - Value
+ * @private
+ */
+function deserializeValue(value, path) {
+  const child = key => (path === '' ? String(key) : `${path}.${key}`);
+  if (Array.isArray(value)) {
+    return value.map((item, index) => deserializeValue(item, child(index)));
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+  const wrapped = keys.length > 0 && keys[0].startsWith('$') ? parseWrapper(value, keys, path) : NOT_A_WRAPPER;
+  if (wrapped !== NOT_A_WRAPPER) {
+    return wrapped;
+  }
+
+  const result = {};
+  for (const key of keys) {
+    result[key] = deserializeValue(value[key], child(key));
+  }
+  return result;
+}
+
+/**
+ * Convert one value to Extended JSON
+ * @param {*} value - Value
+ * @param {boolean} relaxed - True for relaxed mode
+ * @returns {*} - JSON-compatible value (undefined for values JSON leaves out)
+ * @private
+ */
+function serializeValue(value, relaxed) {
+  if (value === null || value === undefined || typeof value === 'string' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return serializeNumber(value, relaxed);
+  }
+  if (typeof value === 'bigint') {
+    return { $numberLong: value.toString() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const serialized = serializeValue(item, relaxed);
+      return serialized === undefined ? null : serialized;
+    });
+  }
+  if (value instanceof Date) {
+    return serializeDate(value, relaxed);
+  }
+  if (value instanceof RegExp) {
+    return { $regularExpression: { pattern: value.source, options: value.flags.split('').sort().join('') } };
+  }
+  if (isObjectId(value)) {
+    return { $oid: value.toHexString() };
+  }
+  if (value && value._bsontype === 'Decimal128') {
+    return { $numberDecimal: value.toString() };
+  }
+  if (value && value._bsontype === 'Timestamp') {
+    return { $timestamp: { t: value.t, i: value.i } };
+  }
+  if (value && value._bsontype === 'MinKey') {
+    return { $minKey: 1 };
+  }
+  if (value && value._bsontype === 'MaxKey') {
+    return { $maxKey: 1 };
+  }
+  if (value instanceof Uint8Array) {
+    const base64 = Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+    return { $binary: { base64, subType: '00' } };
+  }
+  if (typeof value === 'object' && !value._bsontype && !(value instanceof Map) && !(value instanceof Set)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      const serialized = serializeValue(value[key], relaxed);
+      if (serialized !== undefined) {
+        result[key] = serialized;
+      }
+    }
+    return result;
+  }
+
+  const type = value && value._bsontype ? value._bsontype : (value && value.constructor ? value.constructor.name : typeof value);
+  throw new BSONError(`Cannot convert a value of type ${type} to Extended JSON`);
+}
+
+/**
+ * Convert a number to Extended JSON
+ * @param {number} value - Number
+ * @param {boolean} relaxed - True for relaxed mode
+ * @returns {number|Object} - Plain number (relaxed) or { $numberInt } / { $numberDouble }
+ * @private
+ */
+function serializeNumber(value, relaxed) {
+  if (Number.isNaN(value) || value === Infinity || value === -Infinity) {
+    return { $numberDouble: String(value) };
+  }
+  // JSON would write -0 as 0
+  if (Object.is(value, -0)) {
+    return { $numberDouble: '-0.0' };
+  }
+  if (relaxed) {
+    return value;
+  }
+  if (Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX) {
+    return { $numberInt: String(value) };
+  }
+  const text = String(value);
+  return { $numberDouble: Number.isInteger(value) && !text.includes('e') ? `${text}.0` : text };
+}
+
+/**
+ * Convert a Date to Extended JSON
+ * @param {Date} value - Date
+ * @param {boolean} relaxed - True for relaxed mode
+ * @returns {Object} - { $date: ISO string } (relaxed, years 1970-9999) or { $date: { $numberLong } }
+ * @private
+ */
+function serializeDate(value, relaxed) {
+  const time = value.getTime();
+  if (Number.isNaN(time)) {
+    throw new BSONError('Cannot convert an invalid Date to Extended JSON');
+  }
+  if (relaxed && time >= 0 && value.getUTCFullYear() <= 9999) {
+    return { $date: value.toISOString() };
+  }
+  return { $date: { $numberLong: String(time) } };
+}
+
+/**
+ * Read an object whose first key starts with $ as a type wrapper
+ * @param {Object} value - Parsed JSON object
+ * @param {Array<string>} keys - Its keys
+ * @param {string} path - Dotted path of the value, for errors
+ * @returns {*} - The wrapped value, or NOT_A_WRAPPER for ordinary documents
+ * @private
+ */
+function parseWrapper(value, keys, path) {
+  const is = (...names) => keys.length === names.length && names.every(name => keys.includes(name));
+
+  if (is('$oid') && typeof value.$oid === 'string') {
+    return new ObjectId(value.$oid);
+  }
+  if (is('$date')) {
+    return parseDate(value.$date);
+  }
+  if (is('$numberInt')) {
+    const number = parseNumber(value.$numberInt, '$numberInt');
+    if (!Number.isInteger(number) || number < INT32_MIN || number > INT32_MAX) {
+      throw new BSONError(`$numberInt must be a 32-bit integer, got ${JSON.stringify(value.$numberInt)}`);
+    }
+    return number;
+  }
+  if (is('$numberDouble')) {
+    return parseNumber(value.$numberDouble, '$numberDouble');
+  }
+  if (is('$numberLong')) {
+    return parseLong(value.$numberLong);
+  }
+  if (is('$numberDecimal') && typeof value.$numberDecimal === 'string') {
+    return Decimal128.fromString(value.$numberDecimal);
+  }
+  if (is('$timestamp') && value.$timestamp && typeof value.$timestamp === 'object') {
+    return new Timestamp({ t: value.$timestamp.t, i: value.$timestamp.i });
+  }
+  if (is('$minKey') && value.$minKey === 1) {
+    return new MinKey();
+  }
+  if (is('$maxKey') && value.$maxKey === 1) {
+    return new MaxKey();
+  }
+  if (is('$regularExpression') && value.$regularExpression && typeof value.$regularExpression === 'object') {
+    return toRegExp(value.$regularExpression.pattern, value.$regularExpression.options);
+  }
+  if (is('$regex', '$options') && typeof value.$regex === 'string' && typeof value.$options === 'string') {
+    return toRegExp(value.$regex, value.$options);
+  }
+  if (is('$binary') && value.$binary && typeof value.$binary === 'object') {
+    return Buffer.from(value.$binary.base64, 'base64');
+  }
+  if (is('$binary', '$type') && typeof value.$binary === 'string') {
+    return Buffer.from(value.$binary, 'base64');
+  }
+  if (is('$uuid') && typeof value.$uuid === 'string') {
+    return Buffer.from(value.$uuid.replace(/-/g, ''), 'hex');
+  }
+  if (is('$undefined')) {
+    return undefined;
+  }
+  if (UNSUPPORTED_WRAPPERS.includes(keys[0])) {
+    throw new BSONError(`Extended JSON type ${keys[0]} is not supported${path === '' ? '' : ` (field '${path}')`}`);
+  }
+  return NOT_A_WRAPPER;
+}
+
+/**
+ * Read the value of a $date wrapper
+ * @param {string|number|Object} value - ISO string, milliseconds, or { $numberLong }
+ * @returns {Date} - Date
+ * @private
+ */
+function parseDate(value) {
+  let time;
+  if (typeof value === 'string') {
+    time = Date.parse(value);
+  } else if (typeof value === 'number') {
+    time = value;
+  } else if (value && typeof value === 'object' && typeof value.$numberLong === 'string') {
+    time = Number(parseLong(value.$numberLong));
+  }
+
+  if (typeof time !== 'number' || Number.isNaN(time)) {
+    throw new BSONError(`Invalid $date value: ${JSON.stringify(value)}`);
+  }
+  return new Date(time);
+}
+
+/**
+ * Read the string of a $numberInt or $numberDouble wrapper
+ * @param {string} text - Number as a string
+ * @param {string} wrapper - Wrapper name, for errors
+ * @returns {number} - Number
+ * @private
+ */
+function parseNumber(text, wrapper) {
+  const number = typeof text === 'string' && text.trim() !== '' ? Number(text) : NaN;
+  if (Number.isNaN(number) && text !== 'NaN') {
+    throw new BSONError(`Invalid ${wrapper} value: ${JSON.stringify(text)}`);
+  }
+  return number;
+}
+
+/**
+ * Read the string of a $numberLong wrapper
+ * @param {string} text - Integer as a string
+ * @returns {bigint} - Value
+ * @private
+ */
+function parseLong(text) {
+  if (typeof text !== 'string' || !/^-?\d+$/.test(text)) {
+    throw new BSONError(`Invalid $numberLong value: ${JSON.stringify(text)}`);
+  }
+  return BigInt(text);
+}
+
+/**
+ * Build a RegExp from a pattern and BSON options, dropping options JavaScript has no flag for
+ * @param {string} pattern - Pattern
+ * @param {string} options - BSON regex options (e.g. "im")
+ * @returns {RegExp} - Regular expression
+ * @private
+ */
+function toRegExp(pattern, options = '') {
+  const flags = options.split('').filter(flag => 'gimsuy'.includes(flag)).join('');
+  return new RegExp(pattern, flags);
+}
+
+/**
+ * JSON.parse with errors reported as BSONError
+ * @param {string} text - JSON text
+ * @param {string} where - Location appended to the error message
+ * @returns {*} - Parsed value
+ * @private
+ */
+function parseJson(text, where = '') {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BSONError(`Invalid Extended JSON${where}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  serialize,
+  deserialize,
+  stringify,
+  parse,
+  parseDocuments,
+  formatDocuments
+};
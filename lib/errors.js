@@ -0,0 +1,265 @@
+/**
+ * errors - Error classes shaped like the MongoDB Node.js driver's errors
+ *
+ * Code under test often inspects `error.code`, `error.name` or `instanceof`
+ * checks against the driver's error hierarchy. These classes reproduce the
+ * parts of that hierarchy the mock database raises.
+ */
+
+/**
+ * MongoError - Base class for every error raised by the mock database
+ */
+class MongoError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoError';
+    this.errorLabels = [];
+  }
+
+  /**
+   * Check whether the error carries a label (e.g. "TransientTransactionError")
+   * @param {string} label - Error label
+   * @returns {boolean} - True if the label is present
+   */
+  hasErrorLabel(label) {
+    return this.errorLabels.includes(label);
+  }
+
+  /**
+   * Attach a label to the error
+   * @param {string} label - Error label
+   */
+  addErrorLabel(label) {
+    if (!this.hasErrorLabel(label)) {
+      this.errorLabels.push(label);
+    }
+  }
+}
+
+/**
+ * MongoServerError - An error the server would have returned for a command
+ */
+class MongoServerError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   * @param {Object} details - Extra fields such as { code, codeName, keyPattern, keyValue, errInfo }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MongoServerError';
+    this.errmsg = message;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * MongoTransactionError - Raised when a session's transaction methods are called out of order
+ */
+class MongoTransactionError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoTransactionError';
+  }
+}
+
+/**
+ * MongoExpiredSessionError - Raised when a session is used after endSession()
+ */
+class MongoExpiredSessionError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Cannot use a session that has ended') {
+    super(message);
+    this.name = 'MongoExpiredSessionError';
+  }
+}
+
+/**
+ * MongoParseError - Raised for a malformed connection string
+ */
+class MongoParseError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoParseError';
+  }
+}
+
+/**
+ * MongoInvalidArgumentError - Raised by the driver, before contacting the
+ * server, for an argument of the wrong type (such as an array as a document)
+ */
+class MongoInvalidArgumentError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoInvalidArgumentError';
+  }
+}
+
+/**
+ * WriteError - Describes the failure of a single operation inside a bulk write
+ */
+class WriteError {
+  /**
+   * Constructor
+   * @param {Object} details - { index, code, errmsg, errInfo, op }
+   */
+  constructor({ index, code, errmsg, errInfo, op }) {
+    this.index = index;
+    this.code = code;
+    this.errmsg = errmsg;
+    this.errInfo = errInfo;
+    this.op = op;
+  }
+
+  /**
+   * Get the operation that failed
+   * @returns {Object} - The original operation
+   */
+  getOperation() {
+    return this.op;
+  }
+
+  /**
+   * Plain-object representation, as the driver provides
+   * @returns {Object} - { index, code, errmsg, errInfo, op }
+   */
+  toJSON() {
+    return { index: this.index, code: this.code, errmsg: this.errmsg, errInfo: this.errInfo, op: this.op };
+  }
+}
+
+/**
+ * MongoBulkWriteError - Raised when one or more operations of a bulk write fail
+ */
+class MongoBulkWriteError extends MongoServerError {
+  /**
+   * Constructor
+   * @param {Array<WriteError>} writeErrors - Per-operation failures
+   * @param {Object} result - Result of the operations that succeeded
+   */
+  constructor(writeErrors, result) {
+    const first = writeErrors[0];
+    super(first ? first.errmsg : 'Bulk write failed', { code: first ? first.code : undefined });
+    this.name = 'MongoBulkWriteError';
+    this.writeErrors = writeErrors;
+    this.result = result;
+
+    // The driver also exposes the result counts directly on the error
+    for (const key of Object.keys(result)) {
+      if (!(key in this)) {
+        this[key] = result[key];
+      }
+    }
+  }
+}
+
+/**
+ * MongoWriteConcernError - The write was applied but its write concern could not be satisfied
+ */
+class MongoWriteConcernError extends MongoServerError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   * @param {Object} details - { code, codeName, errInfo, result } where result is the write's result
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MongoWriteConcernError';
+  }
+}
+
+/**
+ * MongoNetworkError - The connection to the server failed during an operation
+ */
+class MongoNetworkError extends MongoError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoNetworkError';
+  }
+}
+
+/**
+ * MongoNetworkTimeoutError - The server did not answer in time
+ */
+class MongoNetworkTimeoutError extends MongoNetworkError {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'MongoNetworkTimeoutError';
+  }
+}
+
+/**
+ * BSONError - Raised for invalid BSON values, such as a malformed ObjectId
+ *
+ * Like the driver's BSONError, this is not part of the MongoError hierarchy.
+ */
+class BSONError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'BSONError';
+  }
+}
+
+/**
+ * Convert any thrown value into a WriteError for a bulk operation
+ * @param {Error} error - Error raised by the operation
+ * @param {number} index - Index of the operation in the batch
+ * @param {Object} op - The operation
+ * @returns {WriteError} - Write error entry
+ */
+function toWriteError(error, index, op) {
+  return new WriteError({
+    index,
+    code: error.code,
+    errmsg: error.message,
+    errInfo: error.errInfo,
+    op
+  });
+}
+
+module.exports = {
+  MongoError,
+  MongoServerError,
+  MongoBulkWriteError,
+  WriteError,
+  MongoTransactionError,
+  MongoExpiredSessionError,
+  MongoParseError,
+  MongoInvalidArgumentError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  BSONError,
+  toWriteError
+};
@@ -0,0 +1,636 @@
+const { isTraversable } = require('./pathUtils');
+const { compareValues } = require('./compare');
+const { typeOf } = require('./bsonTypes');
+const { textScoreOf } = require('./textSearch');
+
+/**
+ * expressions - Evaluator for aggregation expressions
+ *
+ * Evaluates the expression language used by aggregation stages such as
+ * $project, $addFields and $group: field paths ("$price"), variables
+ * ("$$ROOT", "$$item"), literals, embedded object expressions and
+ * operator expressions ({ $add: ['$price', '$tax'] }).
+ */
+
+/**
+ * Check whether a value counts as true in an aggregation expression
+ *
+ * Only false, null, undefined (missing) and 0 are false.
+ *
+ * @param {*} value - Value to test
+ * @returns {boolean} - Truthiness following MongoDB rules
+ */
+function isTruthy(value) {
+  return !(value === false || value === null || value === undefined || value === 0);
+}
+
+/**
+ * Resolve a dotted field path inside a value, mapping over arrays
+ * @param {*} value - Starting value
+ * @param {Array<string>} segments - Remaining path segments
+ * @returns {*} - Resolved value (arrays of values when the path crosses arrays)
+ * @private
+ */
+function resolveFieldPath(value, segments) {
+  if (segments.length === 0) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map(element => resolveFieldPath(element, segments))
+      .filter(element => element !== undefined);
+  }
+  if (isTraversable(value)) {
+    return resolveFieldPath(value[segments[0]], segments.slice(1));
+  }
+  return undefined;
+}
+
+/**
+ * Convert a value to a number for arithmetic, treating Dates as milliseconds
+ * @param {*} value - Value to convert
+ * @returns {number|null} - Numeric value, or null for null/missing
+ * @private
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value !== 'number') {
+    throw new Error(`Expected a number but found ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Normalize operator arguments to an array
+ * @param {*} args - Raw operator argument
+ * @returns {Array} - Arguments as an array
+ * @private
+ */
+function argList(args) {
+  return Array.isArray(args) ? args : [args];
+}
+
+/**
+ * Sum the numeric values in a list, ignoring everything else
+ * @param {Array} values - Values to sum
+ * @returns {number} - Sum
+ */
+function sumValues(values) {
+  return values.reduce((total, value) => (typeof value === 'number' ? total + value : total), 0);
+}
+
+/**
+ * Average the numeric values in a list, ignoring everything else
+ * @param {Array} values - Values to average
+ * @returns {number|null} - Average, or null if there were no numbers
+ */
+function averageValues(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length === 0 ? null : sumValues(numbers) / numbers.length;
+}
+
+/**
+ * Find the smallest or largest non-null value in a list
+ * @param {Array} values - Values to compare
+ * @param {number} direction - -1 for minimum, 1 for maximum
+ * @returns {*} - Extreme value, or null if the list held only null/missing values
+ */
+function extremeValue(values, direction) {
+  let result = null;
+  for (const value of values) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (result === null || compareValues(value, result) * direction > 0) {
+      result = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the calendar parts of a date in UTC
+ * @param {*} value - Date value
+ * @returns {Object|null} - Date parts, or null for null/missing
+ * @private
+ */
+function dateParts(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (!(value instanceof Date)) {
+    throw new Error(`Expected a date but found ${JSON.stringify(value)}`);
+  }
+  const startOfYear = Date.UTC(value.getUTCFullYear(), 0, 1);
+  return {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    dayOfMonth: value.getUTCDate(),
+    dayOfWeek: value.getUTCDay() + 1,
+    dayOfYear: Math.floor((value.getTime() - startOfYear) / 86400000) + 1,
+    hour: value.getUTCHours(),
+    minute: value.getUTCMinutes(),
+    second: value.getUTCSeconds(),
+    millisecond: value.getUTCMilliseconds()
+  };
+}
+
+/**
+ * Format a date with a subset of MongoDB's $dateToString specifiers
+ * @param {Date} date - Date to format
+ * @param {string} format - Format string (e.g. "%Y-%m-%d")
+ * @returns {string} - Formatted date
+ * @private
+ */
+function formatDate(date, format) {
+  const parts = dateParts(date);
+  const pad = (value, length) => String(value).padStart(length, '0');
+  const specifiers = {
+    Y: pad(parts.year, 4),
+    m: pad(parts.month, 2),
+    d: pad(parts.dayOfMonth, 2),
+    H: pad(parts.hour, 2),
+    M: pad(parts.minute, 2),
+    S: pad(parts.second, 2),
+    L: pad(parts.millisecond, 3),
+    j: pad(parts.dayOfYear, 3),
+    u: String(parts.dayOfWeek === 1 ? 7 : parts.dayOfWeek - 1),
+    '%': '%'
+  };
+  return format.replace(/%([YmdHMSLju%])/g, (match, specifier) => specifiers[specifier]);
+}
+
+/**
+ * Get the BSON type name of a value, as $type reports it
+ * @param {*} value - Value to inspect
+ * @returns {string} - Type name
+ * @private
+ */
+function typeName(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (value instanceof Uint8Array) return 'binData';
+  if (value && value._bsontype) return typeOf(value);
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'bigint') return 'long';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 ? 'int' : 'double';
+  }
+  return 'object';
+}
+
+/**
+ * Operator implementations
+ *
+ * Each receives the raw (unevaluated) argument, an `evaluate` function bound
+ * to the current document and variables (so conditional operators can evaluate
+ * lazily) and the current variables. `evaluate.withVariables(expr, vars)`
+ * evaluates with extra variables, as $map and $filter need.
+ */
+const OPERATORS = {
+  // Literals
+  $literal: args => args,
+
+  // Metadata
+  $meta: (args, evaluate) => {
+    if (args !== 'textScore') {
+      throw new Error(`Unsupported argument to $meta: ${JSON.stringify(args)}`);
+    }
+    return textScoreOf(evaluate('$$ROOT'));
+  },
+
+  // Arithmetic
+  $add: (args, evaluate) => {
+    const values = argList(args).map(evaluate);
+    if (values.some(value => value === null || value === undefined)) {
+      return null;
+    }
+    const hasDate = values.some(value => value instanceof Date);
+    const total = values.reduce((sum, value) => sum + toNumber(value), 0);
+    return hasDate ? new Date(total) : total;
+  },
+  $subtract: (args, evaluate) => {
+    const [a, b] = argList(args).map(evaluate);
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return null;
+    }
+    const difference = toNumber(a) - toNumber(b);
+    return a instanceof Date && !(b instanceof Date) ? new Date(difference) : difference;
+  },
+  $multiply: (args, evaluate) => {
+    const values = argList(args).map(evaluate);
+    if (values.some(value => value === null || value === undefined)) {
+      return null;
+    }
+    return values.reduce((product, value) => product * toNumber(value), 1);
+  },
+  $divide: (args, evaluate) => {
+    const [a, b] = argList(args).map(evaluate).map(toNumber);
+    if (a === null || b === null) {
+      return null;
+    }
+    if (b === 0) {
+      throw new Error("can't $divide by zero");
+    }
+    return a / b;
+  },
+  $mod: (args, evaluate) => {
+    const [a, b] = argList(args).map(evaluate).map(toNumber);
+    return a === null || b === null ? null : a % b;
+  },
+  $abs: (args, evaluate) => {
+    const value = toNumber(evaluate(argList(args)[0]));
+    return value === null ? null : Math.abs(value);
+  },
+  $ceil: (args, evaluate) => {
+    const value = toNumber(evaluate(argList(args)[0]));
+    return value === null ? null : Math.ceil(value);
+  },
+  $floor: (args, evaluate) => {
+    const value = toNumber(evaluate(argList(args)[0]));
+    return value === null ? null : Math.floor(value);
+  },
+  $round: (args, evaluate) => {
+    const [value, place = 0] = argList(args).map(evaluate);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    const factor = Math.pow(10, place);
+    return Math.round(toNumber(value) * factor) / factor;
+  },
+
+  // Comparison
+  $eq: (args, evaluate) => compareArgs(args, evaluate) === 0,
+  $ne: (args, evaluate) => compareArgs(args, evaluate) !== 0,
+  $gt: (args, evaluate) => compareArgs(args, evaluate) > 0,
+  $gte: (args, evaluate) => compareArgs(args, evaluate) >= 0,
+  $lt: (args, evaluate) => compareArgs(args, evaluate) < 0,
+  $lte: (args, evaluate) => compareArgs(args, evaluate) <= 0,
+  $cmp: (args, evaluate) => Math.sign(compareArgs(args, evaluate)),
+
+  // Boolean
+  $and: (args, evaluate) => argList(args).every(arg => isTruthy(evaluate(arg))),
+  $or: (args, evaluate) => argList(args).some(arg => isTruthy(evaluate(arg))),
+  $not: (args, evaluate) => !isTruthy(evaluate(argList(args)[0])),
+
+  // Conditional
+  $cond: (args, evaluate) => {
+    const [condition, thenValue, elseValue] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+    return isTruthy(evaluate(condition)) ? evaluate(thenValue) : evaluate(elseValue);
+  },
+  $ifNull: (args, evaluate) => {
+    const list = argList(args);
+    for (let i = 0; i < list.length - 1; i++) {
+      const value = evaluate(list[i]);
+      if (value !== null && value !== undefined) {
+        return value;
+      }
+    }
+    return evaluate(list[list.length - 1]);
+  },
+  $switch: (args, evaluate) => {
+    for (const branch of args.branches || []) {
+      if (isTruthy(evaluate(branch.case))) {
+        return evaluate(branch.then);
+      }
+    }
+    if ('default' in args) {
+      return evaluate(args.default);
+    }
+    throw new Error('$switch could not find a matching branch for an input, and no default was specified.');
+  },
+
+  // Strings
+  $concat: (args, evaluate) => {
+    const values = argList(args).map(evaluate);
+    if (values.some(value => value === null || value === undefined)) {
+      return null;
+    }
+    return values.join('');
+  },
+  $toUpper: (args, evaluate) => stringOf(evaluate(argList(args)[0])).toUpperCase(),
+  $toLower: (args, evaluate) => stringOf(evaluate(argList(args)[0])).toLowerCase(),
+  $trim: (args, evaluate) => {
+    const value = evaluate(args.input);
+    return value === null || value === undefined ? null : String(value).trim();
+  },
+  $split: (args, evaluate) => {
+    const [value, delimiter] = argList(args).map(evaluate);
+    return value === null || value === undefined ? null : String(value).split(delimiter);
+  },
+  $substr: (args, evaluate) => OPERATORS.$substrCP(args, evaluate),
+  $substrCP: (args, evaluate) => {
+    const [value, start, length] = argList(args).map(evaluate);
+    return Array.from(stringOf(value)).slice(start, length < 0 ? undefined : start + length).join('');
+  },
+  $strLenCP: (args, evaluate) => Array.from(stringOf(evaluate(argList(args)[0]))).length,
+  $indexOfCP: (args, evaluate) => {
+    const [value, search] = argList(args).map(evaluate);
+    return value === null || value === undefined ? null : String(value).indexOf(search);
+  },
+  $regexMatch: (args, evaluate) => {
+    const input = evaluate(args.input);
+    const regex = evaluate(args.regex);
+    const pattern = regex instanceof RegExp ? regex : new RegExp(regex, evaluate(args.options) || '');
+    return typeof input === 'string' && pattern.test(input);
+  },
+
+  // Arrays
+  $size: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    if (!Array.isArray(value)) {
+      throw new Error('The argument to $size must be an array');
+    }
+    return value.length;
+  },
+  $arrayElemAt: (args, evaluate) => {
+    const [array, index] = argList(args).map(evaluate);
+    if (!Array.isArray(array)) {
+      return null;
+    }
+    const element = index < 0 ? array[array.length + index] : array[index];
+    return element;
+  },
+  $first: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return Array.isArray(value) ? value[0] : null;
+  },
+  $last: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return Array.isArray(value) ? value[value.length - 1] : null;
+  },
+  $slice: (args, evaluate) => {
+    const [array, a, b] = argList(args).map(evaluate);
+    if (!Array.isArray(array)) {
+      return null;
+    }
+    if (b === undefined) {
+      return a < 0 ? array.slice(a) : array.slice(0, a);
+    }
+    const start = a < 0 ? Math.max(array.length + a, 0) : a;
+    return array.slice(start, start + b);
+  },
+  $concatArrays: (args, evaluate) => {
+    const arrays = argList(args).map(evaluate);
+    if (arrays.some(array => array === null || array === undefined)) {
+      return null;
+    }
+    return [].concat(...arrays);
+  },
+  $in: (args, evaluate) => {
+    const [value, array] = argList(args).map(evaluate);
+    if (!Array.isArray(array)) {
+      throw new Error('$in requires an array as a second argument');
+    }
+    return array.some(element => compareValues(element, value) === 0);
+  },
+  $isArray: (args, evaluate) => Array.isArray(evaluate(argList(args)[0])),
+  $reverseArray: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return Array.isArray(value) ? value.slice().reverse() : null;
+  },
+  $range: (args, evaluate) => {
+    const [start, end, step = 1] = argList(args).map(evaluate);
+    const result = [];
+    for (let i = start; step > 0 ? i < end : i > end; i += step) {
+      result.push(i);
+    }
+    return result;
+  },
+  $filter: (args, evaluate, variables) => {
+    const input = evaluate(args.input);
+    if (!Array.isArray(input)) {
+      return null;
+    }
+    const name = args.as || 'this';
+    const result = input.filter(item => isTruthy(evaluate.withVariables(args.cond, { ...variables, [name]: item })));
+    return args.limit === undefined ? result : result.slice(0, evaluate(args.limit));
+  },
+  $map: (args, evaluate, variables) => {
+    const input = evaluate(args.input);
+    if (!Array.isArray(input)) {
+      return null;
+    }
+    const name = args.as || 'this';
+    return input.map(item => evaluate.withVariables(args.in, { ...variables, [name]: item }));
+  },
+  $reduce: (args, evaluate, variables) => {
+    const input = evaluate(args.input);
+    if (!Array.isArray(input)) {
+      return null;
+    }
+    return input.reduce(
+      (value, item) => evaluate.withVariables(args.in, { ...variables, value, this: item }),
+      evaluate(args.initialValue)
+    );
+  },
+
+  // Objects
+  $mergeObjects: (args, evaluate) => Object.assign({}, ...argList(args).map(evaluate).filter(isTraversable)),
+  $objectToArray: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return isTraversable(value) ? Object.keys(value).map(k => ({ k, v: value[k] })) : null;
+  },
+  $arrayToObject: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    if (!Array.isArray(value)) {
+      return null;
+    }
+    const result = {};
+    for (const entry of value) {
+      if (Array.isArray(entry)) {
+        result[entry[0]] = entry[1];
+      } else {
+        result[entry.k] = entry.v;
+      }
+    }
+    return result;
+  },
+
+  // Accumulator-style operators applied to arrays or argument lists
+  $sum: (args, evaluate) => sumValues(accumulatorInput(args, evaluate)),
+  $avg: (args, evaluate) => averageValues(accumulatorInput(args, evaluate)),
+  $min: (args, evaluate) => extremeValue(accumulatorInput(args, evaluate), -1),
+  $max: (args, evaluate) => extremeValue(accumulatorInput(args, evaluate), 1),
+
+  // Types
+  $type: (args, evaluate) => typeName(evaluate(argList(args)[0])),
+  $toString: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+  },
+  $toInt: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return value === null || value === undefined ? null : Math.trunc(Number(value));
+  },
+  $toDouble: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return value instanceof Date ? value.getTime() : Number(value);
+  },
+  $toBool: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return value === null || value === undefined ? null : isTruthy(value);
+  },
+  $toDate: (args, evaluate) => {
+    const value = evaluate(argList(args)[0]);
+    return value === null || value === undefined ? null : new Date(value);
+  },
+
+  // Dates
+  $year: (args, evaluate) => datePart(args, evaluate, 'year'),
+  $month: (args, evaluate) => datePart(args, evaluate, 'month'),
+  $dayOfMonth: (args, evaluate) => datePart(args, evaluate, 'dayOfMonth'),
+  $dayOfWeek: (args, evaluate) => datePart(args, evaluate, 'dayOfWeek'),
+  $dayOfYear: (args, evaluate) => datePart(args, evaluate, 'dayOfYear'),
+  $hour: (args, evaluate) => datePart(args, evaluate, 'hour'),
+  $minute: (args, evaluate) => datePart(args, evaluate, 'minute'),
+  $second: (args, evaluate) => datePart(args, evaluate, 'second'),
+  $millisecond: (args, evaluate) => datePart(args, evaluate, 'millisecond'),
+  $dateToString: (args, evaluate) => {
+    const date = evaluate(args.date);
+    if (date === null || date === undefined) {
+      return args.onNull === undefined ? null : evaluate(args.onNull);
+    }
+    return formatDate(date, args.format || '%Y-%m-%dT%H:%M:%S.%LZ');
+  }
+};
+
+/**
+ * Compare the two evaluated arguments of a comparison operator
+ * @private
+ */
+function compareArgs(args, evaluate) {
+  const [a, b] = argList(args).map(evaluate);
+  return compareValues(a, b);
+}
+
+/**
+ * Convert a value to a string for string operators (null and missing become "")
+ * @private
+ */
+function stringOf(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Get the values an accumulator-style operator works on: a single array argument,
+ * or the list of evaluated arguments
+ * @private
+ */
+function accumulatorInput(args, evaluate) {
+  if (Array.isArray(args)) {
+    return args.map(evaluate);
+  }
+  const value = evaluate(args);
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Extract one calendar part from a date argument
+ * @private
+ */
+function datePart(args, evaluate, part) {
+  const input = isTraversable(args) && 'date' in args ? args.date : argList(args)[0];
+  const parts = dateParts(evaluate(input));
+  return parts === null ? null : parts[part];
+}
+
+/**
+ * Evaluate an aggregation expression against a document
+ * @param {*} expression - Expression to evaluate
+ * @param {Object} root - Current document ($$ROOT / $$CURRENT)
+ * @param {Object} variables - User variables (from `let`, `$map`, `$filter`, ...)
+ * @returns {*} - Evaluated value (undefined for missing fields and $$REMOVE)
+ */
+function evaluateExpression(expression, root, variables = {}) {
+  const evaluate = expr => evaluateExpression(expr, root, variables);
+  evaluate.withVariables = (expr, vars) => evaluateExpression(expr, root, vars);
+
+  if (typeof expression === 'string') {
+    if (expression.startsWith('$$')) {
+      const [name, ...segments] = expression.slice(2).split('.');
+      let value;
+      if (name === 'ROOT' || name === 'CURRENT') {
+        value = root;
+      } else if (name === 'NOW') {
+        // Collections pass their database's clock as NOW (user variables start with a lowercase letter)
+        value = 'NOW' in variables ? variables.NOW : new Date();
+      } else if (name === 'REMOVE') {
+        return undefined;
+      } else if (name in variables) {
+        value = variables[name];
+      } else {
+        throw new Error(`Use of undefined variable: ${name}`);
+      }
+      return resolveFieldPath(value, segments);
+    }
+    if (expression.startsWith('$')) {
+      return resolveFieldPath(root, expression.slice(1).split('.'));
+    }
+    return expression;
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item));
+  }
+
+  if (isTraversable(expression)) {
+    const keys = Object.keys(expression);
+
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      const operator = OPERATORS[keys[0]];
+      if (!operator) {
+        throw new Error(`Unrecognized expression '${keys[0]}'`);
+      }
+      return operator(expression[keys[0]], evaluate, variables);
+    }
+
+    // Object literal: evaluate every field, dropping those that evaluate to missing
+    const result = {};
+    for (const key of keys) {
+      const value = evaluate(expression[key]);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  return expression;
+}
+
+/**
+ * Check whether a value is an operator expression or field path rather than a plain literal
+ * @param {*} value - Value to inspect
+ * @returns {boolean} - True if the value needs evaluating
+ */
+function isExpression(value) {
+  if (typeof value === 'string') {
+    return value.startsWith('$');
+  }
+  return isTraversable(value) && Object.keys(value).length === 1 && Object.keys(value)[0].startsWith('$');
+}
+
+module.exports = {
+  evaluateExpression,
+  isExpression,
+  isTruthy,
+  sumValues,
+  averageValues,
+  extremeValue
+};
@@ -0,0 +1,968 @@
+const { isTraversable } = require('./pathUtils');
+const { MongoServerError } = require('./errors');
+
+/**
+ * geo - GeoJSON geometries and geospatial queries
+ *
+ * Locations are GeoJSON geometries or legacy coordinate pairs, with the
+ * longitude first. Everything is computed on a sphere the size of the Earth,
+ * as a 2dsphere index does: points become unit vectors, edges are great-circle
+ * arcs, and distances are central angles, reported in meters for GeoJSON
+ * queries and in radians for legacy coordinate pairs.
+ *
+ * Polygons are taken to be smaller than a hemisphere, the default of MongoDB
+ * when no custom "big polygon" CRS is given. The legacy $box, $polygon and
+ * $center shapes of $geoWithin are flat, in coordinate units.
+ */
+
+/**
+ * Radius of the Earth used by mongod for spherical distances, in meters
+ */
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Query operators that need a geospatial index
+ */
+const NEAR_OPERATORS = ['$near', '$nearSphere'];
+
+/**
+ * All geospatial query operators
+ */
+const GEO_OPERATORS = [...NEAR_OPERATORS, '$geoWithin', '$geoIntersects'];
+
+/**
+ * GeoJSON geometry types
+ */
+const GEOMETRY_TYPES = [
+  'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+/**
+ * Angle, in radians, under which two points are taken to coincide
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Prepared geometries, keyed by GeoJSON object
+ */
+const preparedGeometries = new WeakMap();
+
+/**
+ * List the geometries held by a location value
+ *
+ * A value may be a GeoJSON geometry, a legacy coordinate pair ([lng, lat] or
+ * an embedded document of two numbers), or an array of those.
+ *
+ * @param {*} value - Field value
+ * @returns {Array<Object>|null} - GeoJSON geometries, or null if the value is not a valid location
+ */
+function geometriesOf(value) {
+  const geometries = locationsOf(value);
+  if (!geometries || geometries.some(geometry => geometryError(geometry) !== null)) {
+    return null;
+  }
+  return geometries;
+}
+
+/**
+ * Explain why a value cannot be indexed by a 2dsphere index
+ * @param {*} value - Field value
+ * @returns {string|null} - Reason, or null if the value holds valid geometries
+ */
+function geoKeyError(value) {
+  const geometries = locationsOf(value);
+  if (!geometries) {
+    return 'geo element must be an array or object';
+  }
+  for (const geometry of geometries) {
+    const reason = geometryError(geometry);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a field condition uses a geospatial operator
+ * @param {*} condition - Field condition
+ * @returns {boolean} - True if the condition holds a geospatial operator
+ */
+function isGeoCondition(condition) {
+  return isTraversable(condition) && GEO_OPERATORS.some(operator => operator in condition);
+}
+
+/**
+ * Check whether a field condition is a $near or $nearSphere query
+ * @param {*} condition - Field condition
+ * @returns {boolean} - True for proximity conditions
+ */
+function isNearCondition(condition) {
+  return isTraversable(condition) && NEAR_OPERATORS.some(operator => operator in condition);
+}
+
+/**
+ * Count the $near and $nearSphere expressions of a query
+ * @param {Object} query - Query filter
+ * @returns {number} - Number of proximity expressions, all at the top level
+ * @throws {MongoServerError} - BadValue if one is nested in a logical operator
+ */
+function countNearExpressions(query) {
+  let count = 0;
+  const visit = (clause, nested) => {
+    if (!isTraversable(clause)) {
+      return;
+    }
+    for (const [key, value] of Object.entries(clause)) {
+      if ((key === '$and' || key === '$or' || key === '$nor') && Array.isArray(value)) {
+        value.forEach(sub => visit(sub, true));
+      } else if (!key.startsWith('$') && isNearCondition(value)) {
+        if (nested) {
+          throw badValue('geo near must be top-level expr');
+        }
+        count++;
+      }
+    }
+  };
+  visit(query, false);
+  return count;
+}
+
+/**
+ * Parse a $near or $nearSphere field condition
+ *
+ * A GeoJSON point ({ $geometry, $maxDistance, $minDistance }) measures in
+ * meters; a legacy coordinate pair measures in radians and takes
+ * $maxDistance and $minDistance beside the operator. Legacy $near is flat
+ * and needs a 2d index, which is not supported.
+ *
+ * @param {Object} condition - Field condition holding the operator
+ * @returns {Object} - { point, minDistance, maxDistance, metric } with distances in radians
+ * @throws {MongoServerError} - BadValue for a malformed query, NoQueryExecutionPlans for legacy $near
+ */
+function parseNearQuery(condition) {
+  const operator = NEAR_OPERATORS.find(name => name in condition);
+  const near = condition[operator];
+  let coordinates;
+  let limits = condition;
+  let metric;
+
+  if (isTraversable(near) && near.$geometry !== undefined) {
+    const geometry = near.$geometry;
+    if (!isTraversable(geometry) || geometry.type !== 'Point' || positionError(geometry.coordinates)) {
+      throw badValue(`invalid point in geo near query $geometry argument: ${JSON.stringify(geometry)}`);
+    }
+    coordinates = geometry.coordinates;
+    limits = {
+      $minDistance: near.$minDistance !== undefined ? near.$minDistance : condition.$minDistance,
+      $maxDistance: near.$maxDistance !== undefined ? near.$maxDistance : condition.$maxDistance
+    };
+    metric = 'meters';
+  } else {
+    const legacy = legacyPoint(near);
+    if (!legacy) {
+      throw badValue(`${operator} must be a GeoJSON point or a legacy coordinate pair`);
+    }
+    if (operator === '$near') {
+      throw noQueryExecutionPlans();
+    }
+    coordinates = legacy.coordinates;
+    metric = 'radians';
+  }
+
+  const scale = metric === 'meters' ? 1 / EARTH_RADIUS_METERS : 1;
+  return {
+    point: toVector(coordinates),
+    minDistance: distanceLimit(limits, '$minDistance', 0) * scale,
+    maxDistance: distanceLimit(limits, '$maxDistance', Infinity) * scale,
+    metric
+  };
+}
+
+/**
+ * Distance from a parsed proximity query to the nearest of some geometries
+ * @param {Object} near - Result of parseNearQuery
+ * @param {Array<Object>} geometries - GeoJSON geometries
+ * @returns {number|null} - Distance in radians, or null if outside the query's limits
+ */
+function nearDistance(near, geometries) {
+  const distance = Math.min(...geometries.map(geometry => distanceTo(near.point, prepare(geometry))));
+  if (distance < near.minDistance - EPSILON || distance > near.maxDistance + EPSILON) {
+    return null;
+  }
+  return distance;
+}
+
+/**
+ * Convert a distance from radians to the unit of a proximity query
+ * @param {Object} near - Result of parseNearQuery
+ * @param {number} distance - Distance in radians
+ * @returns {number} - Distance in meters or radians
+ */
+function toQueryDistance(near, distance) {
+  return near.metric === 'meters' ? distance * EARTH_RADIUS_METERS : distance;
+}
+
+/**
+ * Parse the shape of a $geoWithin or $geoIntersects condition
+ * @param {string} operator - '$geoWithin' or '$geoIntersects'
+ * @param {*} value - Operator argument
+ * @returns {Object} - Shape, for matchesGeoShape
+ * @throws {MongoServerError} - BadValue for a malformed shape
+ */
+function parseGeoShape(operator, value) {
+  if (!isTraversable(value)) {
+    throw badValue(`${operator} must be an object`);
+  }
+  const kinds = Object.keys(value);
+  if (kinds.length !== 1) {
+    throw badValue(`${operator} must have exactly one shape`);
+  }
+  const kind = kinds[0];
+  const argument = value[kind];
+
+  if (kind === '$geometry') {
+    const reason = isTraversable(argument) ? geometryError(argument) : 'geometry must be an object';
+    if (reason) {
+      throw badValue(`${operator} has an invalid $geometry: ${reason}`);
+    }
+    if (operator === '$geoWithin' && argument.type !== 'Polygon' && argument.type !== 'MultiPolygon') {
+      throw badValue(`$geoWithin not supported with provided geometry: ${JSON.stringify(argument)}`);
+    }
+    return { kind, geometry: prepare(argument) };
+  }
+  if (operator === '$geoIntersects') {
+    throw badValue('$geoIntersects requires a $geometry');
+  }
+
+  switch (kind) {
+    case '$centerSphere': {
+      const center = Array.isArray(argument) ? legacyPoint(argument[0]) : null;
+      if (!center || positionError(center.coordinates) || !isRadius(argument[1])) {
+        throw badValue('$centerSphere must be [[lng, lat], radius in radians]');
+      }
+      return { kind, center: toVector(center.coordinates), radius: argument[1] };
+    }
+    case '$center': {
+      const center = Array.isArray(argument) ? legacyPoint(argument[0]) : null;
+      if (!center || !isRadius(argument[1])) {
+        throw badValue('$center must be [[x, y], radius]');
+      }
+      return { kind, center: center.coordinates, radius: argument[1] };
+    }
+    case '$box': {
+      const corners = Array.isArray(argument) && argument.length === 2 ? argument.map(legacyPoint) : [];
+      if (corners.length !== 2 || !corners.every(Boolean)) {
+        throw badValue('$box must be [[x1, y1], [x2, y2]]');
+      }
+      const [[x1, y1], [x2, y2]] = corners.map(corner => corner.coordinates);
+      return { kind, min: [Math.min(x1, x2), Math.min(y1, y2)], max: [Math.max(x1, x2), Math.max(y1, y2)] };
+    }
+    case '$polygon': {
+      const vertices = Array.isArray(argument) ? argument.map(legacyPoint) : [];
+      if (vertices.length < 3 || !vertices.every(Boolean)) {
+        throw badValue('$polygon must have at least 3 points');
+      }
+      return { kind, vertices: vertices.map(vertex => vertex.coordinates) };
+    }
+    default:
+      throw badValue(`unknown geo specifier: ${kind}`);
+  }
+}
+
+/**
+ * Check a geometry against a $geoWithin or $geoIntersects shape
+ * @param {string} operator - '$geoWithin' or '$geoIntersects'
+ * @param {Object} shape - Result of parseGeoShape
+ * @param {Object} geometry - GeoJSON geometry of a document
+ * @returns {boolean} - True if the geometry matches
+ */
+function matchesGeoShape(operator, shape, geometry) {
+  if (operator === '$geoIntersects') {
+    return intersects(prepare(geometry), shape.geometry);
+  }
+
+  switch (shape.kind) {
+    case '$geometry':
+      return within(prepare(geometry), shape.geometry);
+    case '$centerSphere':
+      return positionsOf(geometry).every(position => angle(toVector(position), shape.center) <= shape.radius + EPSILON);
+    case '$center':
+      return positionsOf(geometry).every(([x, y]) => Math.hypot(x - shape.center[0], y - shape.center[1]) <= shape.radius);
+    case '$box':
+      return positionsOf(geometry).every(([x, y]) =>
+        x >= shape.min[0] && x <= shape.max[0] && y >= shape.min[1] && y <= shape.max[1]
+      );
+    default:
+      return positionsOf(geometry).every(position => inFlatPolygon(position, shape.vertices));
+  }
+}
+
+/**
+ * Geometries in a value, without validating them
+ * @param {*} value - Field value
+ * @returns {Array<Object>|null} - Geometries, or null if the value is not a location
+ * @private
+ */
+function locationsOf(value) {
+  if (Array.isArray(value)) {
+    const legacy = legacyPoint(value);
+    if (legacy) {
+      return [legacy];
+    }
+    const geometries = [];
+    for (const element of value) {
+      const nested = locationsOf(element);
+      if (!nested) {
+        return null;
+      }
+      geometries.push(...nested);
+    }
+    return geometries.length > 0 ? geometries : null;
+  }
+  if (isTraversable(value)) {
+    if (typeof value.type === 'string') {
+      return [value];
+    }
+    const legacy = legacyPoint(value);
+    return legacy ? [legacy] : null;
+  }
+  return null;
+}
+
+/**
+ * Read a legacy coordinate pair
+ * @param {*} value - [x, y] or an embedded document whose first two values are numbers
+ * @returns {Object|null} - GeoJSON point, or null
+ * @private
+ */
+function legacyPoint(value) {
+  let coordinates = null;
+  if (Array.isArray(value)) {
+    coordinates = value;
+  } else if (isTraversable(value) && value.type === undefined) {
+    coordinates = Object.values(value);
+  }
+  if (!coordinates || coordinates.length !== 2 || !coordinates.every(isCoordinate)) {
+    return null;
+  }
+  return { type: 'Point', coordinates: coordinates.slice() };
+}
+
+/**
+ * Explain why a GeoJSON geometry is invalid
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string|null} - Reason, or null if valid
+ * @private
+ */
+function geometryError(geometry) {
+  if (!GEOMETRY_TYPES.includes(geometry.type)) {
+    return `unknown GeoJSON type: ${JSON.stringify(geometry.type)}`;
+  }
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries) || geometry.geometries.length === 0) {
+      return 'GeometryCollection geometries must be a non-empty array';
+    }
+    for (const member of geometry.geometries) {
+      const reason = isTraversable(member) ? geometryError(member) : 'geometry must be an object';
+      if (reason) {
+        return reason;
+      }
+    }
+    return null;
+  }
+
+  const coordinates = geometry.coordinates;
+  switch (geometry.type) {
+    case 'Point':
+      return positionError(coordinates);
+    case 'LineString':
+      return lineError(coordinates);
+    case 'Polygon':
+      return polygonError(coordinates);
+    case 'MultiPoint':
+      return firstError(coordinates, positionError, 'MultiPoint');
+    case 'MultiLineString':
+      return firstError(coordinates, lineError, 'MultiLineString');
+    default:
+      return firstError(coordinates, polygonError, 'MultiPolygon');
+  }
+}
+
+/**
+ * @param {*} members - Coordinates of a multi-geometry
+ * @param {Function} check - Validator of one member
+ * @param {string} type - Geometry type, for the message
+ * @returns {string|null} - First reason, or null
+ * @private
+ */
+function firstError(members, check, type) {
+  if (!Array.isArray(members) || members.length === 0) {
+    return `${type} coordinates must be a non-empty array`;
+  }
+  for (const member of members) {
+    const reason = check(member);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {*} position - [lng, lat]
+ * @returns {string|null} - Reason, or null if valid
+ * @private
+ */
+function positionError(position) {
+  if (!Array.isArray(position) || position.length < 2 || !position.every(isCoordinate)) {
+    return 'Point must only contain numeric elements';
+  }
+  const [lng, lat] = position;
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    return `longitude/latitude is out of bounds, lng: ${lng} lat: ${lat}`;
+  }
+  return null;
+}
+
+/**
+ * @param {*} coordinates - LineString coordinates
+ * @returns {string|null} - Reason, or null if valid
+ * @private
+ */
+function lineError(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    return 'GeoJSON LineString must have at least 2 vertices';
+  }
+  return firstError(coordinates, positionError, 'LineString');
+}
+
+/**
+ * @param {*} coordinates - Polygon rings
+ * @returns {string|null} - Reason, or null if valid
+ * @private
+ */
+function polygonError(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return 'Polygon coordinates must be a non-empty array of loops';
+  }
+  for (const ring of coordinates) {
+    const reason = firstError(ring, positionError, 'Polygon loop');
+    if (reason) {
+      return reason;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return 'Loop is not closed, first vertex does not equal last vertex';
+    }
+    if (ring.length < 4) {
+      return 'Loop must have at least 3 different vertices';
+    }
+  }
+  return null;
+}
+
+/**
+ * All positions of a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Array<number>>} - [lng, lat] positions
+ * @private
+ */
+function positionsOf(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return [geometry.coordinates];
+    case 'MultiPoint':
+    case 'LineString':
+      return geometry.coordinates;
+    case 'MultiLineString':
+    case 'Polygon':
+      return [].concat(...geometry.coordinates);
+    case 'MultiPolygon':
+      return [].concat(...geometry.coordinates.map(polygon => [].concat(...polygon)));
+    default:
+      return [].concat(...geometry.geometries.map(positionsOf));
+  }
+}
+
+/**
+ * Break a geometry into points, polylines and polygons of unit vectors
+ * @param {Object} geometry - Valid GeoJSON geometry
+ * @returns {Object} - { points, lines, polygons }
+ * @private
+ */
+function prepare(geometry) {
+  const cached = preparedGeometries.get(geometry);
+  if (cached) {
+    return cached;
+  }
+
+  const prepared = { points: [], lines: [], polygons: [] };
+  const addPolygon = rings => {
+    const loops = rings.map(ring => ring.slice(0, -1).map(toVector));
+    prepared.polygons.push({ loops, center: normalize(loops[0].reduce(add, [0, 0, 0])) });
+  };
+  switch (geometry.type) {
+    case 'Point':
+      prepared.points.push(toVector(geometry.coordinates));
+      break;
+    case 'MultiPoint':
+      prepared.points.push(...geometry.coordinates.map(toVector));
+      break;
+    case 'LineString':
+      prepared.lines.push(geometry.coordinates.map(toVector));
+      break;
+    case 'MultiLineString':
+      prepared.lines.push(...geometry.coordinates.map(line => line.map(toVector)));
+      break;
+    case 'Polygon':
+      addPolygon(geometry.coordinates);
+      break;
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(addPolygon);
+      break;
+    default:
+      for (const member of geometry.geometries.map(prepare)) {
+        prepared.points.push(...member.points);
+        prepared.lines.push(...member.lines);
+        prepared.polygons.push(...member.polygons);
+      }
+  }
+
+  preparedGeometries.set(geometry, prepared);
+  return prepared;
+}
+
+/**
+ * Shortest distance from a point to a prepared geometry
+ * @param {Array<number>} point - Unit vector
+ * @param {Object} geometry - Prepared geometry
+ * @returns {number} - Distance in radians
+ * @private
+ */
+function distanceTo(point, geometry) {
+  let distance = Infinity;
+  for (const other of geometry.points) {
+    distance = Math.min(distance, angle(point, other));
+  }
+  for (const [a, b] of edgesOf(geometry)) {
+    distance = Math.min(distance, distanceToArc(point, a, b));
+  }
+  if (geometry.polygons.some(polygon => polygonContains(polygon, point) !== 'outside')) {
+    return 0;
+  }
+  return distance;
+}
+
+/**
+ * Check whether two prepared geometries share at least one point
+ * @param {Object} first - Prepared geometry
+ * @param {Object} second - Prepared geometry
+ * @returns {boolean} - True if they intersect
+ * @private
+ */
+function intersects(first, second) {
+  const touches = (point, geometry) =>
+    geometry.points.some(other => angle(point, other) <= EPSILON) ||
+    edgesOf(geometry).some(([a, b]) => distanceToArc(point, a, b) <= EPSILON) ||
+    geometry.polygons.some(polygon => polygonContains(polygon, point) !== 'outside');
+  // A polyline or polygon that does not cross the other's edges meets it
+  // only if it lies inside one of its polygons, vertices included
+  const inside = (geometry, other) =>
+    [...geometry.lines.map(line => line[0]), ...geometry.polygons.map(polygon => polygon.loops[0][0])]
+      .some(vertex => other.polygons.some(polygon => polygonContains(polygon, vertex) !== 'outside'));
+
+  if (first.points.some(point => touches(point, second)) || second.points.some(point => touches(point, first))) {
+    return true;
+  }
+  const secondEdges = edgesOf(second);
+  if (edgesOf(first).some(([a, b]) => secondEdges.some(([c, d]) => arcsIntersect(a, b, c, d)))) {
+    return true;
+  }
+  return inside(first, second) || inside(second, first);
+}
+
+/**
+ * Check whether a prepared geometry lies inside the polygons of another
+ * @param {Object} geometry - Prepared geometry
+ * @param {Object} container - Prepared polygon or multipolygon
+ * @returns {boolean} - True if every part of the geometry is inside one of the polygons
+ * @private
+ */
+function within(geometry, container) {
+  const pathWithin = (vertices, closed) => container.polygons.some(polygon => {
+    if (vertices.some(vertex => polygonContains(polygon, vertex) === 'outside')) {
+      return false;
+    }
+    // Every vertex is inside, so the path leaves the polygon only by
+    // crossing an edge between two vertices that are not on the boundary
+    const boundary = polygonEdges(polygon);
+    return pathEdges(vertices, closed).every(([a, b]) =>
+      polygonContains(polygon, a) === 'boundary' ||
+      polygonContains(polygon, b) === 'boundary' ||
+      !boundary.some(([c, d]) => arcsIntersect(a, b, c, d))
+    );
+  });
+
+  return geometry.points.every(point => pathWithin([point], false)) &&
+    geometry.lines.every(line => pathWithin(line, false)) &&
+    geometry.polygons.every(polygon => pathWithin(polygon.loops[0], true));
+}
+
+/**
+ * Locate a point relative to a polygon and its holes
+ * @param {Object} polygon - Prepared polygon
+ * @param {Array<number>} point - Unit vector
+ * @returns {string} - 'inside', 'boundary' or 'outside'
+ * @private
+ */
+function polygonContains(polygon, point) {
+  const [shell, ...holes] = polygon.loops;
+  const inShell = loopContains(shell, point, polygon.center);
+  if (inShell !== 'inside') {
+    return inShell;
+  }
+  for (const hole of holes) {
+    const inHole = loopContains(hole, point, polygon.center);
+    if (inHole === 'boundary') {
+      return 'boundary';
+    }
+    if (inHole === 'inside') {
+      return 'outside';
+    }
+  }
+  return 'inside';
+}
+
+/**
+ * Locate a point relative to a loop, by the winding of the loop around it
+ *
+ * Seen from the point, each great-circle edge sweeps an angle of less than
+ * pi, so the signed sweeps add up to 2 pi exactly when the loop separates the
+ * point from its antipode. Requiring the point to be in the loop's hemisphere
+ * picks the smaller side.
+ *
+ * @param {Array<Array<number>>} loop - Vertices, without the closing one
+ * @param {Array<number>} point - Unit vector
+ * @param {Array<number>} center - Center of the polygon's shell
+ * @returns {string} - 'inside', 'boundary' or 'outside'
+ * @private
+ */
+function loopContains(loop, point, center) {
+  const edges = pathEdges(loop, true);
+  if (edges.some(([a, b]) => distanceToArc(point, a, b) <= EPSILON)) {
+    return 'boundary';
+  }
+  if (dot(point, center) <= 0) {
+    return 'outside';
+  }
+  let winding = 0;
+  for (const [a, b] of edges) {
+    const toA = tangent(point, a);
+    const toB = tangent(point, b);
+    winding += Math.atan2(dot(point, cross(toA, toB)), dot(toA, toB));
+  }
+  return Math.abs(winding) > Math.PI ? 'inside' : 'outside';
+}
+
+/**
+ * Angular distance from a point to a great-circle arc
+ * @param {Array<number>} point - Unit vector
+ * @param {Array<number>} a - Start of the arc
+ * @param {Array<number>} b - End of the arc
+ * @returns {number} - Distance in radians
+ * @private
+ */
+function distanceToArc(point, a, b) {
+  const ends = Math.min(angle(point, a), angle(point, b));
+  const normal = cross(a, b);
+  if (norm(normal) < 1e-15) {
+    return ends;
+  }
+  const unit = normalize(normal);
+  const foot = subtract(point, scale(unit, dot(point, unit)));
+  if (norm(foot) < 1e-15) {
+    return ends;
+  }
+  const closest = normalize(foot);
+  return onArc(closest, a, b, normal) ? Math.min(ends, angle(point, closest)) : ends;
+}
+
+/**
+ * Check whether two great-circle arcs share a point
+ * @param {Array<number>} a - Start of the first arc
+ * @param {Array<number>} b - End of the first arc
+ * @param {Array<number>} c - Start of the second arc
+ * @param {Array<number>} d - End of the second arc
+ * @returns {boolean} - True if the arcs intersect
+ * @private
+ */
+function arcsIntersect(a, b, c, d) {
+  const first = cross(a, b);
+  const second = cross(c, d);
+  const line = cross(first, second);
+  if (norm(line) < 1e-15) {
+    // Arcs on the same great circle meet where one holds an end of the other
+    return distanceToArc(c, a, b) <= EPSILON || distanceToArc(d, a, b) <= EPSILON ||
+      distanceToArc(a, c, d) <= EPSILON || distanceToArc(b, c, d) <= EPSILON;
+  }
+  const crossing = normalize(line);
+  return [crossing, scale(crossing, -1)].some(candidate =>
+    onArc(candidate, a, b, first) && onArc(candidate, c, d, second)
+  );
+}
+
+/**
+ * Check whether a point of an arc's great circle lies between its ends
+ * @param {Array<number>} point - Unit vector on the great circle
+ * @param {Array<number>} a - Start of the arc
+ * @param {Array<number>} b - End of the arc
+ * @param {Array<number>} normal - a × b
+ * @returns {boolean} - True if the point is on the arc
+ * @private
+ */
+function onArc(point, a, b, normal) {
+  return dot(cross(a, point), normal) >= -1e-15 && dot(cross(point, b), normal) >= -1e-15;
+}
+
+/**
+ * @param {Object} geometry - Prepared geometry
+ * @returns {Array<Array>} - Edges of its polylines and polygons
+ * @private
+ */
+function edgesOf(geometry) {
+  return [
+    ...[].concat(...geometry.lines.map(line => pathEdges(line, false))),
+    ...[].concat(...geometry.polygons.map(polygonEdges))
+  ];
+}
+
+/**
+ * @param {Object} polygon - Prepared polygon
+ * @returns {Array<Array>} - Edges of its shell and holes
+ * @private
+ */
+function polygonEdges(polygon) {
+  return [].concat(...polygon.loops.map(loop => pathEdges(loop, true)));
+}
+
+/**
+ * @param {Array<Array<number>>} vertices - Vertices of a path
+ * @param {boolean} closed - Whether the last vertex joins the first
+ * @returns {Array<Array>} - [start, end] pairs
+ * @private
+ */
+function pathEdges(vertices, closed) {
+  const edges = [];
+  for (let i = 0; i + 1 < vertices.length; i++) {
+    edges.push([vertices[i], vertices[i + 1]]);
+  }
+  if (closed && vertices.length > 2) {
+    edges.push([vertices[vertices.length - 1], vertices[0]]);
+  }
+  return edges;
+}
+
+/**
+ * Flat point-in-polygon test by ray casting, for legacy $polygon
+ * @param {Array<number>} position - [x, y]
+ * @param {Array<Array<number>>} vertices - Polygon vertices
+ * @returns {boolean} - True if inside
+ * @private
+ */
+function inFlatPolygon([x, y], vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [xi, yi] = vertices[i];
+    const [xj, yj] = vertices[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Direction of the great circle from a point towards another, in the point's tangent plane
+ * @param {Array<number>} point - Unit vector
+ * @param {Array<number>} towards - Unit vector
+ * @returns {Array<number>} - Tangent vector
+ * @private
+ */
+function tangent(point, towards) {
+  return subtract(towards, scale(point, dot(towards, point)));
+}
+
+/**
+ * @param {Array<number>} position - [lng, lat] in degrees
+ * @returns {Array<number>} - Unit vector
+ * @private
+ */
+function toVector([lng, lat]) {
+  const phi = lat * Math.PI / 180;
+  const lambda = lng * Math.PI / 180;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Central angle between two unit vectors
+ * @param {Array<number>} a - Unit vector
+ * @param {Array<number>} b - Unit vector
+ * @returns {number} - Angle in radians
+ * @private
+ */
+function angle(a, b) {
+  return Math.atan2(norm(cross(a, b)), dot(a, b));
+}
+
+/**
+ * Dot product of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} - a · b
+ * @private
+ */
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Cross product of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {Array<number>} - a × b
+ * @private
+ */
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Sum of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {Array<number>} - a + b
+ * @private
+ */
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+/**
+ * Difference of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {Array<number>} - a - b
+ * @private
+ */
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * Vector times a scalar
+ * @param {Array<number>} a - Vector
+ * @param {number} factor - Scalar
+ * @returns {Array<number>} - Scaled vector
+ * @private
+ */
+function scale(a, factor) {
+  return [a[0] * factor, a[1] * factor, a[2] * factor];
+}
+
+/**
+ * Length of a vector
+ * @param {Array<number>} a - Vector
+ * @returns {number} - Euclidean norm
+ * @private
+ */
+function norm(a) {
+  return Math.sqrt(dot(a, a));
+}
+
+/**
+ * Unit vector in the direction of a vector
+ * @param {Array<number>} a - Vector
+ * @returns {Array<number>} - Unit vector, or the zero vector unchanged
+ * @private
+ */
+function normalize(a) {
+  const length = norm(a);
+  return length === 0 ? a : scale(a, 1 / length);
+}
+
+/**
+ * @param {*} value - Candidate coordinate
+ * @returns {boolean} - True for finite numbers
+ * @private
+ */
+function isCoordinate(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * @param {*} value - Candidate radius
+ * @returns {boolean} - True for non-negative numbers
+ * @private
+ */
+function isRadius(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+/**
+ * Read $minDistance or $maxDistance of a proximity query
+ * @param {Object} limits - Object holding the limit
+ * @param {string} name - '$minDistance' or '$maxDistance'
+ * @param {number} fallback - Value when absent
+ * @returns {number} - Limit, in the query's unit
+ * @private
+ */
+function distanceLimit(limits, name, fallback) {
+  const value = limits[name];
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw badValue(`${name} must be a number`);
+  }
+  if (value < 0) {
+    throw badValue(`${name} must be non-negative`);
+  }
+  return value;
+}
+
+/**
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - BadValue error
+ * @private
+ */
+function badValue(message) {
+  return new MongoServerError(message, { code: 2, codeName: 'BadValue' });
+}
+
+/**
+ * Error for a proximity query without a usable geospatial index
+ * @returns {MongoServerError} - NoQueryExecutionPlans error
+ */
+function noQueryExecutionPlans() {
+  return new MongoServerError('unable to find index for $geoNear query', {
+    code: 291,
+    codeName: 'NoQueryExecutionPlans'
+  });
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  geometriesOf,
+  geoKeyError,
+  isGeoCondition,
+  isNearCondition,
+  countNearExpressions,
+  parseNearQuery,
+  nearDistance,
+  toQueryDistance,
+  parseGeoShape,
+  matchesGeoShape,
+  noQueryExecutionPlans
+};
@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * instrument - Hooks into the collection methods the application calls
+ *
+ * Operation recorders and fail points need to see each call the application
+ * makes, but not the calls a method makes internally (such as the insertOne
+ * calls behind insertMany). Calls made while an instrumented call runs are
+ * therefore passed straight through. Without AsyncLocalStorage (Node < 12.17)
+ * only calls made synchronously are recognised as internal.
+ */
+
+/**
+ * Collection methods that hooks see
+ */
+const INSTRUMENTED_METHODS = [
+  'insertOne', 'insertMany', 'find', 'findOne', 'aggregate',
+  'countDocuments', 'estimatedDocumentCount', 'distinct',
+  'deleteOne', 'deleteMany', 'updateOne', 'updateMany', 'replaceOne',
+  'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete', 'bulkWrite',
+  'createIndex', 'createIndexes', 'dropIndex', 'dropIndexes', 'listIndexes', 'indexes', 'indexExists',
+  'watch', 'importDocuments', 'exportDocuments', 'options'
+];
+
+/**
+ * Set while an instrumented call runs
+ */
+const outerCall = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+let synchronousDepth = 0;
+
+/**
+ * Wrap a class's methods so hooks see the calls the application makes
+ *
+ * Each hook is an object with `isActive(collection)` and
+ * `intercept(collection, method, args, proceed)`; `proceed()` runs the next
+ * hook and finally the method itself. Calls no hook is active for run
+ * unchanged.
+ *
+ * @param {Function} CollectionClass - MockCollection
+ * @param {Array<Object>} hooks - Hooks, outermost first
+ */
+function instrument(CollectionClass, hooks) {
+  for (const method of INSTRUMENTED_METHODS) {
+    const original = CollectionClass.prototype[method];
+
+    CollectionClass.prototype[method] = function instrumented(...args) {
+      const internal = outerCall ? outerCall.getStore() === true : synchronousDepth > 0;
+      const active = internal ? [] : hooks.filter(hook => hook.isActive(this));
+      if (active.length === 0) {
+        return original.apply(this, args);
+      }
+
+      const run = active.reduceRight(
+        (proceed, hook) => () => hook.intercept(this, method, args, proceed),
+        () => original.apply(this, args)
+      );
+      synchronousDepth++;
+      try {
+        return outerCall ? outerCall.run(true, run) : run();
+      } finally {
+        synchronousDepth--;
+      }
+    };
+  }
+}
+
+module.exports = {
+  INSTRUMENTED_METHODS,
+  instrument
+};
@@ -0,0 +1,331 @@
+const { isTraversable } = require('./pathUtils');
+const { valuesEqual } = require('./compare');
+const { isOfType, typeOf } = require('./bsonTypes');
+const { MongoServerError } = require('./errors');
+
+/**
+ * jsonSchema - The $jsonSchema query operator and collection validator
+ *
+ * Implements the JSON Schema (draft 4) subset MongoDB supports, plus the
+ * `bsonType` keyword. Validation returns the failed rules in the shape the
+ * server reports under `errInfo.details.schemaRulesNotSatisfied`, so tests can
+ * assert on exactly why a document was rejected.
+ */
+
+/**
+ * JSON Schema `type` names mapped to the BSON types they accept
+ */
+const JSON_TYPES = {
+  object: ['object'],
+  array: ['array'],
+  number: ['number'],
+  boolean: ['bool'],
+  string: ['string'],
+  null: ['null']
+};
+
+/**
+ * Check whether a value is numeric
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for numbers and bigints
+ * @private
+ */
+function isNumeric(value) {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+/**
+ * Build a failure entry for a keyword that compares the value against its specification
+ * @param {string} keyword - Schema keyword
+ * @param {*} spec - Keyword value
+ * @param {string} reason - Why the rule failed
+ * @param {*} value - Value that was validated
+ * @returns {Object} - Failure entry
+ * @private
+ */
+function failure(keyword, spec, reason, value) {
+  return { operatorName: keyword, specifiedAs: { [keyword]: spec }, reason, consideredValue: value };
+}
+
+/**
+ * Schema keywords
+ *
+ * Each handler receives (spec, value, schema) and returns a failure entry, or
+ * null when the rule is satisfied or doesn't apply to the value's type.
+ */
+const KEYWORDS = {
+  bsonType(spec, value) {
+    const types = Array.isArray(spec) ? spec : [spec];
+    if (types.some(type => isOfType(value, type))) {
+      return null;
+    }
+    return { ...failure('bsonType', spec, 'type did not match', value), consideredType: typeOf(value) };
+  },
+
+  type(spec, value) {
+    const types = Array.isArray(spec) ? spec : [spec];
+    for (const type of types) {
+      if (!JSON_TYPES[type]) {
+        throw new MongoServerError(`Unknown type name alias: ${type}`, { code: 2, codeName: 'BadValue' });
+      }
+    }
+    if (types.some(type => JSON_TYPES[type].some(alias => isOfType(value, alias)))) {
+      return null;
+    }
+    return { ...failure('type', spec, 'type did not match', value), consideredType: typeOf(value) };
+  },
+
+  enum(spec, value) {
+    return spec.some(item => valuesEqual(item, value)) ? null : failure('enum', spec, 'value was not found in enum', value);
+  },
+
+  minimum(spec, value, schema) {
+    if (!isNumeric(value)) return null;
+    const satisfied = schema.exclusiveMinimum ? value > spec : value >= spec;
+    return satisfied ? null : failure('minimum', spec, 'comparison failed', value);
+  },
+
+  maximum(spec, value, schema) {
+    if (!isNumeric(value)) return null;
+    const satisfied = schema.exclusiveMaximum ? value < spec : value <= spec;
+    return satisfied ? null : failure('maximum', spec, 'comparison failed', value);
+  },
+
+  multipleOf(spec, value) {
+    if (!isNumeric(value)) return null;
+    return Number(value) % spec === 0
+      ? null
+      : failure('multipleOf', spec, 'considered value is not a multiple of the specified value', value);
+  },
+
+  minLength(spec, value) {
+    if (typeof value !== 'string') return null;
+    return Array.from(value).length >= spec ? null : failure('minLength', spec, 'specified string length was not satisfied', value);
+  },
+
+  maxLength(spec, value) {
+    if (typeof value !== 'string') return null;
+    return Array.from(value).length <= spec ? null : failure('maxLength', spec, 'specified string length was not satisfied', value);
+  },
+
+  pattern(spec, value) {
+    if (typeof value !== 'string') return null;
+    return new RegExp(spec, 'u').test(value) ? null : failure('pattern', spec, 'regular expression did not match', value);
+  },
+
+  minItems(spec, value) {
+    if (!Array.isArray(value)) return null;
+    return value.length >= spec ? null : failure('minItems', spec, 'array did not match specified length', value);
+  },
+
+  maxItems(spec, value) {
+    if (!Array.isArray(value)) return null;
+    return value.length <= spec ? null : failure('maxItems', spec, 'array did not match specified length', value);
+  },
+
+  uniqueItems(spec, value) {
+    if (!spec || !Array.isArray(value)) return null;
+    const duplicate = value.find((item, index) => value.slice(0, index).some(other => valuesEqual(other, item)));
+    return duplicate === undefined ? null : { ...failure('uniqueItems', spec, 'found a duplicate item', value), duplicatedValue: duplicate };
+  },
+
+  items(spec, value, schema) {
+    if (!Array.isArray(value)) return null;
+
+    if (!Array.isArray(spec)) {
+      for (let index = 0; index < value.length; index++) {
+        const details = validateSchema(spec, value[index]);
+        if (details.length > 0) {
+          return { operatorName: 'items', reason: 'At least one item did not match the sub-schema', itemIndex: index, details };
+        }
+      }
+      return null;
+    }
+
+    // Tuple form: one schema per position, with additionalItems for the rest
+    for (let index = 0; index < value.length; index++) {
+      const itemSchema = index < spec.length ? spec[index] : schema.additionalItems;
+      if (itemSchema === false) {
+        return { operatorName: 'additionalItems', specifiedAs: { additionalItems: false }, reason: 'found additional items', additionalItems: value.slice(spec.length) };
+      }
+      const details = itemSchema && itemSchema !== true ? validateSchema(itemSchema, value[index]) : [];
+      if (details.length > 0) {
+        return { operatorName: index < spec.length ? 'items' : 'additionalItems', reason: 'At least one item did not match the sub-schema', itemIndex: index, details };
+      }
+    }
+    return null;
+  },
+
+  required(spec, value) {
+    if (!isTraversable(value)) return null;
+    const missingProperties = spec.filter(property => value[property] === undefined);
+    return missingProperties.length === 0
+      ? null
+      : { operatorName: 'required', specifiedAs: { required: spec }, missingProperties };
+  },
+
+  properties(spec, value) {
+    if (!isTraversable(value)) return null;
+    const propertiesNotSatisfied = [];
+    for (const [propertyName, propertySchema] of Object.entries(spec)) {
+      if (value[propertyName] === undefined) {
+        continue;
+      }
+      const details = validateSchema(propertySchema, value[propertyName]);
+      if (details.length > 0) {
+        propertiesNotSatisfied.push({ propertyName, details });
+      }
+    }
+    return propertiesNotSatisfied.length === 0 ? null : { operatorName: 'properties', propertiesNotSatisfied };
+  },
+
+  patternProperties(spec, value) {
+    if (!isTraversable(value)) return null;
+    const propertiesNotSatisfied = [];
+    for (const [pattern, propertySchema] of Object.entries(spec)) {
+      const regex = new RegExp(pattern, 'u');
+      for (const propertyName of Object.keys(value).filter(key => regex.test(key))) {
+        const details = validateSchema(propertySchema, value[propertyName]);
+        if (details.length > 0) {
+          propertiesNotSatisfied.push({ propertyName, regex: pattern, details });
+        }
+      }
+    }
+    return propertiesNotSatisfied.length === 0 ? null : { operatorName: 'patternProperties', propertiesNotSatisfied };
+  },
+
+  additionalProperties(spec, value, schema) {
+    if (!isTraversable(value) || spec === true) return null;
+
+    const patterns = Object.keys(schema.patternProperties || {}).map(pattern => new RegExp(pattern, 'u'));
+    const additional = Object.keys(value).filter(key =>
+      !(schema.properties && key in schema.properties) && !patterns.some(regex => regex.test(key))
+    );
+
+    if (spec === false) {
+      return additional.length === 0
+        ? null
+        : { operatorName: 'additionalProperties', specifiedAs: { additionalProperties: false }, additionalProperties: additional };
+    }
+
+    for (const propertyName of additional) {
+      const details = validateSchema(spec, value[propertyName]);
+      if (details.length > 0) {
+        return {
+          operatorName: 'additionalProperties',
+          reason: 'at least one additional property did not match the subschema',
+          failingProperty: propertyName,
+          details
+        };
+      }
+    }
+    return null;
+  },
+
+  minProperties(spec, value) {
+    if (!isTraversable(value)) return null;
+    return Object.keys(value).length >= spec ? null : failure('minProperties', spec, 'specified number of properties was not satisfied', value);
+  },
+
+  maxProperties(spec, value) {
+    if (!isTraversable(value)) return null;
+    return Object.keys(value).length <= spec ? null : failure('maxProperties', spec, 'specified number of properties was not satisfied', value);
+  },
+
+  dependencies(spec, value) {
+    if (!isTraversable(value)) return null;
+    for (const [propertyName, dependency] of Object.entries(spec)) {
+      if (value[propertyName] === undefined) {
+        continue;
+      }
+      if (Array.isArray(dependency)) {
+        const missingProperties = dependency.filter(property => value[property] === undefined);
+        if (missingProperties.length > 0) {
+          return { operatorName: 'dependencies', failingDependency: propertyName, missingProperties };
+        }
+      } else {
+        const details = validateSchema(dependency, value);
+        if (details.length > 0) {
+          return { operatorName: 'dependencies', failingDependency: propertyName, details };
+        }
+      }
+    }
+    return null;
+  },
+
+  allOf(spec, value) {
+    const schemasNotSatisfied = spec
+      .map((schema, index) => ({ index, details: validateSchema(schema, value) }))
+      .filter(entry => entry.details.length > 0);
+    return schemasNotSatisfied.length === 0 ? null : { operatorName: 'allOf', schemasNotSatisfied };
+  },
+
+  anyOf(spec, value) {
+    const results = spec.map((schema, index) => ({ index, details: validateSchema(schema, value) }));
+    return results.some(entry => entry.details.length === 0) ? null : { operatorName: 'anyOf', schemasNotSatisfied: results };
+  },
+
+  oneOf(spec, value) {
+    const results = spec.map((schema, index) => ({ index, details: validateSchema(schema, value) }));
+    const matching = results.filter(entry => entry.details.length === 0);
+    if (matching.length === 1) {
+      return null;
+    }
+    return matching.length === 0
+      ? { operatorName: 'oneOf', schemasNotSatisfied: results }
+      : { operatorName: 'oneOf', reason: 'more than one subschema matched', matchingSchemaIndexes: matching.map(entry => entry.index) };
+  },
+
+  not(spec, value) {
+    return validateSchema(spec, value).length === 0
+      ? { operatorName: 'not', specifiedAs: { not: spec }, reason: 'child expression matched' }
+      : null;
+  },
+
+  // Consumed by other keywords or purely informational
+  exclusiveMinimum: () => null,
+  exclusiveMaximum: () => null,
+  additionalItems: () => null,
+  title: () => null,
+  description: () => null
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - $jsonSchema specification
+ * @param {*} value - Document or value to validate
+ * @returns {Array<Object>} - Rules that were not satisfied (empty when valid)
+ */
+function validateSchema(schema, value) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new MongoServerError('$jsonSchema must be an object', { code: 2, codeName: 'BadValue' });
+  }
+
+  const failures = [];
+  for (const [keyword, spec] of Object.entries(schema)) {
+    const handler = KEYWORDS[keyword];
+    if (!handler) {
+      throw new MongoServerError(`Unknown $jsonSchema keyword: ${keyword}`, { code: 9, codeName: 'FailedToParse' });
+    }
+    const result = handler(spec, value, schema);
+    if (result) {
+      failures.push(result);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Check whether a document satisfies a schema
+ * @param {Object} schema - $jsonSchema specification
+ * @param {Object} doc - Document
+ * @returns {boolean} - True if the document is valid
+ */
+function matchesJsonSchema(schema, doc) {
+  return validateSchema(schema, doc).length === 0;
+}
+
+module.exports = {
+  validateSchema,
+  matchesJsonSchema
+};
@@ -0,0 +1,246 @@
+const MockCollection = require('./MockCollection');
+const OperationRecorder = require('./OperationRecorder');
+
+/**
+ * matchers - Jest matchers for asserting database interactions
+ *
+ * Register them once with `expect.extend(matchers)`. Apart from
+ * toContainDocument, which checks a collection's contents, they take the
+ * OperationRecorder returned by `db.startRecording()`:
+ *
+ *   expect(recorder).toHaveInserted({ email: 'alice@example.com' });
+ *   expect(recorder).toHaveQueried('users', { email: 'alice@example.com' });
+ *   expect(recorder).toHaveBeenCalledWithFilter('updateOne', { _id: id });
+ *   expect(recorder).not.toHaveScannedCollection('orders');
+ *   expect(recorder).toMatchOperationLog();
+ *   expect(db.collection('users')).toContainDocument({ name: 'Alice' });
+ *
+ * Expected documents match partially: only the fields they list are
+ * compared, and values may be asymmetric matchers such as expect.any(Date).
+ */
+
+/**
+ * Methods that read documents
+ */
+const QUERY_METHODS = ['find', 'findOne', 'aggregate', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+
+/**
+ * Pass if the recorded calls inserted a document matching `expected` (or any document when omitted)
+ * @param {OperationRecorder} received - Recorder
+ * @param {Object} [expected] - Fields the inserted document must have
+ * @returns {Object} - Jest matcher result
+ */
+function toHaveInserted(received, expected) {
+  assertRecorder(received, 'toHaveInserted');
+  const inserted = [].concat(...received.calls.map(insertedDocuments));
+  const pass = inserted.some(doc => expected === undefined || containsFields(this, doc, expected));
+  const what = expected === undefined ? 'a document' : `a document matching ${this.utils.printExpected(expected)}`;
+
+  return {
+    pass,
+    message: () => pass
+      ? `${this.utils.matcherHint('.not.toHaveInserted')}\n\nExpected no insert of ${what}, but it was inserted`
+      : `${this.utils.matcherHint('.toHaveInserted')}\n\nExpected an insert of ${what}\n\nInserted: ${this.utils.printReceived(inserted)}`
+  };
+}
+
+/**
+ * Pass if a collection was read, optionally with a given filter
+ * @param {OperationRecorder} received - Recorder
+ * @param {string} collection - Collection name
+ * @param {Object} [filter] - Expected filter (the leading $match for aggregations)
+ * @returns {Object} - Jest matcher result
+ */
+function toHaveQueried(received, collection, filter) {
+  assertRecorder(received, 'toHaveQueried');
+  const queries = received.calls.filter(call => call.collection === collection && QUERY_METHODS.includes(call.method));
+  const pass = queries.some(call => filter === undefined || this.equals(call.filter, filter));
+  const what = filter === undefined ? collection : `${collection} with filter ${this.utils.printExpected(filter)}`;
+
+  return {
+    pass,
+    message: () => pass
+      ? `${this.utils.matcherHint('.not.toHaveQueried')}\n\nExpected no query of ${what}, but one was made`
+      : `${this.utils.matcherHint('.toHaveQueried')}\n\nExpected a query of ${what}\n\n${describeCalls(this, queries)}`
+  };
+}
+
+/**
+ * Pass if a method was called with a given filter
+ * @param {OperationRecorder} received - Recorder
+ * @param {string} method - Method name (e.g. 'updateOne')
+ * @param {Object} filter - Expected filter
+ * @returns {Object} - Jest matcher result
+ */
+function toHaveBeenCalledWithFilter(received, method, filter) {
+  assertRecorder(received, 'toHaveBeenCalledWithFilter');
+  const calls = received.calls.filter(call => call.method === method);
+  const pass = calls.some(call => this.equals(call.filter, filter));
+
+  return {
+    pass,
+    message: () => pass
+      ? `${this.utils.matcherHint('.not.toHaveBeenCalledWithFilter')}\n\nExpected ${method} not to be called with filter ${this.utils.printExpected(filter)}`
+      : `${this.utils.matcherHint('.toHaveBeenCalledWithFilter')}\n\nExpected ${method} to be called with filter ${this.utils.printExpected(filter)}\n\n${describeCalls(this, calls)}`
+  };
+}
+
+/**
+ * Pass if a recorded call had to scan a whole collection (no index answered its filter)
+ * @param {OperationRecorder} received - Recorder
+ * @param {string} [collection] - Only consider calls to this collection
+ * @returns {Object} - Jest matcher result
+ */
+function toHaveScannedCollection(received, collection) {
+  assertRecorder(received, 'toHaveScannedCollection');
+  const scans = received.calls.filter(call => call.planSummary === 'COLLSCAN' &&
+    (collection === undefined || call.collection === collection));
+  const pass = scans.length > 0;
+  const where = collection === undefined ? 'any collection' : collection;
+
+  return {
+    pass,
+    message: () => pass
+      ? `${this.utils.matcherHint('.not.toHaveScannedCollection')}\n\nExpected no collection scan of ${where}\n\n${describeCalls(this, scans)}`
+      : `${this.utils.matcherHint('.toHaveScannedCollection')}\n\nExpected a collection scan of ${where}, but every filter was answered by an index`
+  };
+}
+
+/**
+ * Pass if a collection holds a document matching `expected`
+ * @param {MockCollection} received - Collection
+ * @param {Object} expected - Fields the document must have
+ * @returns {Object} - Jest matcher result
+ */
+function toContainDocument(received, expected) {
+  if (!(received instanceof MockCollection)) {
+    throw new Error(`toContainDocument: received value must be a MockCollection, got ${this.utils.printReceived(received)}`);
+  }
+  const pass = received.documents.some(doc => containsFields(this, doc, expected));
+
+  return {
+    pass,
+    message: () => pass
+      ? `${this.utils.matcherHint('.not.toContainDocument')}\n\nExpected ${received.name} not to contain a document matching ${this.utils.printExpected(expected)}`
+      : `${this.utils.matcherHint('.toContainDocument')}\n\nExpected ${received.name} to contain a document matching ${this.utils.printExpected(expected)}\n\nDocuments: ${this.utils.printReceived(received.documents)}`
+  };
+}
+
+/**
+ * Compare the recorded calls with a Jest snapshot
+ *
+ * The snapshot holds each call's collection, method, arguments and query
+ * plan (see OperationRecorder#toJSON), not its result or duration.
+ *
+ * @param {OperationRecorder} received - Recorder
+ * @param {string} [hint] - Snapshot name hint
+ * @returns {Object} - Jest matcher result
+ */
+function toMatchOperationLog(received, hint) {
+  assertRecorder(received, 'toMatchOperationLog');
+  const { toMatchSnapshot } = loadJestSnapshot();
+  const args = hint === undefined ? [] : [hint];
+  return toMatchSnapshot.call(this, received.toJSON(), ...args);
+}
+
+/**
+ * Load jest-snapshot, an optional peer dependency that comes with Jest
+ *
+ * Loaded on first use so the library itself does not depend on Jest.
+ *
+ * @returns {Object} - The jest-snapshot module
+ * @throws {Error} - If jest-snapshot is not installed
+ * @private
+ */
+function loadJestSnapshot() {
+  try {
+    return require('jest-snapshot');
+  } catch (error) {
+    throw new Error('toMatchOperationLog needs the jest-snapshot package, which is installed with Jest');
+  }
+}
+
+/**
+ * Throw if a matcher was given something other than a recorder
+ * @param {*} received - Value passed to expect()
+ * @param {string} matcherName - Matcher name, for the message
+ * @private
+ */
+function assertRecorder(received, matcherName) {
+  if (!(received instanceof OperationRecorder)) {
+    throw new Error(`${matcherName}: received value must be an OperationRecorder from startRecording()`);
+  }
+}
+
+/**
+ * Get the documents a recorded call inserted, with their generated _ids
+ *
+ * A rejected insertMany or bulkWrite may still have written some documents;
+ * only those listed in the error's insertedIds count.
+ *
+ * @param {Object} call - Recorded call
+ * @returns {Array<Object>} - Inserted documents (none for other methods or failed calls)
+ * @private
+ */
+function insertedDocuments(call) {
+  const result = call.error ? call.error.result || call.error : call.result || {};
+  const insertedIds = result.insertedIds || {};
+  const withId = (doc, id) => (doc && doc._id === undefined ? { _id: id, ...doc } : doc);
+
+  switch (call.method) {
+    case 'insertOne':
+      return call.error ? [] : [withId(call.args[0], result.insertedId)];
+    case 'insertMany':
+      return (call.args[0] || [])
+        .map((doc, index) => index in insertedIds && withId(doc, insertedIds[index]))
+        .filter(Boolean);
+    case 'bulkWrite':
+      return (call.args[0] || [])
+        .map((operation, index) => operation.insertOne && index in insertedIds &&
+          withId(operation.insertOne.document, insertedIds[index]))
+        .filter(Boolean);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check that a document has the fields of an expected document
+ * @param {Object} context - Matcher context (provides equals)
+ * @param {Object} doc - Document
+ * @param {Object} expected - Expected fields, or an asymmetric matcher
+ * @returns {boolean} - True if every expected field is equal
+ * @private
+ */
+function containsFields(context, doc, expected) {
+  if (!expected || typeof expected !== 'object' || typeof expected.asymmetricMatch === 'function') {
+    return context.equals(doc, expected);
+  }
+  return Boolean(doc) && Object.keys(expected).every(key => context.equals(doc[key], expected[key]));
+}
+
+/**
+ * List recorded calls for a failure message
+ * @param {Object} context - Matcher context
+ * @param {Array<Object>} calls - Recorded calls
+ * @returns {string} - One line per call
+ * @private
+ */
+function describeCalls(context, calls) {
+  if (calls.length === 0) {
+    return 'No matching calls were recorded';
+  }
+  return `Recorded calls:\n${calls.map(call => {
+    const filter = call.filter === undefined ? '' : context.utils.printReceived(call.filter);
+    return `  ${call.collection}.${call.method}(${filter})`;
+  }).join('\n')}`;
+}
+
+module.exports = {
+  toHaveInserted,
+  toHaveQueried,
+  toHaveBeenCalledWithFilter,
+  toHaveScannedCollection,
+  toContainDocument,
+  toMatchOperationLog
+};
@@ -0,0 +1,237 @@
+/**
+ * pathUtils - Helpers for working with dot-notation field paths
+ *
+ * MongoDB addresses nested fields with dotted paths such as "address.city" or
+ * "items.0.price". These helpers resolve such paths against plain documents,
+ * following the driver's rules for traversing arrays.
+ */
+
+/**
+ * Check whether a path segment addresses an array index (e.g. "0", "12")
+ * @param {string} segment - Single path segment
+ * @returns {boolean} - True if the segment is a non-negative integer
+ */
+function isIndexSegment(segment) {
+  return /^\d+$/.test(segment);
+}
+
+/**
+ * Check whether a value is an embedded document that can be traversed by a path
+ *
+ * Arrays and BSON value types (Dates, RegExps, binary data and anything
+ * tagged with `_bsontype`, such as ObjectId) are not documents.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is an embedded document
+ */
+function isTraversable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !(value instanceof Uint8Array) &&
+    !(value instanceof Map) && !(value instanceof Set) && !value._bsontype;
+}
+
+/**
+ * Resolve a dotted path against a document and collect every value it reaches
+ *
+ * When an array is met part-way through the path, the remaining path is applied
+ * to each element (and, for numeric segments, to the element at that index),
+ * which is how MongoDB lets `{ 'items.price': 10 }` match any item in an array.
+ * Missing fields are reported as `undefined` so callers can reason about
+ * existence and null-equality.
+ *
+ * @param {Object} doc - Document to read from
+ * @param {string} path - Dot-notation path (e.g. "address.city")
+ * @returns {Array} - Values found at the path (at least one entry)
+ */
+function getPathValues(doc, path) {
+  const segments = String(path).split('.');
+  const results = [];
+
+  const walk = (value, index) => {
+    if (index === segments.length) {
+      results.push(value);
+      return;
+    }
+
+    const segment = segments[index];
+
+    if (Array.isArray(value)) {
+      if (isIndexSegment(segment)) {
+        const element = value[Number(segment)];
+        if (element !== undefined) {
+          walk(element, index + 1);
+        }
+      }
+
+      // Apply the same segment to every embedded document in the array
+      let traversed = false;
+      for (const element of value) {
+        if (isTraversable(element)) {
+          traversed = true;
+          walk(element, index);
+        }
+      }
+
+      if (!traversed && !isIndexSegment(segment)) {
+        results.push(undefined);
+      }
+      return;
+    }
+
+    if (isTraversable(value)) {
+      walk(value[segment], index + 1);
+      return;
+    }
+
+    results.push(undefined);
+  };
+
+  walk(doc, 0);
+
+  if (results.length === 0) {
+    results.push(undefined);
+  }
+
+  return results;
+}
+
+/**
+ * Read the single value at a path without fanning out over arrays
+ *
+ * Numeric segments index into arrays; any other segment applied to a
+ * non-object yields `undefined`.
+ *
+ * @param {Object} doc - Document to read from
+ * @param {string} path - Dot-notation path
+ * @returns {*} - Value at the path, or undefined if missing
+ */
+function getPath(doc, path) {
+  let value = doc;
+  for (const segment of String(path).split('.')) {
+    if (Array.isArray(value) && isIndexSegment(segment)) {
+      value = value[Number(segment)];
+    } else if (isTraversable(value)) {
+      value = value[segment];
+    } else {
+      return undefined;
+    }
+  }
+  return value;
+}
+
+/**
+ * Check whether a path exists in a document
+ * @param {Object} doc - Document to inspect
+ * @param {string} path - Dot-notation path
+ * @returns {boolean} - True if every segment of the path is present
+ */
+function hasPath(doc, path) {
+  const segments = String(path).split('.');
+  let value = doc;
+  for (const segment of segments) {
+    if (Array.isArray(value) && isIndexSegment(segment)) {
+      if (Number(segment) >= value.length) {
+        return false;
+      }
+      value = value[Number(segment)];
+    } else if (isTraversable(value) && Object.prototype.hasOwnProperty.call(value, segment)) {
+      value = value[segment];
+    } else {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Set the value at a path, creating intermediate documents as needed
+ *
+ * Numeric segments on arrays assign by index, padding with nulls. Trying to
+ * create a field inside a scalar value throws, as MongoDB does.
+ *
+ * @param {Object} doc - Document to modify in place
+ * @param {string} path - Dot-notation path
+ * @param {*} value - Value to set
+ */
+function setPath(doc, path, value) {
+  const segments = String(path).split('.');
+  let target = doc;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const isLast = i === segments.length - 1;
+
+    if (Array.isArray(target)) {
+      if (!isIndexSegment(segment)) {
+        throw new Error(`Cannot create field '${segment}' in element {${segments[i - 1]}: [...]}`);
+      }
+      const index = Number(segment);
+      while (target.length < index) {
+        target.push(null);
+      }
+      if (isLast) {
+        target[index] = value;
+        return;
+      }
+      if (target[index] === undefined) {
+        target[index] = {};
+      }
+      target = target[index];
+      continue;
+    }
+
+    if (!isTraversable(target)) {
+      throw new Error(`Cannot create field '${segment}' in element {${segments[i - 1]}: ${JSON.stringify(target)}}`);
+    }
+
+    if (isLast) {
+      target[segment] = value;
+      return;
+    }
+    if (target[segment] === undefined) {
+      target[segment] = {};
+    }
+    target = target[segment];
+  }
+}
+
+/**
+ * Remove the value at a path
+ *
+ * Removing an array element by index leaves a null in its place, matching
+ * MongoDB's $unset behaviour.
+ *
+ * @param {Object} doc - Document to modify in place
+ * @param {string} path - Dot-notation path
+ * @returns {boolean} - True if something was removed
+ */
+function unsetPath(doc, path) {
+  const segments = String(path).split('.');
+  const parent = segments.length > 1 ? getPath(doc, segments.slice(0, -1).join('.')) : doc;
+  const last = segments[segments.length - 1];
+
+  if (Array.isArray(parent) && isIndexSegment(last)) {
+    const index = Number(last);
+    if (index < parent.length) {
+      parent[index] = null;
+      return true;
+    }
+    return false;
+  }
+
+  if (isTraversable(parent) && Object.prototype.hasOwnProperty.call(parent, last)) {
+    delete parent[last];
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  isIndexSegment,
+  isTraversable,
+  getPathValues,
+  getPath,
+  hasPath,
+  setPath,
+  unsetPath
+};
@@ -0,0 +1,162 @@
+const { isTraversable, setPath } = require('./pathUtils');
+const { textScoreOf } = require('./textSearch');
+
+/**
+ * projection - Field projection for query results
+ *
+ * Supports MongoDB-style inclusion ({ name: 1, 'address.city': 1 }) and
+ * exclusion ({ password: 0 }) projections with dot-notation paths. Paths that
+ * run through arrays are applied to every embedded document in the array.
+ * `{ score: { $meta: 'textScore' } }` adds the relevance of a $text query to
+ * either kind of projection.
+ */
+
+/**
+ * Build a nested tree of path segments from a list of dotted paths
+ * @param {Array<string>} paths - Dot-notation paths
+ * @returns {Object} - Tree where leaves are `true`
+ * @private
+ */
+function buildPathTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    const segments = path.split('.');
+    let node = tree;
+    segments.forEach((segment, index) => {
+      if (index === segments.length - 1) {
+        node[segment] = true;
+      } else {
+        if (!isTraversable(node[segment])) {
+          node[segment] = {};
+        }
+        node = node[segment];
+      }
+    });
+  }
+  return tree;
+}
+
+/**
+ * Keep only the fields named in the tree
+ * @param {*} value - Document, array or scalar
+ * @param {Object} tree - Path tree of included fields
+ * @returns {*} - Projected value
+ * @private
+ */
+function includeFields(value, tree) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(element => isTraversable(element) || Array.isArray(element))
+      .map(element => includeFields(element, tree));
+  }
+
+  const result = {};
+  for (const key of Object.keys(value)) {
+    if (!(key in tree)) {
+      continue;
+    }
+    if (tree[key] === true) {
+      result[key] = value[key];
+    } else if (isTraversable(value[key]) || Array.isArray(value[key])) {
+      result[key] = includeFields(value[key], tree[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Drop the fields named in the tree, copying every object on the way
+ * @param {*} value - Document, array or scalar
+ * @param {Object} tree - Path tree of excluded fields
+ * @returns {*} - Projected value
+ * @private
+ */
+function excludeFields(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map(element => (isTraversable(element) || Array.isArray(element)) ? excludeFields(element, tree) : element);
+  }
+
+  const result = {};
+  for (const key of Object.keys(value)) {
+    if (tree[key] === true) {
+      continue;
+    }
+    if (tree[key] && (isTraversable(value[key]) || Array.isArray(value[key]))) {
+      result[key] = excludeFields(value[key], tree[key]);
+    } else {
+      result[key] = value[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a projection and split it into included, excluded and metadata paths
+ * @param {Object} projection - Projection specification
+ * @returns {Object} - { inclusions, exclusions, includeId, metaFields }
+ */
+function parseProjection(projection) {
+  const inclusions = [];
+  const exclusions = [];
+  const metaFields = [];
+  let includeId = true;
+
+  for (const [path, value] of Object.entries(projection || {})) {
+    if (value && typeof value === 'object' && '$meta' in value) {
+      if (value.$meta !== 'textScore') {
+        throw new Error(`Unsupported $meta in projection: ${JSON.stringify(value.$meta)}`);
+      }
+      metaFields.push(path);
+      continue;
+    }
+    const included = Boolean(value);
+    if (path === '_id') {
+      includeId = included;
+      continue;
+    }
+    if (included) {
+      inclusions.push(path);
+    } else {
+      exclusions.push(path);
+    }
+  }
+
+  if (inclusions.length > 0 && exclusions.length > 0) {
+    throw new Error(`Cannot do exclusion on field ${exclusions[0]} in inclusion projection`);
+  }
+
+  return { inclusions, exclusions, includeId, metaFields };
+}
+
+/**
+ * Apply a projection to a document
+ * @param {Object} doc - Source document (not modified)
+ * @param {Object} projection - Projection specification (e.g. { name: 1, _id: 0 })
+ * @returns {Object} - New projected document
+ */
+function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return doc;
+  }
+
+  const { inclusions, exclusions, includeId, metaFields } = parseProjection(projection);
+
+  let result;
+  if (inclusions.length > 0 || (exclusions.length === 0 && includeId && metaFields.length === 0)) {
+    const paths = includeId ? ['_id', ...inclusions] : inclusions;
+    result = includeFields(doc, buildPathTree(paths));
+  } else {
+    const paths = includeId ? exclusions : ['_id', ...exclusions];
+    result = excludeFields(doc, buildPathTree(paths));
+  }
+
+  for (const path of metaFields) {
+    setPath(result, path, textScoreOf(doc));
+  }
+  return result;
+}
+
+module.exports = {
+  parseProjection,
+  applyProjection
+};
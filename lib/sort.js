@@ -0,0 +1,153 @@
+const { getPathValues } = require('./pathUtils');
+const { compareValues } = require('./compare');
+const { textScoreOf } = require('./textSearch');
+
+/**
+ * sort - Document sorting following MongoDB's ordering rules
+ *
+ * Sort specifications may be given in any of the forms the driver accepts:
+ * `{ age: -1, name: 1 }`, `'age'`, `['age', -1]`, `[['age', -1], ['name', 1]]`
+ * or `['age', 'name']`. `{ score: { $meta: 'textScore' } }` sorts by the
+ * relevance of a $text query, highest first. `{ $natural: 1 }` keeps the
+ * documents in insertion order and `{ $natural: -1 }` reverses it.
+ */
+
+/**
+ * Direction names accepted in place of 1 / -1
+ */
+const DIRECTION_NAMES = ['asc', 'desc', 'ascending', 'descending'];
+
+/**
+ * Convert a direction value to 1 or -1, or keep a { $meta: 'textScore' } key
+ * @param {number|string|Object} direction - 1, -1, 'asc', 'desc', 'ascending', 'descending' or { $meta: 'textScore' }
+ * @returns {number|Object} - 1 for ascending, -1 for descending, or the $meta object
+ * @private
+ */
+function normalizeDirection(direction) {
+  if (direction && typeof direction === 'object' && '$meta' in direction) {
+    if (direction.$meta !== 'textScore' || Object.keys(direction).length !== 1) {
+      throw new Error(`Invalid sort direction: ${JSON.stringify(direction)}`);
+    }
+    return { $meta: 'textScore' };
+  }
+  if (direction === undefined || direction === 1 || direction === 'asc' || direction === 'ascending') {
+    return 1;
+  }
+  if (direction === -1 || direction === 'desc' || direction === 'descending') {
+    return -1;
+  }
+  throw new Error(`Invalid sort direction: ${JSON.stringify(direction)}`);
+}
+
+/**
+ * Normalize any supported sort specification into an ordered list of keys
+ * @param {Object|Array|string} spec - Sort specification
+ * @param {number|string} [direction] - Direction when `spec` is a single field name
+ * @returns {Array<Array>} - List of [path, direction] pairs (direction is 1, -1 or { $meta: 'textScore' })
+ */
+function normalizeSort(spec, direction) {
+  if (spec === undefined || spec === null) {
+    return [];
+  }
+
+  if (typeof spec === 'string') {
+    return [[spec, normalizeDirection(direction)]];
+  }
+
+  if (Array.isArray(spec)) {
+    // A single ['field', direction] pair
+    const isPair = spec.length === 2 && typeof spec[0] === 'string' &&
+      (typeof spec[1] === 'number' || DIRECTION_NAMES.includes(spec[1]));
+    if (isPair) {
+      return [[spec[0], normalizeDirection(spec[1])]];
+    }
+    return spec.map(entry => Array.isArray(entry)
+      ? [entry[0], normalizeDirection(entry[1])]
+      : [entry, 1]);
+  }
+
+  if (spec instanceof Map) {
+    return Array.from(spec.entries()).map(([path, dir]) => [path, normalizeDirection(dir)]);
+  }
+
+  if (typeof spec === 'object') {
+    return Object.entries(spec).map(([path, dir]) => [path, normalizeDirection(dir)]);
+  }
+
+  throw new Error('Invalid sort specification');
+}
+
+/**
+ * Get the value a document sorts by for one key
+ *
+ * For array fields MongoDB uses the smallest element when sorting ascending
+ * and the largest when sorting descending.
+ *
+ * @param {Object} doc - Document
+ * @param {string} path - Dot-notation path
+ * @param {number} direction - 1 or -1
+ * @returns {*} - Sort key value
+ * @private
+ */
+function sortKey(doc, path, direction) {
+  const values = [];
+  for (const value of getPathValues(doc, path)) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        values.push(undefined);
+      } else {
+        values.push(...value);
+      }
+    } else {
+      values.push(value);
+    }
+  }
+
+  return values.reduce((best, value) => {
+    const result = compareValues(value, best);
+    return (direction === 1 ? result < 0 : result > 0) ? value : best;
+  });
+}
+
+/**
+ * Sort documents by a sort specification (stable; does not modify the input)
+ * @param {Array<Object>} docs - Documents to sort
+ * @param {Object|Array|string} spec - Sort specification
+ * @returns {Array<Object>} - New sorted array
+ */
+function sortDocuments(docs, spec) {
+  const keys = normalizeSort(spec);
+  if (keys.length === 0) {
+    return docs.slice();
+  }
+
+  // Text scores sort highest first
+  const directions = keys.map(([, direction]) => typeof direction === 'number' ? direction : -1);
+  const decorated = docs.map((doc, index) => ({
+    doc,
+    index,
+    values: keys.map(([path, direction]) => {
+      if (typeof direction !== 'number') {
+        return textScoreOf(doc);
+      }
+      return path === '$natural' ? index : sortKey(doc, path, direction);
+    })
+  }));
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const result = compareValues(a.values[i], b.values[i]);
+      if (result !== 0) {
+        return result * directions[i];
+      }
+    }
+    return a.index - b.index;
+  });
+
+  return decorated.map(entry => entry.doc);
+}
+
+module.exports = {
+  normalizeSort,
+  sortDocuments
+};
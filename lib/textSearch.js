@@ -0,0 +1,668 @@
+const { getPathValues, isTraversable } = require('./pathUtils');
+const { MongoServerError } = require('./errors');
+
+/**
+ * textSearch - Text indexes and $text queries
+ *
+ * Follows MongoDB's version 3 text indexes with the English default: strings
+ * are split into words, folded to lower case without diacritics, stripped of
+ * stop words and reduced with the Snowball English (Porter2) stemmer. A
+ * document's relevance for each stemmed term is computed with the same
+ * formula as mongod, weighted per field, and a query's textScore is the sum
+ * over its terms.
+ *
+ * Scores are attached to result documents as metadata rather than fields;
+ * projections, sorts and expressions read them with { $meta: 'textScore' }.
+ */
+
+/**
+ * Version of the text index format reproduced here
+ */
+const TEXT_INDEX_VERSION = 3;
+
+/**
+ * Key pattern stored for every text index, whatever fields it covers
+ */
+const TEXT_INDEX_KEY = { _fts: 'text', _ftsx: 1 };
+
+/**
+ * Supported languages by the names MongoDB accepts for them
+ */
+const LANGUAGES = {
+  english: 'english',
+  en: 'english',
+  none: 'none'
+};
+
+/**
+ * Options of a $text query, besides $search
+ */
+const TEXT_QUERY_OPTIONS = ['$language', '$caseSensitive', '$diacriticSensitive'];
+
+/**
+ * English stop words, which are neither indexed nor searched for
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', "aren't",
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  "can't", 'cannot', 'could', "couldn't", 'did', "didn't", 'do', 'does', "doesn't", 'doing', "don't",
+  'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', "hadn't", 'has', "hasn't", 'have',
+  "haven't", 'having', 'he', "he'd", "he'll", "he's", 'her', 'here', "here's", 'hers', 'herself', 'him',
+  'himself', 'his', 'how', "how's", 'i', "i'd", "i'll", "i'm", "i've", 'if', 'in', 'into', 'is', "isn't",
+  'it', "it's", 'its', 'itself', "let's", 'me', 'more', 'most', "mustn't", 'my', 'myself', 'no', 'nor',
+  'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'ought', 'our', 'ours', 'ourselves', 'out',
+  'over', 'own', 'same', "shan't", 'she', "she'd", "she'll", "she's", 'should', "shouldn't", 'so',
+  'some', 'such', 'than', 'that', "that's", 'the', 'their', 'theirs', 'them', 'themselves', 'then',
+  'there', "there's", 'these', 'they', "they'd", "they'll", "they're", "they've", 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', "wasn't", 'we', "we'd", "we'll",
+  "we're", "we've", 'were', "weren't", 'what', "what's", 'when', "when's", 'where', "where's", 'which',
+  'while', 'who', "who's", 'whom', 'why', "why's", 'with', "won't", 'would', "wouldn't", 'you', "you'd",
+  "you'll", "you're", "you've", 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+/**
+ * Words, allowing apostrophes inside them ("don't", "o'clock")
+ */
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+(?:'[\p{L}\p{N}\p{M}]+)*/gu;
+
+/**
+ * Terms of a $search string: optionally negated phrases or words
+ */
+const SEARCH_PATTERN = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+
+/**
+ * Text scores of result documents, set by queries with $text
+ */
+const textScores = new WeakMap();
+
+// Snowball English stemmer tables
+
+const VOWELS = 'aeiouy';
+const DOUBLES = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt'];
+const LI_ENDINGS = 'cdeghkmnrt';
+const R1_PREFIXES = ['gener', 'commun', 'arsen'];
+
+const EXCEPTIONS = {
+  skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie', idly: 'idl', gently: 'gentl',
+  ugly: 'ugli', early: 'earli', only: 'onli', singly: 'singl', sky: 'sky', news: 'news', howe: 'howe',
+  atlas: 'atlas', cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+};
+
+const INVARIANTS_AFTER_STEP_1A = ['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed'];
+
+const STEP_1B_SUFFIXES = ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed'];
+
+const STEP_2_SUFFIXES = [
+  ['ization', 'ize'], ['ational', 'ate'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+  ['tional', 'tion'], ['biliti', 'ble'], ['lessli', 'less'], ['entli', 'ent'], ['ation', 'ate'],
+  ['alism', 'al'], ['aliti', 'al'], ['ousli', 'ous'], ['iviti', 'ive'], ['fulli', 'ful'], ['enci', 'ence'],
+  ['anci', 'ance'], ['abli', 'able'], ['izer', 'ize'], ['ator', 'ate'], ['alli', 'al'], ['bli', 'ble'],
+  ['ogi', 'og'], ['li', '']
+];
+
+const STEP_3_SUFFIXES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['alize', 'al'], ['icate', 'ic'], ['iciti', 'ic'],
+  ['ative', ''], ['ical', 'ic'], ['ness', ''], ['ful', '']
+];
+
+const STEP_4_SUFFIXES = [
+  'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous', 'ive',
+  'ize', 'ion', 'al', 'er', 'ic'
+];
+
+/**
+ * Build the text-specific part of an index specification
+ * @param {Object} key - Normalized key pattern, e.g. { title: 'text', body: 'text' }
+ * @param {Object} options - Index options ({ weights, default_language, language_override })
+ * @returns {Object} - { key, weights, default_language, language_override, textIndexVersion }
+ * @throws {MongoServerError} - CannotCreateIndex for mixed keys, bad weights or an unsupported language
+ */
+function textIndexSpec(key, options = {}) {
+  const fields = Object.keys(key);
+  if (fields.some(field => key[field] !== 'text')) {
+    throw cannotCreateIndex(`Text indexes cannot be combined with other index keys: ${JSON.stringify(key)}`);
+  }
+
+  const weights = {};
+  fields.forEach(field => { weights[field] = 1; });
+  for (const [field, weight] of Object.entries(options.weights || {})) {
+    if (typeof weight !== 'number' || !(weight > 0 && weight < 100000)) {
+      throw cannotCreateIndex(`text index weight for '${field}' must be in the exclusive interval (0,100000)`);
+    }
+    weights[field] = weight;
+  }
+
+  const defaultLanguage = options.default_language || 'english';
+  if (!LANGUAGES[defaultLanguage]) {
+    throw cannotCreateIndex(`unsupported language: "${defaultLanguage}" for text index version ${TEXT_INDEX_VERSION}`);
+  }
+
+  return {
+    key: { ...TEXT_INDEX_KEY },
+    weights: sortedObject(weights),
+    default_language: defaultLanguage,
+    language_override: options.language_override || 'language',
+    textIndexVersion: TEXT_INDEX_VERSION
+  };
+}
+
+/**
+ * Check whether an index specification is a text index
+ * @param {Object} index - Index specification
+ * @returns {boolean} - True for text indexes
+ */
+function isTextIndex(index) {
+  return index.key._fts === 'text';
+}
+
+/**
+ * Find the $text expressions of a query, where they are allowed
+ * @param {Object} query - Query filter
+ * @returns {Array<Object>} - $text expressions at the top level or under $and / $or
+ * @throws {MongoServerError} - BadValue if a $text expression is under $nor
+ */
+function findTextExpressions(query) {
+  const expressions = [];
+  const visit = (clause, negated) => {
+    if (!clause || typeof clause !== 'object') {
+      return;
+    }
+    for (const key of Object.keys(clause)) {
+      if (key === '$text') {
+        if (negated) {
+          throw badValue('$text is not allowed in this context');
+        }
+        expressions.push(clause[key]);
+      } else if ((key === '$and' || key === '$or' || key === '$nor') && Array.isArray(clause[key])) {
+        clause[key].forEach(sub => visit(sub, negated || key === '$nor'));
+      }
+    }
+  };
+  visit(query, false);
+  return expressions;
+}
+
+/**
+ * Parse a $text expression for a text index
+ *
+ * The $search string holds words, "quoted phrases" and negations of either
+ * ("-word", "-\"a phrase\""). Words in phrases count as terms too.
+ *
+ * @param {Object} condition - { $search, $language, $caseSensitive, $diacriticSensitive }
+ * @param {Object|null} index - Text index specification of the collection
+ * @returns {Object} - Parsed query, for scoreTextQuery
+ * @throws {MongoServerError} - IndexNotFound without a text index, or an error for invalid options
+ */
+function parseTextQuery(condition, index) {
+  if (!index) {
+    throw new MongoServerError('text index required for $text query', { code: 27, codeName: 'IndexNotFound' });
+  }
+  if (!isTraversable(condition)) {
+    throw badValue('$text expects an object');
+  }
+  const extra = Object.keys(condition).find(key => key !== '$search' && !TEXT_QUERY_OPTIONS.includes(key));
+  if (extra) {
+    throw badValue(`extra fields in $text: ${extra}`);
+  }
+  if (typeof condition.$search !== 'string') {
+    throw typeMismatch('$search needs a String');
+  }
+  const language = condition.$language === undefined ? index.default_language : condition.$language;
+  if (typeof language !== 'string') {
+    throw typeMismatch('$language needs a String');
+  }
+  if (!LANGUAGES[language]) {
+    throw badValue(`unsupported language: "${language}" for text index version ${TEXT_INDEX_VERSION}`);
+  }
+  for (const option of ['$caseSensitive', '$diacriticSensitive']) {
+    if (condition[option] !== undefined && typeof condition[option] !== 'boolean') {
+      throw typeMismatch(`${option} needs a Boolean`);
+    }
+  }
+
+  const options = {
+    caseSensitive: Boolean(condition.$caseSensitive),
+    diacriticSensitive: Boolean(condition.$diacriticSensitive)
+  };
+  const query = {
+    ...options,
+    terms: [],
+    scoreTerms: [],
+    negatedTerms: [],
+    phrases: [],
+    negatedPhrases: []
+  };
+  const addTerms = (text, negated) => {
+    const words = tokenize(text);
+    if (negated) {
+      query.negatedTerms.push(...termsOf(words, LANGUAGES[language], options));
+    } else {
+      query.terms.push(...termsOf(words, LANGUAGES[language], options));
+      query.scoreTerms.push(...termsOf(words, LANGUAGES[language], {}));
+    }
+  };
+
+  const search = condition.$search;
+  let match;
+  SEARCH_PATTERN.lastIndex = 0;
+  while ((match = SEARCH_PATTERN.exec(search)) !== null) {
+    if (match[4] !== undefined) {
+      addTerms(match[4], match[3] === '-');
+      continue;
+    }
+    const phrase = match[2].trim();
+    if (phrase === '') {
+      continue;
+    }
+    if (match[1] === '-') {
+      query.negatedPhrases.push(foldText(phrase, options));
+    } else {
+      query.phrases.push(foldText(phrase, options));
+      addTerms(phrase, false);
+    }
+  }
+
+  query.terms = unique(query.terms);
+  query.scoreTerms = unique(query.scoreTerms);
+  query.negatedTerms = unique(query.negatedTerms);
+  return query;
+}
+
+/**
+ * Score a document against a parsed $text query
+ *
+ * A document matches when it contains at least one of the terms, every
+ * phrase, and none of the negated terms and phrases.
+ *
+ * @param {Object} query - Result of parseTextQuery
+ * @param {Object} index - Text index specification
+ * @param {Object} doc - Stored document
+ * @returns {number|null} - textScore, or null if the document does not match
+ */
+function scoreTextQuery(query, index, doc) {
+  const language = documentLanguage(index, doc);
+  const fields = textFields(index, doc);
+  const scores = new Map();
+  fields.forEach(({ text, weight }) => scoreText(text, weight, language, scores));
+
+  if (!query.scoreTerms.some(term => scores.has(term))) {
+    return null;
+  }
+
+  let terms = scores;
+  if (query.caseSensitive || query.diacriticSensitive) {
+    terms = new Set();
+    fields.forEach(({ text }) => termsOf(tokenize(text), language, query).forEach(term => terms.add(term)));
+    if (!query.terms.some(term => terms.has(term))) {
+      return null;
+    }
+  }
+  if (query.negatedTerms.some(term => terms.has(term))) {
+    return null;
+  }
+
+  const texts = fields.map(({ text }) => foldText(text, query));
+  const contains = phrase => texts.some(text => text.includes(phrase));
+  if (!query.phrases.every(contains) || query.negatedPhrases.some(contains)) {
+    return null;
+  }
+
+  return query.scoreTerms.reduce((total, term) => total + (scores.get(term) || 0), 0);
+}
+
+/**
+ * Attach a text score to a result document
+ * @param {Object} doc - Result document (a copy, never a stored document)
+ * @param {number} [score] - textScore; nothing is attached when undefined
+ * @returns {Object} - The document
+ */
+function setTextScore(doc, score) {
+  if (score !== undefined) {
+    textScores.set(doc, score);
+  }
+  return doc;
+}
+
+/**
+ * Carry the text score of a document over to a document derived from it
+ * @param {Object} from - Source document
+ * @param {Object} to - Derived document
+ * @returns {Object} - The derived document
+ */
+function copyTextScore(from, to) {
+  return setTextScore(to, textScores.get(from));
+}
+
+/**
+ * Read the text score of a result document
+ * @param {Object} doc - Result document
+ * @returns {number} - textScore
+ * @throws {MongoServerError} - If the document did not come from a $text query
+ */
+function textScoreOf(doc) {
+  const score = textScores.get(doc);
+  if (score === undefined) {
+    throw new MongoServerError('query requires text score metadata, but it is not available', {
+      code: 40218,
+      codeName: 'Location40218'
+    });
+  }
+  return score;
+}
+
+/**
+ * Reduce an English word to its stem with the Snowball English (Porter2) algorithm
+ * @param {string} word - Lower-case word
+ * @returns {string} - Stem (e.g. 'running' -> 'run', 'coffee' -> 'coffe')
+ */
+function stem(word) {
+  if (EXCEPTIONS[word]) {
+    return EXCEPTIONS[word];
+  }
+  if (word.length < 3) {
+    return word;
+  }
+
+  let w = word.replace(/^'/, '');
+  if (w[0] === 'y') {
+    w = `Y${w.slice(1)}`;
+  }
+  w = w.replace(/([aeiouy])y/g, '$1Y');
+
+  const prefix = R1_PREFIXES.find(candidate => w.startsWith(candidate));
+  const r1 = prefix ? prefix.length : regionStart(w, 0);
+  const r2 = regionStart(w, r1);
+
+  // Step 0: possessives
+  w = w.replace(/'s'$|'s$|'$/, '');
+
+  // Step 1a: plurals
+  if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('ied') || w.endsWith('ies')) {
+    w = w.slice(0, -3) + (w.length > 4 ? 'i' : 'ie');
+  } else if (w.endsWith('s') && !w.endsWith('us') && !w.endsWith('ss') && /[aeiouy]/.test(w.slice(0, -2))) {
+    w = w.slice(0, -1);
+  }
+  if (INVARIANTS_AFTER_STEP_1A.includes(w)) {
+    return w;
+  }
+
+  // Step 1b: -ed and -ing
+  const suffix1b = STEP_1B_SUFFIXES.find(suffix => w.endsWith(suffix));
+  if (suffix1b === 'eed' || suffix1b === 'eedly') {
+    if (w.length - suffix1b.length >= r1) {
+      w = `${w.slice(0, -suffix1b.length)}ee`;
+    }
+  } else if (suffix1b && /[aeiouy]/.test(w.slice(0, -suffix1b.length))) {
+    w = w.slice(0, -suffix1b.length);
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (DOUBLES.some(double => w.endsWith(double))) {
+      w = w.slice(0, -1);
+    } else if (r1 >= w.length && endsWithShortSyllable(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: -y
+  if (w.length > 2 && /[^aeiouy][yY]$/.test(w)) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Step 2
+  const step2 = STEP_2_SUFFIXES.find(([suffix]) => w.endsWith(suffix));
+  if (step2 && w.length - step2[0].length >= r1) {
+    const rest = w.slice(0, -step2[0].length);
+    if (step2[0] === 'ogi' ? rest.endsWith('l') : step2[0] !== 'li' || LI_ENDINGS.includes(rest[rest.length - 1])) {
+      w = rest + step2[1];
+    }
+  }
+
+  // Step 3
+  const step3 = STEP_3_SUFFIXES.find(([suffix]) => w.endsWith(suffix));
+  if (step3 && w.length - step3[0].length >= (step3[0] === 'ative' ? r2 : r1)) {
+    w = w.slice(0, -step3[0].length) + step3[1];
+  }
+
+  // Step 4
+  const step4 = STEP_4_SUFFIXES.find(suffix => w.endsWith(suffix));
+  if (step4 && w.length - step4.length >= r2) {
+    const rest = w.slice(0, -step4.length);
+    if (step4 !== 'ion' || /[st]$/.test(rest)) {
+      w = rest;
+    }
+  }
+
+  // Step 5
+  if (w.endsWith('e')) {
+    const position = w.length - 1;
+    if (position >= r2 || (position >= r1 && !endsWithShortSyllable(w.slice(0, -1)))) {
+      w = w.slice(0, -1);
+    }
+  } else if (w.endsWith('ll') && w.length - 1 >= r2) {
+    w = w.slice(0, -1);
+  }
+
+  return w.replace(/Y/g, 'y');
+}
+
+/**
+ * Find where the R1 or R2 region of a word starts
+ * @param {string} word - Word
+ * @param {number} from - Start of the enclosing region (0 for R1)
+ * @returns {number} - Position after the first non-vowel following a vowel, or the word length
+ * @private
+ */
+function regionStart(word, from) {
+  for (let i = from + 1; i < word.length; i++) {
+    if (VOWELS.includes(word[i - 1]) && !VOWELS.includes(word[i])) {
+      return i + 1;
+    }
+  }
+  return word.length;
+}
+
+/**
+ * Check whether a word ends in a short syllable ("hop", "at")
+ * @param {string} word - Word
+ * @returns {boolean} - True for a non-vowel, vowel, non-vowel (not w, x or Y) ending,
+ *   or a two-letter word of a vowel and a non-vowel
+ * @private
+ */
+function endsWithShortSyllable(word) {
+  const n = word.length;
+  const vowel = position => VOWELS.includes(word[position]);
+  if (n === 2) {
+    return vowel(0) && !vowel(1);
+  }
+  return n > 2 && !vowel(n - 3) && vowel(n - 2) && !vowel(n - 1) && !'wxY'.includes(word[n - 1]);
+}
+
+/**
+ * Split text into words
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words, in their original case
+ * @private
+ */
+function tokenize(text) {
+  return text.normalize('NFD').replace(/’/g, "'").match(WORD_PATTERN) || [];
+}
+
+/**
+ * Turn words into search terms: folded, without stop words and stemmed
+ * @param {Array<string>} words - Words from tokenize()
+ * @param {string} language - 'english' or 'none'
+ * @param {Object} options - { caseSensitive, diacriticSensitive }
+ * @returns {Array<string>} - Terms
+ * @private
+ */
+function termsOf(words, language, options) {
+  const terms = [];
+  for (const word of words) {
+    const folded = foldText(word, options);
+    if (language === 'english') {
+      if (!STOP_WORDS.has(foldText(word, {}))) {
+        terms.push(stem(folded));
+      }
+    } else {
+      terms.push(folded);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Fold case and diacritics as a query asks
+ * @param {string} text - Text
+ * @param {Object} options - { caseSensitive, diacriticSensitive }
+ * @returns {string} - Folded text
+ * @private
+ */
+function foldText(text, options) {
+  let folded = text.normalize('NFD');
+  if (!options.diacriticSensitive) {
+    folded = folded.replace(/\p{M}/gu, '');
+  }
+  return options.caseSensitive ? folded : folded.toLowerCase();
+}
+
+/**
+ * Add the scores of the terms of one string to a document's scores
+ *
+ * The formula is mongod's: repeated occurrences of a term count for less and
+ * less (1 + 1/2 + 1/4 ...), scaled by how much of the string the term makes up
+ * and by the field weight, with a small boost when the string is the term itself.
+ *
+ * @param {string} text - String value of an indexed field
+ * @param {number} weight - Field weight
+ * @param {string} language - Language of the document
+ * @param {Map} scores - Scores by term, updated in place
+ * @private
+ */
+function scoreText(text, weight, language, scores) {
+  const terms = termsOf(tokenize(text), language, {});
+  const frequencies = new Map();
+  for (const term of terms) {
+    const entry = frequencies.get(term) || { count: 0, frequency: 0, exponent: 0 };
+    entry.exponent = entry.exponent ? entry.exponent * 2 : 1;
+    entry.count++;
+    entry.frequency += 1 / entry.exponent;
+    frequencies.set(term, entry);
+  }
+
+  for (const [term, { count, frequency }] of frequencies) {
+    const coefficient = 0.5 * count / terms.length + 0.5;
+    const adjustment = text.length === term.length && text.toLowerCase() === term ? 1.1 : 1;
+    scores.set(term, (scores.get(term) || 0) + weight * frequency * coefficient * adjustment);
+  }
+}
+
+/**
+ * Collect the strings a text index covers in a document
+ * @param {Object} index - Text index specification
+ * @param {Object} doc - Document
+ * @returns {Array<Object>} - { text, weight } per string; array elements are separate strings
+ * @private
+ */
+function textFields(index, doc) {
+  const fields = [];
+  if (index.weights['$**'] !== undefined) {
+    const walk = (value, path) => {
+      if (typeof value === 'string') {
+        const weight = index.weights[path] !== undefined ? index.weights[path] : index.weights['$**'];
+        fields.push({ text: value, weight });
+      } else if (Array.isArray(value)) {
+        value.forEach(element => walk(element, path));
+      } else if (isTraversable(value)) {
+        Object.keys(value).forEach(key => walk(value[key], path ? `${path}.${key}` : key));
+      }
+    };
+    walk(doc, '');
+    return fields;
+  }
+
+  for (const [path, weight] of Object.entries(index.weights)) {
+    for (const value of getPathValues(doc, path)) {
+      for (const text of Array.isArray(value) ? value : [value]) {
+        if (typeof text === 'string') {
+          fields.push({ text, weight });
+        }
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Get the language a document is indexed in
+ * @param {Object} index - Text index specification
+ * @param {Object} doc - Document
+ * @returns {string} - 'english' or 'none'
+ * @private
+ */
+function documentLanguage(index, doc) {
+  const override = doc[index.language_override];
+  return LANGUAGES[typeof override === 'string' ? override : index.default_language] || LANGUAGES[index.default_language];
+}
+
+/**
+ * Remove repeated values
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} - Values in first-seen order
+ * @private
+ */
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+/**
+ * Copy an object with its keys in alphabetical order
+ * @param {Object} object - Object
+ * @returns {Object} - Sorted copy
+ * @private
+ */
+function sortedObject(object) {
+  const sorted = {};
+  Object.keys(object).sort().forEach(key => { sorted[key] = object[key]; });
+  return sorted;
+}
+
+/**
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - CannotCreateIndex error
+ * @private
+ */
+function cannotCreateIndex(message) {
+  return new MongoServerError(message, { code: 67, codeName: 'CannotCreateIndex' });
+}
+
+/**
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - BadValue error
+ * @private
+ */
+function badValue(message) {
+  return new MongoServerError(message, { code: 2, codeName: 'BadValue' });
+}
+
+/**
+ * @param {string} message - Error message
+ * @returns {MongoServerError} - TypeMismatch error
+ * @private
+ */
+function typeMismatch(message) {
+  return new MongoServerError(message, { code: 14, codeName: 'TypeMismatch' });
+}
+
+module.exports = {
+  textIndexSpec,
+  isTextIndex,
+  findTextExpressions,
+  parseTextQuery,
+  scoreTextQuery,
+  setTextScore,
+  copyTextScore,
+  textScoreOf,
+  stem
+};
@@ -0,0 +1,57 @@
+/**
+ * ttl - Removal of documents expired by TTL indexes
+ *
+ * mongod's TTL monitor deletes expired documents in the background every 60
+ * seconds, so they can linger for a while. Here a collection drops its
+ * expired documents before each call the application makes (see instrument),
+ * and every collection of a database does when its clock is moved, so a test
+ * never sees a document after it expired and never has to wait.
+ *
+ * Removals are ordinary deletes: change streams report them and persistent
+ * databases record them.
+ */
+
+/**
+ * Remove a collection's expired documents
+ * @param {MockCollection} collection - Collection
+ * @returns {number} - Number of documents removed
+ */
+function expireDocuments(collection) {
+  const expired = collection.indexManager.expiredDocuments(collection.documents, collection._now());
+  if (expired.length > 0) {
+    collection._removeDocuments(expired);
+  }
+  return expired.length;
+}
+
+/**
+ * Instrument hook that removes expired documents before each call
+ */
+const ttlMonitor = {
+  /**
+   * Whether a collection has TTL indexes
+   * @param {MockCollection} collection - Collection
+   * @returns {boolean} - True if some index has expireAfterSeconds
+   */
+  isActive(collection) {
+    return collection.indexManager.ttlIndexes().length > 0;
+  },
+
+  /**
+   * Remove expired documents, then run the call
+   * @param {MockCollection} collection - Collection called
+   * @param {string} method - Method name
+   * @param {Array} args - Arguments
+   * @param {Function} proceed - Runs the call
+   * @returns {*} - The call's return value
+   */
+  intercept(collection, method, args, proceed) {
+    expireDocuments(collection);
+    return proceed();
+  }
+};
+
+module.exports = {
+  expireDocuments,
+  ttlMonitor
+};
@@ -0,0 +1,195 @@
+const bson = require('./bson');
+
+/**
+ * wireProtocol - Framing of MongoDB wire protocol messages
+ *
+ * Every message starts with a 16-byte header: { messageLength, requestID,
+ * responseTo, opCode }. Drivers send commands as OP_MSG, except for the
+ * first handshake on a connection, which still uses the legacy OP_QUERY and
+ * is answered with an OP_REPLY.
+ */
+
+const OP_CODES = {
+  OP_REPLY: 1,
+  OP_QUERY: 2004,
+  OP_COMPRESSED: 2012,
+  OP_MSG: 2013
+};
+
+/**
+ * OP_MSG flag bits
+ */
+const CHECKSUM_PRESENT = 1 << 0;
+const MORE_TO_COME = 1 << 1;
+
+const HEADER_SIZE = 16;
+
+/**
+ * Largest message accepted, as advertised in the handshake
+ */
+const MAX_MESSAGE_SIZE = 48000000;
+
+/**
+ * Split complete messages off the front of a stream of bytes
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} - { messages: Array<Buffer>, rest: Buffer } where rest is an incomplete message
+ * @throws {Error} - If a message announces an invalid length
+ */
+function splitMessages(buffer) {
+  const messages = [];
+  let offset = 0;
+  while (buffer.length - offset >= 4) {
+    const length = buffer.readInt32LE(offset);
+    if (length < HEADER_SIZE || length > MAX_MESSAGE_SIZE) {
+      throw new Error(`Invalid message length ${length}`);
+    }
+    if (buffer.length - offset < length) {
+      break;
+    }
+    messages.push(buffer.subarray(offset, offset + length));
+    offset += length;
+  }
+  return { messages, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Decode a message
+ *
+ * OP_MSG documents sequences (section kind 1) are merged into the body under
+ * their identifier, e.g. the `documents` of an insert.
+ *
+ * @param {Buffer} message - One whole message
+ * @returns {Object} - { requestId, responseTo, opCode } plus, by opCode: OP_MSG { body, moreToCome },
+ *   OP_QUERY { collection, query }, OP_REPLY { cursorId, documents }
+ * @throws {Error} - If the message is malformed or of an unsupported kind
+ */
+function decodeMessage(message) {
+  const header = {
+    requestId: message.readInt32LE(4),
+    responseTo: message.readInt32LE(8),
+    opCode: message.readInt32LE(12)
+  };
+
+  switch (header.opCode) {
+    case OP_CODES.OP_MSG: {
+      const flags = message.readUInt32LE(HEADER_SIZE);
+      const end = message.length - (flags & CHECKSUM_PRESENT ? 4 : 0);
+      let body = null;
+      const sequences = [];
+      let offset = HEADER_SIZE + 4;
+
+      while (offset < end) {
+        const kind = message[offset];
+        offset += 1;
+        if (kind === 0) {
+          body = bson.deserialize(message, offset);
+          offset += bson.documentSize(message, offset);
+        } else if (kind === 1) {
+          const size = message.readInt32LE(offset);
+          const sectionEnd = offset + size;
+          const identifierEnd = message.indexOf(0, offset + 4);
+          const identifier = message.toString('utf8', offset + 4, identifierEnd);
+          const documents = [];
+          for (let position = identifierEnd + 1; position < sectionEnd; position += bson.documentSize(message, position)) {
+            documents.push(bson.deserialize(message, position));
+          }
+          sequences.push([identifier, documents]);
+          offset = sectionEnd;
+        } else {
+          throw new Error(`Unknown OP_MSG section kind ${kind}`);
+        }
+      }
+      if (!body) {
+        throw new Error('OP_MSG has no body section');
+      }
+      sequences.forEach(([identifier, documents]) => { body[identifier] = documents; });
+      return { ...header, body, moreToCome: Boolean(flags & MORE_TO_COME) };
+    }
+
+    case OP_CODES.OP_QUERY: {
+      const collectionEnd = message.indexOf(0, HEADER_SIZE + 4);
+      const collection = message.toString('utf8', HEADER_SIZE + 4, collectionEnd);
+      const queryOffset = collectionEnd + 1 + 8;
+      return { ...header, collection, query: bson.deserialize(message, queryOffset) };
+    }
+
+    case OP_CODES.OP_REPLY: {
+      const count = message.readInt32LE(HEADER_SIZE + 16);
+      const documents = [];
+      let offset = HEADER_SIZE + 20;
+      for (let i = 0; i < count; i++) {
+        documents.push(bson.deserialize(message, offset));
+        offset += bson.documentSize(message, offset);
+      }
+      return { ...header, cursorId: message.readBigInt64LE(HEADER_SIZE + 4), documents };
+    }
+
+    default:
+      throw new Error(`Unsupported opCode ${header.opCode}`);
+  }
+}
+
+/**
+ * Encode an OP_MSG with a single body section
+ * @param {Object} body - Command or reply document
+ * @param {Object} [options] - { requestId, responseTo, moreToCome }
+ * @returns {Buffer} - Message
+ */
+function encodeMsg(body, options = {}) {
+  const flags = Buffer.alloc(4);
+  flags.writeUInt32LE(options.moreToCome ? MORE_TO_COME : 0, 0);
+  return frame(OP_CODES.OP_MSG, options, [flags, Buffer.from([0]), bson.serialize(body)]);
+}
+
+/**
+ * Encode a legacy OP_QUERY, as drivers send for the first handshake
+ * @param {string} collection - Full collection name, e.g. 'admin.$cmd'
+ * @param {Object} query - Command document
+ * @param {Object} [options] - { requestId }
+ * @returns {Buffer} - Message
+ */
+function encodeQuery(collection, query, options = {}) {
+  const fields = Buffer.alloc(8);
+  fields.writeInt32LE(-1, 4); // numberToReturn
+  return frame(OP_CODES.OP_QUERY, options, [Buffer.alloc(4), Buffer.from(`${collection}\0`, 'utf8'), fields, bson.serialize(query)]);
+}
+
+/**
+ * Encode a legacy OP_REPLY holding one document
+ * @param {Object} doc - Reply document
+ * @param {Object} [options] - { requestId, responseTo }
+ * @returns {Buffer} - Message
+ */
+function encodeReply(doc, options = {}) {
+  const fields = Buffer.alloc(20);
+  fields.writeInt32LE(1, 16); // numberReturned
+  return frame(OP_CODES.OP_REPLY, options, [fields, bson.serialize(doc)]);
+}
+
+/**
+ * Prefix a message body with its header
+ * @param {number} opCode - Operation code
+ * @param {Object} options - { requestId, responseTo }
+ * @param {Array<Buffer>} parts - Body
+ * @returns {Buffer} - Message
+ * @private
+ */
+function frame(opCode, options, parts) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const length = HEADER_SIZE + parts.reduce((total, part) => total + part.length, 0);
+  header.writeInt32LE(length, 0);
+  header.writeInt32LE(options.requestId || 0, 4);
+  header.writeInt32LE(options.responseTo || 0, 8);
+  header.writeInt32LE(opCode, 12);
+  return Buffer.concat([header, ...parts], length);
+}
+
+module.exports = {
+  OP_CODES,
+  MAX_MESSAGE_SIZE,
+  splitMessages,
+  decodeMessage,
+  encodeMsg,
+  encodeQuery,
+  encodeReply
+};
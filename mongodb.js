@@ -0,0 +1,66 @@
+/**
+ * mock-db-connector/mongodb - Drop-in replacement for the `mongodb` package
+ *
+ * Exports the mock under the driver's names, so code that requires
+ * `mongodb` runs unchanged against in-memory databases:
+ *
+ *   jest.mock('mongodb', () => require('mock-db-connector/mongodb'));
+ *
+ * Its MongoClient shares the mock servers of MockMongoClient, but db()
+ * returns a Db with the driver's return types (see Db).
+ */
+
+const MongoClient = require('./lib/MongoClient');
+const Db = require('./lib/Db');
+const MockCollection = require('./lib/MockCollection');
+const MockCursor = require('./lib/MockCursor');
+const ChangeStream = require('./lib/ChangeStream');
+const ClientSession = require('./lib/ClientSession');
+const ObjectId = require('./lib/ObjectId');
+const Decimal128 = require('./lib/Decimal128');
+const Timestamp = require('./lib/Timestamp');
+const MinKey = require('./lib/MinKey');
+const MaxKey = require('./lib/MaxKey');
+const EJSON = require('./lib/ejson');
+const {
+  MongoError,
+  MongoServerError,
+  MongoBulkWriteError,
+  WriteError,
+  MongoTransactionError,
+  MongoExpiredSessionError,
+  MongoParseError,
+  MongoInvalidArgumentError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  BSONError
+} = require('./lib/errors');
+
+module.exports = {
+  MongoClient,
+  Db,
+  Collection: MockCollection,
+  FindCursor: MockCursor,
+  AggregationCursor: MockCursor,
+  ChangeStream,
+  ClientSession,
+  ObjectId,
+  Decimal128,
+  Timestamp,
+  MinKey,
+  MaxKey,
+  BSON: { ObjectId, Decimal128, Timestamp, MinKey, MaxKey, EJSON },
+  MongoError,
+  MongoServerError,
+  MongoBulkWriteError,
+  WriteError,
+  MongoTransactionError,
+  MongoExpiredSessionError,
+  MongoParseError,
+  MongoInvalidArgumentError,
+  MongoWriteConcernError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  BSONError
+};